@@ -0,0 +1,62 @@
+/* eslint-env jest */
+
+/**
+ * Waits for the pending promise callbacks to run so that the next request of an upload
+ * has been sent.
+ */
+export const flush = (ticks = 6) => (ticks ? Promise.resolve().then(() => flush(ticks - 1)) : Promise.resolve());
+
+/**
+ * Creates an upload transport that never responds by itself. Each request is added to the
+ * `requests` list so that a test can resolve, reject, or abort it.
+ */
+export function createServer() {
+  const requests = [];
+  const transport = jest.fn((options) => {
+    const request = { options };
+    request.promise = new Promise((resolve, reject) => {
+      request.resolve = resolve;
+      request.reject = reject;
+    });
+    request.abort = jest.fn(() => {
+      const error = new Error('aborted');
+      error.aborted = true;
+      request.reject(error);
+    });
+
+    requests.push(request);
+    return request;
+  });
+
+  return { transport, requests };
+}
+
+/**
+ * A fake `XMLHttpRequest` that records the requests that have been created along with the
+ * headers and body that were sent.
+ */
+export class FakeXMLHttpRequest {
+  static requests = [];
+
+  constructor() {
+    this.upload = {};
+    this.headers = {};
+    this.open = jest.fn();
+    this.abort = jest.fn(() => this.onabort());
+    FakeXMLHttpRequest.requests.push(this);
+  }
+
+  setRequestHeader(name, value) {
+    this.headers[name] = value;
+  }
+
+  send(body) {
+    this.body = body;
+  }
+
+  respond(status, response) {
+    this.status = status;
+    this.response = response;
+    this.onload();
+  }
+}
@@ -13,10 +13,8 @@ import Nearby from './Nearby';
 /**
  * This scrolls the active tab panel to the top of its content.
  *
- * Ideally the react-swipeable-views would expose a way to provide props to each
- * "slide" so that we could add ids and aria-attributes to it. Since it doesn't,
- * we can get the panel id, get the parent node (the slide) and then set the scrollTop
- * to 0.
+ * The `TabsContainer` does not add ids to each "slide", so we can get the panel id,
+ * get the parent node (the slide) and then set the scrollTop to 0.
  *
  * The `onTabChange` callback will provide the next activeTabIndex, tabId, panelId, and the
  * event that triggered the change.
@@ -26,6 +26,7 @@ export {
   SelectFieldColumn, SelectFieldColumnProps,
   MenuButtonColumn, MenuButtonColumnProps,
   DropdownMenuColumn, DropdownMenuColumnProps,
+  ColumnVisibilityMenu, ColumnVisibilityMenuProps,
 } from './lib/DataTables';
 export {
   DialogContainer, DialogContainerProps,
@@ -71,6 +72,7 @@ export { default as Paper, PaperProps } from './lib/Papers';
 export {
   DatePicker, DatePickerProps,
   TimePicker, TimePickerProps,
+  DateTimePicker, DateTimePickerProps,
 } from './lib/Pickers';
 export {
   CircularProgress, CircularProgressProps,
@@ -9,7 +9,24 @@ import { BaseMenuProps } from '../Menus'
 
 type OnOffType = 'on' | 'off';
 
-type DataType = Array<React.ReactElement<any> | string | number | { [dataLabel: string]: string | number }>;
+type DataItem = React.ReactElement<any> | string | number | { [dataLabel: string]: string | number };
+
+interface DataGroup {
+  label?: React.ReactNode;
+  items: Array<DataItem>;
+}
+
+type DataType = Array<DataItem | DataGroup>;
+
+interface LoadOptionsConfig {
+  signal?: EventTarget & { readonly aborted: boolean };
+  offset: number;
+}
+
+interface LoadOptionsResult {
+  data: DataType;
+  total?: number;
+}
 
 export interface AutocompleteProps extends BaseMenuProps {
   menuId?: IdPropType;
@@ -28,9 +45,17 @@ export interface AutocompleteProps extends BaseMenuProps {
   dataValue?: string;
   deleteKeys?: string | Array<string>;
   data: DataType;
+  groupBy?: string;
   total?: number;
   offset?: number;
   filter?: (data: DataType, filterText: string | number, dataLabel?: string) => Array<string>;
+  highlightMatches?: boolean;
+  loadOptions?: (
+    query: string | number,
+    config: LoadOptionsConfig
+  ) => DataType | LoadOptionsResult | PromiseLike<DataType | LoadOptionsResult>;
+  loadOptionsDelay?: number;
+  loadErrorText?: React.ReactNode;
   fullWidth?: boolean;
   inline?: boolean;
   findInlineSuggestion?: (data: DataType, value: string | number, dataLabel?: string) => string | number;
@@ -68,6 +93,7 @@ interface AutocompleteComponent extends React.ComponentClass<AutocompleteProps>
   };
   caseInsensitiveFilter(data: DataType, filterText: string | number, dataLabel?: string): Array<string>;
   fuzzyFilter(data: DataType, filterText: string | number, dataLabel?: string): Array<string>;
+  rankedFilter(data: DataType, filterText: string | number, dataLabel?: string): Array<string>;
   findIgnoreCase(data: DataType, filterText: string, dataLabel?: string): string;
 }
 
@@ -9,6 +9,9 @@ import omit from '../utils/omit';
 import findIgnoreCase from '../utils/findIgnoreCase';
 import fuzzyFilter from '../utils/fuzzyFilter';
 import caseInsensitiveFilter from '../utils/caseInsensitiveFilter';
+import rankedFilter, { scoreMatch } from '../utils/rankedFilter';
+import groupItems, { flattenGroups, filterGroups } from '../utils/groupItems';
+import renderGroupedItems from '../utils/renderGroupedItems';
 import getTextWidth from '../utils/Positioning/getTextWidth';
 import oneRequiredForA11y from '../utils/PropTypes/oneRequiredForA11y';
 import controlled from '../utils/PropTypes/controlled';
@@ -19,9 +22,16 @@ import fixedToShape from '../Helpers/fixedToShape';
 import positionShape from '../Helpers/positionShape';
 
 import ListItem from '../Lists/ListItem';
+import CircularProgress from '../Progress/CircularProgress';
 import Menu from '../Menus/Menu';
 import TextField from '../TextFields/TextField';
 
+/**
+ * The distance in pixels from the end of the list that will start loading the next page of
+ * options when the `loadOptions` prop is used.
+ */
+const LOAD_MORE_THRESHOLD = 48;
+
 /**
  * The `Autocomplete` component is useful for presenting real-time suggestions, completions,
  * or filtering.
@@ -32,6 +42,7 @@ export default class Autocomplete extends PureComponent {
   static Positions = Menu.Positions;
   static fuzzyFilter = fuzzyFilter;
   static caseInsensitiveFilter = caseInsensitiveFilter;
+  static rankedFilter = rankedFilter;
   static findIgnoreCase = findIgnoreCase;
   static propTypes = {
     /**
@@ -173,6 +184,9 @@ export default class Autocomplete extends PureComponent {
      * an array of string, number, or object. If it is an array of objects, the key
      * `dataLabel` is required.
      *
+     * The data can also contain groups with a `label` and a list of `items`. Each group will be
+     * filtered separately and rendered with a `Subheader` when it has matches.
+     *
      * ```docgen
      * PropTypes.arrayOf(PropTypes.oneOfType([
      *   PropTypes.element,
@@ -185,12 +199,21 @@ export default class Autocomplete extends PureComponent {
      *       PropTypes.node,
      *     ]).isRequired,
      *   }),
+     *   PropTypes.shape({
+     *     label: PropTypes.node,
+     *     items: PropTypes.array.isRequired,
+     *   }),
      * ])).isRequired
      * ```
+     *
+     * This is not required when the `loadOptions` prop is used.
+     *
+     * @see {@link #groupBy}
+     * @see {@link #loadOptions}
      */
     data: (props, propName, component, ...others) => {
-      const { dataLabel } = props;
-      return PropTypes.arrayOf(PropTypes.oneOfType([
+      const { dataLabel, loadOptions } = props;
+      const validator = PropTypes.arrayOf(PropTypes.oneOfType([
         PropTypes.element,
         PropTypes.string,
         PropTypes.number,
@@ -201,9 +224,23 @@ export default class Autocomplete extends PureComponent {
             PropTypes.node,
           ]).isRequired,
         }),
-      ])).isRequired(props, propName, component, ...others);
+        PropTypes.shape({
+          label: PropTypes.node,
+          items: PropTypes.array.isRequired,
+        }),
+      ]));
+
+      return (loadOptions ? validator : validator.isRequired)(props, propName, component, ...others);
     },
 
+    /**
+     * An optional key to use for grouping the `data` when it is a list of objects.
+     *
+     * @see {@link #data}
+     * @see {@link utils/groupItems}
+     */
+    groupBy: PropTypes.string,
+
     /**
      * An optional number representing the total number of results in the `data` prop.
      * This should really only be used when the data is paginated. When this is set,
@@ -226,9 +263,58 @@ export default class Autocomplete extends PureComponent {
      * An optional function to use to filter the `data`. If you have a sexy backend
      * using solr or some other search/indexer, it is recommended to set this prop to
      * `null`.
+     *
+     * The `Autocomplete.rankedFilter` can be used to sort the matches so that items starting with
+     * the value appear first, followed by items with a word starting with the value, and then any
+     * other matches.
      */
     filter: PropTypes.func,
 
+    /**
+     * Boolean if the characters in each match's `dataLabel` that match the text field's value should
+     * be highlighted. This works with any `filter` since the matched characters are found separately
+     * from the filtering. A match that does not contain the value will not be highlighted.
+     */
+    highlightMatches: PropTypes.bool,
+
+    /**
+     * An optional function to use to load the matches from a server instead of filtering the `data`.
+     * It will be called with the current text field value and an object containing the `offset` for
+     * the page to load and an `AbortController` `signal` when the browser supports it. It should return
+     * either a list of matches, or an object with the list of matches as `data` and the `total` number
+     * of matches. The result can also be wrapped in a promise.
+     *
+     * ```js
+     * loadOptions={(query, { signal, offset }) => (
+     *   fetch(`/api/countries?q=${query}&offset=${offset}`, { signal }).then(response => response.json())
+     * )}
+     * ```
+     *
+     * The requests will be debounced by the `loadOptionsDelay` and any response for an outdated
+     * value will be ignored. When the list is scrolled to the end, the next page will be loaded until
+     * the `total` has been reached or an empty list of matches is returned.
+     *
+     * @see {@link #loadOptionsDelay}
+     * @see {@link #loadErrorText}
+     */
+    loadOptions: invalidIf(PropTypes.func, 'inline'),
+
+    /**
+     * The amount of time in milliseconds to wait after the user stops typing before calling
+     * the `loadOptions` function.
+     *
+     * @see {@link #loadOptions}
+     */
+    loadOptionsDelay: PropTypes.number.isRequired,
+
+    /**
+     * The content to display at the end of the list when the `loadOptions` function throws an error,
+     * its promise is rejected, or it returns a result without a list of matches.
+     *
+     * @see {@link #loadOptions}
+     */
+    loadErrorText: PropTypes.node,
+
     /**
      * An optional function to call when the `Autocomplete`'s text field has a `keydown` event.
      */
@@ -494,6 +580,8 @@ export default class Autocomplete extends PureComponent {
     autoComplete: 'off',
     repositionOnScroll: true,
     inlineSuggestionPadding: 6,
+    loadOptionsDelay: 300,
+    loadErrorText: 'Unable to load results',
   };
 
   constructor(props) {
@@ -504,12 +592,13 @@ export default class Autocomplete extends PureComponent {
       data,
       dataLabel,
       filter,
+      loadOptions,
     } = props;
 
     let matches = [];
-    if (defaultValue && filter) {
-      matches = filter(data, defaultValue, dataLabel);
-    } else if (!filter) {
+    if (!loadOptions && defaultValue && filter) {
+      matches = filterGroups(filter, data, defaultValue, dataLabel);
+    } else if (!loadOptions && !filter) {
       matches = data;
     }
 
@@ -521,18 +610,26 @@ export default class Autocomplete extends PureComponent {
       manualFocus: false,
       suggestion: '',
       suggestionIndex: -1,
+      loading: false,
+      loadError: false,
+      hasMore: false,
     };
   }
 
   componentWillReceiveProps(nextProps) {
-    const { value: nextValue, data, filter, dataLabel } = nextProps;
+    const { value: nextValue, data, filter, dataLabel, loadOptions } = nextProps;
+    if (loadOptions) {
+      // The matches are only updated by the loadOptions responses
+      return;
+    }
+
     const dataDiff = data !== this.props.data;
     if (nextValue !== this.props.value || dataDiff) {
       let { visible, matches } = this.state;
       const value = getField(nextProps, this.state, 'value');
 
       if (filter) {
-        matches = filter(data, value, dataLabel);
+        matches = filterGroups(filter, data, value, dataLabel);
       } else if (dataDiff) {
         matches = data;
       }
@@ -554,6 +651,10 @@ export default class Autocomplete extends PureComponent {
     }
   }
 
+  componentWillUnmount() {
+    this._cancelLoad();
+  }
+
   /**
    * Gets the current value from the text field. This is used when you have an uncontrolled
    * text field and simply need the value from a ref callback.
@@ -564,6 +665,122 @@ export default class Autocomplete extends PureComponent {
     return getField(this.props, this.state, 'value');
   }
 
+  /**
+   * Gets the list of items in the order they are displayed. When there are groups, this will
+   * be all the items in each group.
+   */
+  _getItems(items) {
+    const groups = groupItems(items, this.props.groupBy);
+    return groups ? flattenGroups(groups) : items;
+  }
+
+  /**
+   * Cancels any pending `loadOptions` call and makes sure that the response of the current
+   * request will be ignored.
+   */
+  _cancelLoad() {
+    if (this._loadTimeout) {
+      clearTimeout(this._loadTimeout);
+      this._loadTimeout = null;
+    }
+
+    if (this._abortController) {
+      this._abortController.abort();
+      this._abortController = null;
+    }
+
+    this._request = null;
+  }
+
+  _loadOptions(query, offset) {
+    this._cancelLoad();
+
+    const request = { query, offset };
+    let signal;
+    if (typeof window !== 'undefined' && window.AbortController) {
+      this._abortController = new window.AbortController();
+      signal = this._abortController.signal;
+    }
+
+    this._request = request;
+    this.setState({ loading: true, loadError: false });
+    Promise.resolve()
+      .then(() => this.props.loadOptions(query, { signal, offset }))
+      .then((result) => {
+        if (this._request !== request) {
+          return;
+        }
+
+        const data = Array.isArray(result) ? result : result && result.data;
+        if (!Array.isArray(data)) {
+          throw new Error('The `loadOptions` result must be a list of matches or have the matches as `data`.');
+        }
+
+        this._request = null;
+        this._abortController = null;
+
+        const matches = offset ? this.state.matches.concat(data) : data;
+        let { total } = this.state;
+        let hasMore = !!data.length;
+        if (!Array.isArray(result) && typeof result.total !== 'undefined') {
+          total = result.total;
+          hasMore = this._getItems(matches).length < total;
+        }
+
+        this.setState({
+          matches,
+          total,
+          hasMore,
+          loading: false,
+          visible: this.state.visible && !!matches.length,
+        });
+      })
+      .catch(() => {
+        if (this._request !== request) {
+          return;
+        }
+
+        this._request = null;
+        this._abortController = null;
+        this.setState({ loading: false, loadError: true });
+      });
+  }
+
+  _handleAsyncChange(value) {
+    this._cancelLoad();
+    if (!value) {
+      this.setState({
+        value,
+        matches: [],
+        visible: false,
+        loading: false,
+        loadError: false,
+        hasMore: false,
+      });
+      return;
+    }
+
+    this._loadTimeout = setTimeout(() => {
+      this._loadTimeout = null;
+      this._loadOptions(value, 0);
+    }, this.props.loadOptionsDelay);
+
+    // Show the loading indicator right away instead of after the delay
+    this.setState({ value, visible: true, loading: true, loadError: false });
+  }
+
+  _handleListScroll = (e) => {
+    const { hasMore, loading, matches } = this.state;
+    if (!hasMore || loading) {
+      return;
+    }
+
+    const list = e.currentTarget;
+    if (list.scrollTop + list.clientHeight >= list.scrollHeight - LOAD_MORE_THRESHOLD) {
+      this._loadOptions(getField(this.props, this.state, 'value'), this._getItems(matches).length);
+    }
+  };
+
   _close = (e) => {
     if (this.props.onBlur) {
       this.props.onBlur(e);
@@ -573,7 +790,7 @@ export default class Autocomplete extends PureComponent {
   };
 
   _handleChange = (value, event) => {
-    const { onChange, filter, findInlineSuggestion, data, dataLabel, inline } = this.props;
+    const { onChange, filter, findInlineSuggestion, data, dataLabel, inline, loadOptions } = this.props;
 
     if (onChange) {
       onChange(value, event);
@@ -582,12 +799,14 @@ export default class Autocomplete extends PureComponent {
     if (inline) {
       // If findInlineSuggestion does not exist, assume that `onChange` will handle it.
       return findInlineSuggestion ? this._findInlineSuggestions(value) : null;
+    } else if (loadOptions) {
+      return this._handleAsyncChange(value);
     }
 
     let { visible } = this.state;
     let matches = value || !filter ? this.state.matches : [];
     if (value && filter) {
-      matches = filter(data, value, dataLabel);
+      matches = filterGroups(filter, data, value, dataLabel);
     }
 
     if (filter) {
@@ -643,7 +862,7 @@ export default class Autocomplete extends PureComponent {
       onAutocomplete,
     } = this.props;
 
-    let value = data[suggestionIndex];
+    let value = this._getItems(data)[suggestionIndex];
     if (onAutocomplete) {
       let v = value;
       if (typeof value === 'object') {
@@ -705,7 +924,8 @@ export default class Autocomplete extends PureComponent {
     let target = e.target;
     while (this._menu && this._menu.contains(target)) {
       if (target.classList.contains('md-list-item')) {
-        let items = target.parentNode.querySelectorAll('.md-list-item');
+        // The items might be nested in groups, so they need to be found from the menu
+        let items = this._menu.querySelectorAll('.md-list-item');
         items = Array.prototype.slice.call(items);
 
         return this._handleItemClick(items.indexOf(target));
@@ -726,13 +946,14 @@ export default class Autocomplete extends PureComponent {
       dataLabel,
       dataValue,
       filter,
+      loadOptions,
       onAutocomplete,
       clearOnAutocomplete,
       focusInputOnAutocomplete,
       autocompleteWithLabel: label,
     } = this.props;
 
-    let value = matches.filter(m => !React.isValidElement(m))[index];
+    let value = this._getItems(matches).filter(m => !React.isValidElement(m))[index];
     if (onAutocomplete) {
       let v = value;
       if (typeof v === 'object') {
@@ -758,10 +979,15 @@ export default class Autocomplete extends PureComponent {
       };
     }
 
+    if (loadOptions) {
+      this._cancelLoad();
+    }
+
     this.setState({
       visible: false,
       manualFocus: focusInputOnAutocomplete,
-      matches: filter ? filter(data, value, dataLabel) : matches,
+      matches: filter && !loadOptions ? filterGroups(filter, data, value, dataLabel) : matches,
+      loading: false,
       value,
     }, callback);
   };
@@ -769,7 +995,7 @@ export default class Autocomplete extends PureComponent {
   _focusSuggestion = (negative, e) => {
     e.preventDefault();
     const { matchIndex, matches } = this.state;
-    const l = matches.length;
+    const l = this._getItems(matches).length;
 
     let index;
     if (negative && matchIndex === -1 || !negative && matchIndex >= l) {
@@ -794,7 +1020,8 @@ export default class Autocomplete extends PureComponent {
   };
 
   _findInlineSuggestions = (value) => {
-    const { data, dataLabel, findInlineSuggestion, inlineSuggestionPadding } = this.props;
+    const { dataLabel, findInlineSuggestion, inlineSuggestionPadding } = this.props;
+    const data = this._getItems(this.props.data);
 
     let suggestion = findInlineSuggestion(data, value, dataLabel);
     if (typeof suggestion === 'object') {
@@ -841,17 +1068,53 @@ export default class Autocomplete extends PureComponent {
     });
   };
 
+  /**
+   * Wraps each part of the text that matches the current value in a span so that it can be
+   * highlighted when the `highlightMatches` prop is enabled.
+   */
+  _highlight(text) {
+    const value = getField(this.props, this.state, 'value');
+    const type = typeof text;
+    if (!this.props.highlightMatches || !value || (type !== 'string' && type !== 'number')) {
+      return text;
+    }
+
+    const match = scoreMatch(text, value);
+    if (!match) {
+      return text;
+    }
+
+    const str = `${text}`;
+    const parts = [];
+    let last = 0;
+    match.ranges.forEach(([start, end]) => {
+      if (start > last) {
+        parts.push(str.substring(last, start));
+      }
+
+      parts.push(<span key={start} className="md-autocomplete-highlight">{str.substring(start, end)}</span>);
+      last = end;
+    });
+
+    if (last < str.length) {
+      parts.push(str.substring(last));
+    }
+
+    return parts;
+  }
+
   _mapToListItem = (match, i) => {
     if (React.isValidElement(match)) { return match; }
 
-    const { dataLabel, dataValue, deleteKeys, total, offset, data } = this.props;
+    const { dataLabel, dataValue, deleteKeys, offset, data, loadOptions } = this.props;
+    const total = typeof this.props.total !== 'undefined' ? this.props.total : this.state.total;
     let props;
     switch (typeof match) {
       case 'string':
       case 'number':
         props = {
           key: match,
-          primaryText: match,
+          primaryText: this._highlight(match),
         };
         break;
       default:
@@ -864,11 +1127,11 @@ export default class Autocomplete extends PureComponent {
         props = {
           ...props,
           key: match.key || (dataValue && match[dataValue]) || match[dataLabel],
-          primaryText: match[dataLabel],
+          primaryText: this._highlight(match[dataLabel]),
         };
     }
 
-    if (typeof total !== 'undefined' && data.length < total) {
+    if (typeof total !== 'undefined' && this._getItems(loadOptions ? this.state.matches : data).length < total) {
       props['aria-setsize'] = total;
       props['aria-posinset'] = i + 1 + offset;
     }
@@ -877,6 +1140,22 @@ export default class Autocomplete extends PureComponent {
     return <ListItem tabIndex={-1} {...props} />;
   };
 
+  /**
+   * Creates the list items for the matches with any groups.
+   *
+   * @see {@link utils/renderGroupedItems}
+   */
+  _renderMatches(matches) {
+    const { id, groupBy } = this.props;
+    let index = -1;
+    const mapMatch = (match) => {
+      index += 1;
+      return this._mapToListItem(match, index);
+    };
+
+    return renderGroupedItems(matches, id, groupBy, groupedMatches => groupedMatches.map(mapMatch));
+  }
+
   /**
    * The `mousedown` event is used instead of `click` because of the order
    * of the `mousedown`, `focus`, and `click` events.
@@ -915,7 +1194,7 @@ export default class Autocomplete extends PureComponent {
   };
 
   render() {
-    const { visible, matches, tabbed, focus, suggestionStyle } = this.state;
+    const { visible, matches, tabbed, focus, suggestionStyle, loading, loadError } = this.state;
     const {
       fullWidth,
       block,
@@ -952,7 +1231,10 @@ export default class Autocomplete extends PureComponent {
       minBottom,
       fillViewportWidth,
       fillViewportHeight,
+      loadOptions,
+      loadErrorText,
       /* eslint-disable no-unused-vars */
+      loadOptionsDelay,
       value: propValue,
       total,
       offset,
@@ -961,6 +1243,8 @@ export default class Autocomplete extends PureComponent {
       dataLabel,
       dataValue,
       deleteKeys,
+      groupBy,
+      highlightMatches,
       defaultValue,
       clearOnAutocomplete,
       autocompleteWithLabel,
@@ -1036,10 +1320,30 @@ export default class Autocomplete extends PureComponent {
       );
     }
 
+    let items = this._renderMatches(matches);
+    let listProps;
+    if (loadOptions) {
+      listProps = { 'aria-busy': loading, onScroll: this._handleListScroll };
+      if (loading) {
+        items = items.concat(
+          <li key="loading" role="presentation" className="md-autocomplete-loading">
+            <CircularProgress id={`${props.id}-loading`} />
+          </li>
+        );
+      } else if (loadError) {
+        items = items.concat(
+          <li key="error" role="alert" className="md-autocomplete-error md-text--error">
+            {loadErrorText}
+          </li>
+        );
+      }
+    }
+
     return (
       <Menu
         id={menuId || `${props.id}-menu`}
         listId={listId}
+        listProps={listProps}
         ref={this._setMenu}
         toggle={autocomplete}
         visible={visible}
@@ -1074,7 +1378,7 @@ export default class Autocomplete extends PureComponent {
         fillViewportWidth={fillViewportWidth}
         fillViewportHeight={fillViewportHeight}
       >
-        {matches.map(this._mapToListItem)}
+        {items}
       </Menu>
     );
   }
@@ -10,6 +10,7 @@ import Menu from '../../Menus/Menu';
 import TextField from '../../TextFields/TextField';
 import List from '../../Lists/List';
 import ListItem from '../../Lists/ListItem';
+import CircularProgress from '../../Progress/CircularProgress';
 
 const DATA = [
   'Woop woop',
@@ -418,6 +419,60 @@ describe('Autocomplete', () => {
     expect(autocomplete.state('visible')).toBe(true);
   });
 
+  it('should filter each group of the data and render a subheader for the groups with matches', () => {
+    const data = [
+      { label: 'Fruits', items: ['Apple', 'Banana', 'Orange'] },
+      { label: 'Vegetables', items: ['Carrot', 'Potato'] },
+    ];
+    const onAutocomplete = jest.fn();
+    const autocomplete = mount(<Autocomplete id="food" data={data} onAutocomplete={onAutocomplete} />);
+
+    autocomplete.find('input').simulate('focus');
+    autocomplete.find('input').simulate('change', { target: { value: 'r' } });
+    expect(autocomplete.state('matches')).toEqual([
+      { label: 'Fruits', items: ['Orange'] },
+      { label: 'Vegetables', items: ['Carrot'] },
+    ]);
+
+    expect(autocomplete.find('ul[role="group"]').length).toBe(2);
+    expect(autocomplete.find('#food-group-1').text()).toBe('Vegetables');
+    expect(autocomplete.find(ListItem).map(item => item.prop('primaryText'))).toEqual(['Orange', 'Carrot']);
+
+    autocomplete.find(ListItem).at(1).simulate('click');
+    expect(onAutocomplete.mock.calls[0][0]).toBe('Carrot');
+    expect(onAutocomplete.mock.calls[0][1]).toBe(1);
+  });
+
+  it('should group the matches by the groupBy key', () => {
+    const data = [
+      { name: 'Apple', type: 'Fruit' },
+      { name: 'Carrot', type: 'Vegetable' },
+      { name: 'Banana', type: 'Fruit' },
+    ];
+    const autocomplete = mount(<Autocomplete id="food" data={data} dataLabel="name" groupBy="type" defaultValue="a" />);
+    autocomplete.setState({ visible: true });
+
+    expect(autocomplete.find('.md-subheader').map(header => header.text())).toEqual(['Fruit', 'Vegetable']);
+    expect(autocomplete.find(ListItem).map(item => item.prop('primaryText'))).toEqual(['Apple', 'Banana', 'Carrot']);
+  });
+
+  it('should highlight the matched characters when the highlightMatches prop is enabled', () => {
+    const data = ['United States', 'Canada', { name: 'Estonia' }];
+    const autocomplete = mount(
+      <Autocomplete id="countries" data={data} dataLabel="name" filter={null} defaultValue="st" highlightMatches />
+    );
+    autocomplete.setState({ visible: true });
+
+    const getHighlights = index => autocomplete.find(ListItem).at(index).find('.md-autocomplete-highlight');
+    expect(getHighlights(0).map(highlight => highlight.text())).toEqual(['St']);
+    expect(autocomplete.find(ListItem).at(0).text()).toBe('United States');
+    expect(getHighlights(1).length).toBe(0);
+    expect(getHighlights(2).map(highlight => highlight.text())).toEqual(['st']);
+
+    autocomplete.setProps({ highlightMatches: false });
+    expect(autocomplete.find('.md-autocomplete-highlight').length).toBe(0);
+  });
+
   it('should be renderable inside of a ListItem', () => {
     const autocomplete = <Autocomplete id="inside-list" data={[]} />;
 
@@ -435,4 +490,155 @@ describe('Autocomplete', () => {
 
     expect(error).toBe(false);
   });
+
+  describe('loadOptions', () => {
+    const defer = () => {
+      const deferred = {};
+      deferred.promise = new Promise((resolve, reject) => {
+        deferred.resolve = resolve;
+        deferred.reject = reject;
+      });
+
+      return deferred;
+    };
+
+    const change = (autocomplete, value) => {
+      autocomplete.find('input').simulate('change', { target: { value } });
+    };
+
+    // The timers are mocked, so the pending promise callbacks are flushed by waiting a few microtasks instead
+    const flush = (ticks = 5) => (ticks ? Promise.resolve().then(() => flush(ticks - 1)) : Promise.resolve());
+
+    const load = (autocomplete, value) => {
+      change(autocomplete, value);
+      jest.runAllTimers();
+      return flush();
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should debounce the calls to loadOptions and show a loading indicator while loading', () => {
+      const deferred = defer();
+      const loadOptions = jest.fn(() => deferred.promise);
+      const autocomplete = mount(<Autocomplete id="countries" loadOptions={loadOptions} />);
+
+      change(autocomplete, 'a');
+      change(autocomplete, 'ab');
+      expect(autocomplete.find(CircularProgress).length).toBe(1);
+      expect(loadOptions).not.toBeCalled();
+
+      jest.runAllTimers();
+      return flush().then(() => {
+        expect(loadOptions.mock.calls.length).toBe(1);
+        expect(loadOptions.mock.calls[0][0]).toBe('ab');
+        expect(loadOptions.mock.calls[0][1].offset).toBe(0);
+
+        deferred.resolve(['Abba', 'Abby']);
+        return flush();
+      }).then(() => {
+        expect(autocomplete.state('loading')).toBe(false);
+        expect(autocomplete.find(CircularProgress).length).toBe(0);
+        expect(autocomplete.find(ListItem).map(item => item.prop('primaryText'))).toEqual(['Abba', 'Abby']);
+      });
+    });
+
+    it('should ignore the responses for outdated values', () => {
+      const first = defer();
+      const second = defer();
+      const loadOptions = jest.fn();
+      loadOptions.mockReturnValueOnce(first.promise).mockReturnValueOnce(second.promise);
+      const autocomplete = mount(<Autocomplete id="countries" loadOptions={loadOptions} />);
+
+      return load(autocomplete, 'a').then(() => load(autocomplete, 'b')).then(() => {
+        second.resolve(['Belgium']);
+        first.resolve(['Austria']);
+        return flush();
+      }).then(() => {
+        expect(autocomplete.state('matches')).toEqual(['Belgium']);
+      });
+    });
+
+    it('should render the loadErrorText when the promise is rejected', () => {
+      const deferred = defer();
+      const autocomplete = mount(
+        <Autocomplete id="countries" loadOptions={() => deferred.promise} loadErrorText="Oh no" />
+      );
+
+      deferred.reject(new Error());
+      return load(autocomplete, 'a').then(() => {
+        expect(autocomplete.state('loading')).toBe(false);
+        expect(autocomplete.state('loadError')).toBe(true);
+        expect(autocomplete.find('.md-autocomplete-error').text()).toBe('Oh no');
+      });
+    });
+
+    it('should render the loadErrorText when loadOptions throws an error or returns an invalid result', () => {
+      const loadOptions = jest.fn(() => {
+        throw new Error();
+      });
+      const autocomplete = mount(<Autocomplete id="countries" loadOptions={loadOptions} />);
+
+      return load(autocomplete, 'a').then(() => {
+        expect(loadOptions.mock.calls.length).toBe(1);
+        expect(autocomplete.state('loading')).toBe(false);
+        expect(autocomplete.state('loadError')).toBe(true);
+
+        autocomplete.setProps({ loadOptions: () => Promise.resolve(null) });
+        return load(autocomplete, 'b');
+      }).then(() => {
+        expect(autocomplete.state('loadError')).toBe(true);
+
+        autocomplete.setProps({ loadOptions: () => ({ total: 3 }) });
+        return load(autocomplete, 'c');
+      }).then(() => {
+        expect(autocomplete.state('loading')).toBe(false);
+        expect(autocomplete.state('loadError')).toBe(true);
+      });
+    });
+
+    it('should allow loadOptions to return the matches without a promise', () => {
+      const autocomplete = mount(<Autocomplete id="countries" loadOptions={() => ['Austria']} />);
+
+      return load(autocomplete, 'a').then(() => {
+        expect(autocomplete.state('loading')).toBe(false);
+        expect(autocomplete.state('loadError')).toBe(false);
+        expect(autocomplete.state('matches')).toEqual(['Austria']);
+      });
+    });
+
+    it('should load the next page when the list is scrolled to the end until the total is reached', () => {
+      const first = defer();
+      const second = defer();
+      const loadOptions = jest.fn();
+      loadOptions.mockReturnValueOnce(first.promise).mockReturnValueOnce(second.promise);
+      const autocomplete = mount(<Autocomplete id="countries" loadOptions={loadOptions} />);
+
+      first.resolve({ data: ['Albania', 'Algeria'], total: 3 });
+      return load(autocomplete, 'a').then(() => {
+        expect(autocomplete.state('hasMore')).toBe(true);
+
+        const scroll = scrollTop => autocomplete.instance()._handleListScroll({
+          currentTarget: { scrollTop, clientHeight: 100, scrollHeight: 400 },
+        });
+        scroll(0);
+        expect(autocomplete.state('loading')).toBe(false);
+
+        scroll(300);
+        second.resolve({ data: ['Andorra'], total: 3 });
+        return flush();
+      }).then(() => {
+        expect(loadOptions.mock.calls.length).toBe(2);
+        expect(loadOptions.mock.calls[1][0]).toBe('a');
+        expect(loadOptions.mock.calls[1][1].offset).toBe(2);
+        expect(autocomplete.state('matches')).toEqual(['Albania', 'Algeria', 'Andorra']);
+        expect(autocomplete.state('hasMore')).toBe(false);
+      });
+    });
+  });
 });
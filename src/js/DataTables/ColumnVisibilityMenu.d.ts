@@ -0,0 +1,19 @@
+import * as React from 'react';
+import { IdPropType } from '../index';
+import { MenuButtonProps } from '../Menus';
+import { ColumnLayout } from './DataTable';
+
+export interface ColumnVisibilityMenuColumn {
+  key: string;
+  label: React.ReactNode;
+}
+
+export interface ColumnVisibilityMenuProps extends MenuButtonProps {
+  id: IdPropType;
+  columns: Array<ColumnVisibilityMenuColumn>;
+  layout: ColumnLayout;
+  onLayoutChange: (layout: ColumnLayout, event: React.ChangeEvent<HTMLInputElement>) => void;
+}
+
+declare const ColumnVisibilityMenu: React.ComponentClass<ColumnVisibilityMenuProps>;
+export default ColumnVisibilityMenu;
@@ -0,0 +1,126 @@
+import React, { PureComponent } from 'react';
+import PropTypes from 'prop-types';
+import isRequiredForA11y from 'react-prop-types/lib/isRequiredForA11y';
+
+import MenuButton from '../Menus/MenuButton';
+import ListItemControl from '../Lists/ListItemControl';
+import Checkbox from '../SelectionControls/Checkbox';
+import FontIcon from '../FontIcons/FontIcon';
+import layoutShape from './layoutShape';
+import { toggleColumn } from './columnLayout';
+
+/**
+ * The `ColumnVisibilityMenu` component is used to allow the user to show or hide columns
+ * in a `DataTable`. Since this is normally rendered outside of the table in something like
+ * the `TableCardHeader`, it should share the same `layout` and `onLayoutChange` props as the
+ * `DataTable`.
+ *
+ * ```js
+ * <TableCardHeader title="Nutrition" visible={false}>
+ *   <ColumnVisibilityMenu
+ *     id="nutrition-columns"
+ *     columns={[{ key: 'name', label: 'Name' }, { key: 'calories', label: 'Calories' }]}
+ *     layout={layout}
+ *     onLayoutChange={this.handleLayoutChange}
+ *   />
+ * </TableCardHeader>
+ * <DataTable baseId="nutrition" layout={layout} onLayoutChange={this.handleLayoutChange}>
+ * ```
+ */
+export default class ColumnVisibilityMenu extends PureComponent {
+  static propTypes = {
+    /**
+     * An id to use for the menu button. This is also used to create the ids for each checkbox
+     * in the menu.
+     */
+    id: isRequiredForA11y(PropTypes.oneOfType([
+      PropTypes.number,
+      PropTypes.string,
+    ])),
+
+    /**
+     * A list of the columns that can be toggled. The `key` should match the `columnKey` of the
+     * `TableColumn` in the `TableHeader` and the `label` will be displayed next to the checkbox.
+     *
+     * @see {@link DataTables/TableColumn#columnKey}
+     */
+    columns: PropTypes.arrayOf(PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      label: PropTypes.node.isRequired,
+    })).isRequired,
+
+    /**
+     * The current layout of the `DataTable`.
+     *
+     * @see {@link DataTables/DataTable#layout}
+     */
+    layout: layoutShape.isRequired,
+
+    /**
+     * A function to call with the next layout and the change event when a column is toggled.
+     *
+     * @see {@link DataTables/DataTable#onLayoutChange}
+     */
+    onLayoutChange: PropTypes.func.isRequired,
+
+    /**
+     * The children to display in the menu's toggle button.
+     */
+    children: PropTypes.node,
+
+    /**
+     * Boolean if the menu's toggle should be an icon button.
+     *
+     * @see {@link Buttons/Button#icon}
+     */
+    icon: PropTypes.bool,
+  };
+
+  static defaultProps = {
+    layout: {},
+    icon: true,
+    children: <FontIcon>view_column</FontIcon>,
+  };
+
+  _handleChange = (checked, e) => {
+    const { layout, onLayoutChange } = this.props;
+    onLayoutChange(toggleColumn(layout, e.target.value, checked), e);
+  };
+
+  render() {
+    const {
+      id,
+      columns,
+      layout,
+      /* eslint-disable no-unused-vars */
+      onLayoutChange,
+      /* eslint-enable no-unused-vars */
+      ...props
+    } = this.props;
+
+    const hidden = layout.hidden || [];
+    const visibleCount = columns.filter(({ key }) => hidden.indexOf(key) === -1).length;
+    const menuItems = columns.map(({ key, label }) => {
+      const checked = hidden.indexOf(key) === -1;
+
+      return (
+        <ListItemControl
+          key={key}
+          primaryAction={(
+            <Checkbox
+              id={`${id}-${key}`}
+              name={`${id}-columns`}
+              value={key}
+              label={label}
+              checked={checked}
+              disabled={checked && visibleCount === 1}
+              onChange={this._handleChange}
+            />
+          )}
+        />
+      );
+    });
+
+    return <MenuButton {...props} id={id} menuItems={menuItems} />;
+  }
+}
@@ -2,6 +2,18 @@ import * as React from 'react';
 import { Props, IdPropType } from '../index';
 type template = (rowIndex: number) => string;
 
+export type SortDirection = 'ascending' | 'descending';
+export interface SortItem {
+  key: string;
+  direction: SortDirection;
+}
+
+export interface ColumnLayout {
+  order?: Array<string>;
+  hidden?: Array<string>;
+  widths?: { [key: string]: number };
+}
+
 export interface DataTableProps extends Props {
   tableStyle?: React.CSSProperties;
   tableClassName?: string;
@@ -11,6 +23,10 @@ export interface DataTableProps extends Props {
   fixedScrollWrapperClassName?: string;
   baseId?: IdPropType;
   defaultSelectedRows?: Array<boolean>;
+  defaultSelectedRowIds?: Array<IdPropType>;
+  selectedRowIds?: Array<IdPropType>;
+  onSelectionChange?: (selectedRowIds: Array<IdPropType>, event: React.ChangeEvent<HTMLInputElement>) => void;
+  rowIds?: Array<IdPropType>;
   responsive?: boolean;
   plain?: boolean;
   onRowToggle?: (rowId: number, checked: boolean, event: React.MouseEvent<HTMLElement>) => void;
@@ -29,6 +45,18 @@ export interface DataTableProps extends Props {
   fixedWidth?: number;
   headerHeight?: number;
   footerHeight?: number;
+  sort?: Array<SortItem>;
+  defaultSort?: Array<SortItem>;
+  onSortChange?: (sort: Array<SortItem>, event: React.MouseEvent<HTMLElement> | React.KeyboardEvent<HTMLElement>) => void;
+  manualSort?: boolean;
+  layout?: ColumnLayout;
+  defaultLayout?: ColumnLayout;
+  onLayoutChange?: (layout: ColumnLayout, event: Event) => void;
+  resizableColumns?: boolean;
+  reorderableColumns?: boolean;
+  minColumnWidth?: number;
+  grid?: boolean;
+  gridPageSize?: number;
 
   /**
    * @deprecated
@@ -1,13 +1,51 @@
-import React, { PureComponent } from 'react';
+import React, { PureComponent, Children } from 'react';
 import PropTypes from 'prop-types';
 import cn from 'classnames';
 import deprecated from 'react-prop-types/lib/deprecated';
 
 import requiredForA11yIfNot from '../utils/PropTypes/requiredForA11yIfNot';
 import invalidIf from '../utils/PropTypes/invalidIf';
+import controlled from '../utils/PropTypes/controlled';
+import getField from '../utils/getField';
+import { ENTER, ESC, SPACE, PAGE_UP, PAGE_DOWN, END, HOME, LEFT, UP, RIGHT, DOWN, F2 } from '../constants/keyCodes';
 import FontIcon from '../FontIcons/FontIcon';
 import getDeprecatedIcon from '../FontIcons/getDeprecatedIcon';
 import contextTypes from './contextTypes';
+import sortShape from './sortShape';
+import TableHeader from './TableHeader';
+import TableBody from './TableBody';
+import sortRows from './sortRows';
+import layoutShape from './layoutShape';
+import { getColumnKey, getVisibleColumns, moveColumn, resizeColumn } from './columnLayout';
+
+const FOCUSABLE_QUERY = 'a[href],button:not([disabled]),input:not([disabled]),textarea,select,*[tabindex]';
+const GRID_TAB_INDEX = 'data-grid-tab-index';
+
+/**
+ * Updates the tab index of an element for the grid pattern. The element's original tab index is
+ * stored the first time it is updated so that it can be restored when the grid is disabled.
+ */
+function setGridTabIndex(el, tabIndex) {
+  if (!el.hasAttribute(GRID_TAB_INDEX)) {
+    el.setAttribute(GRID_TAB_INDEX, el.getAttribute('tabindex') || '');
+  }
+
+  el.tabIndex = tabIndex;
+}
+
+/**
+ * Restores the original tab index for an element that was updated for the grid pattern.
+ */
+function restoreTabIndex(el) {
+  const tabIndex = el.getAttribute(GRID_TAB_INDEX);
+  if (tabIndex) {
+    el.setAttribute('tabindex', tabIndex);
+  } else {
+    el.removeAttribute('tabindex');
+  }
+
+  el.removeAttribute(GRID_TAB_INDEX);
+}
 
 /**
  * The `DataTable` component is used to manage the state of all rows.
@@ -121,9 +159,69 @@ export default class DataTable extends PureComponent {
      * An optional array of booleans denoting if a row is selected.
      * This is an associative array so the index must match the row
      * number in the `TableBody` component.
+     *
+     * @see {@link #defaultSelectedRowIds}
      */
     defaultSelectedRows: PropTypes.arrayOf(PropTypes.bool).isRequired,
 
+    /**
+     * An optional list of the ids of the rows that should be selected by default. This will track the
+     * selection by id instead of by index and requires each `TableRow` in the `TableBody` to have a unique
+     * `rowId`. Since the rows are tracked by id, the selection will stay correct when rows are sorted,
+     * filtered, added, or removed.
+     *
+     * @see {@link #selectedRowIds}
+     * @see {@link DataTables/TableRow#rowId}
+     */
+    defaultSelectedRowIds: PropTypes.arrayOf(PropTypes.oneOfType([
+      PropTypes.number,
+      PropTypes.string,
+    ])),
+
+    /**
+     * An optional list of the ids of every row that is currently selected. This will make the selection
+     * state of the table controlled and requires each `TableRow` in the `TableBody` to have a unique `rowId`.
+     *
+     * If this prop is defined, the `onSelectionChange` prop is required to update the selection.
+     *
+     * @see {@link #defaultSelectedRowIds}
+     * @see {@link #onSelectionChange}
+     * @see {@link #rowIds}
+     */
+    selectedRowIds: controlled(PropTypes.arrayOf(PropTypes.oneOfType([
+      PropTypes.number,
+      PropTypes.string,
+    ])), 'onSelectionChange', 'defaultSelectedRowIds'),
+
+    /**
+     * An optional function to call when the selected row ids should be updated while the selection is tracked
+     * by id. The callback will include the next list of selected row ids and the change event.
+     *
+     * Holding the shift key while toggling a row will apply the checked state to every row between the
+     * last toggled row and the current row.
+     *
+     * @see {@link #selectedRowIds}
+     * @see {@link #defaultSelectedRowIds}
+     */
+    onSelectionChange: PropTypes.func,
+
+    /**
+     * An optional list of the ids for every row in the data set while the selection is tracked by id. This
+     * should be provided when the rows are paginated with the `TablePagination` component so that the header
+     * checkbox will select or deselect the rows across all pages instead of only the rows that are currently
+     * rendered.
+     *
+     * When this is omitted, the header checkbox will only toggle the rendered rows and keep the selection for
+     * any other rows.
+     *
+     * @see {@link #selectedRowIds}
+     * @see {@link #defaultSelectedRowIds}
+     */
+    rowIds: PropTypes.arrayOf(PropTypes.oneOfType([
+      PropTypes.number,
+      PropTypes.string,
+    ])),
+
     /**
      * Boolean if the table is responsive. This will wrap the table in a container
      * that allows scrolling to the right if overflow exists.
@@ -275,6 +373,140 @@ export default class DataTable extends PureComponent {
      */
     fullWidth: PropTypes.bool,
 
+    /**
+     * An optional list of the current sort to apply to the table. Each item in the list should contain the
+     * `sortKey` of a `TableColumn` in the `TableHeader` and the `direction` to sort that column in. When there
+     * are multiple items, the rows will be sorted by the first item and then fallback to the next items
+     * for rows that are equal.
+     *
+     * ```js
+     * sort={[{ key: 'name', direction: 'ascending' }, { key: 'calories', direction: 'descending' }]}
+     * ```
+     *
+     * If this prop is defined, the `onSortChange` prop is required to update the sort.
+     *
+     * @see {@link #defaultSort}
+     * @see {@link #onSortChange}
+     * @see {@link DataTables/TableColumn#sortKey}
+     */
+    sort: controlled(sortShape, 'onSortChange', 'defaultSort'),
+
+    /**
+     * The sort to initially apply to the table when the `sort` prop is not defined.
+     *
+     * @see {@link #sort}
+     */
+    defaultSort: sortShape.isRequired,
+
+    /**
+     * An optional function to call when a sortable `TableColumn` in the `TableHeader` is clicked or the enter
+     * key is pressed while it is focused. The callback will include the next sort list and the event that
+     * triggered the change.
+     *
+     * Clicking a column will cycle it between `ascending`, `descending`, and unsorted. If the shift key was held,
+     * the column will be added to the existing sort instead of replacing it.
+     *
+     * @see {@link #sort}
+     * @see {@link #manualSort}
+     */
+    onSortChange: PropTypes.func,
+
+    /**
+     * Boolean if the rows in the `TableBody` should not be sorted by the `DataTable`. This should be enabled when
+     * the data is sorted elsewhere, such as on a server, and only the sort state and `onSortChange` callback are
+     * needed.
+     */
+    manualSort: PropTypes.bool,
+
+    /**
+     * An optional layout to apply to the columns in the table. This is a serializable object so that it can be
+     * persisted as a user preference and it can contain:
+     * - `order` - a list of column keys in the order they should be displayed
+     * - `hidden` - a list of column keys that should not be displayed
+     * - `widths` - an object of column keys mapped to the width in pixels
+     *
+     * Each column is identified by the `columnKey` prop on the `TableColumn` in the `TableHeader` or by its
+     * index when the `columnKey` is omitted. The layout will be applied to every row in the table that has the
+     * same number of columns as the header.
+     *
+     * If this prop is defined, the `onLayoutChange` prop is required to update the layout.
+     *
+     * @see {@link #defaultLayout}
+     * @see {@link #onLayoutChange}
+     * @see {@link DataTables/TableColumn#columnKey}
+     * @see {@link DataTables/ColumnVisibilityMenu}
+     */
+    layout: controlled(layoutShape, 'onLayoutChange', 'defaultLayout'),
+
+    /**
+     * The layout to initially apply to the columns when the `layout` prop is not defined.
+     *
+     * @see {@link #layout}
+     */
+    defaultLayout: layoutShape.isRequired,
+
+    /**
+     * An optional function to call when a column has been resized or reordered. The callback will include
+     * the next layout and the event that triggered the change.
+     *
+     * @see {@link #layout}
+     */
+    onLayoutChange: PropTypes.func,
+
+    /**
+     * Boolean if the columns in the `TableHeader` should include a drag handle that allows the user to
+     * resize the column.
+     *
+     * @see {@link #minColumnWidth}
+     */
+    resizableColumns: PropTypes.bool,
+
+    /**
+     * Boolean if the columns in the `TableHeader` can be dragged and dropped onto another column to change
+     * the order of the columns. A focused column can also be moved to the left or right by holding the
+     * control and shift keys while pressing the left or right arrow key.
+     */
+    reorderableColumns: PropTypes.bool,
+
+    /**
+     * The minimum width in pixels that a column can be resized to.
+     *
+     * @see {@link #resizableColumns}
+     */
+    minColumnWidth: PropTypes.number.isRequired,
+
+    /**
+     * Boolean if the table should implement the [WAI-ARIA grid pattern](https://www.w3.org/TR/wai-aria-practices/#grid)
+     * for keyboard navigation. The table will become a single tab stop and the arrow keys, `Home`, `End`,
+     * `PageUp`, and `PageDown` will move focus between the cells. Holding the control key while pressing
+     * `Home` or `End` will move focus to the first or last cell in the table.
+     *
+     * Pressing `Enter` or `F2` in a cell will move focus into the first focusable element in the cell, such
+     * as the `EditDialogColumn`, `SelectFieldColumn`, or `MenuButtonColumn`, and `Escape` or `F2` will move
+     * focus back to the cell. Pressing `Space` will toggle the selection of the row.
+     *
+     * @see {@link #gridPageSize}
+     */
+    grid: PropTypes.bool,
+
+    /**
+     * The number of rows to move focus by when the `PageUp` or `PageDown` keys are pressed while the
+     * `grid` prop is enabled.
+     *
+     * @see {@link #grid}
+     */
+    gridPageSize: PropTypes.number.isRequired,
+
+    /**
+     * An optional function to call when the keydown event is triggered in the table.
+     */
+    onKeyDown: PropTypes.func,
+
+    /**
+     * An optional function to call when an element in the table gains focus.
+     */
+    onFocus: PropTypes.func,
+
     indeterminateIconChildren: deprecated(PropTypes.node, 'Use the `indeterminateIcon` prop instead'),
     indeterminateIconClassName: deprecated(PropTypes.string, 'Use the `indeterminateIcon` prop instead'),
     checkedIconClassName: deprecated(PropTypes.string, 'Use the `checkedIcon` prop instead'),
@@ -286,6 +518,10 @@ export default class DataTable extends PureComponent {
   static defaultProps = {
     indeterminateIcon: <FontIcon>indeterminate_check_box</FontIcon>,
     defaultSelectedRows: [],
+    defaultSort: [],
+    defaultLayout: {},
+    minColumnWidth: 56,
+    gridPageSize: 10,
     responsive: true,
     selectableRows: true,
     checkboxHeaderLabel: 'Toggle All Rows',
@@ -303,16 +539,30 @@ export default class DataTable extends PureComponent {
   constructor(props) {
     super();
 
-    const rows = props.defaultSelectedRows;
     this.state = {
       header: false,
       indeterminate: props.indeterminate ? false : undefined,
-      allSelected: this._allSelected(rows),
-      selectedRows: rows,
+      allSelected: this._allSelected(props.defaultSelectedRows),
+      // Each checkbox adds its default selected state once it mounts
+      selectedRows: [],
     };
 
+    if (typeof props.sort === 'undefined') {
+      this.state.sort = props.defaultSort;
+    }
+
+    if (typeof props.selectedRowIds === 'undefined' && typeof props.defaultSelectedRowIds !== 'undefined') {
+      this.state.selectedRowIds = props.defaultSelectedRowIds;
+    }
+
+    if (typeof props.layout === 'undefined') {
+      this.state.layout = props.defaultLayout;
+    }
+
     this._removed = 0;
     this._initial = true;
+    this._lastToggled = null;
+    this._activeCell = null;
   }
 
   getChildContext() {
@@ -327,6 +577,12 @@ export default class DataTable extends PureComponent {
       checkboxLabelTemplate,
       fixedHeader,
       fixedFooter,
+      manualSort,
+      resizableColumns,
+      reorderableColumns,
+      minColumnWidth,
+      grid,
+      children,
 
       // deprecated
       checkedIconChildren,
@@ -337,14 +593,24 @@ export default class DataTable extends PureComponent {
       indeterminateIconClassName,
     } = this.props;
 
+    const selectedRowIds = getField(this.props, this.state, 'selectedRowIds');
+    let { allSelected, indeterminate } = this.state;
+    if (typeof selectedRowIds !== 'undefined') {
+      const rowIds = this.props.rowIds || this._getRowIds();
+      const selectedCount = rowIds.filter(id => selectedRowIds.indexOf(id) !== -1).length;
+      allSelected = rowIds.length !== 0 && selectedCount === rowIds.length;
+      indeterminate = this.props.indeterminate ? !allSelected && selectedCount > 0 : undefined;
+    }
+
     return {
       checkedIcon: getDeprecatedIcon(checkedIconClassName, checkedIconChildren, checkedIcon),
       uncheckedIcon: getDeprecatedIcon(uncheckedIconClassName, uncheckedIconChildren, uncheckedIcon),
       indeterminateIcon: getDeprecatedIcon(indeterminateIconClassName, indeterminateIconChildren, indeterminateIcon),
-      indeterminate: this.state.indeterminate,
+      indeterminate,
       plain,
-      allSelected: this.state.allSelected,
+      allSelected,
       selectedRows: this.state.selectedRows,
+      selectedRowIds,
       toggleSelectedRow: this._toggleSelectedRow,
       createCheckbox: this._createCheckbox,
       removeCheckbox: this._removeCheckbox,
@@ -355,12 +621,50 @@ export default class DataTable extends PureComponent {
       checkboxLabelTemplate,
       fixedHeader,
       fixedFooter,
+      sort: getField(this.props, this.state, 'sort'),
+      sortColumns: this._getSortColumns(children),
+      manualSort,
+      toggleSort: this._toggleSort,
+      columnLayout: this._getColumnLayout(children),
+      resizableColumns,
+      reorderableColumns,
+      minColumnWidth,
+      resizeColumn: this._resizeColumn,
+      moveColumn: this._moveColumn,
+      getColumnOrder: this._getColumnOrder,
+      grid,
     };
   }
 
+  componentDidMount() {
+    if (this.props.grid) {
+      this._updateGridTabIndexes();
+    }
+  }
+
+  componentWillReceiveProps(nextProps) {
+    const sort = getField(this.props, this.state, 'sort');
+    const nextSort = getField(nextProps, this.state, 'sort');
+    if (sort !== nextSort && !nextProps.manualSort) {
+      this._sortSelectedRows(nextSort);
+    }
+  }
+
+  componentWillUpdate(nextProps) {
+    // The original tab indexes must be restored before rendering so that any tab indexes from
+    // the next props will not be overwritten
+    if (this.props.grid && !nextProps.grid) {
+      this._restoreTabIndexes();
+    }
+  }
+
   componentDidUpdate() {
     this._removed = 0;
     this._initial = false;
+
+    if (this.props.grid) {
+      this._updateGridTabIndexes();
+    }
   }
 
   _allSelected(rows) {
@@ -376,10 +680,384 @@ export default class DataTable extends PureComponent {
     return all;
   }
 
+  /**
+   * Creates an object of the sort keys in the `TableHeader` mapped to the index of the column
+   * and the optional comparator so that the `TableBody` is able to sort its rows.
+   */
+  _getSortColumns(children) {
+    const cache = this._sortColumnsCache;
+    if (cache && cache.children === children) {
+      return cache.sortColumns;
+    }
+
+    const sortColumns = {};
+    this._getHeaderColumns(children).forEach((col, index) => {
+      if (col && col.props && col.props.sortKey) {
+        sortColumns[col.props.sortKey] = { index, comparator: col.props.comparator };
+      }
+    });
+
+    this._sortColumnsCache = { children, sortColumns };
+    return sortColumns;
+  }
+
+  /**
+   * Gets the list of `TableColumn` elements in the `TableHeader`.
+   */
+  _getHeaderColumns(children) {
+    let columns = [];
+    Children.forEach(children, (child) => {
+      if (!child || child.type !== TableHeader) {
+        return;
+      }
+
+      const row = Children.only(child.props.children);
+      columns = Children.toArray(row.props.children);
+    });
+
+    return columns;
+  }
+
+  _getColumnKeys() {
+    return this._getHeaderColumns(this.props.children).map(getColumnKey);
+  }
+
+  /**
+   * Creates the column layout to pass down to each row. This will contain the total number of columns
+   * in the header and the list of columns to display, or it will be `null` if there is no layout
+   * applied so that the rows can render their columns as-is.
+   */
+  _getColumnLayout(children) {
+    const layout = getField(this.props, this.state, 'layout');
+    if (!layout.order && !layout.hidden && !layout.widths) {
+      return null;
+    }
+
+    const keys = this._getHeaderColumns(children).map(getColumnKey);
+    return { count: keys.length, columns: getVisibleColumns(keys, layout) };
+  }
+
+  _updateLayout(layout, e) {
+    if (this.props.onLayoutChange) {
+      this.props.onLayoutChange(layout, e);
+    }
+
+    if (typeof this.props.layout === 'undefined') {
+      this.setState({ layout });
+    }
+  }
+
+  _resizeColumn = (key, width, e) => {
+    const layout = getField(this.props, this.state, 'layout');
+    this._updateLayout(resizeColumn(layout, key, Math.max(this.props.minColumnWidth, width)), e);
+  };
+
+  /**
+   * Gets the keys of the visible columns in the order they are displayed.
+   */
+  _getColumnOrder = () => getVisibleColumns(this._getColumnKeys(), getField(this.props, this.state, 'layout'))
+    .map(({ key }) => key);
+
+  _moveColumn = (fromKey, toKey, e) => {
+    const layout = getField(this.props, this.state, 'layout');
+    const nextLayout = moveColumn(layout, this._getColumnKeys(), fromKey, toKey);
+    if (nextLayout !== layout) {
+      this._updateLayout(nextLayout, e);
+    }
+  };
+
+  /**
+   * Creates a list from each `TableRow` in the `TableBody` in the order they are displayed for
+   * the provided sort. The callback will be called with the row and the index of its `TableBody`.
+   */
+  _mapDisplayedRows(sort, callback) {
+    const { children, manualSort } = this.props;
+
+    let mapped = [];
+    let body = -1;
+    Children.forEach(children, (child) => {
+      if (!child || child.type !== TableBody || !child.props.children) {
+        return;
+      }
+
+      body += 1;
+      let rows = Children.toArray(child.props.children);
+      if (!manualSort && sort.length) {
+        rows = sortRows(rows, sort, this._getSortColumns(children));
+      }
+
+      mapped = mapped.concat(rows.map(row => callback(row, body)));
+    });
+
+    return mapped;
+  }
+
+  /**
+   * Gets the list of `rowId` for each `TableRow` in the `TableBody` in the order they
+   * are displayed. The list is cached until the rows or the sort change.
+   */
+  _getRowIds() {
+    const { children, manualSort } = this.props;
+    const sort = getField(this.props, this.state, 'sort');
+    const cache = this._rowIdsCache;
+    if (cache && cache.children === children && cache.sort === sort && cache.manualSort === manualSort) {
+      return cache.rowIds;
+    }
+
+    const rowIds = this._mapDisplayedRows(sort, row => row.props.rowId).filter(rowId => typeof rowId !== 'undefined');
+    this._rowIdsCache = { children, sort, manualSort, rowIds };
+    return rowIds;
+  }
+
+  /**
+   * Moves the uncontrolled selected state of each row to the row's position in the next sort since
+   * the selected state is stored by the row's position. The rows are matched by their keys.
+   */
+  _sortSelectedRows(nextSort) {
+    if (typeof getField(this.props, this.state, 'selectedRowIds') !== 'undefined') {
+      return;
+    }
+
+    const { selectedRows } = this.state;
+    const getKey = (row, body) => `${body}-${row.key}`;
+    const keys = this._mapDisplayedRows(getField(this.props, this.state, 'sort'), getKey);
+    if (keys.length !== selectedRows.length) {
+      return;
+    }
+
+    const selected = {};
+    keys.forEach((key, i) => {
+      selected[key] = selectedRows[i];
+    });
+
+    this._lastToggled = null;
+    this.setState({ selectedRows: this._mapDisplayedRows(nextSort, getKey).map(key => selected[key]) });
+  }
+
+  _toggleSort = (key, multiple, e) => {
+    const sort = getField(this.props, this.state, 'sort');
+    const current = sort.filter(s => s.key === key)[0];
+    let direction = 'ascending';
+    if (current) {
+      direction = current.direction === 'ascending' ? 'descending' : null;
+    }
+
+    let nextSort;
+    if (!multiple) {
+      nextSort = direction ? [{ key, direction }] : [];
+    } else if (!current) {
+      nextSort = [...sort, { key, direction }];
+    } else if (direction) {
+      nextSort = sort.map(s => (s.key === key ? { key, direction } : s));
+    } else {
+      nextSort = sort.filter(s => s.key !== key);
+    }
+
+    if (this.props.onSortChange) {
+      this.props.onSortChange(nextSort, e);
+    }
+
+    if (typeof this.props.sort === 'undefined') {
+      if (!this.props.manualSort) {
+        this._sortSelectedRows(nextSort);
+      }
+
+      this.setState({ sort: nextSort });
+    }
+  };
+
   _setTable = (table) => {
     this._table = table;
   };
 
+  /**
+   * Gets a list of the cells for each row in the table. The spacer rows from a virtualized
+   * `TableBody` are ignored.
+   */
+  _getGridCells() {
+    if (!this._table) {
+      return [];
+    }
+
+    return [].slice.call(this._table.rows)
+      .filter(row => row.className.indexOf('md-table-body__spacer') === -1)
+      .map(row => [].slice.call(row.cells))
+      .filter(cells => cells.length);
+  }
+
+  /**
+   * Finds the cell in this table that contains the provided element.
+   */
+  _findCell(el) {
+    let node = el;
+    while (node && node !== this._table) {
+      if ((node.tagName === 'TD' || node.tagName === 'TH') && node.parentNode.parentNode.parentNode === this._table) {
+        return node;
+      }
+
+      node = node.parentNode;
+    }
+
+    return null;
+  }
+
+  /**
+   * Updates the tab indexes in the table so that only the active cell can be tabbed to. Any focusable
+   * elements within the cells are removed from the tab order since they can be reached by pressing
+   * `Enter` or `F2` on the cell instead.
+   */
+  _updateGridTabIndexes() {
+    const rows = this._getGridCells();
+    if (!this._activeCell || !this._table.contains(this._activeCell)) {
+      this._activeCell = rows.length ? rows[0][0] : null;
+    }
+
+    rows.forEach(cells => cells.forEach((cell) => {
+      setGridTabIndex(cell, cell === this._activeCell ? 0 : -1);
+      [].slice.call(cell.querySelectorAll(FOCUSABLE_QUERY)).forEach((el) => {
+        setGridTabIndex(el, -1);
+      });
+    }));
+  }
+
+  /**
+   * Restores the original tab indexes of the cells and their focusable elements once the
+   * `grid` prop has been disabled.
+   */
+  _restoreTabIndexes() {
+    this._activeCell = null;
+    if (this._table) {
+      [].slice.call(this._table.querySelectorAll(`[${GRID_TAB_INDEX}]`)).forEach(restoreTabIndex);
+    }
+  }
+
+  _setActiveCell(cell) {
+    if (this._activeCell && this._activeCell !== cell) {
+      setGridTabIndex(this._activeCell, -1);
+    }
+
+    this._activeCell = cell;
+    setGridTabIndex(cell, 0);
+  }
+
+  _handleFocus = (e) => {
+    if (this.props.onFocus) {
+      this.props.onFocus(e);
+    }
+
+    const cell = this._findCell(e.target);
+    if (!cell) {
+      return;
+    }
+
+    if (!this._table.contains(e.relatedTarget)) {
+      // Rows might have been rendered without the table updating, so make sure they have the correct tab indexes
+      this._updateGridTabIndexes();
+    }
+
+    this._setActiveCell(cell);
+  };
+
+  _handleKeyDown = (e) => {
+    if (this.props.onKeyDown) {
+      this.props.onKeyDown(e);
+    }
+
+    const cell = this._findCell(e.target);
+    if (!cell) {
+      return;
+    }
+
+    const key = e.which || e.keyCode;
+    if (cell !== e.target) {
+      if (key === ESC || key === F2) {
+        this._setActiveCell(cell);
+        cell.focus();
+      }
+
+      return;
+    }
+
+    if (key === ENTER || key === F2) {
+      this._activateCell(cell, key === ENTER, e);
+      return;
+    } else if (key === SPACE) {
+      const checkbox = cell.parentNode.querySelector('.md-table-checkbox input');
+      if (checkbox) {
+        e.preventDefault();
+        checkbox.click();
+      }
+
+      return;
+    }
+
+    const rows = this._getGridCells();
+    let row = 0;
+    while (row < rows.length && rows[row].indexOf(cell) === -1) {
+      row += 1;
+    }
+
+    if (row === rows.length) {
+      return;
+    }
+
+    let column = rows[row].indexOf(cell);
+    const lastRow = rows.length - 1;
+    switch (key) {
+      case LEFT:
+        column -= 1;
+        break;
+      case RIGHT:
+        column += 1;
+        break;
+      case UP:
+        row -= 1;
+        break;
+      case DOWN:
+        row += 1;
+        break;
+      case PAGE_UP:
+        row -= this.props.gridPageSize;
+        break;
+      case PAGE_DOWN:
+        row += this.props.gridPageSize;
+        break;
+      case HOME:
+        row = e.ctrlKey ? 0 : row;
+        column = 0;
+        break;
+      case END:
+        row = e.ctrlKey ? lastRow : row;
+        column = Infinity;
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    const cells = rows[Math.min(lastRow, Math.max(0, row))];
+    const next = cells[Math.min(cells.length - 1, Math.max(0, column))];
+    this._setActiveCell(next);
+    next.focus();
+  };
+
+  /**
+   * Moves focus into the first focusable element in the cell. When the `Enter` key was pressed, the
+   * element will also be clicked so that buttons, menus, and edit dialogs are opened.
+   */
+  _activateCell(cell, click, e) {
+    const el = cell.querySelector(FOCUSABLE_QUERY);
+    if (!el) {
+      return;
+    }
+
+    e.preventDefault();
+    el.focus();
+    if (click && el.type !== 'checkbox' && el.type !== 'radio') {
+      el.click();
+    }
+  }
+
   _createCheckbox = (index) => {
     this.setState((state, props) => {
       const selectedRows = state.selectedRows.slice();
@@ -403,7 +1081,20 @@ export default class DataTable extends PureComponent {
     });
   };
 
-  _toggleSelectedRow = (row, header, e) => {
+  /**
+   * Checks if the shift key was held while toggling a row. The checkbox's change event will
+   * not include the `shiftKey` so the native click event is checked as well.
+   */
+  _isRangeSelection(e) {
+    return !!(e.shiftKey || (e.nativeEvent && e.nativeEvent.shiftKey));
+  }
+
+  _toggleSelectedRow = (row, header, e, rowId) => {
+    if (typeof getField(this.props, this.state, 'selectedRowIds') !== 'undefined') {
+      this._toggleSelectedRowId(row, header, e, rowId);
+      return;
+    }
+
     let selectedRows;
     let allSelected = this.state.allSelected;
     let selectedCount = 0;
@@ -415,7 +1106,17 @@ export default class DataTable extends PureComponent {
       selectedCount = !checked ? 0 : selectedRows.length;
     } else {
       selectedRows = this.state.selectedRows.slice();
-      selectedRows[i] = !selectedRows[i];
+      if (this._isRangeSelection(e) && typeof this._lastToggled === 'number') {
+        const start = Math.min(this._lastToggled, i);
+        const end = Math.max(this._lastToggled, i);
+        for (let j = start; j <= end && j < selectedRows.length; j += 1) {
+          selectedRows[j] = checked;
+        }
+      } else {
+        selectedRows[i] = !selectedRows[i];
+      }
+
+      this._lastToggled = i;
       selectedCount = selectedRows.filter(b => b).length;
       allSelected = selectedCount === selectedRows.length;
     }
@@ -429,6 +1130,45 @@ export default class DataTable extends PureComponent {
     this.setState({ selectedRows, allSelected, indeterminate });
   };
 
+  _toggleSelectedRowId(row, header, e, rowId) {
+    const { rowIds, onSelectionChange, onRowToggle } = this.props;
+    const selectedRowIds = getField(this.props, this.state, 'selectedRowIds');
+    const { checked } = e.target;
+
+    let toggled = [rowId];
+    if (header) {
+      toggled = rowIds || this._getRowIds();
+    } else if (this._isRangeSelection(e) && this._lastToggled !== null) {
+      const displayedIds = this._getRowIds();
+      const lastIndex = displayedIds.indexOf(this._lastToggled);
+      const index = displayedIds.indexOf(rowId);
+      if (lastIndex !== -1 && index !== -1) {
+        toggled = displayedIds.slice(Math.min(lastIndex, index), Math.max(lastIndex, index) + 1);
+      }
+    }
+
+    if (!header) {
+      this._lastToggled = rowId;
+    }
+
+    let nextSelectedRowIds = selectedRowIds.filter(id => toggled.indexOf(id) === -1);
+    if (checked) {
+      nextSelectedRowIds = nextSelectedRowIds.concat(toggled);
+    }
+
+    if (onRowToggle) {
+      onRowToggle(row, checked, nextSelectedRowIds.length, e);
+    }
+
+    if (onSelectionChange) {
+      onSelectionChange(nextSelectedRowIds, e);
+    }
+
+    if (typeof this.props.selectedRowIds === 'undefined') {
+      this.setState({ selectedRowIds: nextSelectedRowIds });
+    }
+  }
+
   render() {
     const {
       style,
@@ -450,17 +1190,33 @@ export default class DataTable extends PureComponent {
       headerHeight,
       footerHeight,
       fullWidth,
+      grid,
+      selectableRows,
       /* eslint-disable no-unused-vars */
       indeterminate,
       indeterminateIcon,
       checkedIcon,
       uncheckedIcon,
       defaultSelectedRows,
+      defaultSelectedRowIds,
+      selectedRowIds,
+      onSelectionChange,
+      rowIds,
       baseId,
       onRowToggle,
-      selectableRows,
       checkboxHeaderLabel,
       checkboxLabelTemplate,
+      sort,
+      defaultSort,
+      onSortChange,
+      manualSort,
+      layout,
+      defaultLayout,
+      onLayoutChange,
+      resizableColumns,
+      reorderableColumns,
+      minColumnWidth,
+      gridPageSize,
 
       // deprecated
       checkedIconChildren,
@@ -473,9 +1229,20 @@ export default class DataTable extends PureComponent {
       ...props
     } = this.props;
 
+    let gridProps;
+    if (grid) {
+      gridProps = {
+        role: 'grid',
+        'aria-multiselectable': !plain && selectableRows ? true : undefined,
+        onFocus: this._handleFocus,
+        onKeyDown: this._handleKeyDown,
+      };
+    }
+
     const table = (
       <table
         {...props}
+        {...gridProps}
         ref={this._setTable}
         style={responsive ? tableStyle : style}
         className={cn('md-data-table', {
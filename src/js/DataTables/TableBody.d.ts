@@ -3,6 +3,9 @@ import { Props } from '../index';
 
 export interface TableBodyProps extends Props {
   children?: React.ReactElement<any> | Array<React.ReactElement<any>>;
+  virtualized?: boolean;
+  rowHeight?: number | ((index: number, row: React.ReactElement<any>) => number);
+  overscan?: number;
 }
 
 declare const TableBody: React.ComponentClass<TableBodyProps>;
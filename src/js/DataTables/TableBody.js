@@ -1,12 +1,17 @@
 import React, { Component, Children } from 'react';
+import { findDOMNode } from 'react-dom';
 import PropTypes from 'prop-types';
 import cn from 'classnames';
 
 import contextTypes from './contextTypes';
+import sortRows from './sortRows';
+import findScrollWrapper from './findScrollWrapper';
 
 /**
  * The `TableBody` component is used for managing the state of all
- * `TableRow` inside of it.
+ * `TableRow` inside of it. When the `DataTable` has a sort applied,
+ * the rows will also be sorted unless the `manualSort` prop was enabled
+ * on the `DataTable`.
  */
 export default class TableBody extends Component {
   static propTypes = {
@@ -27,21 +32,259 @@ export default class TableBody extends Component {
       PropTypes.element,
       PropTypes.arrayOf(PropTypes.element),
     ]),
+
+    /**
+     * Boolean if only the rows that are visible in the `DataTable`'s scroll container should be rendered. This
+     * is useful for tables with thousands of rows and only works when the `DataTable` has a `fixedHeader` or
+     * `fixedFooter` so that there is a scroll container with a set height.
+     *
+     * Since rows will be mounted and unmounted while scrolling, a selectable `DataTable` must use the
+     * `selectedRowIds` or `defaultSelectedRowIds` prop with a `rowId` on each `TableRow` so that the selection
+     * and the header checkbox stay correct for rows that are not rendered. Otherwise, a warning will be logged
+     * in development and every row will be rendered instead.
+     *
+     * @see {@link #rowHeight}
+     * @see {@link #overscan}
+     * @see {@link DataTables/DataTable#selectedRowIds}
+     */
+    virtualized: PropTypes.bool,
+
+    /**
+     * The height of each row when the `virtualized` prop is enabled. This can either be a number for rows that
+     * all have the same height, or a function that returns the height for a row. The function will be called
+     * with the index of the row in the displayed order and the `TableRow` element.
+     *
+     * ```js
+     * rowHeight={(index, row) => (row.props.expanded ? 96 : 48)}
+     * ```
+     *
+     * This should be equal to the `md-data-table-column-height` variable for normal rows.
+     *
+     * @see [md-data-table-column-height](/components/data-tables?tab=2#variable-md-data-table-column-height)
+     */
+    rowHeight: PropTypes.oneOfType([
+      PropTypes.number,
+      PropTypes.func,
+    ]).isRequired,
+
+    /**
+     * The number of rows to render above and below the visible rows when the `virtualized` prop is enabled. This
+     * helps prevent empty space from appearing while scrolling quickly.
+     */
+    overscan: PropTypes.number.isRequired,
+  };
+
+  static defaultProps = {
+    rowHeight: 48,
+    overscan: 5,
   };
 
   static contextTypes = contextTypes;
 
+  constructor(props) {
+    super(props);
+
+    this.state = { scrollTop: 0, height: 0 };
+    this._offsets = null;
+    this._warned = false;
+  }
+
+  componentDidMount() {
+    if (this.props.virtualized) {
+      this._initVirtualization();
+    }
+  }
+
+  componentWillReceiveProps(nextProps, nextContext) {
+    const { children, rowHeight } = this.props;
+    const { sort } = this.context;
+    if (children !== nextProps.children || rowHeight !== nextProps.rowHeight || sort !== nextContext.sort) {
+      this._offsets = null;
+    }
+  }
+
+  componentDidUpdate(prevProps) {
+    const { virtualized } = this.props;
+    if (virtualized === prevProps.virtualized) {
+      return;
+    }
+
+    if (virtualized) {
+      this._initVirtualization();
+    } else {
+      this._removeListeners();
+    }
+  }
+
+  componentWillUnmount() {
+    this._removeListeners();
+  }
+
+  _initVirtualization() {
+    this._scrollWrapper = findScrollWrapper(findDOMNode(this));
+    if (!this._scrollWrapper) {
+      return;
+    }
+
+    this._scrollWrapper.addEventListener('scroll', this._handleScroll);
+    window.addEventListener('resize', this._handleScroll);
+    this._handleScroll();
+  }
+
+  _removeListeners() {
+    if (this._scrollWrapper) {
+      this._scrollWrapper.removeEventListener('scroll', this._handleScroll);
+      this._scrollWrapper = null;
+    }
+
+    window.removeEventListener('resize', this._handleScroll);
+  }
+
+  _handleScroll = () => {
+    const wrapper = this._scrollWrapper;
+    if (!wrapper) {
+      return;
+    }
+
+    const tbody = findDOMNode(this);
+    const offset = tbody.getBoundingClientRect().top - wrapper.getBoundingClientRect().top + wrapper.scrollTop;
+    const scrollTop = Math.max(0, wrapper.scrollTop - offset);
+    const height = wrapper.clientHeight;
+    if (scrollTop !== this.state.scrollTop || height !== this.state.height) {
+      this.setState({ scrollTop, height });
+    }
+  };
+
+  /**
+   * Creates a list of the starting offset for each row as well as the total height of all
+   * the rows as the last item. The offsets are cached until the rows, the sort, or the
+   * `rowHeight` change.
+   */
+  _getOffsets(rows) {
+    if (this._offsets) {
+      return this._offsets;
+    }
+
+    const { rowHeight } = this.props;
+    const offsets = [0];
+    rows.forEach((row, i) => {
+      offsets.push(offsets[i] + (typeof rowHeight === 'function' ? rowHeight(i, row) : rowHeight));
+    });
+
+    this._offsets = offsets;
+    return offsets;
+  }
+
+  /**
+   * Finds the index of the row that contains the provided position.
+   */
+  _findIndex(offsets, position) {
+    let low = 0;
+    let high = offsets.length - 2;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (offsets[mid] <= position) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return Math.max(0, low);
+  }
+
+  /**
+   * The spacer rows include the number of rows they replace so that the `TableRow` can find its index
+   * in the table without relying on its `rowIndex`.
+   */
+  _createSpacer(position, height, rowCount) {
+    return (
+      <tr
+        key={`spacer-${position}`}
+        aria-hidden
+        className="md-table-body__spacer"
+        style={{ height }}
+        data-row-count={rowCount}
+      />
+    );
+  }
+
+  /**
+   * Checks if the rows can be virtualized. The selection of rows is stored by their index unless the
+   * `DataTable` tracks the selection by id, so selectable rows can only be virtualized when the selection
+   * is tracked by id and every row has a `rowId`.
+   */
+  _isVirtualized(rows) {
+    const { plain, selectableRows, selectedRowIds } = this.context;
+    if (plain || !selectableRows || (selectedRowIds && rows.every(row => typeof row.props.rowId !== 'undefined'))) {
+      return true;
+    }
+
+    if (process.env.NODE_ENV === 'development' && !this._warned) {
+      /* eslint-disable no-console */
+      console.error(
+        'A selectable `DataTable` with a virtualized `TableBody` requires the `selectedRowIds` or ' +
+        '`defaultSelectedRowIds` prop and a `rowId` on each `TableRow`. Every row will be rendered instead.'
+      );
+      /* eslint-enable no-console */
+    }
+
+    this._warned = true;
+    return false;
+  }
+
+  _virtualize(rows) {
+    const { overscan } = this.props;
+    const { scrollTop, height } = this.state;
+    const offsets = this._getOffsets(rows);
+    const start = Math.max(0, this._findIndex(offsets, scrollTop) - overscan);
+    const end = Math.min(rows.length, this._findIndex(offsets, scrollTop + height) + overscan + 1);
+
+    const visible = rows.slice(start, end);
+    const before = offsets[start];
+    const after = offsets[rows.length] - offsets[end];
+    if (before > 0) {
+      visible.unshift(this._createSpacer('before', before, start));
+    }
+
+    if (after > 0) {
+      visible.push(this._createSpacer('after', after, rows.length - end));
+    }
+
+    return visible;
+  }
+
   render() {
-    const { children, className, ...props } = this.props;
-    const { selectedRows } = this.context;
-
-    const rows = children ? Children.map(Children.toArray(children), (row, i) => {
-      const uncontrolled = typeof row.props.selected === 'undefined';
-      return React.cloneElement(row, {
-        selected: uncontrolled ? selectedRows[i] : row.props.selected,
-      });
+    const {
+      children,
+      className,
+      virtualized,
+      /* eslint-disable no-unused-vars */
+      rowHeight,
+      overscan,
+      /* eslint-enable no-unused-vars */
+      ...props
+    } = this.props;
+    const { selectedRows, selectedRowIds, sort, sortColumns, manualSort } = this.context;
+
+    let rows = children ? Children.toArray(children) : null;
+    if (rows && !manualSort && sort.length) {
+      rows = sortRows(rows, sort, sortColumns);
+    }
+
+    rows = rows ? rows.map((row, i) => {
+      let { selected } = row.props;
+      if (typeof selected === 'undefined') {
+        selected = selectedRowIds ? selectedRowIds.indexOf(row.props.rowId) !== -1 : selectedRows[i];
+      }
+
+      return React.cloneElement(row, { selected });
     }) : null;
 
+    if (rows && virtualized && this._isVirtualized(rows)) {
+      rows = this._virtualize(rows);
+    }
+
     return (
       <tbody {...props} className={cn('md-table-body', className)}>
         {rows}
@@ -28,30 +28,43 @@ export default class TableCheckbox extends Component {
     ]).isRequired,
     createCheckbox: PropTypes.func.isRequired,
     removeCheckbox: PropTypes.func.isRequired,
+    selectedRowIds: PropTypes.arrayOf(PropTypes.oneOfType([
+      PropTypes.number,
+      PropTypes.string,
+    ])),
     header: PropTypes.bool,
     footer: PropTypes.bool,
     fixedHeader: PropTypes.bool.isRequired,
     fixedFooter: PropTypes.bool.isRequired,
+    grid: PropTypes.bool,
   };
 
   _td = null;
   _header = false;
+  _created = false;
 
   _handleMount = (td) => {
     if (td) {
       const header = findTable(td).querySelector('thead');
       const index = td.parentNode.rowIndex - (header ? 1 : 0);
 
-      if (td.parentNode.parentNode.tagName === 'TBODY') {
+      // The selection by index is not used when the selection is tracked by id, so the rows can be
+      // mounted and unmounted without updating it. This also allows a virtualized `TableBody`.
+      if (td.parentNode.parentNode.tagName === 'TBODY' && typeof this.context.selectedRowIds === 'undefined') {
         this.context.createCheckbox(index);
+        this._created = true;
       }
       this._td = td;
       this._header = header;
     } else if (this._td) {
       const index = this._td.parentNode.rowIndex;
-      this.context.removeCheckbox(index - (this._header ? 1 : 0));
+      if (this._created) {
+        this.context.removeCheckbox(index - (this._header ? 1 : 0));
+      }
+
       this._td = null;
       this._header = false;
+      this._created = false;
     }
   };
 
@@ -116,6 +129,7 @@ export default class TableCheckbox extends Component {
 
     return (
       <Cell
+        role={this.context.grid && !header ? 'gridcell' : undefined}
         className={cn('md-table-checkbox', {
           'md-table-column--fixed': fixedHeader,
         })}
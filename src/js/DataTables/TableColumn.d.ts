@@ -7,6 +7,10 @@ export interface TableColumnProps extends Props, InjectedTooltipProps {
   fixedClassName?: string;
   sorted?: boolean;
   sortIcon?: React.ReactElement<any>;
+  sortKey?: string;
+  comparator?: (a: any, b: any) => number;
+  sortValue?: any;
+  columnKey?: string;
   numeric?: boolean;
   adjusted?: boolean;
   grow?: boolean;
@@ -10,6 +10,11 @@ import injectTooltip from '../Tooltips/injectTooltip';
 import FontIcon from '../FontIcons/FontIcon';
 import getDeprecatedIcon from '../FontIcons/getDeprecatedIcon';
 import IconSeparator from '../Helpers/IconSeparator';
+import handleKeyboardAccessibility from '../utils/EventUtils/handleKeyboardAccessibility';
+import { addTouchEvent, removeTouchEvent } from '../utils/EventUtils/touches';
+import { LEFT, RIGHT } from '../constants/keyCodes';
+
+const RESIZE_KEYBOARD_STEP = 8;
 
 const CELL_SCOPE = {
   header: {
@@ -65,6 +70,96 @@ class TableColumn extends PureComponent {
      */
     sortIcon: PropTypes.element,
 
+    /**
+     * An optional key to use for sorting the `DataTable` by this column. When this is provided on a
+     * column in the `TableHeader`, the `DataTable` will manage the sorted state of the column and
+     * clicking the column or pressing enter while it is focused will cycle the sort direction between
+     * `ascending`, `descending`, and unsorted. Holding the shift key will sort by multiple columns.
+     *
+     * The rows in the `TableBody` will be sorted by the column at the same index.
+     *
+     * @see {@link #comparator}
+     * @see {@link #sortValue}
+     * @see {@link DataTables/DataTable#sort}
+     */
+    sortKey: PropTypes.string,
+
+    /**
+     * An optional function to use when comparing two values in this column while sorting. This should
+     * be applied to a column in the `TableHeader` with a `sortKey` and it will be called with the
+     * `sortValue` of two columns in the `TableBody`. It should return a negative number, 0, or a
+     * positive number just like `Array.prototype.sort`. The direction will be applied automatically.
+     *
+     * The default comparator will compare numbers and dates by value and everything else as strings. Empty
+     * values will always be sorted last.
+     *
+     * @see {@link #sortKey}
+     */
+    comparator: PropTypes.func,
+
+    /**
+     * An optional value to use when sorting the rows in the `TableBody`. This should be applied to a column
+     * in the `TableBody` when the `children` are not a string or a number. If this is omitted, the `children`
+     * will be used instead.
+     *
+     * @see {@link #sortKey}
+     */
+    sortValue: PropTypes.any,
+
+    /**
+     * This is injected by the `TableRow` component for columns in the `TableHeader` that have a `sortKey`. It
+     * will be `null` when the column is not currently sorted.
+     * @access private
+     */
+    sortDirection: PropTypes.oneOf(['ascending', 'descending']),
+
+    /**
+     * An optional key to identify this column in the `DataTable`'s `layout`. This should be applied to the
+     * columns in the `TableHeader` and it will default to the index of the column when omitted. It is
+     * recommended to provide this prop when the layout will be persisted so that the layout does not break
+     * when columns are added or removed.
+     *
+     * @see {@link DataTables/DataTable#layout}
+     */
+    columnKey: PropTypes.string,
+
+    /**
+     * This is injected by the `TableRow` component for columns in the `TableHeader` when the `DataTable`'s
+     * layout has a width for the column.
+     * @access private
+     */
+    columnWidth: PropTypes.number,
+
+    /**
+     * An optional function to call when the column is clicked.
+     */
+    onClick: PropTypes.func,
+
+    /**
+     * An optional function to call when the keydown event is triggered.
+     */
+    onKeyDown: PropTypes.func,
+
+    /**
+     * An optional function to call when the column starts being dragged.
+     */
+    onDragStart: PropTypes.func,
+
+    /**
+     * An optional function to call when another column is dragged over this column.
+     */
+    onDragOver: PropTypes.func,
+
+    /**
+     * An optional function to call when another column is no longer dragged over this column.
+     */
+    onDragLeave: PropTypes.func,
+
+    /**
+     * An optional function to call when another column is dropped on this column.
+     */
+    onDrop: PropTypes.func,
+
     /**
      * A boolean if the column has numeric data. It will right-align the data.
      */
@@ -150,6 +245,209 @@ class TableColumn extends PureComponent {
     footer: PropTypes.bool,
     fixedHeader: PropTypes.bool,
     fixedFooter: PropTypes.bool,
+    toggleSort: PropTypes.func,
+    resizableColumns: PropTypes.bool,
+    reorderableColumns: PropTypes.bool,
+    minColumnWidth: PropTypes.number,
+    resizeColumn: PropTypes.func,
+    moveColumn: PropTypes.func,
+    getColumnOrder: PropTypes.func,
+    grid: PropTypes.bool,
+  };
+
+  constructor(props) {
+    super(props);
+
+    this.state = { dragOver: false, resizeWidth: null };
+    this._resize = null;
+    this._moved = false;
+  }
+
+  componentDidUpdate(prevProps) {
+    // Moving the column reorders the DOM nodes which removes focus from the column
+    if (this._moved && prevProps.cellIndex !== this.props.cellIndex) {
+      this._column.focus();
+    }
+
+    this._moved = false;
+  }
+
+  componentWillUnmount() {
+    if (this._resize) {
+      this._removeResizeListeners();
+    }
+  }
+
+  _isSortManaged() {
+    return this.props.header && !!this.props.sortKey && !!this.context.toggleSort;
+  }
+
+  _isReorderable() {
+    return this.props.header && !!this.props.columnKey && !!this.context.reorderableColumns;
+  }
+
+  _handleClick = (e) => {
+    if (this.props.onClick) {
+      this.props.onClick(e);
+    }
+
+    this._toggleSort(e);
+  };
+
+  _handleKeyDown = (e) => {
+    if (this.props.onKeyDown) {
+      this.props.onKeyDown(e);
+    }
+
+    if (e.target !== e.currentTarget) {
+      return;
+    }
+
+    const key = e.which || e.keyCode;
+    if (this._isReorderable() && e.ctrlKey && e.shiftKey && (key === LEFT || key === RIGHT)) {
+      // Stops the grid's keyboard navigation from also moving focus to the next cell
+      e.preventDefault();
+      e.stopPropagation();
+      this._moveColumnBy(key === LEFT ? -1 : 1, e);
+    } else if (this._isSortManaged() && handleKeyboardAccessibility(e, this._toggleSort, true, false)) {
+      // Stops the grid's keyboard navigation from also activating the cell
+      e.stopPropagation();
+    }
+  };
+
+  /**
+   * Moves the column to the position of the visible column that is the offset away from it.
+   */
+  _moveColumnBy(offset, e) {
+    const { columnKey } = this.props;
+    const order = this.context.getColumnOrder();
+    const toKey = order[order.indexOf(columnKey) + offset];
+    if (toKey) {
+      this._moved = true;
+      this.context.moveColumn(columnKey, toKey, e);
+    }
+  }
+
+  _toggleSort = (e) => {
+    this.context.toggleSort(this.props.sortKey, e.shiftKey, e);
+  };
+
+  _setColumn = (column) => {
+    this._column = column;
+  };
+
+  _getClientX(e) {
+    const touch = e.changedTouches && e.changedTouches[0];
+    return touch ? touch.clientX : e.clientX;
+  }
+
+  _removeResizeListeners() {
+    window.removeEventListener('mousemove', this._handleResizeMove);
+    window.removeEventListener('mouseup', this._handleResizeEnd);
+    removeTouchEvent(window, 'move', this._handleResizeMove, { passive: false });
+    removeTouchEvent(window, 'end', this._handleResizeEnd);
+    this._resize = null;
+  }
+
+  _handleResizeStart = (e) => {
+    if (e.type === 'mousedown') {
+      // Prevent the column from starting a drag for reordering and from selecting text.
+      e.preventDefault();
+    }
+
+    this._resize = { x: this._getClientX(e), width: this._column.offsetWidth };
+    window.addEventListener('mousemove', this._handleResizeMove);
+    window.addEventListener('mouseup', this._handleResizeEnd);
+    // The touchmove listener can not be passive since it prevents the page from scrolling
+    // while resizing.
+    addTouchEvent(window, 'move', this._handleResizeMove, { passive: false });
+    addTouchEvent(window, 'end', this._handleResizeEnd);
+  };
+
+  /**
+   * The width is only kept in the state while resizing so that the layout is only updated
+   * once the resize has finished.
+   */
+  _handleResizeMove = (e) => {
+    if (!this._resize) {
+      return;
+    }
+
+    if (e.type === 'touchmove') {
+      e.preventDefault();
+    }
+
+    const { x, width } = this._resize;
+    const resizeWidth = Math.max(this.context.minColumnWidth || 0, width + this._getClientX(e) - x);
+    this.setState({ resizeWidth });
+  };
+
+  _handleResizeEnd = (e) => {
+    const { resizeWidth } = this.state;
+    this._removeResizeListeners();
+    if (resizeWidth !== null) {
+      this.context.resizeColumn(this.props.columnKey, resizeWidth, e);
+      this.setState({ resizeWidth: null });
+    }
+  };
+
+  _handleResizeKeyDown = (e) => {
+    const key = e.which || e.keyCode;
+    if (key !== LEFT && key !== RIGHT) {
+      return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+    const width = this._column.offsetWidth + (key === LEFT ? -RESIZE_KEYBOARD_STEP : RESIZE_KEYBOARD_STEP);
+    this.context.resizeColumn(this.props.columnKey, width, e);
+  };
+
+  _stopPropagation = (e) => {
+    // Clicking or pressing enter on the resize handle should not sort the column.
+    e.stopPropagation();
+  };
+
+  _handleDragStart = (e) => {
+    if (this.props.onDragStart) {
+      this.props.onDragStart(e);
+    }
+
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text', this.props.columnKey);
+  };
+
+  _handleDragOver = (e) => {
+    if (this.props.onDragOver) {
+      this.props.onDragOver(e);
+    }
+
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    if (!this.state.dragOver) {
+      this.setState({ dragOver: true });
+    }
+  };
+
+  _handleDragLeave = (e) => {
+    if (this.props.onDragLeave) {
+      this.props.onDragLeave(e);
+    }
+
+    this.setState({ dragOver: false });
+  };
+
+  _handleDrop = (e) => {
+    if (this.props.onDrop) {
+      this.props.onDrop(e);
+    }
+
+    e.preventDefault();
+    this.setState({ dragOver: false });
+    const key = e.dataTransfer.getData('text');
+    if (key) {
+      this.context.moveColumn(key, this.props.columnKey, e);
+    }
   };
 
   render() {
@@ -166,10 +464,17 @@ class TableColumn extends PureComponent {
       selectColumnHeader,
       adjusted,
       grow,
+      sortDirection,
+      columnKey,
+      columnWidth,
+      style,
       /* eslint-disable no-unused-vars */
       plain: propPlain,
       scope: propScope,
       cellIndex,
+      sortKey,
+      comparator,
+      sortValue,
 
       // deprecated
       sortIconChildren,
@@ -178,19 +483,27 @@ class TableColumn extends PureComponent {
       ...props
     } = this.props;
 
-    const sortable = typeof sorted === 'boolean';
+    const sortManaged = this._isSortManaged();
+    const sortable = typeof sorted === 'boolean' || sortManaged;
     const plain = getField(this.props, this.context, 'plain');
     const Component = header ? 'th' : 'td';
     const scope = getField(this.props, CELL_SCOPE[header ? 'header' : 'noop'], 'scope');
 
     let displayedChildren = children;
     let ariaSort;
-    if (sortable) {
+    let ascending = sorted;
+    if (sortManaged && typeof sorted !== 'boolean') {
+      ascending = sortDirection === 'ascending';
+      ariaSort = sortDirection || 'none';
+    } else if (sortable) {
       ariaSort = sorted ? 'ascending' : 'descending';
+    }
+
+    if (sortable && ariaSort !== 'none') {
       const icon = React.Children.only(getDeprecatedIcon(sortIconClassName, sortIconChildren, sortIcon));
       displayedChildren = (
         <IconSeparator label={children} iconBefore>
-          {React.cloneElement(icon, { className: getCollapserStyles({ flipped: !sorted }, icon.props.className) })}
+          {React.cloneElement(icon, { className: getCollapserStyles({ flipped: !ascending }, icon.props.className) })}
         </IconSeparator>
       );
     }
@@ -198,8 +511,28 @@ class TableColumn extends PureComponent {
     const fixedHeader = header && this.context.fixedHeader;
     const fixedFooter = this.context.footer && this.context.fixedFooter;
     const fixed = fixedHeader || fixedFooter;
+    const { grid } = this.context;
+    const resizable = header && !!columnKey && !!this.context.resizableColumns;
+    const reorderable = this._isReorderable();
+
+    let resizeHandle;
+    if (resizable) {
+      resizeHandle = (
+        <span
+          role="separator"
+          aria-orientation="vertical"
+          tabIndex={grid ? -1 : 0}
+          className="md-table-column__resize-handle"
+          onMouseDown={this._handleResizeStart}
+          onTouchStart={this._handleResizeStart}
+          onKeyDown={this._handleResizeKeyDown}
+          onClick={this._stopPropagation}
+        />
+      );
+    }
+
     const baseClassNames = themeColors({ text: !header, hint: header }, {
-      'md-table-column--relative': tooltip,
+      'md-table-column--relative': tooltip || (resizable && !fixed),
       'md-table-column--select-field': selectColumnHeader,
     });
 
@@ -210,6 +543,8 @@ class TableColumn extends PureComponent {
       'md-table-column--adjusted': adjusted && !grow && !selectColumnHeader,
       'md-table-column--grow': grow,
       'md-table-column--sortable md-pointer--hover': sortable,
+      'md-table-column--draggable': reorderable,
+      'md-table-column--drag-over': reorderable && this.state.dragOver,
       [baseClassNames]: !fixed,
     }, className);
 
@@ -230,14 +565,39 @@ class TableColumn extends PureComponent {
             {tooltip}
             {displayedChildren}
           </div>
+          {resizeHandle}
         </div>
       );
     }
 
+    let mergedStyle = style;
+    const width = this.state.resizeWidth || columnWidth;
+    if (width) {
+      mergedStyle = { width, minWidth: width, ...style };
+    }
+
+    let dragProps;
+    if (reorderable) {
+      dragProps = {
+        draggable: true,
+        onDragStart: this._handleDragStart,
+        onDragOver: this._handleDragOver,
+        onDragLeave: this._handleDragLeave,
+        onDrop: this._handleDrop,
+      };
+    }
+
     return (
       <Component
+        role={grid && !header ? 'gridcell' : undefined}
         aria-sort={ariaSort}
+        tabIndex={(sortManaged || reorderable) && !grid ? 0 : undefined}
         {...props}
+        {...dragProps}
+        ref={this._setColumn}
+        style={mergedStyle}
+        onClick={sortManaged ? this._handleClick : props.onClick}
+        onKeyDown={sortManaged || reorderable ? this._handleKeyDown : props.onKeyDown}
         scope={scope}
         className={cn('md-table-column', {
           'md-table-column--fixed': fixed,
@@ -247,6 +607,7 @@ class TableColumn extends PureComponent {
       >
         {!fixedHeader && !fixedFooter && tooltip}
         {displayedChildren}
+        {!fixed && resizeHandle}
       </Component>
     );
   }
@@ -1,11 +1,12 @@
 import * as React from 'react';
-import { Props } from '../index';
+import { Props, IdPropType } from '../index';
 
 export interface TableRowProps extends Props {
   children?: Array<React.ReactElement<any>> | React.ReactElement<any>;
   onCheckboxClick?: (rowIndex: number, event: React.MouseEvent<HTMLTableRowElement>) => void;
   selected?: boolean;
   selectable?: boolean;
+  rowId?: IdPropType;
 
   /**
    * @deprecated
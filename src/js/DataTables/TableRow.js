@@ -7,6 +7,21 @@ import getField from '../utils/getField';
 import headerContextTypes from './headerContextTypes';
 import rowContextTypes from './rowContextTypes';
 import TableCheckbox from './TableCheckbox';
+import { getColumnKey } from './columnLayout';
+
+/**
+ * Gets the index of a row in the table. A virtualized `TableBody` replaces the rows before the
+ * visible rows with a single spacer row, so the number of rows in the spacer is used instead of
+ * relying on the `rowIndex`.
+ */
+function getRowIndex(row) {
+  const spacer = row.parentNode.firstChild;
+  if (!spacer || spacer === row || spacer.className.indexOf('md-table-body__spacer') === -1) {
+    return row.rowIndex;
+  }
+
+  return row.rowIndex - 1 + Number(spacer.getAttribute('data-row-count'));
+}
 
 /**
  * A component for displaying a row in a `DataTable`. This will
@@ -65,6 +80,19 @@ export default class TableRow extends Component {
      */
     selected: PropTypes.bool,
 
+    /**
+     * A unique id for the row that is used when the `DataTable` tracks the selection by id. This should
+     * be a stable value from the data, such as a database id, so that the selection is kept when the rows
+     * are sorted or filtered.
+     *
+     * @see {@link DataTables/DataTable#selectedRowIds}
+     * @see {@link DataTables/DataTable#defaultSelectedRowIds}
+     */
+    rowId: PropTypes.oneOfType([
+      PropTypes.number,
+      PropTypes.string,
+    ]),
+
     /**
      * Boolean if the current row is selectable. This value will take precedence over anything inherited
      * by the `DataTable`.
@@ -85,7 +113,7 @@ export default class TableRow extends Component {
 
   getChildContext() {
     const { baseId, ...context } = this.context;
-    const id = `${baseId}-${this._row ? this._row.rowIndex : null}`;
+    const id = `${baseId}-${this._row ? getRowIndex(this._row) : null}`;
     return {
       ...context,
       rowId: context.header ? `${baseId}-toggle-all` : id,
@@ -138,12 +166,12 @@ export default class TableRow extends Component {
   };
 
   _handleCheckboxClick = (checked, e) => {
-    const { rowIndex } = this._row;
+    const rowIndex = getRowIndex(this._row);
     if (this.props.onCheckboxClick) {
       this.props.onCheckboxClick(rowIndex, checked, e);
     }
 
-    this.context.toggleSelectedRow(rowIndex, this.context.header, e);
+    this.context.toggleSelectedRow(rowIndex, this.context.header, e, this.props.rowId);
   };
 
   _setRow = (row) => {
@@ -158,6 +186,7 @@ export default class TableRow extends Component {
       selectable,
       /* eslint-disable no-unused-vars */
       onCheckboxClick,
+      rowId,
       // deprecated
       autoAdjust,
       /* eslint-enable no-unused-vars */
@@ -173,27 +202,48 @@ export default class TableRow extends Component {
           key="checkbox"
           checked={selected}
           onChange={this._handleCheckboxClick}
-          index={this._row ? this._row.rowIndex : null}
+          index={this._row ? getRowIndex(this._row) : null}
         />
       );
     }
 
-    const length = Children.count(children) - 1;
-    const columns = Children.map(Children.toArray(children), (col, i) => {
+    const { header: headerRow, columnLayout, resizableColumns, reorderableColumns } = this.context;
+    let layoutColumns = Children.toArray(children).map((col, index) => ({ col, index }));
+    if (columnLayout && columnLayout.count === layoutColumns.length) {
+      layoutColumns = columnLayout.columns.map(({ index, width }) => ({ ...layoutColumns[index], width }));
+    }
+
+    const injectLayout = headerRow && (!!columnLayout || resizableColumns || reorderableColumns);
+    const length = layoutColumns.length - 1;
+    const columns = layoutColumns.map(({ col, index, width }, i) => {
       let adjusted = col.props.adjusted;
       if (typeof adjusted === 'undefined') {
         adjusted = i === length ? false : undefined;
       }
 
-      return cloneElement(col, {
+      const header = getField(col.props, this.context, 'header');
+      const colProps = {
         cellIndex: i + (checkbox ? 1 : 0),
-        header: getField(col.props, this.context, 'header'),
+        header,
         adjusted,
-      });
+      };
+
+      if (header && col.props.sortKey && this.context.sort) {
+        const sort = this.context.sort.filter(({ key }) => key === col.props.sortKey)[0];
+        colProps.sortDirection = sort ? sort.direction : null;
+      }
+
+      if (injectLayout) {
+        colProps.columnKey = getColumnKey(col, index);
+        colProps.columnWidth = width;
+      }
+
+      return cloneElement(col, colProps);
     });
 
     return (
       <tr
+        aria-selected={this.context.grid && checkbox && !this.context.header ? !!selected : undefined}
         {...props}
         ref={this._setRow}
         className={cn('md-table-row', className, {
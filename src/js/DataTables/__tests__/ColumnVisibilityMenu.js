@@ -0,0 +1,51 @@
+/* eslint-env jest */
+import React from 'react';
+import { shallow } from 'enzyme';
+
+import ColumnVisibilityMenu from '../ColumnVisibilityMenu';
+import MenuButton from '../../Menus/MenuButton';
+
+const columns = [{ key: 'name', label: 'Name' }, { key: 'calories', label: 'Calories' }];
+
+describe('ColumnVisibilityMenu', () => {
+  const getCheckboxes = menu => menu.find(MenuButton).props().menuItems.map(item => item.props.primaryAction);
+
+  it('should render a checkbox for each column that is checked when the column is visible', () => {
+    const menu = shallow(
+      <ColumnVisibilityMenu
+        id="columns"
+        columns={columns}
+        layout={{ hidden: ['calories'] }}
+        onLayoutChange={() => {}}
+      />
+    );
+
+    const checkboxes = getCheckboxes(menu);
+    expect(checkboxes.length).toBe(2);
+    expect(checkboxes[0].props.id).toBe('columns-name');
+    expect(checkboxes[0].props.checked).toBe(true);
+    expect(checkboxes[1].props.checked).toBe(false);
+  });
+
+  it('should disable the checkbox for the last visible column', () => {
+    let menu = shallow(<ColumnVisibilityMenu id="columns" columns={columns} layout={{}} onLayoutChange={() => {}} />);
+    expect(getCheckboxes(menu).map(checkbox => checkbox.props.disabled)).toEqual([false, false]);
+
+    menu = shallow(
+      <ColumnVisibilityMenu id="columns" columns={columns} layout={{ hidden: ['name'] }} onLayoutChange={() => {}} />
+    );
+    expect(getCheckboxes(menu).map(checkbox => checkbox.props.disabled)).toEqual([false, true]);
+  });
+
+  it('should call the onLayoutChange prop with the next layout when a checkbox changes', () => {
+    const onLayoutChange = jest.fn();
+    const layout = { order: ['calories', 'name'] };
+    const menu = shallow(
+      <ColumnVisibilityMenu id="columns" columns={columns} layout={layout} onLayoutChange={onLayoutChange} />
+    );
+
+    const event = { target: { value: 'calories' } };
+    getCheckboxes(menu)[1].props.onChange(false, event);
+    expect(onLayoutChange).toBeCalledWith({ order: ['calories', 'name'], hidden: ['calories'] }, event);
+  });
+});
@@ -1,5 +1,5 @@
 /* eslint-env jest*/
-/* eslint-disable react/no-multi-comp,max-len */
+/* eslint-disable react/no-multi-comp,react/prop-types,max-len */
 import React from 'react';
 import { mount, shallow } from 'enzyme';
 import { findDOMNode } from 'react-dom';
@@ -14,6 +14,19 @@ import TableHeader from '../TableHeader';
 import TableBody from '../TableBody';
 import TableRow from '../TableRow';
 import TableColumn from '../TableColumn';
+import {
+  ENTER,
+  ESC,
+  SPACE,
+  PAGE_UP,
+  PAGE_DOWN,
+  END,
+  HOME,
+  UP,
+  RIGHT,
+  DOWN,
+  F2,
+} from '../../constants/keyCodes';
 
 class Body extends React.Component {
   render() {
@@ -443,4 +456,572 @@ describe('DataTable', () => {
     height = getHeight(table);
     expect(height).toBe('460px');
   });
+
+  describe('sorting', () => {
+    const rows = [
+      { name: 'Frozen yogurt', calories: 159, type: 'Ice cream' },
+      { name: 'Eclair', calories: 262, type: 'Pastry' },
+      { name: 'Cupcake', calories: 305, type: 'Pastry' },
+      { name: 'Ice cream sandwich', calories: 237, type: 'Ice cream' },
+    ];
+
+    const SortTable = props => (
+      <DataTable baseId="sort" {...props}>
+        <TableHeader>
+          <TableRow>
+            <TableColumn id="name" sortKey="name">Name</TableColumn>
+            <TableColumn id="calories" sortKey="calories" numeric>Calories</TableColumn>
+            <TableColumn id="type" sortKey="type">Type</TableColumn>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {rows.map(({ name, calories, type }) => (
+            <TableRow key={name}>
+              <TableColumn className="name">{name}</TableColumn>
+              <TableColumn>{calories}</TableColumn>
+              <TableColumn>{type}</TableColumn>
+            </TableRow>
+          ))}
+        </TableBody>
+      </DataTable>
+    );
+
+    const getNames = table => table.find('td.name').map(col => col.text());
+    const findSort = table => table.find(DataTable).get(0).state.sort;
+
+    it('should not sort the rows by default', () => {
+      const table = mount(<SortTable />);
+      expect(getNames(table)).toEqual(rows.map(({ name }) => name));
+    });
+
+    it('should sort the rows by the defaultSort prop', () => {
+      let table = mount(<SortTable defaultSort={[{ key: 'name', direction: 'ascending' }]} />);
+      expect(getNames(table)).toEqual(['Cupcake', 'Eclair', 'Frozen yogurt', 'Ice cream sandwich']);
+
+      table = mount(<SortTable defaultSort={[{ key: 'calories', direction: 'descending' }]} />);
+      expect(getNames(table)).toEqual(['Cupcake', 'Eclair', 'Ice cream sandwich', 'Frozen yogurt']);
+    });
+
+    it('should sort by multiple columns in order', () => {
+      const sort = [{ key: 'type', direction: 'ascending' }, { key: 'calories', direction: 'descending' }];
+      const table = mount(<SortTable sort={sort} onSortChange={() => {}} />);
+      expect(getNames(table)).toEqual(['Ice cream sandwich', 'Frozen yogurt', 'Cupcake', 'Eclair']);
+    });
+
+    it('should cycle the sort direction when a header column is clicked', () => {
+      const table = mount(<SortTable />);
+      const name = () => table.find('#name').filter('th');
+
+      name().simulate('click');
+      expect(findSort(table)).toEqual([{ key: 'name', direction: 'ascending' }]);
+      expect(getNames(table)).toEqual(['Cupcake', 'Eclair', 'Frozen yogurt', 'Ice cream sandwich']);
+
+      name().simulate('click');
+      expect(findSort(table)).toEqual([{ key: 'name', direction: 'descending' }]);
+      expect(getNames(table)).toEqual(['Ice cream sandwich', 'Frozen yogurt', 'Eclair', 'Cupcake']);
+
+      name().simulate('click');
+      expect(findSort(table)).toEqual([]);
+      expect(getNames(table)).toEqual(rows.map(({ name: n }) => n));
+    });
+
+    it('should add to the existing sort when the shift key is held', () => {
+      const table = mount(<SortTable />);
+      const find = id => table.find(`#${id}`).filter('th');
+
+      find('type').simulate('click');
+      find('calories').simulate('click', { shiftKey: true });
+      expect(findSort(table)).toEqual([
+        { key: 'type', direction: 'ascending' },
+        { key: 'calories', direction: 'ascending' },
+      ]);
+
+      find('type').simulate('click', { shiftKey: true });
+      expect(findSort(table)).toEqual([
+        { key: 'type', direction: 'descending' },
+        { key: 'calories', direction: 'ascending' },
+      ]);
+
+      find('type').simulate('click', { shiftKey: true });
+      expect(findSort(table)).toEqual([{ key: 'calories', direction: 'ascending' }]);
+
+      find('name').simulate('click');
+      expect(findSort(table)).toEqual([{ key: 'name', direction: 'ascending' }]);
+    });
+
+    it('should call the onSortChange prop and not update the state when controlled', () => {
+      const onSortChange = jest.fn();
+      const sort = [{ key: 'name', direction: 'ascending' }];
+      const table = mount(<SortTable sort={sort} onSortChange={onSortChange} />);
+
+      table.find('#name').filter('th').simulate('click');
+      expect(onSortChange.mock.calls.length).toBe(1);
+      expect(onSortChange.mock.calls[0][0]).toEqual([{ key: 'name', direction: 'descending' }]);
+      expect(findSort(table)).toBeUndefined();
+      expect(getNames(table)).toEqual(['Cupcake', 'Eclair', 'Frozen yogurt', 'Ice cream sandwich']);
+    });
+
+    it('should keep the uncontrolled selection with the same rows after sorting', () => {
+      const table = mount(<SortTable defaultSelectedRows={[false, true, false, false]} />);
+      const getSelectedNames = () => table.find(TableBody).find(TableRow)
+        .filterWhere(row => row.props().selected)
+        .map(row => row.find('td.name').text());
+      expect(table.find(DataTable).get(0).state.selectedRows).toEqual([false, true, false, false]);
+      expect(getSelectedNames()).toEqual(['Eclair']);
+
+      table.find('#name').filter('th').simulate('click');
+      expect(getNames(table)).toEqual(['Cupcake', 'Eclair', 'Frozen yogurt', 'Ice cream sandwich']);
+      expect(getSelectedNames()).toEqual(['Eclair']);
+
+      table.find('#calories').filter('th').simulate('click');
+      expect(getSelectedNames()).toEqual(['Eclair']);
+
+      table.setProps({ sort: [{ key: 'name', direction: 'descending' }], onSortChange: () => {} });
+      expect(getNames(table)).toEqual(['Ice cream sandwich', 'Frozen yogurt', 'Eclair', 'Cupcake']);
+      expect(getSelectedNames()).toEqual(['Eclair']);
+    });
+
+    it('should only create the sort columns when the children change', () => {
+      const table = mount(<SortTable />);
+      const instance = table.find(DataTable).get(0);
+      const { children } = instance.props;
+      const sortColumns = instance._getSortColumns(children);
+      expect(sortColumns).toEqual({
+        name: { index: 0, comparator: undefined },
+        calories: { index: 1, comparator: undefined },
+        type: { index: 2, comparator: undefined },
+      });
+      expect(instance._getSortColumns(children)).toBe(sortColumns);
+
+      table.setProps({ plain: true });
+      expect(instance._getSortColumns(instance.props.children)).not.toBe(sortColumns);
+    });
+
+    it('should not sort the rows when the manualSort prop is enabled', () => {
+      const onSortChange = jest.fn();
+      const table = mount(<SortTable manualSort onSortChange={onSortChange} />);
+
+      table.find('#name').filter('th').simulate('click');
+      expect(onSortChange.mock.calls.length).toBe(1);
+      expect(table.find('#name').filter('th').props()['aria-sort']).toBe('ascending');
+      expect(getNames(table)).toEqual(rows.map(({ name }) => name));
+    });
+  });
+
+  describe('selection by id', () => {
+    const data = [
+      { id: 'a', name: 'Frozen yogurt' },
+      { id: 'b', name: 'Eclair' },
+      { id: 'c', name: 'Cupcake' },
+      { id: 'd', name: 'Gingerbread' },
+    ];
+
+    const SelectionTable = ({ rows = data, ...props }) => (
+      <DataTable baseId="selection" indeterminate {...props}>
+        <TableHeader>
+          <TableRow>
+            <TableColumn sortKey="name">Name</TableColumn>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {rows.map(({ id, name }) => (
+            <TableRow key={id} rowId={id}>
+              <TableColumn>{name}</TableColumn>
+            </TableRow>
+          ))}
+        </TableBody>
+      </DataTable>
+    );
+
+    const findTable = wrapper => wrapper.find(DataTable).get(0);
+    const getSelected = wrapper => wrapper.find(TableBody).find(TableRow).map(row => row.props().selected);
+
+    it('should select rows by their rowId instead of their index', () => {
+      const table = mount(<SelectionTable selectedRowIds={['b', 'd']} onSelectionChange={() => {}} />);
+      expect(getSelected(table)).toEqual([false, true, false, true]);
+
+      table.setProps({ rows: [data[3], data[2], data[1]] });
+      expect(getSelected(table)).toEqual([true, false, true]);
+    });
+
+    it('should call the onSelectionChange prop with the next selected ids when a row is toggled', () => {
+      const onSelectionChange = jest.fn();
+      const onRowToggle = jest.fn();
+      const table = mount(
+        <SelectionTable selectedRowIds={['b']} onSelectionChange={onSelectionChange} onRowToggle={onRowToggle} />
+      );
+
+      const event = { target: { checked: true } };
+      findTable(table)._toggleSelectedRow(3, false, event, 'c');
+      expect(onSelectionChange).toBeCalledWith(['b', 'c'], event);
+      expect(onRowToggle).toBeCalledWith(3, true, 2, event);
+
+      findTable(table)._toggleSelectedRow(2, false, { target: { checked: false } }, 'b');
+      expect(onSelectionChange.mock.calls[1][0]).toEqual([]);
+      expect(getSelected(table)).toEqual([false, true, false, false]);
+    });
+
+    it('should toggle the rendered rows and keep other selections when the header is toggled', () => {
+      const onSelectionChange = jest.fn();
+      const table = mount(
+        <SelectionTable rows={data.slice(0, 2)} selectedRowIds={['d']} onSelectionChange={onSelectionChange} />
+      );
+
+      findTable(table)._toggleSelectedRow(0, true, { target: { checked: true } });
+      expect(onSelectionChange.mock.calls[0][0]).toEqual(['d', 'a', 'b']);
+
+      table.setProps({ selectedRowIds: ['d', 'a', 'b'] });
+      findTable(table)._toggleSelectedRow(0, true, { target: { checked: false } });
+      expect(onSelectionChange.mock.calls[1][0]).toEqual(['d']);
+    });
+
+    it('should toggle every row in the rowIds prop when the header is toggled', () => {
+      const onSelectionChange = jest.fn();
+      const rowIds = ['a', 'b', 'c', 'd', 'e'];
+      const table = mount(
+        <SelectionTable
+          rows={data.slice(0, 2)}
+          rowIds={rowIds}
+          selectedRowIds={[]}
+          onSelectionChange={onSelectionChange}
+        />
+      );
+
+      findTable(table)._toggleSelectedRow(0, true, { target: { checked: true } });
+      expect(onSelectionChange.mock.calls[0][0]).toEqual(rowIds);
+    });
+
+    it('should update the allSelected and indeterminate context based on the selected ids', () => {
+      const table = mount(<SelectionTable selectedRowIds={[]} onSelectionChange={() => {}} />);
+      let context = findTable(table).getChildContext();
+      expect(context.allSelected).toBe(false);
+      expect(context.indeterminate).toBe(false);
+
+      table.setProps({ selectedRowIds: ['a'] });
+      context = findTable(table).getChildContext();
+      expect(context.allSelected).toBe(false);
+      expect(context.indeterminate).toBe(true);
+
+      table.setProps({ selectedRowIds: ['a', 'b', 'c', 'd'] });
+      context = findTable(table).getChildContext();
+      expect(context.allSelected).toBe(true);
+      expect(context.indeterminate).toBe(false);
+      expect(table.find(TableHeader).find(TableRow).props().selected).toBe(true);
+
+      table.setProps({ rowIds: ['a', 'b', 'c', 'd', 'e'] });
+      context = findTable(table).getChildContext();
+      expect(context.allSelected).toBe(false);
+      expect(context.indeterminate).toBe(true);
+    });
+
+    it('should select a range of rows in the displayed order when the shift key is held', () => {
+      const onSelectionChange = jest.fn();
+      const table = mount(
+        <SelectionTable
+          selectedRowIds={[]}
+          onSelectionChange={onSelectionChange}
+          sort={[{ key: 'name', direction: 'ascending' }]}
+          onSortChange={() => {}}
+        />
+      );
+
+      // Displayed order is: Cupcake (c), Eclair (b), Frozen yogurt (a), Gingerbread (d)
+      findTable(table)._toggleSelectedRow(1, false, { target: { checked: true } }, 'c');
+      table.setProps({ selectedRowIds: onSelectionChange.mock.calls[0][0] });
+
+      const event = { target: { checked: true }, nativeEvent: { shiftKey: true } };
+      findTable(table)._toggleSelectedRow(3, false, event, 'a');
+      expect(onSelectionChange.mock.calls[1][0]).toEqual(['c', 'b', 'a']);
+    });
+
+    it('should track the selection by id in the state when the defaultSelectedRowIds prop is used', () => {
+      const onSelectionChange = jest.fn();
+      const table = mount(<SelectionTable defaultSelectedRowIds={['b']} onSelectionChange={onSelectionChange} />);
+      expect(getSelected(table)).toEqual([false, true, false, false]);
+
+      const event = { target: { checked: true } };
+      findTable(table)._toggleSelectedRow(3, false, event, 'c');
+      expect(onSelectionChange).toBeCalledWith(['b', 'c'], event);
+      expect(findTable(table).state.selectedRowIds).toEqual(['b', 'c']);
+      expect(getSelected(table)).toEqual([false, true, true, false]);
+
+      table.setProps({ rows: [data[2], data[1], data[0]] });
+      expect(getSelected(table)).toEqual([true, true, false]);
+    });
+
+    it('should only create the list of row ids when the rows or the sort change', () => {
+      const table = mount(<SelectionTable defaultSelectedRowIds={[]} />);
+      const instance = findTable(table);
+      const rowIds = instance._getRowIds();
+      expect(rowIds).toEqual(['a', 'b', 'c', 'd']);
+      expect(instance._getRowIds()).toBe(rowIds);
+
+      instance.setState({ sort: [{ key: 'name', direction: 'ascending' }] });
+      expect(instance._getRowIds()).toEqual(['c', 'b', 'a', 'd']);
+
+      table.setProps({ rows: data.slice(0, 2) });
+      expect(instance._getRowIds()).toEqual(['b', 'a']);
+    });
+  });
+
+  describe('column layout', () => {
+    const LayoutTable = props => (
+      <DataTable baseId="layout" plain {...props}>
+        <TableHeader>
+          <TableRow>
+            <TableColumn columnKey="name">Name</TableColumn>
+            <TableColumn columnKey="calories">Calories</TableColumn>
+            <TableColumn columnKey="fat">Fat</TableColumn>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          <TableRow>
+            <TableColumn>Frozen yogurt</TableColumn>
+            <TableColumn>159</TableColumn>
+            <TableColumn>6.0</TableColumn>
+          </TableRow>
+        </TableBody>
+      </DataTable>
+    );
+
+    const getText = (table, tag) => table.find(tag).map(col => col.text());
+    const findTable = wrapper => wrapper.find(DataTable).get(0);
+
+    it('should render the columns in every row based on the layout', () => {
+      const table = mount(<LayoutTable defaultLayout={{ order: ['fat', 'name'], hidden: ['calories'] }} />);
+      expect(getText(table, 'th')).toEqual(['Fat', 'Name']);
+      expect(getText(table, 'td')).toEqual(['6.0', 'Frozen yogurt']);
+    });
+
+    it('should apply the column widths to the header columns', () => {
+      const table = mount(<LayoutTable layout={{ widths: { calories: 120 } }} onLayoutChange={() => {}} />);
+      const style = table.find('th').at(1).props().style;
+      expect(style).toEqual({ width: 120, minWidth: 120 });
+      expect(table.find('th').at(0).props().style).toBeUndefined();
+    });
+
+    it('should update the layout when a column is resized or moved while uncontrolled', () => {
+      const onLayoutChange = jest.fn();
+      const table = mount(<LayoutTable onLayoutChange={onLayoutChange} minColumnWidth={80} />);
+
+      findTable(table)._resizeColumn('name', 40);
+      expect(onLayoutChange.mock.calls[0][0]).toEqual({ widths: { name: 80 } });
+
+      findTable(table)._moveColumn('fat', 'name');
+      expect(onLayoutChange.mock.calls[1][0]).toEqual({ widths: { name: 80 }, order: ['fat', 'name', 'calories'] });
+      expect(getText(table, 'th')).toEqual(['Fat', 'Name', 'Calories']);
+
+      findTable(table)._moveColumn('fat', 'fat');
+      expect(onLayoutChange.mock.calls.length).toBe(2);
+    });
+
+    it('should not update the state when the layout is controlled', () => {
+      const onLayoutChange = jest.fn();
+      const table = mount(<LayoutTable layout={{}} onLayoutChange={onLayoutChange} />);
+
+      findTable(table)._moveColumn('fat', 'name');
+      expect(onLayoutChange.mock.calls.length).toBe(1);
+      expect(getText(table, 'th')).toEqual(['Name', 'Calories', 'Fat']);
+    });
+  });
+  describe('grid', () => {
+    const onClick = jest.fn();
+    const GridTable = props => (
+      <DataTable baseId="grid" grid {...props}>
+        <TableHeader>
+          <TableRow>
+            <TableColumn>Name</TableColumn>
+            <TableColumn>Actions</TableColumn>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {['a', 'b', 'c', 'd'].map(name => (
+            <TableRow key={name}>
+              <TableColumn>{name}</TableColumn>
+              <TableColumn><button type="button" onClick={onClick}>Edit</button></TableColumn>
+            </TableRow>
+          ))}
+        </TableBody>
+      </DataTable>
+    );
+
+    let container;
+    beforeEach(() => {
+      onClick.mockClear();
+      container = document.createElement('div');
+      document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+      document.body.removeChild(container);
+    });
+
+    const getCells = table => [].slice.call(findDOMNode(table.instance()).querySelectorAll('th,td'));
+    const keyDown = (el, which, options) => Simulate.keyDown(el, { which, keyCode: which, ...options });
+
+    it('should only allow the first cell to be tabbed to', () => {
+      const table = mount(<GridTable />, { attachTo: container });
+      const tableNode = findDOMNode(table.instance()).querySelector('table');
+      expect(tableNode.getAttribute('role')).toBe('grid');
+      expect(tableNode.getAttribute('aria-multiselectable')).toBe('true');
+
+      const cells = getCells(table);
+      expect(cells.length).toBe(15);
+      expect(cells.map(cell => cell.tabIndex)).toEqual([0].concat(cells.slice(1).map(() => -1)));
+
+      const focusables = [].slice.call(tableNode.querySelectorAll('input,button'));
+      expect(focusables.length).toBe(9);
+      focusables.forEach(el => expect(el.tabIndex).toBe(-1));
+
+      expect(cells[3].getAttribute('role')).toBe('gridcell');
+      expect(cells[4].getAttribute('role')).toBe('gridcell');
+      expect(tableNode.rows[1].getAttribute('aria-selected')).toBe('false');
+      table.detach();
+    });
+
+    it('should move focus between the cells with the arrow, home, end, and page keys', () => {
+      const table = mount(<GridTable gridPageSize={2} />, { attachTo: container });
+      const cells = getCells(table);
+      const expectFocus = (index) => {
+        expect(document.activeElement).toBe(cells[index]);
+        expect(cells[index].tabIndex).toBe(0);
+      };
+
+      cells[0].focus();
+      keyDown(cells[0], RIGHT);
+      expectFocus(1);
+
+      keyDown(cells[1], DOWN);
+      expectFocus(4);
+      expect(cells[1].tabIndex).toBe(-1);
+
+      keyDown(cells[4], END);
+      expectFocus(5);
+
+      keyDown(cells[5], RIGHT);
+      expectFocus(5);
+
+      keyDown(cells[5], HOME);
+      expectFocus(3);
+
+      keyDown(cells[3], UP);
+      expectFocus(0);
+
+      keyDown(cells[0], UP);
+      expectFocus(0);
+
+      keyDown(cells[0], PAGE_DOWN);
+      expectFocus(6);
+
+      keyDown(cells[6], PAGE_DOWN);
+      expectFocus(12);
+
+      keyDown(cells[12], PAGE_UP);
+      expectFocus(6);
+
+      keyDown(cells[6], END, { ctrlKey: true });
+      expectFocus(14);
+
+      keyDown(cells[14], HOME, { ctrlKey: true });
+      expectFocus(0);
+      table.detach();
+    });
+
+    it('should toggle the row selection when the space key is pressed', () => {
+      const table = mount(<GridTable />, { attachTo: container });
+      const cells = getCells(table);
+
+      keyDown(cells[4], SPACE);
+      expect(table.find(DataTable).get(0).state.selectedRows).toEqual([true, false, false, false]);
+      expect(findDOMNode(table.instance()).querySelector('table').rows[1].getAttribute('aria-selected')).toBe('true');
+
+      keyDown(cells[0], SPACE);
+      expect(table.find(DataTable).get(0).state.selectedRows).toEqual([true, true, true, true]);
+      table.detach();
+    });
+
+    it('should move focus into the cell with enter or F2 and back to the cell with escape or F2', () => {
+      const table = mount(<GridTable />, { attachTo: container });
+      const cells = getCells(table);
+      const button = cells[5].querySelector('button');
+
+      keyDown(cells[5], F2);
+      expect(document.activeElement).toBe(button);
+      expect(onClick.mock.calls.length).toBe(0);
+
+      keyDown(button, F2);
+      expect(document.activeElement).toBe(cells[5]);
+
+      keyDown(cells[5], ENTER);
+      expect(document.activeElement).toBe(button);
+      expect(onClick.mock.calls.length).toBe(1);
+
+      keyDown(button, ESC);
+      expect(document.activeElement).toBe(cells[5]);
+
+      keyDown(cells[4], ENTER);
+      expect(document.activeElement).toBe(cells[5]);
+      table.detach();
+    });
+
+    it('should restore the original tab indexes when the grid is disabled', () => {
+      const table = mount(<GridTable />, { attachTo: container });
+      const tableNode = findDOMNode(table.instance()).querySelector('table');
+      table.setProps({ grid: false });
+
+      expect(tableNode.querySelectorAll('[data-grid-tab-index]').length).toBe(0);
+      getCells(table).forEach(cell => expect(cell.hasAttribute('tabindex')).toBe(false));
+      [].slice.call(tableNode.querySelectorAll('input,button')).forEach(el => expect(el.tabIndex).toBe(0));
+
+      table.setProps({ grid: true });
+      expect(getCells(table)[0].tabIndex).toBe(0);
+      expect(tableNode.querySelector('button').tabIndex).toBe(-1);
+      table.detach();
+    });
+
+    it('should only toggle the sort when enter is pressed on a sortable header', () => {
+      const onKeyDown = jest.fn();
+      const onSortChange = jest.fn();
+      const table = mount(
+        <DataTable baseId="sort-grid" grid plain onKeyDown={onKeyDown} onSortChange={onSortChange}>
+          <TableHeader>
+            <TableRow>
+              <TableColumn sortKey="name">Name</TableColumn>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            <TableRow>
+              <TableColumn>a</TableColumn>
+            </TableRow>
+          </TableBody>
+        </DataTable>,
+        { attachTo: container }
+      );
+
+      keyDown(getCells(table)[0], ENTER);
+      expect(onSortChange.mock.calls.length).toBe(1);
+      expect(onSortChange.mock.calls[0][0]).toEqual([{ key: 'name', direction: 'ascending' }]);
+      expect(onKeyDown).not.toBeCalled();
+      table.detach();
+    });
+  });
+
+  it('should select a range of rows by index when the shift key is held while uncontrolled', () => {
+    const table = mount(
+      <DataTable baseId="range">
+        <TableBody>
+          {[0, 1, 2, 3, 4].map(i => (
+            <TableRow key={i}>
+              <TableColumn>{i}</TableColumn>
+            </TableRow>
+          ))}
+        </TableBody>
+      </DataTable>
+    );
+
+    const instance = table.instance();
+    instance._toggleSelectedRow(1, false, { target: { checked: true } });
+    instance._toggleSelectedRow(3, false, { target: { checked: true }, shiftKey: true });
+    expect(table.state('selectedRows')).toEqual([false, true, true, true, false]);
+  });
 });
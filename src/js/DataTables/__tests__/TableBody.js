@@ -0,0 +1,172 @@
+/* eslint-env jest */
+/* eslint-disable react/prop-types */
+import React from 'react';
+import { mount } from 'enzyme';
+
+import DataTable from '../DataTable';
+import TableHeader from '../TableHeader';
+import TableBody from '../TableBody';
+import TableRow from '../TableRow';
+import TableColumn from '../TableColumn';
+
+const ROWS = [...new Array(1000)].map((_, i) => i);
+
+const VirtualizedTable = ({ rows = ROWS, fixedHeader = true, ...props }) => (
+  <DataTable baseId="virtualized" plain fixedHeader={fixedHeader}>
+    <TableHeader>
+      <TableRow>
+        <TableColumn>Index</TableColumn>
+      </TableRow>
+    </TableHeader>
+    <TableBody virtualized {...props}>
+      {rows.map(i => (
+        <TableRow key={i}>
+          <TableColumn>{i}</TableColumn>
+        </TableRow>
+      ))}
+    </TableBody>
+  </DataTable>
+);
+
+/**
+ * jsdom does not do any layout, so the scroll wrapper's size and the tbody's position
+ * need to be mocked to emulate scrolling.
+ */
+function scroll(table, scrollTop, clientHeight) {
+  const wrapper = table.find('.md-data-table__scroll-wrapper').getDOMNode();
+  const tbody = table.find('tbody').getDOMNode();
+  Object.defineProperty(wrapper, 'scrollTop', { value: scrollTop, configurable: true });
+  Object.defineProperty(wrapper, 'clientHeight', { value: clientHeight, configurable: true });
+  tbody.getBoundingClientRect = () => ({ top: -scrollTop });
+
+  wrapper.dispatchEvent(new Event('scroll'));
+}
+
+const getIndexes = table => table.find('tbody td').map(td => Number(td.text()));
+const getSpacerHeights = table => table.find('.md-table-body__spacer').map(tr => tr.getDOMNode().style.height);
+
+describe('TableBody', () => {
+  it('should render every row when the virtualized prop is not enabled', () => {
+    const table = mount(<VirtualizedTable virtualized={false} rows={ROWS.slice(0, 50)} />);
+    expect(table.find('tbody').find(TableRow).length).toBe(50);
+    expect(table.find('.md-table-body__spacer').length).toBe(0);
+  });
+
+  it('should only render the overscan rows before the scroll container has been measured', () => {
+    const table = mount(<VirtualizedTable />);
+    expect(getIndexes(table)).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(getSpacerHeights(table)).toEqual([`${994 * 48}px`]);
+  });
+
+  it('should only render the visible rows and the overscan rows after scrolling', () => {
+    const table = mount(<VirtualizedTable overscan={2} />);
+    scroll(table, 4800, 480);
+
+    expect(getIndexes(table)).toEqual(ROWS.slice(98, 113));
+    expect(getSpacerHeights(table)).toEqual([`${98 * 48}px`, `${887 * 48}px`]);
+
+    scroll(table, 0, 480);
+    expect(getIndexes(table)).toEqual(ROWS.slice(0, 13));
+    expect(getSpacerHeights(table)).toEqual([`${987 * 48}px`]);
+  });
+
+  it('should support variable row heights', () => {
+    const rowHeight = jest.fn(i => (i % 2 === 0 ? 100 : 50));
+    const table = mount(<VirtualizedTable rows={ROWS.slice(0, 100)} rowHeight={rowHeight} overscan={0} />);
+    expect(rowHeight.mock.calls.length).toBe(100);
+
+    // rows 20 and 21 take 150px, so 1500px should start at row 20
+    scroll(table, 1500, 300);
+    expect(getIndexes(table)).toEqual([20, 21, 22, 23, 24]);
+    expect(getSpacerHeights(table)).toEqual(['1500px', '5600px']);
+  });
+
+  it('should keep the header checkbox state correct for rows that are not rendered', () => {
+    const Table = ({ selectedRowIds }) => (
+      <DataTable
+        baseId="virtualized-selection"
+        fixedHeader
+        selectedRowIds={selectedRowIds}
+        onSelectionChange={() => {}}
+      >
+        <TableHeader>
+          <TableRow>
+            <TableColumn>Index</TableColumn>
+          </TableRow>
+        </TableHeader>
+        <TableBody virtualized>
+          {ROWS.map(i => (
+            <TableRow key={i} rowId={i}>
+              <TableColumn>{i}</TableColumn>
+            </TableRow>
+          ))}
+        </TableBody>
+      </DataTable>
+    );
+
+    const table = mount(<Table selectedRowIds={ROWS.slice(0, 999)} />);
+    const header = () => table.find(TableHeader).find(TableRow);
+    expect(header().props().selected).toBe(false);
+
+    table.setProps({ selectedRowIds: ROWS });
+    expect(header().props().selected).toBe(true);
+  });
+
+  it('should render every row when the rows are selectable and the selection is not tracked by id', () => {
+    const table = mount(
+      <DataTable baseId="virtualized-index" fixedHeader>
+        <TableBody virtualized>
+          {ROWS.slice(0, 50).map(i => (
+            <TableRow key={i}>
+              <TableColumn>{i}</TableColumn>
+            </TableRow>
+          ))}
+        </TableBody>
+      </DataTable>
+    );
+
+    expect(table.find('tbody').find(TableRow).length).toBe(50);
+    expect(table.find('.md-table-body__spacer').length).toBe(0);
+    expect(table.find(DataTable).get(0).state.selectedRows.length).toBe(50);
+  });
+
+  it('should not use the row index for the selection while the rows are virtualized', () => {
+    const onSelectionChange = jest.fn();
+    const onRowToggle = jest.fn();
+    const table = mount(
+      <DataTable
+        baseId="virtualized-ids"
+        fixedHeader
+        defaultSelectedRowIds={[]}
+        onSelectionChange={onSelectionChange}
+        onRowToggle={onRowToggle}
+      >
+        <TableHeader>
+          <TableRow>
+            <TableColumn>Index</TableColumn>
+          </TableRow>
+        </TableHeader>
+        <TableBody virtualized overscan={0}>
+          {ROWS.map(i => (
+            <TableRow key={i} rowId={`row-${i}`}>
+              <TableColumn>{i}</TableColumn>
+            </TableRow>
+          ))}
+        </TableBody>
+      </DataTable>
+    );
+
+    scroll(table, 4800, 480);
+    const rows = table.find('tbody').find(TableRow);
+    expect(rows.at(0).find(TableColumn).text()).toBe('100');
+    expect(table.find(DataTable).get(0).state.selectedRows).toEqual([]);
+
+    rows.at(0).find('input').simulate('change', { target: { checked: true } });
+    expect(onSelectionChange.mock.calls.length).toBe(1);
+    expect(onSelectionChange.mock.calls[0][0]).toEqual(['row-100']);
+
+    // The header row is at index 0
+    expect(onRowToggle.mock.calls[0][0]).toBe(101);
+    expect(rows.at(0).find('input').props().id).toBe('virtualized-ids-101');
+  });
+});
@@ -231,6 +231,194 @@ describe('TableColumn', () => {
     expect(table.find('td').at(0).props()['aria-sort']).toBe('descending');
   });
 
+  it('should apply the aria-sort from the DataTable sort when there is a sortKey', () => {
+    const table = mount(
+      <DataTable baseId="woop" sort={[{ key: 'name', direction: 'descending' }]} onSortChange={() => {}}>
+        <TableHeader>
+          <TableRow>
+            <TableColumn id="name" sortKey="name">Name</TableColumn>
+            <TableColumn id="age" sortKey="age">Age</TableColumn>
+          </TableRow>
+        </TableHeader>
+      </DataTable>
+    );
+
+    let name = table.find('#name').filter('th');
+    let age = table.find('#age').filter('th');
+    expect(name.props()['aria-sort']).toBe('descending');
+    expect(name.props().tabIndex).toBe(0);
+    expect(age.props()['aria-sort']).toBe('none');
+    expect(age.find('.md-icon').length).toBe(0);
+
+    table.setProps({ sort: [{ key: 'age', direction: 'ascending' }] });
+    name = table.find('#name').filter('th');
+    age = table.find('#age').filter('th');
+    expect(name.props()['aria-sort']).toBe('none');
+    expect(age.props()['aria-sort']).toBe('ascending');
+    expect(age.find('.md-icon').length).toBe(1);
+  });
+
+  it('should call the toggleSort context function when clicked or the enter key is pressed', () => {
+    const onSortChange = jest.fn();
+    const onClick = jest.fn();
+    const table = mount(
+      <DataTable baseId="woop" onSortChange={onSortChange}>
+        <TableHeader>
+          <TableRow>
+            <TableColumn id="name" sortKey="name" onClick={onClick}>Name</TableColumn>
+          </TableRow>
+        </TableHeader>
+      </DataTable>
+    );
+
+    const name = table.find('#name').filter('th');
+    name.simulate('click');
+    expect(onClick.mock.calls.length).toBe(1);
+    expect(onSortChange.mock.calls.length).toBe(1);
+    expect(onSortChange.mock.calls[0][0]).toEqual([{ key: 'name', direction: 'ascending' }]);
+
+    name.simulate('keyDown', { which: 13, keyCode: 13 });
+    expect(onSortChange.mock.calls.length).toBe(2);
+    expect(onSortChange.mock.calls[1][0]).toEqual([{ key: 'name', direction: 'descending' }]);
+
+    name.simulate('keyDown', { which: 32, keyCode: 32 });
+    expect(onSortChange.mock.calls.length).toBe(2);
+  });
+
+  it('should render a resize handle for header columns with a columnKey when the columns are resizable', () => {
+    const onLayoutChange = jest.fn();
+    const table = mount(
+      <DataTable baseId="woop" plain resizableColumns minColumnWidth={0} onLayoutChange={onLayoutChange}>
+        <TableHeader>
+          <TableRow>
+            <TableColumn columnKey="name">Name</TableColumn>
+            <TableColumn>Age</TableColumn>
+          </TableRow>
+        </TableHeader>
+      </DataTable>
+    );
+
+    const handles = table.find('.md-table-column__resize-handle');
+    expect(handles.length).toBe(2);
+    expect(table.find('th').at(0).hasClass('md-table-column--relative')).toBe(true);
+
+    const handle = handles.at(0);
+    expect(handle.props().role).toBe('separator');
+    handle.simulate('keyDown', { which: 39, keyCode: 39 });
+    expect(onLayoutChange.mock.calls.length).toBe(1);
+    expect(onLayoutChange.mock.calls[0][0]).toEqual({ widths: { name: 8 } });
+
+    handle.simulate('keyDown', { which: 13, keyCode: 13 });
+    expect(onLayoutChange.mock.calls.length).toBe(1);
+  });
+
+  it('should only update the layout once a column has been resized by dragging its handle', () => {
+    const onLayoutChange = jest.fn();
+    const table = mount(
+      <DataTable baseId="woop" plain resizableColumns minColumnWidth={20} onLayoutChange={onLayoutChange}>
+        <TableHeader>
+          <TableRow>
+            <TableColumn columnKey="name">Name</TableColumn>
+            <TableColumn columnKey="age">Age</TableColumn>
+          </TableRow>
+        </TableHeader>
+      </DataTable>
+    );
+
+    const createEvent = (type, clientX) => {
+      const event = new Event(type, { cancelable: true });
+      event.clientX = clientX;
+      return event;
+    };
+
+    table.find('.md-table-column__resize-handle').at(0).simulate('mouseDown', { clientX: 100 });
+    window.dispatchEvent(createEvent('mousemove', 150));
+    window.dispatchEvent(createEvent('mousemove', 180));
+    expect(onLayoutChange).not.toBeCalled();
+    expect(table.find('th').at(0).getDOMNode().style.width).toBe('80px');
+
+    const touchMove = createEvent('touchmove');
+    touchMove.changedTouches = [{ clientX: 90 }];
+    window.dispatchEvent(touchMove);
+    expect(touchMove.defaultPrevented).toBe(true);
+    expect(table.find('th').at(0).getDOMNode().style.width).toBe('20px');
+
+    window.dispatchEvent(createEvent('mousemove', 160));
+    window.dispatchEvent(createEvent('mouseup', 160));
+    expect(onLayoutChange.mock.calls.length).toBe(1);
+    expect(onLayoutChange.mock.calls[0][0]).toEqual({ widths: { name: 60 } });
+
+    window.dispatchEvent(createEvent('mousemove', 200));
+    expect(onLayoutChange.mock.calls.length).toBe(1);
+  });
+
+  it('should move a reorderable column with the control and shift keys and the arrow keys', () => {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const table = mount(
+      <DataTable baseId="woop" plain reorderableColumns>
+        <TableHeader>
+          <TableRow>
+            <TableColumn columnKey="name">Name</TableColumn>
+            <TableColumn columnKey="age">Age</TableColumn>
+            <TableColumn columnKey="email">Email</TableColumn>
+          </TableRow>
+        </TableHeader>
+      </DataTable>,
+      { attachTo: container }
+    );
+
+    const getLabels = () => table.find('th').map(th => th.text());
+    const age = table.find('th').at(1);
+    expect(age.props().tabIndex).toBe(0);
+
+    const ageNode = age.getDOMNode();
+    ageNode.focus();
+    age.simulate('keyDown', { which: 37, keyCode: 37 });
+    expect(getLabels()).toEqual(['Name', 'Age', 'Email']);
+
+    age.simulate('keyDown', { which: 37, keyCode: 37, ctrlKey: true, shiftKey: true });
+    expect(getLabels()).toEqual(['Age', 'Name', 'Email']);
+    expect(document.activeElement).toBe(ageNode);
+
+    table.find('th').at(0).simulate('keyDown', { which: 37, keyCode: 37, ctrlKey: true, shiftKey: true });
+    expect(getLabels()).toEqual(['Age', 'Name', 'Email']);
+
+    table.find('th').at(0).simulate('keyDown', { which: 39, keyCode: 39, ctrlKey: true, shiftKey: true });
+    table.find('th').at(1).simulate('keyDown', { which: 39, keyCode: 39, ctrlKey: true, shiftKey: true });
+    expect(getLabels()).toEqual(['Name', 'Email', 'Age']);
+    expect(document.activeElement).toBe(ageNode);
+
+    table.detach();
+    document.body.removeChild(container);
+  });
+
+  it('should move the dragged column when a column is dropped on a reorderable column', () => {
+    const onLayoutChange = jest.fn();
+    const table = mount(
+      <DataTable baseId="woop" plain reorderableColumns onLayoutChange={onLayoutChange}>
+        <TableHeader>
+          <TableRow>
+            <TableColumn columnKey="name">Name</TableColumn>
+            <TableColumn columnKey="age">Age</TableColumn>
+          </TableRow>
+        </TableHeader>
+      </DataTable>
+    );
+
+    const dataTransfer = { setData: jest.fn(), getData: jest.fn(() => 'age') };
+    const name = table.find('th').at(0);
+    expect(name.props().draggable).toBe(true);
+
+    name.simulate('dragOver', { dataTransfer });
+    expect(table.find('th').at(0).hasClass('md-table-column--drag-over')).toBe(true);
+
+    name.simulate('drop', { dataTransfer });
+    expect(table.find('th').at(0).hasClass('md-table-column--drag-over')).toBe(false);
+    expect(onLayoutChange.mock.calls.length).toBe(1);
+    expect(onLayoutChange.mock.calls[0][0]).toEqual({ order: ['age', 'name'] });
+  });
+
   it('should correctly apply the col scope when header prop is enabled', () => {
     let table = mount(
       <table>
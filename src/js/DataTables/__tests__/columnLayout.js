@@ -0,0 +1,76 @@
+/* eslint-env jest */
+import React from 'react';
+
+import TableColumn from '../TableColumn';
+import {
+  getColumnKey,
+  getColumnOrder,
+  getVisibleColumns,
+  moveColumn,
+  resizeColumn,
+  toggleColumn,
+} from '../columnLayout';
+
+const keys = ['name', 'calories', 'fat', 'carbs'];
+
+describe('getColumnKey', () => {
+  it('should use the columnKey prop or fallback to the index', () => {
+    expect(getColumnKey(<TableColumn columnKey="name">Name</TableColumn>, 0)).toBe('name');
+    expect(getColumnKey(<TableColumn>Name</TableColumn>, 3)).toBe('3');
+  });
+});
+
+describe('getColumnOrder', () => {
+  it('should return the original order when there is no order in the layout', () => {
+    expect(getColumnOrder(keys, {})).toEqual(keys);
+  });
+
+  it('should append missing keys and remove unknown keys', () => {
+    expect(getColumnOrder(keys, { order: ['fat', 'unknown', 'name'] })).toEqual(['fat', 'name', 'calories', 'carbs']);
+  });
+});
+
+describe('getVisibleColumns', () => {
+  it('should create the list of visible columns in display order', () => {
+    const layout = { order: ['carbs', 'name'], hidden: ['calories'], widths: { name: 200 } };
+    expect(getVisibleColumns(keys, layout)).toEqual([
+      { index: 3, key: 'carbs', width: undefined },
+      { index: 0, key: 'name', width: 200 },
+      { index: 2, key: 'fat', width: undefined },
+    ]);
+  });
+});
+
+describe('moveColumn', () => {
+  it('should move a column to the position of another column', () => {
+    expect(moveColumn({}, keys, 'carbs', 'calories').order).toEqual(['name', 'carbs', 'calories', 'fat']);
+    expect(moveColumn({}, keys, 'name', 'fat').order).toEqual(['calories', 'fat', 'name', 'carbs']);
+  });
+
+  it('should return the same layout when nothing changes', () => {
+    const layout = { hidden: ['fat'] };
+    expect(moveColumn(layout, keys, 'name', 'name')).toBe(layout);
+    expect(moveColumn(layout, keys, 'unknown', 'name')).toBe(layout);
+  });
+});
+
+describe('resizeColumn', () => {
+  it('should set a rounded width for the column and keep the other widths', () => {
+    const layout = { widths: { name: 200 } };
+    expect(resizeColumn(layout, 'fat', 120.4)).toEqual({ widths: { name: 200, fat: 120 } });
+    expect(layout).toEqual({ widths: { name: 200 } });
+  });
+});
+
+describe('toggleColumn', () => {
+  it('should add or remove the key from the hidden list', () => {
+    let layout = toggleColumn({}, 'fat', false);
+    expect(layout.hidden).toEqual(['fat']);
+
+    layout = toggleColumn(layout, 'fat', false);
+    expect(layout.hidden).toEqual(['fat']);
+
+    layout = toggleColumn(layout, 'fat', true);
+    expect(layout.hidden).toEqual([]);
+  });
+});
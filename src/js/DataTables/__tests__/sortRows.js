@@ -0,0 +1,90 @@
+/* eslint-env jest */
+import React from 'react';
+
+import TableRow from '../TableRow';
+import TableColumn from '../TableColumn';
+import sortRows, { defaultComparator, getSortValue } from '../sortRows';
+
+const createRow = (...values) => (
+  <TableRow key={values.join('-')}>
+    {values.map((value, i) => <TableColumn key={i}>{value}</TableColumn>)}
+  </TableRow>
+);
+
+describe('defaultComparator', () => {
+  it('should compare numbers and dates by value', () => {
+    expect(defaultComparator(1, 2)).toBeLessThan(0);
+    expect(defaultComparator(10, 2)).toBeGreaterThan(0);
+    expect(defaultComparator(2, 2)).toBe(0);
+    expect(defaultComparator(new Date(2017, 0, 1), new Date(2016, 0, 1))).toBeGreaterThan(0);
+  });
+
+  it('should compare everything else as strings', () => {
+    expect(defaultComparator('a', 'b')).toBeLessThan(0);
+    expect(defaultComparator('b', 'a')).toBeGreaterThan(0);
+    expect(defaultComparator('10', 2)).toBeLessThan(0);
+  });
+
+  it('should move empty values to the end', () => {
+    expect(defaultComparator(null, 'a')).toBeGreaterThan(0);
+    expect(defaultComparator('a', undefined)).toBeLessThan(0);
+    expect(defaultComparator(null, undefined)).toBe(0);
+  });
+});
+
+describe('getSortValue', () => {
+  it('should use the sortValue prop before the children', () => {
+    const row = (
+      <TableRow>
+        <TableColumn sortValue={3}>Three</TableColumn>
+        <TableColumn>Four</TableColumn>
+        <TableColumn><span>Five</span></TableColumn>
+      </TableRow>
+    );
+
+    expect(getSortValue(row, 0)).toBe(3);
+    expect(getSortValue(row, 1)).toBe('Four');
+    expect(getSortValue(row, 2)).toBe(null);
+    expect(getSortValue(row, 3)).toBe(null);
+  });
+});
+
+describe('sortRows', () => {
+  const rows = [createRow('b', 2), createRow('a', 2), createRow('c', 1)];
+  const sortColumns = { letter: { index: 0 }, number: { index: 1 } };
+
+  it('should return the rows when there is nothing to sort by', () => {
+    expect(sortRows(rows, [], sortColumns)).toBe(rows);
+    expect(sortRows(rows, [{ key: 'unknown', direction: 'ascending' }], sortColumns)).toBe(rows);
+  });
+
+  it('should sort by each item in the sort list and keep the original order for equal rows', () => {
+    let sorted = sortRows(rows, [{ key: 'number', direction: 'ascending' }], sortColumns);
+    expect(sorted).toEqual([rows[2], rows[0], rows[1]]);
+
+    sorted = sortRows(rows, [
+      { key: 'number', direction: 'descending' },
+      { key: 'letter', direction: 'ascending' },
+    ], sortColumns);
+    expect(sorted).toEqual([rows[1], rows[0], rows[2]]);
+  });
+
+  it('should keep the rows with empty values last for both directions', () => {
+    const emptyRows = [createRow('b'), createRow(), createRow('a')];
+    const emptyColumns = { letter: { index: 0 } };
+    expect(sortRows(emptyRows, [{ key: 'letter', direction: 'ascending' }], emptyColumns))
+      .toEqual([emptyRows[2], emptyRows[0], emptyRows[1]]);
+    expect(sortRows(emptyRows, [{ key: 'letter', direction: 'descending' }], emptyColumns))
+      .toEqual([emptyRows[0], emptyRows[2], emptyRows[1]]);
+  });
+
+  it('should use the comparator for a column when provided', () => {
+    const comparator = jest.fn((a, b) => b.localeCompare(a));
+    const sorted = sortRows(rows, [{ key: 'letter', direction: 'ascending' }], {
+      letter: { index: 0, comparator },
+    });
+
+    expect(comparator).toBeCalled();
+    expect(sorted).toEqual([rows[2], rows[0], rows[1]]);
+  });
+});
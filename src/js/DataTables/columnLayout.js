@@ -0,0 +1,92 @@
+/**
+ * Gets the key for a column in the `TableHeader`. This will be the `columnKey` prop if it
+ * exists, otherwise the index of the column as a string.
+ *
+ * @param {Object} column - the `TableColumn` element.
+ * @param {number} index - the index of the column in the header row.
+ * @return {String} the column's key.
+ */
+export function getColumnKey(column, index) {
+  return column && column.props && column.props.columnKey ? column.props.columnKey : String(index);
+}
+
+/**
+ * Gets the full order of the column keys in a layout. Any keys that are missing from the
+ * layout's order will be appended in their original order and any unknown keys are removed.
+ *
+ * @param {Array.<String>} keys - the list of column keys in their original order.
+ * @param {Object} layout - the current layout.
+ * @return {Array.<String>} the ordered list of keys.
+ */
+export function getColumnOrder(keys, layout) {
+  const order = (layout.order || []).filter(key => keys.indexOf(key) !== -1);
+  return order.concat(keys.filter(key => order.indexOf(key) === -1));
+}
+
+/**
+ * Creates the list of columns that should be displayed for a layout. Each item in the list
+ * will contain the `index` of the column in the original row, the column's `key`, and the
+ * optional `width` for the column.
+ *
+ * @param {Array.<String>} keys - the list of column keys in their original order.
+ * @param {Object} layout - the current layout.
+ * @return {Array.<Object>} the list of visible columns in display order.
+ */
+export function getVisibleColumns(keys, layout) {
+  const hidden = layout.hidden || [];
+  const widths = layout.widths || {};
+  return getColumnOrder(keys, layout)
+    .filter(key => hidden.indexOf(key) === -1)
+    .map(key => ({ index: keys.indexOf(key), key, width: widths[key] }));
+}
+
+/**
+ * Creates a new layout where a column has been moved to the position of another column.
+ *
+ * @param {Object} layout - the current layout.
+ * @param {Array.<String>} keys - the list of column keys in their original order.
+ * @param {String} fromKey - the key of the column to move.
+ * @param {String} toKey - the key of the column whose position should be taken.
+ * @return {Object} the next layout.
+ */
+export function moveColumn(layout, keys, fromKey, toKey) {
+  const order = getColumnOrder(keys, layout);
+  const from = order.indexOf(fromKey);
+  const to = order.indexOf(toKey);
+  if (from === -1 || to === -1 || from === to) {
+    return layout;
+  }
+
+  order.splice(from, 1);
+  order.splice(to, 0, fromKey);
+  return { ...layout, order };
+}
+
+/**
+ * Creates a new layout where a column has a new width.
+ *
+ * @param {Object} layout - the current layout.
+ * @param {String} key - the column key to resize.
+ * @param {number} width - the new width for the column.
+ * @return {Object} the next layout.
+ */
+export function resizeColumn(layout, key, width) {
+  return { ...layout, widths: { ...layout.widths, [key]: Math.round(width) } };
+}
+
+/**
+ * Creates a new layout where a column has been hidden or shown.
+ *
+ * @param {Object} layout - the current layout.
+ * @param {String} key - the column key to toggle.
+ * @param {boolean} visible - boolean if the column should be visible.
+ * @return {Object} the next layout.
+ */
+export function toggleColumn(layout, key, visible) {
+  const hidden = (layout.hidden || []).filter(k => k !== key);
+  if (!visible) {
+    hidden.push(key);
+  }
+
+  return { ...layout, hidden };
+}
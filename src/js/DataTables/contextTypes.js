@@ -1,4 +1,5 @@
 import PropTypes from 'prop-types';
+import sortShape from './sortShape';
 
 export default {
   checkedIcon: PropTypes.element,
@@ -9,6 +10,10 @@ export default {
   selectableRows: PropTypes.bool.isRequired,
   allSelected: PropTypes.bool.isRequired,
   selectedRows: PropTypes.arrayOf(PropTypes.bool).isRequired,
+  selectedRowIds: PropTypes.arrayOf(PropTypes.oneOfType([
+    PropTypes.number,
+    PropTypes.string,
+  ])),
   createCheckbox: PropTypes.func.isRequired,
   removeCheckbox: PropTypes.func.isRequired,
   toggleSelectedRow: PropTypes.func.isRequired,
@@ -21,4 +26,23 @@ export default {
   checkboxLabelTemplate: PropTypes.string.isRequired,
   fixedHeader: PropTypes.bool.isRequired,
   fixedFooter: PropTypes.bool.isRequired,
+  sort: sortShape.isRequired,
+  sortColumns: PropTypes.object.isRequired,
+  manualSort: PropTypes.bool,
+  toggleSort: PropTypes.func.isRequired,
+  columnLayout: PropTypes.shape({
+    count: PropTypes.number.isRequired,
+    columns: PropTypes.arrayOf(PropTypes.shape({
+      index: PropTypes.number.isRequired,
+      key: PropTypes.string.isRequired,
+      width: PropTypes.number,
+    })).isRequired,
+  }),
+  resizableColumns: PropTypes.bool,
+  reorderableColumns: PropTypes.bool,
+  minColumnWidth: PropTypes.number.isRequired,
+  resizeColumn: PropTypes.func.isRequired,
+  moveColumn: PropTypes.func.isRequired,
+  getColumnOrder: PropTypes.func.isRequired,
+  grid: PropTypes.bool,
 };
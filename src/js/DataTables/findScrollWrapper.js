@@ -0,0 +1,19 @@
+/**
+ * Attempts to find the scroll wrapper that is created when the `DataTable` has a fixed header
+ * or a fixed footer from an element in the table.
+ *
+ * @param {Object} el - The element to traverse from
+ * @return {Object} the scroll wrapper or null.
+ */
+export default function findScrollWrapper(el) {
+  let node = el;
+  while (node && node.parentNode) {
+    if (node.classList && node.classList.contains('md-data-table__scroll-wrapper')) {
+      return node;
+    }
+
+    node = node.parentNode;
+  }
+
+  return null;
+}
@@ -1,4 +1,4 @@
-export { default, default as DataTable, DataTableProps } from './DataTable';
+export { default, default as DataTable, DataTableProps, SortDirection, SortItem, ColumnLayout } from './DataTable';
 export { default as TableHeader, TableHeaderProps } from './TableHeader';
 export { default as TableBody, TableBodyProps } from './TableBody';
 export { default as TableFooter, TableFooterProps } from './TableFooter';
@@ -13,3 +13,4 @@ export { default as DropdownMenuColumn, DropdownMenuColumnProps } from './Dropdo
 
 export { default as TablePagination, TablePaginationProps } from './TablePagination';
 export { default as TableCardHeader, TableCardHeaderProps } from './TableCardHeader';
+export { default as ColumnVisibilityMenu, ColumnVisibilityMenuProps } from './ColumnVisibilityMenu';
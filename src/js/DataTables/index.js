@@ -15,3 +15,4 @@ export EditDialogColumn from './EditDialogColumn';
 export SelectFieldColumn from './SelectFieldColumn';
 export MenuButtonColumn from './MenuButtonColumn';
 export DropdownMenuColumn from './DropdownMenuColumn';
+export ColumnVisibilityMenu from './ColumnVisibilityMenu';
@@ -0,0 +1,7 @@
+import PropTypes from 'prop-types';
+
+export default PropTypes.shape({
+  order: PropTypes.arrayOf(PropTypes.string),
+  hidden: PropTypes.arrayOf(PropTypes.string),
+  widths: PropTypes.objectOf(PropTypes.number),
+});
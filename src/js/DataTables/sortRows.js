@@ -0,0 +1,96 @@
+import { Children } from 'react';
+
+function isEmpty(value) {
+  return value === null || typeof value === 'undefined';
+}
+
+/**
+ * The default comparator used when a sortable `TableColumn` does not provide its own. Numbers
+ * and dates are compared by value, while everything else is compared as a string. Empty values
+ * are moved to the end.
+ *
+ * @param {*} a - the first value to compare.
+ * @param {*} b - the second value to compare.
+ * @return {number} a negative number if `a` comes before `b`, a positive number if `a` comes after
+ *      `b`, or 0 if they are equal.
+ */
+export function defaultComparator(a, b) {
+  const aEmpty = isEmpty(a);
+  const bEmpty = isEmpty(b);
+  if (aEmpty && bEmpty) {
+    return 0;
+  } else if (aEmpty || bEmpty) {
+    return aEmpty ? 1 : -1;
+  }
+
+  if ((typeof a === 'number' && typeof b === 'number') || (a instanceof Date && b instanceof Date)) {
+    return a - b;
+  }
+
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Gets the value of a cell to use while sorting. This will be the `sortValue` prop if it
+ * was provided, otherwise the `children` of the cell when they are a string or a number.
+ *
+ * @param {Object} row - the `TableRow` element.
+ * @param {number} index - the index of the column in the row.
+ * @return {*} the sortable value for the cell.
+ */
+export function getSortValue(row, index) {
+  const cell = Children.toArray(row.props.children)[index];
+  if (!cell || !cell.props) {
+    return null;
+  }
+
+  const { sortValue, children } = cell.props;
+  if (typeof sortValue !== 'undefined') {
+    return sortValue;
+  }
+
+  return typeof children === 'string' || typeof children === 'number' ? children : null;
+}
+
+/**
+ * Sorts a list of `TableRow` elements based on the current sort of a `DataTable`. Each entry
+ * in the sort list will be compared in order until a non-equal result is found. Rows that
+ * are considered equal will keep their original order. When a column uses the `defaultComparator`,
+ * the rows with an empty value will be last for both sort directions.
+ *
+ * @param {Array.<Object>} rows - the list of `TableRow` elements to sort.
+ * @param {Array.<Object>} sort - the list of `{ key, direction }` to sort by.
+ * @param {Object} sortColumns - an object of sort keys mapped to the column `index` and an
+ *      optional `comparator` function.
+ * @return {Array.<Object>} a new sorted list of rows.
+ */
+export default function sortRows(rows, sort, sortColumns) {
+  const sorters = sort.filter(({ key }) => sortColumns[key]).map(({ key, direction }) => ({
+    ...sortColumns[key],
+    modifier: direction === 'descending' ? -1 : 1,
+  }));
+
+  if (!sorters.length) {
+    return rows;
+  }
+
+  return rows.map((row, i) => ({ row, i })).sort((a, b) => {
+    let result = 0;
+    sorters.some(({ index, comparator, modifier }) => {
+      const aValue = getSortValue(a.row, index);
+      const bValue = getSortValue(b.row, index);
+      if (comparator) {
+        result = comparator(aValue, bValue) * modifier;
+      } else if (isEmpty(aValue) || isEmpty(bValue)) {
+        // The direction is not applied so that empty values stay at the end
+        result = defaultComparator(aValue, bValue);
+      } else {
+        result = defaultComparator(aValue, bValue) * modifier;
+      }
+
+      return result !== 0;
+    });
+
+    return result || a.i - b.i;
+  }).map(({ row }) => row);
+}
@@ -0,0 +1,6 @@
+import PropTypes from 'prop-types';
+
+export default PropTypes.arrayOf(PropTypes.shape({
+  key: PropTypes.string.isRequired,
+  direction: PropTypes.oneOf(['ascending', 'descending']).isRequired,
+}));
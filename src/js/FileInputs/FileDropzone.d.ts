@@ -0,0 +1,18 @@
+import * as React from 'react';
+import { Props } from '../index';
+
+export interface FileDropzoneProps extends Props {
+  children?: React.ReactNode;
+  accept?: string;
+  multiple?: boolean;
+  disabled?: boolean;
+  onChange?: (files: File | Array<File>, event: Event) => void;
+  onAcceptError?: (rejectedFiles: Array<File>, event: Event) => void;
+  onDragEnter?: (event: React.DragEvent<HTMLDivElement>) => void;
+  onDragOver?: (event: React.DragEvent<HTMLDivElement>) => void;
+  onDragLeave?: (event: React.DragEvent<HTMLDivElement>) => void;
+  onDrop?: (event: React.DragEvent<HTMLDivElement>) => void;
+}
+
+declare const FileDropzone: React.ComponentClass<FileDropzoneProps>;
+export default FileDropzone;
@@ -0,0 +1,231 @@
+import React, { PureComponent } from 'react';
+import PropTypes from 'prop-types';
+import cn from 'classnames';
+
+import isAcceptedFile from '../utils/FileUtils/isAcceptedFile';
+import getDroppedFiles from '../utils/FileUtils/getDroppedFiles';
+
+/**
+ * The `FileDropzone` component is used to allow files and folders to be dragged from the
+ * user's desktop and dropped onto an area of the page. Any dropped folders will be read
+ * recursively when the browser supports it. It is normally used by enabling the `dropzone`
+ * prop on the `FileUpload` component, but it can also be used on its own.
+ *
+ * ```js
+ * <FileDropzone accept="image/*" multiple onChange={files => this.setState({ files })}>
+ *   <p>Drop your images here</p>
+ * </FileDropzone>
+ * ```
+ */
+export default class FileDropzone extends PureComponent {
+  static propTypes = {
+    /**
+     * An optional style to apply.
+     */
+    style: PropTypes.object,
+
+    /**
+     * An optional className to apply.
+     */
+    className: PropTypes.string,
+
+    /**
+     * The children to display in the dropzone.
+     */
+    children: PropTypes.node,
+
+    /**
+     * This should be a comma separated list of Media Types that the `FileDropzone` can
+     * accept. If this prop is left blank, any file will be accepted.
+     *
+     * @see {@link FileInputs/FileInput#accept}
+     */
+    accept: PropTypes.string,
+
+    /**
+     * Boolean if multiple files will be accepted. When this is false, dragging more than one
+     * file will be displayed as invalid and only the first accepted file will be used if they
+     * are dropped anyways.
+     */
+    multiple: PropTypes.bool,
+
+    /**
+     * Boolean if the dropzone is currently disabled.
+     */
+    disabled: PropTypes.bool,
+
+    /**
+     * An optional function to call when files have been dropped. It will be called in the same
+     * way as the `FileInput`'s `onChange` so that it can be used interchangeably. Files that
+     * do not match the `accept` prop will not be included.
+     *
+     * ```js
+     * onChange(multiple ? files : file, event);
+     * ```
+     */
+    onChange: PropTypes.func,
+
+    /**
+     * An optional function to call when some of the dropped files do not match the `accept`
+     * prop. It will be given the list of files that were rejected.
+     *
+     * ```js
+     * onAcceptError(rejectedFiles, event);
+     * ```
+     */
+    onAcceptError: PropTypes.func,
+    onDragEnter: PropTypes.func,
+    onDragOver: PropTypes.func,
+    onDragLeave: PropTypes.func,
+    onDrop: PropTypes.func,
+  };
+
+  constructor(props) {
+    super(props);
+
+    this.state = { dragging: false, invalid: false };
+    this._dragDepth = 0;
+  }
+
+  /**
+   * Checks if the drag event is for files instead of some text or an element on the page.
+   */
+  _isFileDrag({ dataTransfer }) {
+    return !!dataTransfer && Array.prototype.slice.call(dataTransfer.types || []).indexOf('Files') !== -1;
+  }
+
+  /**
+   * Checks if the items being dragged should be displayed as invalid. Only the media type of
+   * each item is known until they are dropped, so items without a type are considered valid.
+   */
+  _isInvalidDrag({ dataTransfer }) {
+    const { accept, multiple } = this.props;
+    const items = Array.prototype.slice.call(dataTransfer.items || []).filter(item => item.kind === 'file');
+    if (!multiple && items.length > 1) {
+      return true;
+    }
+
+    return !!items.length && !items.some(({ type }) => !type || isAcceptedFile({ type }, accept));
+  }
+
+  _handleDragEnter = (e) => {
+    if (this.props.onDragEnter) {
+      this.props.onDragEnter(e);
+    }
+
+    if (!this._isFileDrag(e)) {
+      return;
+    }
+
+    e.preventDefault();
+    this._dragDepth += 1;
+    if (!this.props.disabled && !this.state.dragging) {
+      this.setState({ dragging: true, invalid: this._isInvalidDrag(e) });
+    }
+  };
+
+  _handleDragOver = (e) => {
+    if (this.props.onDragOver) {
+      this.props.onDragOver(e);
+    }
+
+    if (!this._isFileDrag(e)) {
+      return;
+    }
+
+    e.preventDefault();
+    e.dataTransfer.dropEffect = this.props.disabled || this.state.invalid ? 'none' : 'copy';
+  };
+
+  _handleDragLeave = (e) => {
+    if (this.props.onDragLeave) {
+      this.props.onDragLeave(e);
+    }
+
+    if (!this._isFileDrag(e)) {
+      return;
+    }
+
+    this._dragDepth = Math.max(0, this._dragDepth - 1);
+    if (!this._dragDepth && this.state.dragging) {
+      this.setState({ dragging: false, invalid: false });
+    }
+  };
+
+  _handleDrop = (e) => {
+    if (this.props.onDrop) {
+      this.props.onDrop(e);
+    }
+
+    if (!this._isFileDrag(e)) {
+      return;
+    }
+
+    e.preventDefault();
+    this._dragDepth = 0;
+    if (this.state.dragging) {
+      this.setState({ dragging: false, invalid: false });
+    }
+
+    if (this.props.disabled) {
+      return;
+    }
+
+    e.persist();
+    getDroppedFiles(e.dataTransfer).then((files) => {
+      this._handleFiles(files, e);
+    }).catch((error) => {
+      // Errors thrown by the callbacks are rethrown outside of the promise so they are reported
+      // like any other error instead of becoming unhandled rejections.
+      setTimeout(() => {
+        throw error;
+      });
+    });
+  };
+
+  _handleFiles(files, e) {
+    const { accept, multiple, onChange, onAcceptError } = this.props;
+    const accepted = files.filter(file => isAcceptedFile(file, accept));
+    if (accepted.length !== files.length && onAcceptError) {
+      onAcceptError(files.filter(file => accepted.indexOf(file) === -1), e);
+    }
+
+    if (accepted.length && onChange) {
+      onChange(multiple ? accepted : accepted[0], e);
+    }
+  }
+
+  render() {
+    const { dragging, invalid } = this.state;
+    const {
+      className,
+      disabled,
+      /* eslint-disable no-unused-vars */
+      accept,
+      multiple,
+      onChange,
+      onAcceptError,
+      onDragEnter,
+      onDragOver,
+      onDragLeave,
+      onDrop,
+      /* eslint-enable no-unused-vars */
+      ...props
+    } = this.props;
+
+    return (
+      <div
+        {...props}
+        className={cn('md-file-dropzone', {
+          'md-file-dropzone--active': dragging && !invalid,
+          'md-file-dropzone--invalid': dragging && invalid,
+          'md-file-dropzone--disabled': disabled,
+        }, className)}
+        onDragEnter={this._handleDragEnter}
+        onDragOver={this._handleDragOver}
+        onDragLeave={this._handleDragLeave}
+        onDrop={this._handleDrop}
+      />
+    );
+  }
+}
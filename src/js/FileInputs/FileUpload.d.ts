@@ -1,6 +1,42 @@
+import * as React from 'react';
 import { FileReaderTypes, FileInputProps } from './FileInput';
+import { FileUploadListProps, FileUploadState } from './FileUploadList';
+import { ImageCropDialogProps } from './ImageCropDialog';
 
 type ReadAs = (fileType: string, file: File, fileReader: FileReader) => void;
+
+export interface ImageProcessingOptions {
+  maxWidth?: number;
+  maxHeight?: number;
+  type?: string;
+  quality?: number;
+}
+
+export interface UploadTransportOptions {
+  url: string;
+  file: File;
+  body: Blob;
+  start: number;
+  end: number;
+  method?: string;
+  headers?: { [header: string]: string };
+  data?: { [field: string]: string | Blob };
+  fieldName?: string;
+  withCredentials?: boolean;
+  onProgress?: (loaded: number, total: number, event: ProgressEvent) => void;
+}
+
+export interface UploadTransportResult {
+  status: number;
+  response: any;
+}
+
+export interface UploadRequest {
+  promise: PromiseLike<UploadTransportResult>;
+  abort: () => void;
+}
+
+export type UploadTransport = (options: UploadTransportOptions) => UploadRequest;
 export interface FileUploadProps extends FileInputProps {
   maxSize?: number;
   readAs?: FileReaderTypes | ReadAs;
@@ -9,12 +45,37 @@ export interface FileUploadProps extends FileInputProps {
   onError?: (file: File, error: Error, event: Event) => void;
   onLoadStart?: (file: File, event: Event) => void;
   onLoadEnd?: (file: File, event: Event) => void;
-  onLoad?: (file: File, result: string | ArrayBuffer, event: Event) => void;
+  onLoad?: (file: File, result: string | ArrayBuffer | UploadTransportResult, event: Event) => void;
   onProgress?: (file: File, progress: number, event: Event) => void;
+  dropzone?: boolean;
+  dropzoneStyle?: React.CSSProperties;
+  dropzoneClassName?: string;
+  dropzoneLabel?: React.ReactNode;
+  onAcceptError?: (rejectedFiles: Array<File>, event: Event) => void;
+  uploadUrl?: string | ((file: File) => string);
+  uploadMethod?: string;
+  uploadHeaders?: { [header: string]: string };
+  uploadData?: { [field: string]: string | Blob };
+  uploadFieldName?: string;
+  withCredentials?: boolean;
+  transport?: UploadTransport;
+  concurrency?: number;
+  retries?: number;
+  retryDelay?: number;
+  chunkSize?: number;
+  onUploadsChange?: (uploads: Array<FileUploadState>) => void;
+  uploadList?: boolean;
+  uploadListProps?: Partial<FileUploadListProps>;
+  imageOptions?: ImageProcessingOptions;
+  cropImages?: boolean;
+  cropDialogProps?: Partial<ImageCropDialogProps>;
+  thumbnailSize?: number;
 }
 
 interface FileUploadComponent extends React.ComponentClass<FileUploadProps> {
-  abort(file: string | File): void;
+  abort(file?: string | File): void;
+  retry(file: string | File): void;
+  remove(file: string | File): void;
 }
 
 declare const FileUpload: FileUploadComponent;
@@ -2,8 +2,16 @@ import React, { PureComponent } from 'react';
 import PropTypes from 'prop-types';
 import { findDOMNode } from 'react-dom';
 import FileInput from './FileInput';
+import FileDropzone from './FileDropzone';
+import FileUploadList from './FileUploadList';
+import ImageCropDialog from './ImageCropDialog';
 
-import omit from '../utils/omit';
+import uploadFile from '../utils/FileUtils/uploadFile';
+import xhrTransport from '../utils/FileUtils/xhrTransport';
+import processImage from '../utils/FileUtils/processImage';
+import createImageThumbnail from '../utils/FileUtils/createImageThumbnail';
+
+const PROCESSABLE_IMAGE = /^image\/(jpe?g|png|webp|bmp)$/;
 
 /**
  * The `FileUpload` component is used to upload files locally This is a wrapper of the `FileInput` component
@@ -31,6 +39,40 @@ import omit from '../utils/omit';
  * <FileUpload ref="upload" />
  * <Button raised onClick={() => this.refs.upload.abort()} label="Abort! Abort!" />
  * ```
+ *
+ * Files can also be dragged from the desktop by enabling the `dropzone` prop. Dropped files
+ * are validated against the same `accept`, `multiple`, and `maxSize` props as selected files.
+ *
+ * ```js
+ * <FileUpload id="images" dropzone dropzoneLabel="Drop images here" accept="image/*" multiple />
+ * ```
+ *
+ * Files can be sent to a server instead of being read locally by providing an `uploadUrl`.
+ * The same `onLoadStart`, `onProgress`, `onLoad`, `onError`, `onAbort`, and `onLoadEnd`
+ * callbacks and `abort` function will be used for the network upload.
+ *
+ * ```js
+ * <FileUpload id="attachments" uploadUrl="/api/attachments" chunkSize={1024 * 1024} retries={3} multiple />
+ * ```
+ *
+ * The upload state of each file can be displayed by enabling the `uploadList` prop, and a file
+ * can be retried or removed with the `retry(file || fileName)` and `remove(file || fileName)`
+ * functions.
+ *
+ * Image files can be resized, converted, and cropped before they are uploaded with the
+ * `imageOptions` and `cropImages` props. The `maxSize` is checked after the images have
+ * been processed.
+ *
+ * ```js
+ * <FileUpload
+ *   id="avatar"
+ *   accept="image/*"
+ *   uploadUrl="/api/avatar"
+ *   imageOptions={{ maxWidth: 512, maxHeight: 512, type: 'image/jpeg', quality: 0.85 }}
+ *   cropImages
+ *   cropDialogProps={{ aspectRatio: 1 }}
+ * />
+ * ```
  */
 export default class FileUpload extends PureComponent {
   static propTypes = {
@@ -226,9 +268,208 @@ export default class FileUpload extends PureComponent {
      * @see {@link #allowDuplicates}
      */
     value: PropTypes.string,
+
+    /**
+     * Boolean if the `FileUpload` should also allow files and folders to be dragged and dropped
+     * onto it. The `FileInput` will be rendered within a `FileDropzone`.
+     */
+    dropzone: PropTypes.bool,
+
+    /**
+     * An optional style to apply to the dropzone when the `dropzone` prop is enabled.
+     */
+    dropzoneStyle: PropTypes.object,
+
+    /**
+     * An optional className to apply to the dropzone when the `dropzone` prop is enabled.
+     */
+    dropzoneClassName: PropTypes.string,
+
+    /**
+     * An optional label to display in the dropzone when the `dropzone` prop is enabled.
+     */
+    dropzoneLabel: PropTypes.node,
+
+    /**
+     * An optional function to call when some of the dropped files do not match the `accept`
+     * prop. It will be given a list of files that were rejected.
+     *
+     * @see {@link FileInputs/FileDropzone#onAcceptError}
+     */
+    onAcceptError: PropTypes.func,
+
+    /**
+     * An optional url to upload the files to. When this is provided, the files will be
+     * sent to the server with the `transport` instead of being read locally with a
+     * `FileReader`. This can also be a function that returns the url for a file.
+     *
+     * When uploading, the `onLoad` function will be given the file and the result of
+     * the transport, the `onError` function will be given the file and the error, and the
+     * `onProgress` function will be given the file, the progress of the entire upload, and
+     * the progress event.
+     */
+    uploadUrl: PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.func,
+    ]),
+
+    /**
+     * The request method to use when uploading files.
+     */
+    uploadMethod: PropTypes.string,
+
+    /**
+     * Any additional request headers to send when uploading files.
+     */
+    uploadHeaders: PropTypes.object,
+
+    /**
+     * Any additional form data fields to send when uploading files.
+     */
+    uploadData: PropTypes.object,
+
+    /**
+     * The form data field name to send the file as.
+     */
+    uploadFieldName: PropTypes.string,
+
+    /**
+     * Boolean if cookies and authorization headers should be sent with cross-origin uploads.
+     */
+    withCredentials: PropTypes.bool,
+
+    /**
+     * The function used to send each upload request. It will be given the upload options
+     * and must return an object containing the `promise` for the request and an `abort`
+     * function. This can be changed to use a different request library or to stub the
+     * server in tests.
+     *
+     * @see {@link utils/FileUtils/xhrTransport}
+     */
+    transport: PropTypes.func,
+
+    /**
+     * The maximum number of files that can be uploaded at the same time. Any other files
+     * will wait until an upload has finished.
+     */
+    concurrency: PropTypes.number,
+
+    /**
+     * The number of times a failed upload request should be retried. Only network errors,
+     * timeouts, rate limiting, and server errors will be retried.
+     */
+    retries: PropTypes.number,
+
+    /**
+     * The number of milliseconds to wait before the first retry. Each retry after that will
+     * wait twice as long as the previous one.
+     */
+    retryDelay: PropTypes.number,
+
+    /**
+     * An optional number of bytes to send in each upload request. When this is provided,
+     * large files will be split into chunks that are sent one at a time with a `Content-Range`
+     * header so that a failed upload can resume from the last chunk that was sent. Retrying a
+     * failed or aborted upload will also resume from the last chunk that was sent.
+     */
+    chunkSize: PropTypes.number,
+
+    /**
+     * An optional function to call when the upload state of the files changes. It will be
+     * given a list of objects containing the `file`, the `status` of the upload, the `progress`
+     * as a number between 0 and 100, the number of bytes that have been uploaded as the `offset`,
+     * the `error` if the upload failed, and the `thumbnail` data url when the `thumbnailSize` prop
+     * is set. The status will be one of `'queued'`, `'uploading'`, `'complete'`, `'error'`, or
+     * `'aborted'`.
+     *
+     * This can be used to render a `FileUploadList` somewhere else on the page.
+     */
+    onUploadsChange: PropTypes.func,
+
+    /**
+     * Boolean if a `FileUploadList` should be rendered below the `FileInput` to display the
+     * upload state of each file. Each file can be cancelled, retried, or removed from the list.
+     */
+    uploadList: PropTypes.bool,
+
+    /**
+     * Any additional props to provide to the `FileUploadList` when the `uploadList` prop
+     * is enabled.
+     */
+    uploadListProps: PropTypes.object,
+
+    /**
+     * An optional object of options to process JPEG, PNG, WebP, and BMP images with before
+     * they are uploaded. The images will always have their EXIF orientation applied and will
+     * be scaled down to fit within the `maxWidth` and `maxHeight`, and converted into the MIME
+     * `type` with the `quality` between 0 and 1. Any image that can not be processed will be
+     * uploaded as is.
+     *
+     * @see {@link utils/FileUtils/processImage}
+     */
+    imageOptions: PropTypes.shape({
+      maxWidth: PropTypes.number,
+      maxHeight: PropTypes.number,
+      type: PropTypes.string,
+      quality: PropTypes.number,
+    }),
+
+    /**
+     * Boolean if an `ImageCropDialog` should be displayed for each JPEG, PNG, WebP, and BMP image
+     * so that the image can be cropped before it is uploaded. Any image that has its dialog
+     * cancelled will not be uploaded.
+     */
+    cropImages: PropTypes.bool,
+
+    /**
+     * Any additional props to provide to the `ImageCropDialog` when the `cropImages` prop
+     * is enabled.
+     */
+    cropDialogProps: PropTypes.object,
+
+    /**
+     * An optional max width and height for a thumbnail to generate for each image. The
+     * thumbnail will be added to the upload state as a data url and displayed in the
+     * `FileUploadList` instead of the full image.
+     */
+    thumbnailSize: PropTypes.number,
+  };
+
+  static defaultProps = {
+    uploadMethod: 'POST',
+    uploadFieldName: 'file',
+    transport: xhrTransport,
+    concurrency: 3,
+    retries: 2,
+    retryDelay: 1000,
   };
 
-  state = {};
+  constructor(props) {
+    super(props);
+
+    this.state = { uploads: [], cropFile: null };
+    this._handles = {};
+    this._queue = [];
+    this._uploading = 0;
+    this._crops = [];
+  }
+
+  componentDidUpdate(prevProps, prevState) {
+    const { uploads } = this.state;
+    if (this.props.onUploadsChange && prevState.uploads !== uploads) {
+      this.props.onUploadsChange(uploads);
+    }
+  }
+
+  componentWillUnmount() {
+    this._unmounted = true;
+    this._queue = [];
+    if (this.props.uploadUrl) {
+      Object.keys(this._handles).forEach((fileName) => {
+        this._handles[fileName].abort();
+      });
+    }
+  }
 
   /**
    * Attempts to abort the upload of a file. This function takes an optional `file` or `fileName`
@@ -242,20 +483,77 @@ export default class FileUpload extends PureComponent {
     let fileName = file;
     if (!file) {
       // Attempt to remove first file added...
-      fileName = Object.keys(this.state)[0];
+      fileName = Object.keys(this._handles)[0];
     } else if (typeof file.name === 'string') {
       fileName = file.name;
     }
 
-    const reader = this.state[fileName];
+    const reader = this._handles[fileName];
     if (reader) {
+      delete this._handles[fileName];
       reader.abort();
       findDOMNode(this).querySelector('.md-file-input').value = '';
 
-      this.setState(omit(this.state, [fileName]));
+      this._updateUpload(fileName, { status: 'aborted' });
     }
   };
 
+  /**
+   * Attempts to restart the upload of a file that failed or was aborted. Files that were
+   * being uploaded will resume from the last chunk that was uploaded successfully.
+   *
+   * @param {Object|string} file - The file or the file name to retry.
+   */
+  retry = (file) => {
+    const fileName = typeof file.name === 'string' ? file.name : file;
+    const upload = this._findUpload(fileName);
+    if (!upload || (upload.status !== 'error' && upload.status !== 'aborted')) {
+      return;
+    }
+
+    this._startFiles([upload.file], true);
+  };
+
+  /**
+   * Removes a file from the upload state. If the file is still uploading, it will be
+   * aborted first.
+   *
+   * @param {Object|string} file - The file or the file name to remove.
+   */
+  remove = (file) => {
+    const fileName = typeof file.name === 'string' ? file.name : file;
+    this.abort(fileName);
+    this.setState(({ uploads }) => ({ uploads: uploads.filter(upload => upload.file.name !== fileName) }));
+  };
+
+  _findUpload(fileName) {
+    return this.state.uploads.filter(upload => upload.file.name === fileName)[0];
+  }
+
+  /**
+   * Updates the upload state of a file. Files that have been removed will not be added back.
+   */
+  _updateUpload(fileName, changes) {
+    if (this._unmounted) {
+      return;
+    }
+
+    this.setState(({ uploads }) => ({
+      uploads: uploads.map(upload => (upload.file.name === fileName ? { ...upload, ...changes } : upload)),
+    }));
+  }
+
+  /**
+   * Removes the handle for a file once it has finished and updates the upload state. Nothing
+   * will happen if the handle no longer matches since the file was aborted or restarted.
+   */
+  _finishHandle(file, handle, changes) {
+    if (this._handles[file.name] === handle) {
+      delete this._handles[file.name];
+      this._updateUpload(file.name, changes);
+    }
+  }
+
   _uploadFile = (file) => {
     const {
       onAbort,
@@ -270,17 +568,21 @@ export default class FileUpload extends PureComponent {
     const { name, type } = file;
 
     const fr = new FileReader();
-    if (onError) {
-      fr.onerror = e => {
+    fr.onerror = e => {
+      if (onError) {
         onError(file, e.target.error, e);
-      };
-    }
+      }
+
+      this._finishHandle(file, fr, { status: 'error', error: e.target.error });
+    };
 
-    if (onAbort) {
-      fr.onabort = e => {
+    fr.onabort = e => {
+      if (onAbort) {
         onAbort(file, e);
-      };
-    }
+      }
+
+      this._finishHandle(file, fr, { status: 'aborted' });
+    };
 
     if (onLoadStart) {
       fr.onloadstart = e => {
@@ -299,16 +601,21 @@ export default class FileUpload extends PureComponent {
         onLoad(file, e.target.result, e);
       }
 
-      this.setState(omit(this.state, [name]));
+      this._finishHandle(file, fr, { status: 'complete', progress: 100 });
     };
 
-    if (onProgress) {
-      fr.onprogress = e => {
-        if (e.lengthComputable) {
-          onProgress(file, (e.loaded / e.total) * 100, e);
+    fr.onprogress = e => {
+      if (e.lengthComputable) {
+        const progress = (e.loaded / e.total) * 100;
+        if (onProgress) {
+          onProgress(file, progress, e);
         }
-      };
-    }
+
+        if (this._handles[name] === fr) {
+          this._updateUpload(name, { progress });
+        }
+      }
+    };
 
     if (readAs) {
       if (typeof readAs === 'function') {
@@ -329,14 +636,304 @@ export default class FileUpload extends PureComponent {
     return fr;
   };
 
+  /**
+   * Adds a file to the upload queue. The returned object can be used to abort the file
+   * before it has started uploading.
+   */
+  _queueUpload = (file, offset) => {
+    const queued = {
+      file,
+      offset,
+      abort: () => {
+        this._queue = this._queue.filter(item => item !== queued);
+        if (this.props.onAbort) {
+          this.props.onAbort(file, null);
+        }
+      },
+    };
+
+    this._queue.push(queued);
+    return queued;
+  };
+
+  /**
+   * Starts uploading the queued files until the concurrency limit has been reached.
+   */
+  _startUploads = () => {
+    const { concurrency } = this.props;
+    while (this._queue.length && (!concurrency || this._uploading < concurrency)) {
+      const queued = this._queue.shift();
+      const { file, offset } = queued;
+
+      // files that were replaced by another file with the same name while queued are skipped
+      if (this._handles[file.name] === queued) {
+        this._handles[file.name] = this._sendFile(file, offset);
+        this._updateUpload(file.name, { status: 'uploading' });
+      }
+    }
+  };
+
+  _sendFile = (file, offset) => {
+    const {
+      uploadUrl,
+      uploadMethod,
+      uploadHeaders,
+      uploadData,
+      uploadFieldName,
+      withCredentials,
+      transport,
+      retries,
+      retryDelay,
+      chunkSize,
+      onLoadStart,
+      onProgress,
+    } = this.props;
+
+    this._uploading += 1;
+    if (onLoadStart) {
+      onLoadStart(file, null);
+    }
+
+    const upload = uploadFile(file, {
+      url: typeof uploadUrl === 'function' ? uploadUrl(file) : uploadUrl,
+      method: uploadMethod,
+      headers: uploadHeaders,
+      data: uploadData,
+      fieldName: uploadFieldName,
+      withCredentials,
+      transport,
+      retries,
+      retryDelay,
+      chunkSize,
+      offset,
+      onChunk: (uploaded) => {
+        if (this._handles[file.name] === upload) {
+          this._updateUpload(file.name, { offset: uploaded });
+        }
+      },
+      onProgress: (progress, e) => {
+        if (onProgress) {
+          onProgress(file, progress, e);
+        }
+
+        if (this._handles[file.name] === upload) {
+          this._updateUpload(file.name, { progress });
+        }
+      },
+    });
+
+    upload.promise.then((result) => {
+      if (this.props.onLoad) {
+        this.props.onLoad(file, result, null);
+      }
+
+      this._finishUpload(file, upload, { status: 'complete', progress: 100 });
+    }, (error) => {
+      const { onAbort, onError } = this.props;
+      if (error.aborted && onAbort) {
+        onAbort(file, null);
+      } else if (!error.aborted && onError) {
+        onError(file, error, null);
+      }
+
+      this._finishUpload(file, upload, error.aborted ? { status: 'aborted' } : { status: 'error', error });
+    });
+
+    return upload;
+  };
+
+  _finishUpload = (file, upload, changes) => {
+    this._uploading -= 1;
+    if (this.props.onLoadEnd) {
+      this.props.onLoadEnd(file, null);
+    }
+
+    if (this._unmounted) {
+      return;
+    }
+
+    this._finishHandle(file, upload, changes);
+    this._startUploads();
+  };
+
+  /**
+   * Adds the files to the upload state and then starts reading or uploading them. Any
+   * files with the same name as an existing file will replace the existing file in place.
+   * When the files are being resumed, the uploads will start from their last uploaded offset.
+   */
+  _startFiles(files, resume = false) {
+    const { uploadUrl } = this.props;
+    const added = files.map((file) => {
+      const existing = resume && uploadUrl ? this._findUpload(file.name) : null;
+      const offset = existing ? existing.offset : 0;
+
+      return {
+        file,
+        status: uploadUrl ? 'queued' : 'uploading',
+        progress: offset ? (offset / file.size) * 100 : 0,
+        offset,
+        error: null,
+      };
+    });
+
+    // new files need a thumbnail while retried files keep their existing thumbnail
+    const newFiles = files.filter((file) => {
+      const existing = this._findUpload(file.name);
+      return !existing || existing.file !== file;
+    });
+
+    this.setState(({ uploads }) => {
+      const names = uploads.map(({ file }) => file.name);
+      const nextUploads = uploads.slice();
+      added.forEach((upload) => {
+        const index = names.indexOf(upload.file.name);
+        if (index === -1) {
+          nextUploads.push(upload);
+        } else {
+          const { file, thumbnail } = uploads[index];
+          nextUploads[index] = file === upload.file && thumbnail ? { ...upload, thumbnail } : upload;
+        }
+      });
+
+      return { uploads: nextUploads };
+    });
+
+    added.forEach(({ file, offset }) => {
+      this._handles[file.name] = uploadUrl ? this._queueUpload(file, offset) : this._uploadFile(file);
+    });
+
+    if (uploadUrl) {
+      this._startUploads();
+    }
+
+    newFiles.forEach(this._createThumbnail);
+  }
+
+  /**
+   * Generates a thumbnail for an image file when the `thumbnailSize` prop is set and adds it
+   * to the file's upload state.
+   */
+  _createThumbnail = (file) => {
+    const { thumbnailSize } = this.props;
+    if (!thumbnailSize || !PROCESSABLE_IMAGE.test(file.type)) {
+      return;
+    }
+
+    createImageThumbnail(file, thumbnailSize).then((thumbnail) => {
+      if (this._unmounted) {
+        return;
+      }
+
+      this.setState(({ uploads }) => ({
+        uploads: uploads.map(upload => (upload.file === file ? { ...upload, thumbnail } : upload)),
+      }));
+    }, () => {
+      // The file list will display the image itself when a thumbnail can not be created.
+    });
+  };
+
+  /**
+   * Queues an image file to be displayed in the `ImageCropDialog`. Files added while another
+   * file is being cropped will be displayed once the previous crops have finished. The returned
+   * promise resolves with the crop area, `null` if the image could not be loaded, or `false`
+   * if the dialog was cancelled.
+   */
+  _cropImage(file) {
+    return new Promise((resolve) => {
+      this._crops.push({ file, resolve });
+      if (this._crops.length === 1) {
+        this.setState({ cropFile: file });
+      }
+    });
+  }
+
+  _finishCrop(crop) {
+    const current = this._crops.shift();
+    if (!this._unmounted) {
+      this.setState({ cropFile: this._crops.length ? this._crops[0].file : null });
+    }
+
+    if (current) {
+      current.resolve(crop);
+    }
+  }
+
+  _handleCrop = (crop) => {
+    this._finishCrop(crop);
+  };
+
+  _handleCropCancel = () => {
+    this._finishCrop(false);
+  };
+
+  _handleCropError = () => {
+    this._finishCrop(null);
+  };
+
+  /**
+   * Crops and processes an image file. The returned promise resolves with the processed
+   * file, the original file if it is not an image or could not be processed, or `null`
+   * if the crop was cancelled.
+   */
+  _processImage = (file) => {
+    const { imageOptions, cropImages } = this.props;
+    if (!PROCESSABLE_IMAGE.test(file.type)) {
+      return Promise.resolve(file);
+    }
+
+    const crop = cropImages ? this._cropImage(file) : Promise.resolve(null);
+    return crop.then((area) => {
+      if (area === false) {
+        return null;
+      } else if (!area && !imageOptions) {
+        return file;
+      }
+
+      return processImage(file, { ...imageOptions, crop: area || undefined }).catch(() => file);
+    });
+  };
+
+  /**
+   * Processes each image file one at a time so that only one crop dialog is visible.
+   */
+  _processFiles(files) {
+    return files.reduce((promise, file) => promise.then(processed => (
+      this._processImage(file).then(result => (result ? processed.concat(result) : processed))
+    )), Promise.resolve([]));
+  }
+
   _handleUpload = (fileList, e) => {
     if (this.props.onChange) {
       this.props.onChange(fileList, e);
     }
 
     if (!fileList) { return; }
+    const files = Array.isArray(fileList) ? fileList : [fileList];
+    const { imageOptions, cropImages } = this.props;
+    if ((imageOptions || cropImages) && files.some(file => PROCESSABLE_IMAGE.test(file.type))) {
+      this._processFiles(files).then((processed) => {
+        if (!this._unmounted) {
+          this._addFiles(processed);
+        }
+      }).catch((error) => {
+        const { onError } = this.props;
+        if (!this._unmounted && onError) {
+          files.forEach(file => onError(file, error, null));
+        }
+      });
+      return;
+    }
+
+    this._addFiles(files);
+  };
+
+  /**
+   * Starts the files that are within the `maxSize` and calls the `onSizeError` function
+   * with the files that are not.
+   */
+  _addFiles(allFiles) {
     const { maxSize, onSizeError } = this.props;
-    let files = Array.isArray(fileList) ? fileList : [fileList];
+    let files = allFiles;
 
     let errorFiles = [];
     if (maxSize) {
@@ -352,14 +949,8 @@ export default class FileUpload extends PureComponent {
       return;
     }
 
-    const nextState = {};
-    files.forEach(file => {
-      const fileReader = this._uploadFile(file);
-      nextState[file.name] = fileReader;
-    });
-
-    this.setState(nextState);
-  };
+    this._startFiles(files);
+  }
 
   render() {
     const {
@@ -373,10 +964,94 @@ export default class FileUpload extends PureComponent {
       onAbort,
       onError,
       onSizeError,
+      uploadUrl,
+      uploadMethod,
+      uploadHeaders,
+      uploadData,
+      uploadFieldName,
+      withCredentials,
+      transport,
+      concurrency,
+      retries,
+      retryDelay,
+      chunkSize,
+      onUploadsChange,
+      imageOptions,
+      thumbnailSize,
       /* eslint-enable no-unused-vars */
+      dropzone,
+      dropzoneStyle,
+      dropzoneClassName,
+      dropzoneLabel,
+      onAcceptError,
+      uploadList,
+      uploadListProps,
+      cropImages,
+      cropDialogProps,
       ...props
     } = this.props;
 
-    return <FileInput {...props} onChange={this._handleUpload} />;
+    const input = <FileInput {...props} onChange={this._handleUpload} />;
+    let list;
+    if (uploadList) {
+      list = (
+        <FileUploadList
+          id={`${props.id}-uploads`}
+          {...uploadListProps}
+          uploads={this.state.uploads}
+          onCancel={this.abort}
+          onRetry={this.retry}
+          onRemove={this.remove}
+        />
+      );
+    }
+
+    let dialog;
+    if (cropImages) {
+      dialog = (
+        <ImageCropDialog
+          id={`${props.id}-crop`}
+          {...cropDialogProps}
+          file={this.state.cropFile}
+          onCrop={this._handleCrop}
+          onCancel={this._handleCropCancel}
+          onLoadError={this._handleCropError}
+        />
+      );
+    }
+
+    if (!dropzone && !list && !dialog) {
+      return input;
+    } else if (!dropzone) {
+      return (
+        <div className="md-file-upload">
+          {input}
+          {list}
+          {dialog}
+        </div>
+      );
+    }
+
+    let label;
+    if (dropzoneLabel) {
+      label = <div className="md-file-dropzone-label">{dropzoneLabel}</div>;
+    }
+
+    return (
+      <FileDropzone
+        style={dropzoneStyle}
+        className={dropzoneClassName}
+        accept={props.accept}
+        multiple={props.multiple}
+        disabled={props.disabled}
+        onChange={this._handleUpload}
+        onAcceptError={onAcceptError}
+      >
+        {label}
+        {input}
+        {list}
+        {dialog}
+      </FileDropzone>
+    );
   }
 }
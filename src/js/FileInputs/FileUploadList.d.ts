@@ -0,0 +1,37 @@
+import * as React from 'react';
+import { IdPropType, Props } from '../index';
+
+export type FileUploadStatus = 'queued' | 'uploading' | 'complete' | 'error' | 'aborted';
+
+export interface FileUploadState {
+  file: File;
+  status: FileUploadStatus;
+  progress: number;
+  offset: number;
+  error: Error | null;
+  thumbnail?: string;
+}
+
+export interface FileUploadListProps extends Props {
+  id: IdPropType;
+  uploads: Array<FileUploadState>;
+  onCancel?: (file: File) => void;
+  onRetry?: (file: File) => void;
+  onRemove?: (file: File) => void;
+  thumbnails?: boolean;
+  fileIcon?: React.ReactElement<any>;
+  cancelIcon?: React.ReactElement<any>;
+  retryIcon?: React.ReactElement<any>;
+  removeIcon?: React.ReactElement<any>;
+  cancelLabel?: string;
+  retryLabel?: string;
+  removeLabel?: string;
+  queuedText?: React.ReactNode;
+  completeText?: React.ReactNode;
+  abortedText?: React.ReactNode;
+  errorText?: React.ReactNode;
+  formatSize?: (bytes: number) => string;
+}
+
+declare const FileUploadList: React.ComponentClass<FileUploadListProps>;
+export default FileUploadList;
@@ -0,0 +1,333 @@
+import React, { PureComponent } from 'react';
+import PropTypes from 'prop-types';
+import cn from 'classnames';
+
+import formatFileSize from '../utils/FileUtils/formatFileSize';
+import List from '../Lists/List';
+import ListItem from '../Lists/ListItem';
+import Avatar from '../Avatars/Avatar';
+import Button from '../Buttons/Button';
+import FontIcon from '../FontIcons/FontIcon';
+import LinearProgress from '../Progress/LinearProgress';
+
+const IMAGE_TYPE = /^image\//;
+
+// The tiles only display the file's state, so they should not be focusable buttons.
+const TILE_PROPS = { role: null, tabIndex: null };
+
+/**
+ * The `FileUploadList` component is used to display the upload state of each file in a
+ * `FileUpload`. Each file will display a thumbnail, the file's name and size, the upload
+ * progress or error, and an action to cancel, retry, or remove the file.
+ *
+ * It is normally rendered by enabling the `uploadList` prop on the `FileUpload`, but it can
+ * also be rendered anywhere else by using the `FileUpload`'s `onUploadsChange` prop and
+ * `abort`, `retry`, and `remove` functions.
+ *
+ * ```js
+ * <FileUpload
+ *   id="files"
+ *   ref={upload => { this.upload = upload; }}
+ *   onUploadsChange={uploads => this.setState({ uploads })}
+ * />
+ * <FileUploadList
+ *   id="files-list"
+ *   uploads={this.state.uploads}
+ *   onCancel={file => this.upload.abort(file)}
+ *   onRetry={file => this.upload.retry(file)}
+ *   onRemove={file => this.upload.remove(file)}
+ * />
+ * ```
+ */
+export default class FileUploadList extends PureComponent {
+  static propTypes = {
+    /**
+     * An id to use for the list. This is used to create ids for each upload's progress bar.
+     */
+    id: PropTypes.oneOfType([
+      PropTypes.number,
+      PropTypes.string,
+    ]).isRequired,
+
+    /**
+     * An optional style to apply to the list.
+     */
+    style: PropTypes.object,
+
+    /**
+     * An optional className to apply to the list.
+     */
+    className: PropTypes.string,
+
+    /**
+     * The list of uploads to display. This should be the upload state from a `FileUpload`.
+     */
+    uploads: PropTypes.arrayOf(PropTypes.shape({
+      file: PropTypes.object.isRequired,
+      status: PropTypes.oneOf(['queued', 'uploading', 'complete', 'error', 'aborted']).isRequired,
+      progress: PropTypes.number,
+      offset: PropTypes.number,
+      error: PropTypes.object,
+      thumbnail: PropTypes.string,
+    })).isRequired,
+
+    /**
+     * An optional function to call with the file when the cancel button is clicked for a file
+     * that is queued or uploading.
+     */
+    onCancel: PropTypes.func,
+
+    /**
+     * An optional function to call with the file when the retry button is clicked for a file
+     * that failed or was cancelled.
+     */
+    onRetry: PropTypes.func,
+
+    /**
+     * An optional function to call with the file when the remove button is clicked for a file
+     * that is no longer uploading.
+     */
+    onRemove: PropTypes.func,
+
+    /**
+     * Boolean if image files should display a thumbnail of the image. Uploads that have a
+     * `thumbnail` data url will display it, otherwise this requires `URL.createObjectURL` to
+     * be supported.
+     */
+    thumbnails: PropTypes.bool,
+
+    /**
+     * The icon to display for files that do not have a thumbnail.
+     */
+    fileIcon: PropTypes.element,
+
+    /**
+     * The icon to use for the cancel button.
+     */
+    cancelIcon: PropTypes.element,
+
+    /**
+     * The icon to use for the retry button.
+     */
+    retryIcon: PropTypes.element,
+
+    /**
+     * The icon to use for the remove button.
+     */
+    removeIcon: PropTypes.element,
+
+    /**
+     * The accessible label for the cancel button.
+     */
+    cancelLabel: PropTypes.string,
+
+    /**
+     * The accessible label for the retry button.
+     */
+    retryLabel: PropTypes.string,
+
+    /**
+     * The accessible label for the remove button.
+     */
+    removeLabel: PropTypes.string,
+
+    /**
+     * The text to display for files that are waiting to be uploaded.
+     */
+    queuedText: PropTypes.node,
+
+    /**
+     * The text to display for files that have been uploaded.
+     */
+    completeText: PropTypes.node,
+
+    /**
+     * The text to display for files that were cancelled.
+     */
+    abortedText: PropTypes.node,
+
+    /**
+     * The text to display for files that failed when the error does not have a message.
+     */
+    errorText: PropTypes.node,
+
+    /**
+     * A function used to format the size of each file.
+     */
+    formatSize: PropTypes.func,
+  };
+
+  static defaultProps = {
+    thumbnails: true,
+    fileIcon: <FontIcon>insert_drive_file</FontIcon>,
+    cancelIcon: <FontIcon>close</FontIcon>,
+    retryIcon: <FontIcon>refresh</FontIcon>,
+    removeIcon: <FontIcon>delete</FontIcon>,
+    cancelLabel: 'Cancel',
+    retryLabel: 'Retry',
+    removeLabel: 'Remove',
+    queuedText: 'Waiting',
+    completeText: 'Complete',
+    abortedText: 'Cancelled',
+    errorText: 'Upload failed',
+    formatSize: formatFileSize,
+  };
+
+  constructor(props) {
+    super(props);
+
+    this.state = { thumbnails: this._createThumbnails(props, []) };
+  }
+
+  componentWillReceiveProps(nextProps) {
+    const { uploads, thumbnails } = this.props;
+    if (uploads !== nextProps.uploads || thumbnails !== nextProps.thumbnails) {
+      this.setState({ thumbnails: this._createThumbnails(nextProps, this.state.thumbnails) });
+    }
+  }
+
+  componentWillUnmount() {
+    this._revokeThumbnails(this.state.thumbnails);
+  }
+
+  /**
+   * Creates an object url for each image file that does not already have one or a generated
+   * thumbnail and revokes the object urls for any files that no longer need them.
+   */
+  _createThumbnails({ uploads, thumbnails: enabled }, thumbnails) {
+    if (!enabled || typeof URL === 'undefined' || typeof URL.createObjectURL !== 'function') {
+      this._revokeThumbnails(thumbnails);
+      return [];
+    }
+
+    const files = uploads.filter(({ thumbnail }) => !thumbnail).map(({ file }) => file);
+    this._revokeThumbnails(thumbnails.filter(({ file }) => files.indexOf(file) === -1));
+    return files.filter(file => IMAGE_TYPE.test(file.type)).map((file) => {
+      const existing = thumbnails.filter(thumbnail => thumbnail.file === file)[0];
+      return existing || { file, url: URL.createObjectURL(file) };
+    });
+  }
+
+  _revokeThumbnails(thumbnails) {
+    if (thumbnails.length && typeof URL.revokeObjectURL === 'function') {
+      thumbnails.forEach(({ url }) => URL.revokeObjectURL(url));
+    }
+  }
+
+  _renderAction(file, action, icon, label) {
+    if (!action) {
+      return null;
+    }
+
+    return (
+      <Button
+        key={label}
+        icon
+        iconEl={icon}
+        aria-label={label}
+        className="md-file-upload-list-action"
+        onClick={() => action(file)}
+      />
+    );
+  }
+
+  /**
+   * Files that are uploading can be cancelled, files that failed or were cancelled can be
+   * retried or removed, and files that have been uploaded can be removed.
+   */
+  _renderActions({ file, status }) {
+    const {
+      onCancel,
+      onRetry,
+      onRemove,
+      cancelIcon,
+      retryIcon,
+      removeIcon,
+      cancelLabel,
+      retryLabel,
+      removeLabel,
+    } = this.props;
+
+    if (status === 'queued' || status === 'uploading') {
+      return this._renderAction(file, onCancel, cancelIcon, cancelLabel);
+    }
+
+    const remove = this._renderAction(file, onRemove, removeIcon, removeLabel);
+    if (status === 'complete') {
+      return remove;
+    }
+
+    return [this._renderAction(file, onRetry, retryIcon, retryLabel), remove];
+  }
+
+  _renderUpload(upload, index) {
+    const { id, fileIcon, formatSize, queuedText, completeText, abortedText, errorText } = this.props;
+    const { file, status, progress, error } = upload;
+
+    let thumbnail = this.state.thumbnails.filter(t => t.file === file)[0];
+    thumbnail = thumbnail && thumbnail.url;
+    if (upload.thumbnail && this.props.thumbnails) {
+      thumbnail = upload.thumbnail;
+    }
+
+    let avatar;
+    if (thumbnail) {
+      avatar = <Avatar src={thumbnail} role="presentation" />;
+    } else {
+      avatar = <Avatar icon={fileIcon} />;
+    }
+
+    let statusText;
+    if (status === 'queued') {
+      statusText = queuedText;
+    } else if (status === 'uploading') {
+      statusText = `${Math.round(progress || 0)}%`;
+    } else if (status === 'complete') {
+      statusText = completeText;
+    } else if (status === 'aborted') {
+      statusText = abortedText;
+    } else {
+      statusText = (error && error.message) || errorText;
+    }
+
+    let progressBar;
+    if (status === 'uploading') {
+      progressBar = (
+        <LinearProgress
+          id={`${id}-progress-${index}`}
+          className="md-file-upload-list-progress"
+          value={progress || 0}
+        />
+      );
+    }
+
+    return (
+      <ListItem
+        key={file.name}
+        primaryText={file.name}
+        secondaryText={(
+          <span className={cn({ 'md-text--error': status === 'error' })}>
+            {`${formatSize(file.size)} • `}{statusText}
+          </span>
+        )}
+        leftAvatar={avatar}
+        className={cn('md-file-upload-list-item', `md-file-upload-list-item--${status}`)}
+        tileProps={TILE_PROPS}
+        inkDisabled
+      >
+        {this._renderActions(upload)}
+        {progressBar}
+      </ListItem>
+    );
+  }
+
+  render() {
+    const { id, style, className, uploads } = this.props;
+
+    return (
+      <List id={id} style={style} className={cn('md-file-upload-list', className)}>
+        {uploads.map((upload, i) => this._renderUpload(upload, i))}
+      </List>
+    );
+  }
+}
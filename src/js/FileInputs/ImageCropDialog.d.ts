@@ -0,0 +1,32 @@
+import * as React from 'react';
+import { IdPropType, Props } from '../index';
+
+export interface ImageCropArea {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface ImageCropDialogProps extends Props {
+  // for any additional props that are provided to the `DialogContainer`
+  [key: string]: any;
+
+  id: IdPropType;
+  cropClassName?: string;
+  file?: File | null;
+  aspectRatio?: number;
+  previewSize?: number;
+  minSize?: number;
+  step?: number;
+  title?: React.ReactNode;
+  cropLabel?: string;
+  okLabel?: React.ReactNode;
+  cancelLabel?: React.ReactNode;
+  onCrop: (crop: ImageCropArea, file: File) => void;
+  onCancel: (file: File) => void;
+  onLoadError?: (error: Error, file: File) => void;
+}
+
+declare const ImageCropDialog: React.ComponentClass<ImageCropDialogProps>;
+export default ImageCropDialog;
@@ -0,0 +1,429 @@
+import React, { PureComponent } from 'react';
+import PropTypes from 'prop-types';
+import cn from 'classnames';
+
+import { DOWN, LEFT, RIGHT, UP } from '../constants/keyCodes';
+import { setTouchEvent } from '../utils/EventUtils/touches';
+import { loadOrientedImage, getOrientedSize, drawImage } from '../utils/FileUtils/renderImage';
+import DialogContainer from '../Dialogs/DialogContainer';
+import CircularProgress from '../Progress/CircularProgress';
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Gets the largest crop area that is centered within the image and matches the aspect ratio.
+ */
+function getInitialCrop(width, height, aspectRatio) {
+  let cropWidth = width;
+  let cropHeight = height;
+  if (aspectRatio && width / height > aspectRatio) {
+    cropWidth = height * aspectRatio;
+  } else if (aspectRatio) {
+    cropHeight = width / aspectRatio;
+  }
+
+  return {
+    x: (width - cropWidth) / 2,
+    y: (height - cropHeight) / 2,
+    width: cropWidth,
+    height: cropHeight,
+  };
+}
+
+/**
+ * Moves the crop area by the distances while keeping it within the image.
+ */
+function moveCrop(crop, dx, dy, width, height) {
+  return {
+    ...crop,
+    x: clamp(crop.x + dx, 0, width - crop.width),
+    y: clamp(crop.y + dy, 0, height - crop.height),
+  };
+}
+
+/**
+ * Resizes the crop area from its bottom right corner by the distances while keeping it
+ * within the image. When there is an aspect ratio, the larger change will be used for both
+ * the width and the height.
+ */
+function resizeCrop(crop, dx, dy, width, height, aspectRatio, minSize) {
+  const maxWidth = width - crop.x;
+  const maxHeight = height - crop.y;
+  if (!aspectRatio) {
+    return {
+      ...crop,
+      width: clamp(crop.width + dx, Math.min(minSize, maxWidth), maxWidth),
+      height: clamp(crop.height + dy, Math.min(minSize, maxHeight), maxHeight),
+    };
+  }
+
+  const delta = Math.abs(dx) >= Math.abs(dy * aspectRatio) ? dx : dy * aspectRatio;
+  const maxCropWidth = Math.min(maxWidth, maxHeight * aspectRatio);
+  const minCropWidth = Math.min(Math.max(minSize, minSize * aspectRatio), maxCropWidth);
+  const cropWidth = clamp(crop.width + delta, minCropWidth, maxCropWidth);
+
+  return { ...crop, width: cropWidth, height: cropWidth / aspectRatio };
+}
+
+/**
+ * The `ImageCropDialog` component is used to select an area of an image file to crop to
+ * before it is uploaded. A preview of the image will be displayed in a `DialogContainer`
+ * with a crop area that can be dragged to move it, or dragged by its corner handle to resize
+ * it. The crop area can also be moved with the arrow keys and resized with shift and the
+ * arrow keys.
+ *
+ * The dialog will be visible while there is a `file` and the `onCrop` function will be called
+ * with the crop area in pixels of the full-sized image so that it can be given to the
+ * `processImage` util.
+ *
+ * ```js
+ * <ImageCropDialog
+ *   id="avatar-crop"
+ *   file={this.state.file}
+ *   aspectRatio={1}
+ *   onCrop={(crop, file) => processImage(file, { crop, maxWidth: 256, maxHeight: 256 })}
+ *   onCancel={() => this.setState({ file: null })}
+ * />
+ * ```
+ */
+export default class ImageCropDialog extends PureComponent {
+  static propTypes = {
+    /**
+     * An id for the dialog.
+     */
+    id: PropTypes.oneOfType([
+      PropTypes.number,
+      PropTypes.string,
+    ]).isRequired,
+
+    /**
+     * An optional className to apply to the crop container.
+     */
+    cropClassName: PropTypes.string,
+
+    /**
+     * The image file to crop. The dialog will be visible while this is defined.
+     */
+    file: PropTypes.object,
+
+    /**
+     * An optional aspect ratio (width / height) the crop area must keep.
+     */
+    aspectRatio: PropTypes.number,
+
+    /**
+     * The max width and height of the image preview in the dialog.
+     */
+    previewSize: PropTypes.number,
+
+    /**
+     * The min width and height of the crop area in pixels of the image preview.
+     */
+    minSize: PropTypes.number,
+
+    /**
+     * The number of pixels the crop area should move or be resized by when an arrow
+     * key is pressed.
+     */
+    step: PropTypes.number,
+
+    /**
+     * The title to display in the dialog.
+     */
+    title: PropTypes.node,
+
+    /**
+     * The accessible label for the crop area.
+     */
+    cropLabel: PropTypes.string,
+
+    /**
+     * The label for the crop button.
+     */
+    okLabel: PropTypes.node,
+
+    /**
+     * The label for the cancel button.
+     */
+    cancelLabel: PropTypes.node,
+
+    /**
+     * A function to call when the crop button is clicked. It will be given the crop area
+     * containing the `x`, `y`, `width`, and `height` in pixels of the full-sized image and
+     * the file.
+     *
+     * ```js
+     * onCrop({ x, y, width, height }, file);
+     * ```
+     */
+    onCrop: PropTypes.func.isRequired,
+
+    /**
+     * A function to call with the file when the dialog is cancelled.
+     */
+    onCancel: PropTypes.func.isRequired,
+
+    /**
+     * An optional function to call when the image could not be loaded. It will be given
+     * the error and the file.
+     */
+    onLoadError: PropTypes.func,
+  };
+
+  static defaultProps = {
+    previewSize: 400,
+    minSize: 20,
+    step: 10,
+    title: 'Crop image',
+    cropLabel: 'Crop area',
+    okLabel: 'Crop',
+    cancelLabel: 'Cancel',
+  };
+
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      preview: null,
+      width: 0,
+      height: 0,
+      scale: 1,
+      crop: null,
+    };
+    this._drag = null;
+  }
+
+  componentDidMount() {
+    this._loadPreview(this.props);
+  }
+
+  componentWillReceiveProps(nextProps) {
+    const { file, previewSize, aspectRatio } = this.props;
+    if (file !== nextProps.file || previewSize !== nextProps.previewSize) {
+      this._loadPreview(nextProps);
+    } else if (aspectRatio !== nextProps.aspectRatio && this.state.crop) {
+      const { width, height } = this.state;
+      this.setState({ crop: getInitialCrop(width, height, nextProps.aspectRatio) });
+    }
+  }
+
+  componentWillUnmount() {
+    this._unmounted = true;
+    this._setDragListeners(false);
+  }
+
+  /**
+   * Renders a scaled down preview of the image and gets the size of the full image so that
+   * the crop area can be converted into pixels of the full-sized image. The image is only
+   * loaded once for both.
+   */
+  _loadPreview({ file, previewSize, aspectRatio, onLoadError }) {
+    this._file = file;
+    this.setState({ preview: null, crop: null });
+    if (!file) {
+      return;
+    }
+
+    loadOrientedImage(file).then(({ image, orientation }) => {
+      if (this._unmounted || this._file !== file) {
+        return;
+      }
+
+      const canvas = drawImage(image, orientation, { maxWidth: previewSize, maxHeight: previewSize });
+      const size = getOrientedSize(image, orientation);
+      const { width, height } = canvas;
+      this.setState({
+        preview: canvas.toDataURL(),
+        width,
+        height,
+        scale: size.width / width,
+        crop: getInitialCrop(width, height, aspectRatio),
+      });
+    }, (error) => {
+      if (!this._unmounted && this._file === file && onLoadError) {
+        onLoadError(error, file);
+      }
+    });
+  }
+
+  _setDragListeners(add) {
+    if (this._dragAdded === add) {
+      return;
+    }
+
+    if (add) {
+      window.addEventListener('mousemove', this._handleDragMove);
+      window.addEventListener('mouseup', this._handleDragEnd);
+    } else {
+      window.removeEventListener('mousemove', this._handleDragMove);
+      window.removeEventListener('mouseup', this._handleDragEnd);
+    }
+
+    setTouchEvent(add, window, 'move', this._handleDragMove);
+    setTouchEvent(add, window, 'end', this._handleDragEnd);
+
+    this._dragAdded = add;
+  }
+
+  _updateCrop(crop, dx, dy, resize) {
+    const { aspectRatio, minSize } = this.props;
+    const { width, height } = this.state;
+    if (resize) {
+      return resizeCrop(crop, dx, dy, width, height, aspectRatio, minSize);
+    }
+
+    return moveCrop(crop, dx, dy, width, height);
+  }
+
+  _handleDragStart = (e) => {
+    const { crop } = this.state;
+    if (!crop || (e.type === 'mousedown' && e.button !== 0)) {
+      return;
+    }
+
+    // Prevents the image from being dragged and text highlighting
+    if (e.type === 'mousedown') {
+      e.preventDefault();
+    }
+
+    const { clientX, clientY } = e.changedTouches ? e.changedTouches[0] : e;
+    this._drag = {
+      x: clientX,
+      y: clientY,
+      crop,
+      resize: e.target.classList.contains('md-image-crop-handle'),
+    };
+    this._setDragListeners(true);
+  };
+
+  _handleDragMove = (e) => {
+    if (!this._drag) {
+      return;
+    }
+
+    if (e.type === 'mousemove') {
+      e.preventDefault();
+    }
+
+    const { clientX, clientY } = e.changedTouches ? e.changedTouches[0] : e;
+    const { x, y, crop, resize } = this._drag;
+    this.setState({ crop: this._updateCrop(crop, clientX - x, clientY - y, resize) });
+  };
+
+  _handleDragEnd = () => {
+    this._drag = null;
+    this._setDragListeners(false);
+  };
+
+  _handleKeyDown = (e) => {
+    const { crop } = this.state;
+    const key = e.which || e.keyCode;
+    if (!crop || [LEFT, UP, RIGHT, DOWN].indexOf(key) === -1) {
+      return;
+    }
+
+    e.preventDefault();
+    const { step } = this.props;
+    let dx = 0;
+    let dy = 0;
+    if (key === LEFT || key === RIGHT) {
+      dx = key === LEFT ? -step : step;
+    } else {
+      dy = key === UP ? -step : step;
+    }
+
+    this.setState({ crop: this._updateCrop(crop, dx, dy, e.shiftKey) });
+  };
+
+  _handleCrop = () => {
+    const { crop, scale, width, height } = this.state;
+    if (!crop) {
+      return;
+    }
+
+    const naturalWidth = Math.round(width * scale);
+    const naturalHeight = Math.round(height * scale);
+    const x = Math.round(crop.x * scale);
+    const y = Math.round(crop.y * scale);
+    this.props.onCrop({
+      x,
+      y,
+      width: Math.max(1, Math.min(naturalWidth - x, Math.round(crop.width * scale))),
+      height: Math.max(1, Math.min(naturalHeight - y, Math.round(crop.height * scale))),
+    }, this.props.file);
+  };
+
+  _handleCancel = () => {
+    this.props.onCancel(this.props.file);
+  };
+
+  render() {
+    const { preview, width, height, crop } = this.state;
+    const {
+      id,
+      cropClassName,
+      file,
+      title,
+      cropLabel,
+      okLabel,
+      cancelLabel,
+      /* eslint-disable no-unused-vars */
+      aspectRatio,
+      previewSize,
+      minSize,
+      step,
+      onCrop,
+      onCancel,
+      onLoadError,
+      /* eslint-enable no-unused-vars */
+      ...props
+    } = this.props;
+
+    let content;
+    if (preview && crop) {
+      content = (
+        <div className={cn('md-image-crop', cropClassName)} style={{ width, height }}>
+          <img src={preview} alt="" className="md-image-crop-image" />
+          <div
+            className="md-image-crop-area"
+            style={{ left: crop.x, top: crop.y, width: crop.width, height: crop.height }}
+            tabIndex={0}
+            aria-label={cropLabel}
+            onMouseDown={this._handleDragStart}
+            onTouchStart={this._handleDragStart}
+            onKeyDown={this._handleKeyDown}
+          >
+            <div className="md-image-crop-handle" />
+          </div>
+        </div>
+      );
+    } else {
+      content = <CircularProgress id={`${id}-progress`} />;
+    }
+
+    const actions = [{
+      children: cancelLabel,
+      onClick: this._handleCancel,
+    }, {
+      children: okLabel,
+      onClick: this._handleCrop,
+      disabled: !crop,
+      primary: true,
+    }];
+
+    return (
+      <DialogContainer
+        {...props}
+        id={id}
+        visible={!!file}
+        title={title}
+        actions={actions}
+        onHide={this._handleCancel}
+      >
+        {content}
+      </DialogContainer>
+    );
+  }
+}
@@ -0,0 +1,150 @@
+/* eslint-env jest */
+import React from 'react';
+import { findDOMNode } from 'react-dom';
+import { Simulate, renderIntoDocument } from 'react-dom/test-utils';
+
+import FileDropzone from '../FileDropzone';
+
+const PNG = { name: 'cat.png', type: 'image/png', size: 1024 };
+const TEXT = { name: 'notes.txt', type: 'text/plain', size: 1024 };
+
+function createDataTransfer(files, types = ['Files']) {
+  return {
+    types,
+    files,
+    items: files.map(({ type }) => ({ kind: 'file', type })),
+  };
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve));
+
+describe('FileDropzone', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('merges className and style and renders the children', () => {
+    const dropzone = renderIntoDocument(
+      <FileDropzone style={{ display: 'block' }} className="test"><span>Drop here</span></FileDropzone>
+    );
+
+    const node = findDOMNode(dropzone);
+    expect(node.style.display).toBe('block');
+    expect(node.className).toBe('md-file-dropzone test');
+    expect(node.textContent).toBe('Drop here');
+  });
+
+  it('should display the drag state while files are dragged over it', () => {
+    const dropzone = renderIntoDocument(<FileDropzone accept="image/*" />);
+    const node = findDOMNode(dropzone);
+
+    Simulate.dragEnter(node, { dataTransfer: createDataTransfer([PNG]) });
+    expect(node.className).toContain('md-file-dropzone--active');
+
+    Simulate.dragEnter(node, { dataTransfer: createDataTransfer([PNG]) });
+    Simulate.dragLeave(node, { dataTransfer: createDataTransfer([PNG]) });
+    expect(node.className).toContain('md-file-dropzone--active');
+
+    Simulate.dragLeave(node, { dataTransfer: createDataTransfer([PNG]) });
+    expect(node.className).not.toContain('md-file-dropzone--active');
+
+    Simulate.dragEnter(node, { dataTransfer: createDataTransfer([PNG], ['text/plain']) });
+    expect(node.className).not.toContain('md-file-dropzone--active');
+  });
+
+  it('should display the invalid state when the dragged files can not be dropped', () => {
+    let dropzone = renderIntoDocument(<FileDropzone accept="image/*" />);
+    let node = findDOMNode(dropzone);
+    const dataTransfer = createDataTransfer([TEXT]);
+
+    Simulate.dragEnter(node, { dataTransfer });
+    Simulate.dragOver(node, { dataTransfer });
+    expect(node.className).toContain('md-file-dropzone--invalid');
+    expect(dataTransfer.dropEffect).toBe('none');
+
+    dropzone = renderIntoDocument(<FileDropzone />);
+    node = findDOMNode(dropzone);
+    Simulate.dragEnter(node, { dataTransfer: createDataTransfer([PNG, TEXT]) });
+    expect(node.className).toContain('md-file-dropzone--invalid');
+  });
+
+  it('should call the onChange prop with the accepted files when dropped', () => {
+    const onChange = jest.fn();
+    const onAcceptError = jest.fn();
+    const dropzone = renderIntoDocument(
+      <FileDropzone accept="image/*" multiple onChange={onChange} onAcceptError={onAcceptError} />
+    );
+
+    Simulate.drop(findDOMNode(dropzone), { dataTransfer: createDataTransfer([PNG, TEXT]) });
+    return flush().then(() => {
+      expect(onChange.mock.calls.length).toBe(1);
+      expect(onChange.mock.calls[0][0]).toEqual([PNG]);
+      expect(onAcceptError.mock.calls.length).toBe(1);
+      expect(onAcceptError.mock.calls[0][0]).toEqual([TEXT]);
+    });
+  });
+
+  it('should only call the onChange prop with the first file when not multiple', () => {
+    const onChange = jest.fn();
+    const dropzone = renderIntoDocument(<FileDropzone onChange={onChange} />);
+
+    Simulate.drop(findDOMNode(dropzone), { dataTransfer: createDataTransfer([PNG, TEXT]) });
+    return flush().then(() => {
+      expect(onChange.mock.calls[0][0]).toBe(PNG);
+    });
+  });
+
+  it('should fall back to the dropped files without the folders when a folder can not be read', () => {
+    const onChange = jest.fn();
+    const onAcceptError = jest.fn();
+    const dropzone = renderIntoDocument(
+      <FileDropzone accept="image/*" multiple onChange={onChange} onAcceptError={onAcceptError} />
+    );
+
+    const dataTransfer = createDataTransfer([PNG, { name: 'photos', type: '', size: 0 }]);
+    dataTransfer.items = dataTransfer.items.map((item, i) => ({
+      ...item,
+      webkitGetAsEntry: () => ({
+        name: i === 0 ? PNG.name : 'photos',
+        isFile: i === 0,
+        isDirectory: i !== 0,
+        file: (resolve, reject) => reject(new Error('NotFoundError')),
+        createReader: () => ({ readEntries: (resolve, reject) => reject(new Error('NotReadableError')) }),
+      }),
+    }));
+
+    Simulate.drop(findDOMNode(dropzone), { dataTransfer });
+    return flush().then(() => {
+      expect(onChange.mock.calls.length).toBe(1);
+      expect(onChange.mock.calls[0][0]).toEqual([PNG]);
+      expect(onAcceptError).not.toBeCalled();
+    });
+  });
+
+  it('should rethrow errors from the callbacks outside of the promise', () => {
+    jest.useFakeTimers();
+    const error = new Error('Invalid file');
+    const onChange = jest.fn(() => {
+      throw error;
+    });
+    const dropzone = renderIntoDocument(<FileDropzone onChange={onChange} />);
+
+    Simulate.drop(findDOMNode(dropzone), { dataTransfer: createDataTransfer([PNG]) });
+
+    // the timers are faked, so only the pending promise callbacks can be flushed
+    return [0, 1, 2].reduce(promise => promise.then(() => {}), Promise.resolve()).then(() => {
+      expect(onChange).toBeCalled();
+      expect(() => jest.runAllTimers()).toThrow(error);
+    });
+  });
+
+  it('should not call the onChange prop when disabled', () => {
+    const onChange = jest.fn();
+    const dropzone = renderIntoDocument(<FileDropzone disabled onChange={onChange} />);
+
+    Simulate.drop(findDOMNode(dropzone), { dataTransfer: createDataTransfer([PNG]) });
+    return flush().then(() => {
+      expect(onChange).not.toBeCalled();
+    });
+  });
+});
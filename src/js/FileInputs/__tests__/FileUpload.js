@@ -6,9 +6,22 @@ import {
   Simulate,
   renderIntoDocument,
   findRenderedDOMComponentWithTag,
+  findRenderedComponentWithType,
 } from 'react-dom/test-utils';
 
 import FileUpload from '../FileUpload';
+import FileInput from '../FileInput';
+import FileDropzone from '../FileDropzone';
+import FileUploadList from '../FileUploadList';
+import ImageCropDialog from '../ImageCropDialog';
+import processImage from '../../utils/FileUtils/processImage';
+import createImageThumbnail from '../../utils/FileUtils/createImageThumbnail';
+import { loadOrientedImage } from '../../utils/FileUtils/renderImage';
+import { createServer, flush, FakeXMLHttpRequest } from '../../../../__mocks__/upload';
+
+jest.mock('../../utils/FileUtils/renderImage');
+jest.mock('../../utils/FileUtils/processImage');
+jest.mock('../../utils/FileUtils/createImageThumbnail');
 
 const File = jest.fn((size, type) => ({
   name: 'Test.jpg',
@@ -20,6 +33,10 @@ const File = jest.fn((size, type) => ({
 
 const FAKE_FILE_PATH = 'C:\\fakepath\\Test.png';
 
+function createFile(name, type = 'image/png', size = 1024) {
+  return { name, type, size };
+}
+
 describe('FileUpload', () => {
   it('merges className and style', () => {
     const style = { display: 'block' };
@@ -393,4 +410,421 @@ describe('FileUpload', () => {
     expect(readAs.mock.calls[0][1]).toEqual(files[0]);
     expect(readAs.mock.calls[0][2]).toEqual(frMock);
   });
+
+  describe('dropzone', () => {
+    it('should render the FileInput inside of a FileDropzone', () => {
+      const fileUpload = renderIntoDocument(
+        <FileUpload id="test" dropzone dropzoneClassName="test" dropzoneLabel="Drop here" />
+      );
+
+      const dropzone = findRenderedComponentWithType(fileUpload, FileDropzone);
+      expect(dropzone.props.className).toBe('test');
+      expect(findDOMNode(dropzone).textContent).toContain('Drop here');
+      expect(findRenderedComponentWithType(dropzone, FileInput)).toBeDefined();
+    });
+
+    it('should validate the dropped files with the accept and maxSize props', () => {
+      const frMock = { readAsDataURL: jest.fn() };
+      spyOn(window, 'FileReader').and.returnValue(frMock);
+
+      const onChange = jest.fn();
+      const onSizeError = jest.fn();
+      const onAcceptError = jest.fn();
+      const fileUpload = renderIntoDocument(
+        <FileUpload
+          id="test"
+          dropzone
+          multiple
+          accept="image/*"
+          maxSize={1024}
+          onChange={onChange}
+          onSizeError={onSizeError}
+          onAcceptError={onAcceptError}
+        />
+      );
+
+      const image = new File();
+      const largeImage = new File(2048);
+      const text = new File(100, 'text/plain');
+      const files = [image, largeImage, text];
+      const dataTransfer = { types: ['Files'], files, items: [] };
+      Simulate.drop(findDOMNode(fileUpload), { dataTransfer });
+
+      return new Promise(resolve => setTimeout(resolve)).then(() => {
+        expect(onAcceptError.mock.calls[0][0]).toEqual([text]);
+        expect(onChange.mock.calls[0][0]).toEqual([image, largeImage]);
+        expect(onSizeError.mock.calls[0][0]).toEqual([largeImage]);
+        expect(frMock.readAsDataURL.mock.calls.length).toBe(1);
+        expect(frMock.readAsDataURL.mock.calls[0][0]).toBe(image);
+      });
+    });
+  });
+
+  describe('uploading', () => {
+    it('should send the files with the transport instead of reading them', () => {
+      spyOn(window, 'FileReader');
+      const { transport, requests } = createServer();
+      const onLoadStart = jest.fn();
+      const onLoad = jest.fn();
+      const onLoadEnd = jest.fn();
+      const fileUpload = renderIntoDocument(
+        <FileUpload
+          id="test"
+          uploadUrl={file => `/api/${file.name}`}
+          uploadData={{ folder: 'images' }}
+          transport={transport}
+          onLoadStart={onLoadStart}
+          onLoad={onLoad}
+          onLoadEnd={onLoadEnd}
+        />
+      );
+
+      const file = createFile('a.jpg');
+      const input = findRenderedDOMComponentWithTag(fileUpload, 'input');
+      Simulate.change(input, { target: { files: [file], value: FAKE_FILE_PATH } });
+
+      expect(window.FileReader).not.toHaveBeenCalled();
+      expect(requests.length).toBe(1);
+      expect(requests[0].options).toEqual(expect.objectContaining({
+        url: '/api/a.jpg',
+        method: 'POST',
+        fieldName: 'file',
+        data: { folder: 'images' },
+        file,
+      }));
+      expect(onLoadStart.mock.calls[0][0]).toBe(file);
+
+      requests[0].resolve({ status: 200, response: 'ok' });
+      return flush().then(() => {
+        expect(onLoad.mock.calls[0][0]).toBe(file);
+        expect(onLoad.mock.calls[0][1]).toEqual({ status: 200, response: 'ok' });
+        expect(onLoadEnd.mock.calls[0][0]).toBe(file);
+        expect(fileUpload.state.uploads).toEqual([{ file, status: 'complete', progress: 100, offset: 1024, error: null }]);
+      });
+    });
+
+    it('should only upload the concurrency number of files at a time', () => {
+      const { transport, requests } = createServer();
+      const onError = jest.fn();
+      const fileUpload = renderIntoDocument(
+        <FileUpload id="test" multiple uploadUrl="/api" transport={transport} concurrency={2} retries={0} onError={onError} />
+      );
+
+      const files = [createFile('a.jpg'), createFile('b.jpg'), createFile('c.jpg')];
+      const input = findRenderedDOMComponentWithTag(fileUpload, 'input');
+      Simulate.change(input, { target: { files, value: FAKE_FILE_PATH } });
+
+      expect(requests.length).toBe(2);
+      const error = new Error('Bad request');
+      error.status = 400;
+      requests[1].reject(error);
+      return flush().then(() => {
+        expect(onError.mock.calls[0][0]).toBe(files[1]);
+        expect(onError.mock.calls[0][1]).toBe(error);
+        expect(requests.length).toBe(3);
+        expect(requests[2].options.file).toBe(files[2]);
+      });
+    });
+
+    it('should abort uploading and queued files with the abort function', () => {
+      const { transport, requests } = createServer();
+      const onAbort = jest.fn();
+      const fileUpload = renderIntoDocument(
+        <FileUpload id="test" multiple uploadUrl="/api" transport={transport} concurrency={1} onAbort={onAbort} />
+      );
+
+      const files = [createFile('a.jpg'), createFile('b.jpg'), createFile('c.jpg')];
+      const input = findRenderedDOMComponentWithTag(fileUpload, 'input');
+      Simulate.change(input, { target: { files, value: FAKE_FILE_PATH } });
+
+      fileUpload.abort('b.jpg');
+      expect(onAbort.mock.calls[0][0]).toBe(files[1]);
+
+      fileUpload.abort(files[0]);
+      expect(requests[0].abort).toBeCalled();
+      return flush().then(() => {
+        expect(onAbort.mock.calls.length).toBe(2);
+        expect(onAbort.mock.calls[1][0]).toBe(files[0]);
+        expect(requests.length).toBe(2);
+        expect(requests[1].options.file).toBe(files[2]);
+      });
+    });
+
+    it('should track the upload state of each file and allow them to be retried or removed', () => {
+      const { transport, requests } = createServer();
+      const onUploadsChange = jest.fn();
+      const fileUpload = renderIntoDocument(
+        <FileUpload id="test" multiple uploadUrl="/api" transport={transport} concurrency={1} retries={0} onUploadsChange={onUploadsChange} />
+      );
+
+      const files = [createFile('a.jpg'), createFile('b.jpg')];
+      const input = findRenderedDOMComponentWithTag(fileUpload, 'input');
+      Simulate.change(input, { target: { files, value: FAKE_FILE_PATH } });
+
+      expect(fileUpload.state.uploads.map(({ status }) => status)).toEqual(['uploading', 'queued']);
+      expect(onUploadsChange).toHaveBeenLastCalledWith(fileUpload.state.uploads);
+
+      requests[0].options.onProgress(512, 1024);
+      expect(fileUpload.state.uploads[0].progress).toBe(50);
+
+      const error = new Error('Server error');
+      error.status = 500;
+      requests[0].reject(error);
+      return flush().then(() => {
+        expect(fileUpload.state.uploads[0]).toEqual({ file: files[0], status: 'error', progress: 50, offset: 0, error });
+        expect(fileUpload.state.uploads[1].status).toBe('uploading');
+
+        fileUpload.retry(files[0]);
+        expect(fileUpload.state.uploads.map(({ status }) => status)).toEqual(['queued', 'uploading']);
+
+        fileUpload.remove('b.jpg');
+        expect(requests[1].abort).toBeCalled();
+        expect(fileUpload.state.uploads.map(({ file }) => file)).toEqual([files[0]]);
+
+        return flush();
+      }).then(() => {
+        expect(requests.length).toBe(3);
+        expect(requests[2].options.file).toBe(files[0]);
+      });
+    });
+
+    describe('with the default transport', () => {
+      const { XMLHttpRequest } = window;
+      beforeEach(() => {
+        FakeXMLHttpRequest.requests = [];
+        window.XMLHttpRequest = FakeXMLHttpRequest;
+      });
+
+      afterAll(() => {
+        window.XMLHttpRequest = XMLHttpRequest;
+      });
+
+      it('should resume a retried upload from the last chunk that was uploaded', () => {
+        const fileUpload = renderIntoDocument(<FileUpload id="test" uploadUrl="/api" chunkSize={4} />);
+        const file = Object.assign(new Blob(['0123456789']), { name: 'a.txt' });
+        const input = findRenderedDOMComponentWithTag(fileUpload, 'input');
+        Simulate.change(input, { target: { files: [file], value: FAKE_FILE_PATH } });
+
+        const { requests } = FakeXMLHttpRequest;
+        expect(requests[0].headers['Content-Range']).toBe('bytes 0-3/10');
+        requests[0].respond(200, 'ok');
+        return flush().then(() => {
+          expect(requests[1].headers['Content-Range']).toBe('bytes 4-7/10');
+          fileUpload.abort(file);
+          return flush();
+        }).then(() => {
+          expect(fileUpload.state.uploads[0]).toEqual(expect.objectContaining({ status: 'aborted', offset: 4 }));
+
+          fileUpload.retry(file);
+          expect(requests.length).toBe(3);
+          expect(requests[2].headers['Content-Range']).toBe('bytes 4-7/10');
+          expect(fileUpload.state.uploads[0]).toEqual(expect.objectContaining({ status: 'uploading', progress: 40 }));
+        });
+      });
+    });
+  });
+
+  describe('uploadList', () => {
+    it('should render a FileUploadList with the upload state', () => {
+      const frMock = { readAsDataURL: jest.fn() };
+      spyOn(window, 'FileReader').and.returnValue(frMock);
+
+      const fileUpload = renderIntoDocument(
+        <FileUpload id="test" uploadList uploadListProps={{ className: 'test' }} />
+      );
+
+      const list = findRenderedComponentWithType(fileUpload, FileUploadList);
+      expect(list.props.id).toBe('test-uploads');
+      expect(list.props.className).toBe('test');
+      expect(list.props.onCancel).toBe(fileUpload.abort);
+      expect(list.props.onRetry).toBe(fileUpload.retry);
+      expect(list.props.onRemove).toBe(fileUpload.remove);
+
+      const file = new File();
+      const input = findRenderedDOMComponentWithTag(fileUpload, 'input');
+      Simulate.change(input, { target: { files: [file], value: FAKE_FILE_PATH } });
+      expect(list.props.uploads).toEqual([{ file, status: 'uploading', progress: 0, offset: 0, error: null }]);
+
+      frMock.onprogress({ lengthComputable: true, loaded: 256, total: 1024 });
+      expect(list.props.uploads[0].progress).toBe(25);
+
+      frMock.onload({ target: { result: 'data:' } });
+      expect(list.props.uploads[0].status).toBe('complete');
+    });
+  });
+
+  describe('images', () => {
+    // waits for each image to be processed one at a time
+    const flushTimeout = () => new Promise(resolve => setTimeout(resolve));
+
+    beforeEach(() => {
+      processImage.mockReset();
+      createImageThumbnail.mockReset();
+      processImage.mockImplementation(file => Promise.resolve(createFile(file.name.replace(/\.\w+$/, '.jpg'), 'image/jpeg', 256)));
+
+      // the crop dialog's preview is never loaded
+      loadOrientedImage.mockImplementation(() => new Promise(() => {}));
+    });
+
+    it('should process image files with the imageOptions before uploading them', () => {
+      const frMock = { readAsDataURL: jest.fn(), readAsText: jest.fn() };
+      spyOn(window, 'FileReader').and.returnValue(frMock);
+      const onChange = jest.fn();
+      const imageOptions = { maxWidth: 100, type: 'image/jpeg', quality: 0.8 };
+      const fileUpload = renderIntoDocument(
+        <FileUpload id="test" multiple imageOptions={imageOptions} onChange={onChange} />
+      );
+
+      const files = [createFile('a.png'), createFile('b.txt', 'text/plain')];
+      const input = findRenderedDOMComponentWithTag(fileUpload, 'input');
+      Simulate.change(input, { target: { files, value: FAKE_FILE_PATH } });
+
+      expect(onChange.mock.calls[0][0]).toEqual(files);
+      expect(fileUpload.state.uploads).toEqual([]);
+
+      return flushTimeout().then(() => {
+        expect(processImage.mock.calls.length).toBe(1);
+        expect(processImage).toBeCalledWith(files[0], { ...imageOptions, crop: undefined });
+
+        const uploads = fileUpload.state.uploads.map(({ file }) => file);
+        expect(uploads).toEqual([createFile('a.jpg', 'image/jpeg', 256), files[1]]);
+        expect(frMock.readAsDataURL).toBeCalledWith(uploads[0]);
+      });
+    });
+
+    it('should check the maxSize after processing the images and upload unprocessed images as is', () => {
+      spyOn(window, 'FileReader').and.returnValue({ readAsDataURL: jest.fn() });
+      processImage.mockImplementation(file => (
+        file.name === 'a.png' ? Promise.reject(new Error('Invalid image')) : Promise.resolve(createFile('b.jpg', 'image/jpeg', 256))
+      ));
+
+      const onSizeError = jest.fn();
+      const fileUpload = renderIntoDocument(
+        <FileUpload id="test" multiple imageOptions={{ maxWidth: 100 }} maxSize={512} onSizeError={onSizeError} />
+      );
+
+      const files = [createFile('a.png', 'image/png', 1024), createFile('b.png', 'image/png', 1024)];
+      const input = findRenderedDOMComponentWithTag(fileUpload, 'input');
+      Simulate.change(input, { target: { files, value: FAKE_FILE_PATH } });
+
+      return flushTimeout().then(() => {
+        expect(onSizeError).toBeCalledWith([files[0]]);
+        expect(fileUpload.state.uploads.map(({ file }) => file.name)).toEqual(['b.jpg']);
+      });
+    });
+
+    it('should display an ImageCropDialog for each image when cropImages is enabled', () => {
+      spyOn(window, 'FileReader').and.returnValue({ readAsDataURL: jest.fn() });
+      const fileUpload = renderIntoDocument(
+        <FileUpload id="test" multiple cropImages cropDialogProps={{ aspectRatio: 1 }} />
+      );
+
+      const dialog = findRenderedComponentWithType(fileUpload, ImageCropDialog);
+      expect(dialog.props.id).toBe('test-crop');
+      expect(dialog.props.aspectRatio).toBe(1);
+      expect(dialog.props.file).toBe(null);
+
+      const files = [createFile('a.png'), createFile('b.png'), createFile('c.png')];
+      const input = findRenderedDOMComponentWithTag(fileUpload, 'input');
+      Simulate.change(input, { target: { files, value: FAKE_FILE_PATH } });
+
+      const crop = { x: 10, y: 10, width: 100, height: 100 };
+      return flushTimeout()
+        .then(() => {
+          expect(dialog.props.file).toBe(files[0]);
+
+          dialog.props.onCrop(crop, files[0]);
+          return flushTimeout();
+        })
+        .then(() => {
+          expect(processImage).toBeCalledWith(files[0], { crop });
+          expect(dialog.props.file).toBe(files[1]);
+
+          dialog.props.onCancel(files[1]);
+          return flushTimeout();
+        })
+        .then(() => {
+          expect(dialog.props.file).toBe(files[2]);
+
+          dialog.props.onLoadError(new Error('Invalid image'), files[2]);
+          return flushTimeout();
+        })
+        .then(() => {
+          expect(dialog.props.file).toBe(null);
+          expect(processImage.mock.calls.length).toBe(1);
+          expect(fileUpload.state.uploads.map(({ file }) => file)).toEqual([createFile('a.jpg', 'image/jpeg', 256), files[2]]);
+        });
+    });
+
+    it('should queue the crops for images that are added while the ImageCropDialog is visible', () => {
+      spyOn(window, 'FileReader').and.returnValue({ readAsDataURL: jest.fn() });
+      const fileUpload = renderIntoDocument(<FileUpload id="test" cropImages />);
+      const dialog = findRenderedComponentWithType(fileUpload, ImageCropDialog);
+      const input = findRenderedDOMComponentWithTag(fileUpload, 'input');
+
+      const first = createFile('a.png');
+      const second = createFile('b.png');
+      const crop = { x: 0, y: 0, width: 10, height: 10 };
+      Simulate.change(input, { target: { files: [first], value: FAKE_FILE_PATH } });
+      return flushTimeout()
+        .then(() => {
+          Simulate.change(input, { target: { files: [second], value: FAKE_FILE_PATH } });
+          return flushTimeout();
+        })
+        .then(() => {
+          expect(dialog.props.file).toBe(first);
+
+          dialog.props.onCrop(crop, first);
+          return flushTimeout();
+        })
+        .then(() => {
+          expect(dialog.props.file).toBe(second);
+
+          dialog.props.onCrop(crop, second);
+          return flushTimeout();
+        })
+        .then(() => {
+          expect(dialog.props.file).toBe(null);
+          expect(fileUpload.state.uploads.map(({ file }) => file.name)).toEqual(['a.jpg', 'b.jpg']);
+        });
+    });
+
+    it('should call the onError prop for each file when the files could not be processed', () => {
+      const onError = jest.fn();
+      const error = new Error('Failed');
+      const fileUpload = renderIntoDocument(
+        <FileUpload id="test" multiple imageOptions={{ maxWidth: 100 }} onError={onError} />
+      );
+      spyOn(fileUpload, '_addFiles').and.throwError(error);
+
+      const files = [createFile('a.png'), createFile('b.txt', 'text/plain')];
+      const input = findRenderedDOMComponentWithTag(fileUpload, 'input');
+      Simulate.change(input, { target: { files, value: FAKE_FILE_PATH } });
+
+      return flushTimeout().then(() => {
+        expect(onError.mock.calls).toEqual([[files[0], error, null], [files[1], error, null]]);
+      });
+    });
+
+    it('should add a thumbnail to the upload state when the thumbnailSize is set', () => {
+      const frMock = { readAsDataURL: jest.fn() };
+      spyOn(window, 'FileReader').and.returnValue(frMock);
+      createImageThumbnail.mockImplementation(() => Promise.resolve('data:thumbnail'));
+
+      const fileUpload = renderIntoDocument(<FileUpload id="test" thumbnailSize={40} />);
+      const file = createFile('a.png');
+      const input = findRenderedDOMComponentWithTag(fileUpload, 'input');
+      Simulate.change(input, { target: { files: [file], value: FAKE_FILE_PATH } });
+      expect(createImageThumbnail).toBeCalledWith(file, 40);
+
+      return flushTimeout().then(() => {
+        expect(fileUpload.state.uploads[0].thumbnail).toBe('data:thumbnail');
+
+        frMock.onerror({ target: { error: new Error('Failed') } });
+        fileUpload.retry(file);
+        expect(createImageThumbnail.mock.calls.length).toBe(1);
+        expect(fileUpload.state.uploads[0]).toEqual({ file, status: 'uploading', progress: 0, offset: 0, error: null, thumbnail: 'data:thumbnail' });
+      });
+    });
+  });
 });
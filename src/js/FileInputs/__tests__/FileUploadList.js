@@ -0,0 +1,115 @@
+/* eslint-env jest */
+import React from 'react';
+import { findDOMNode } from 'react-dom';
+import {
+  Simulate,
+  renderIntoDocument,
+  scryRenderedComponentsWithType,
+  scryRenderedDOMComponentsWithClass,
+} from 'react-dom/test-utils';
+
+import FileUploadList from '../FileUploadList';
+import ListItem from '../../Lists/ListItem';
+import Avatar from '../../Avatars/Avatar';
+import LinearProgress from '../../Progress/LinearProgress';
+
+const IMAGE = { name: 'cat.png', type: 'image/png', size: 2048 };
+const TEXT = { name: 'notes.txt', type: 'text/plain', size: 100 };
+
+describe('FileUploadList', () => {
+  const { createObjectURL, revokeObjectURL } = URL;
+  afterEach(() => {
+    URL.createObjectURL = createObjectURL;
+    URL.revokeObjectURL = revokeObjectURL;
+  });
+
+  it('should render a list item with the name, size, and status of each file', () => {
+    const uploads = [
+      { file: IMAGE, status: 'uploading', progress: 42.4, error: null },
+      { file: TEXT, status: 'error', progress: 10, error: new Error('Server error') },
+    ];
+
+    const list = renderIntoDocument(<FileUploadList id="uploads" uploads={uploads} />);
+    const items = scryRenderedComponentsWithType(list, ListItem);
+    expect(items.length).toBe(2);
+    expect(items[0].props.primaryText).toBe('cat.png');
+    expect(findDOMNode(items[0]).textContent).toContain('2 KB • 42%');
+    expect(findDOMNode(items[1]).textContent).toContain('100 B • Server error');
+    expect(findDOMNode(items[1]).className).toContain('md-file-upload-list-item--error');
+
+    const progress = scryRenderedComponentsWithType(list, LinearProgress);
+    expect(progress.length).toBe(1);
+    expect(progress[0].props.value).toBe(42.4);
+  });
+
+  it('should not render the tiles as focusable buttons', () => {
+    const uploads = [{ file: TEXT, status: 'complete', progress: 100, error: null }];
+    const list = renderIntoDocument(<FileUploadList id="uploads" uploads={uploads} />);
+    const tile = scryRenderedDOMComponentsWithClass(list, 'md-list-tile')[0];
+
+    expect(tile.getAttribute('role')).toBe(null);
+    expect(tile.getAttribute('tabindex')).toBe(null);
+  });
+
+  it('should render the actions for the status of each file', () => {
+    const onCancel = jest.fn();
+    const onRetry = jest.fn();
+    const onRemove = jest.fn();
+    const uploads = [
+      { file: IMAGE, status: 'queued', progress: 0, error: null },
+      { file: TEXT, status: 'aborted', progress: 0, error: null },
+    ];
+
+    let list = renderIntoDocument(
+      <FileUploadList id="uploads" uploads={uploads} onCancel={onCancel} onRetry={onRetry} onRemove={onRemove} />
+    );
+    let actions = scryRenderedDOMComponentsWithClass(list, 'md-file-upload-list-action');
+    expect(actions.map(action => action.getAttribute('aria-label'))).toEqual(['Cancel', 'Retry', 'Remove']);
+
+    Simulate.click(actions[0]);
+    expect(onCancel).toBeCalledWith(IMAGE);
+    Simulate.click(actions[1]);
+    expect(onRetry).toBeCalledWith(TEXT);
+    Simulate.click(actions[2]);
+    expect(onRemove).toBeCalledWith(TEXT);
+
+    list = renderIntoDocument(
+      <FileUploadList id="uploads" uploads={[{ file: TEXT, status: 'complete', progress: 100 }]} />
+    );
+    actions = scryRenderedDOMComponentsWithClass(list, 'md-file-upload-list-action');
+    expect(actions.length).toBe(0);
+  });
+
+  it('should display thumbnails for image files and revoke them once removed', () => {
+    URL.createObjectURL = jest.fn(file => `blob:${file.name}`);
+    URL.revokeObjectURL = jest.fn();
+
+    const Container = class extends React.Component {
+      state = { uploads: [{ file: IMAGE, status: 'complete' }, { file: TEXT, status: 'complete' }] };
+      render() {
+        return <FileUploadList id="uploads" uploads={this.state.uploads} />;
+      }
+    };
+
+    const container = renderIntoDocument(<Container />);
+    const avatars = scryRenderedComponentsWithType(container, Avatar);
+    expect(avatars[0].props.src).toBe('blob:cat.png');
+    expect(avatars[1].props.src).toBeUndefined();
+    expect(URL.createObjectURL.mock.calls.length).toBe(1);
+
+    container.setState({ uploads: [{ file: TEXT, status: 'complete' }] });
+    expect(URL.revokeObjectURL).toBeCalledWith('blob:cat.png');
+    expect(URL.createObjectURL.mock.calls.length).toBe(1);
+  });
+
+  it('should prefer the generated thumbnail over an object url', () => {
+    URL.createObjectURL = jest.fn(file => `blob:${file.name}`);
+    URL.revokeObjectURL = jest.fn();
+
+    const uploads = [{ file: IMAGE, status: 'complete', thumbnail: 'data:thumbnail' }];
+    const list = renderIntoDocument(<FileUploadList id="uploads" uploads={uploads} />);
+    const avatars = scryRenderedComponentsWithType(list, Avatar);
+    expect(avatars[0].props.src).toBe('data:thumbnail');
+    expect(URL.createObjectURL).not.toBeCalled();
+  });
+});
@@ -0,0 +1,166 @@
+/* eslint-env jest */
+import React from 'react';
+import { mount } from 'enzyme';
+
+import ImageCropDialog from '../ImageCropDialog';
+import DialogContainer from '../../Dialogs/DialogContainer';
+import CircularProgress from '../../Progress/CircularProgress';
+import { loadOrientedImage, getOrientedSize, drawImage } from '../../utils/FileUtils/renderImage';
+import { DOWN, RIGHT, UP } from '../../constants/keyCodes';
+
+jest.mock('../../utils/FileUtils/renderImage');
+jest.useFakeTimers();
+
+const FILE = { name: 'photo.jpg', type: 'image/jpeg' };
+const PREVIEW = 'data:image/png;base64,dGVzdA==';
+const IMAGE = { naturalWidth: 400, naturalHeight: 800 };
+const flush = () => [0, 1, 2, 3, 4, 5].reduce(p => p.then(() => {}), Promise.resolve());
+
+const PROPS = {
+  id: 'crop-dialog',
+  focusOnMount: false,
+  onCrop: () => {},
+  onCancel: () => {},
+};
+
+/**
+ * Renders an 800x400 image as a 400x200 preview.
+ */
+function mockImage() {
+  loadOrientedImage.mockImplementation(() => Promise.resolve({ image: IMAGE, orientation: 6 }));
+  drawImage.mockImplementation(() => ({ width: 400, height: 200, toDataURL: () => PREVIEW }));
+  getOrientedSize.mockImplementation(() => ({ width: 800, height: 400 }));
+}
+
+function mountDialog(props) {
+  const dialog = mount(<ImageCropDialog {...PROPS} {...props} />);
+  return flush().then(() => {
+    jest.runAllTimers();
+    return dialog;
+  });
+}
+
+describe('ImageCropDialog', () => {
+  beforeEach(() => {
+    loadOrientedImage.mockReset();
+    drawImage.mockReset();
+    getOrientedSize.mockReset();
+    mockImage();
+  });
+
+  it('should only be visible while there is a file', () => {
+    const dialog = mount(<ImageCropDialog {...PROPS} />);
+    expect(dialog.find(DialogContainer).props().visible).toBe(false);
+    expect(loadOrientedImage).not.toBeCalled();
+
+    dialog.setProps({ file: FILE });
+    expect(dialog.find(DialogContainer).props().visible).toBe(true);
+    expect(loadOrientedImage).toBeCalledWith(FILE);
+  });
+
+  it('should load the image once for both the preview and the full size', () => (
+    mountDialog({ file: FILE }).then(() => {
+      expect(loadOrientedImage.mock.calls.length).toBe(1);
+      expect(drawImage).toBeCalledWith(IMAGE, 6, { maxWidth: 400, maxHeight: 400 });
+      expect(getOrientedSize).toBeCalledWith(IMAGE, 6);
+    })
+  ));
+
+  it('should display a progress bar until the preview has loaded', () => {
+    const dialog = mount(<ImageCropDialog {...PROPS} file={FILE} />);
+    jest.runAllTimers();
+    expect(dialog.find(CircularProgress).length).toBe(1);
+
+    return flush().then(() => {
+      expect(dialog.find(CircularProgress).length).toBe(0);
+      expect(dialog.find('.md-image-crop-image').props().src).toBe(PREVIEW);
+      expect(dialog.find('.md-image-crop').props().style).toEqual({ width: 400, height: 200 });
+    });
+  });
+
+  it('should start with the largest crop area that matches the aspect ratio', () => (
+    mountDialog({ file: FILE }).then((dialog) => {
+      expect(dialog.state('crop')).toEqual({ x: 0, y: 0, width: 400, height: 200 });
+
+      dialog.setProps({ aspectRatio: 1 });
+      expect(dialog.state('crop')).toEqual({ x: 100, y: 0, width: 200, height: 200 });
+
+      dialog.setProps({ aspectRatio: 4 });
+      expect(dialog.state('crop')).toEqual({ x: 0, y: 50, width: 400, height: 100 });
+    })
+  ));
+
+  it('should move the crop area within the image when it is dragged', () => (
+    mountDialog({ file: FILE, aspectRatio: 1 }).then((dialog) => {
+      const area = dialog.find('.md-image-crop-area');
+      area.simulate('mousedown', { button: 0, clientX: 200, clientY: 100 });
+
+      dialog.instance()._handleDragMove({ type: 'mousemove', preventDefault: () => {}, clientX: 150, clientY: 100 });
+      expect(dialog.state('crop')).toEqual({ x: 50, y: 0, width: 200, height: 200 });
+
+      dialog.instance()._handleDragMove({ type: 'mousemove', preventDefault: () => {}, clientX: 500, clientY: 0 });
+      expect(dialog.state('crop')).toEqual({ x: 200, y: 0, width: 200, height: 200 });
+
+      dialog.instance()._handleDragEnd({ type: 'mouseup' });
+      dialog.instance()._handleDragMove({ type: 'mousemove', preventDefault: () => {}, clientX: 0, clientY: 0 });
+      expect(dialog.state('crop')).toEqual({ x: 200, y: 0, width: 200, height: 200 });
+    })
+  ));
+
+  it('should resize the crop area when the handle is dragged', () => (
+    mountDialog({ file: FILE, aspectRatio: 1 }).then((dialog) => {
+      const handle = dialog.find('.md-image-crop-handle');
+      handle.simulate('mousedown', { button: 0, clientX: 300, clientY: 200 });
+
+      dialog.instance()._handleDragMove({ type: 'mousemove', preventDefault: () => {}, clientX: 250, clientY: 200 });
+      expect(dialog.state('crop')).toEqual({ x: 100, y: 0, width: 150, height: 150 });
+
+      dialog.instance()._handleDragMove({ type: 'mousemove', preventDefault: () => {}, clientX: 0, clientY: 0 });
+      expect(dialog.state('crop')).toEqual({ x: 100, y: 0, width: 20, height: 20 });
+
+      dialog.instance()._handleDragMove({ type: 'mousemove', preventDefault: () => {}, clientX: 500, clientY: 500 });
+      expect(dialog.state('crop')).toEqual({ x: 100, y: 0, width: 200, height: 200 });
+    })
+  ));
+
+  it('should move the crop area with the arrow keys and resize it with shift', () => (
+    mountDialog({ file: FILE, aspectRatio: 1 }).then((dialog) => {
+      const area = dialog.find('.md-image-crop-area');
+      area.simulate('keydown', { which: RIGHT, keyCode: RIGHT });
+      expect(dialog.state('crop')).toEqual({ x: 110, y: 0, width: 200, height: 200 });
+
+      area.simulate('keydown', { which: UP, keyCode: UP, shiftKey: true });
+      expect(dialog.state('crop')).toEqual({ x: 110, y: 0, width: 190, height: 190 });
+
+      area.simulate('keydown', { which: DOWN, keyCode: DOWN });
+      expect(dialog.state('crop')).toEqual({ x: 110, y: 10, width: 190, height: 190 });
+    })
+  ));
+
+  it('should call the onCrop function with the crop area in pixels of the full image', () => {
+    const onCrop = jest.fn();
+    return mountDialog({ file: FILE, aspectRatio: 1, onCrop }).then((dialog) => {
+      dialog.find('.md-image-crop-area').simulate('keydown', { which: RIGHT, keyCode: RIGHT });
+      dialog.find('button').filterWhere(button => button.text() === 'Crop').simulate('click');
+      expect(onCrop).toBeCalledWith({ x: 220, y: 0, width: 400, height: 400 }, FILE);
+    });
+  });
+
+  it('should call the onCancel function when the cancel button is clicked', () => {
+    const onCancel = jest.fn();
+    return mountDialog({ file: FILE, onCancel }).then((dialog) => {
+      dialog.find('button').filterWhere(button => button.text() === 'Cancel').simulate('click');
+      expect(onCancel).toBeCalledWith(FILE);
+    });
+  });
+
+  it('should call the onLoadError function when the image can not be loaded', () => {
+    const error = new Error('Invalid image');
+    const onLoadError = jest.fn();
+    loadOrientedImage.mockImplementation(() => Promise.reject(error));
+
+    return mountDialog({ file: FILE, onLoadError }).then(() => {
+      expect(onLoadError).toBeCalledWith(error, FILE);
+    });
+  });
+});
@@ -1,2 +1,5 @@
 export { default, default as FileInput, FileInputProps } from './FileInput';
 export { default as FileUpload, FileUploadProps } from './FileUpload';
+export { default as FileDropzone, FileDropzoneProps } from './FileDropzone';
+export { default as FileUploadList, FileUploadListProps } from './FileUploadList';
+export { default as ImageCropDialog, ImageCropDialogProps } from './ImageCropDialog';
@@ -3,3 +3,6 @@ export default FileInput;
 
 export FileInput from './FileInput';
 export FileUpload from './FileUpload';
+export FileDropzone from './FileDropzone';
+export FileUploadList from './FileUploadList';
+export ImageCropDialog from './ImageCropDialog';
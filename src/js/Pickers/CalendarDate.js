@@ -20,6 +20,44 @@ export default class CalendarDate extends PureComponent {
     onClick: PropTypes.func.isRequired,
     active: PropTypes.bool,
     today: PropTypes.bool,
+
+    /**
+     * Boolean if the date is the start of the selected range.
+     */
+    rangeStart: PropTypes.bool,
+
+    /**
+     * Boolean if the date is the end of the selected range.
+     */
+    rangeEnd: PropTypes.bool,
+
+    /**
+     * Boolean if the date is between the start and end of the selected range.
+     */
+    inRange: PropTypes.bool,
+
+    /**
+     * Boolean if the range is only a preview of the range that will be selected.
+     */
+    rangePreview: PropTypes.bool,
+
+    /**
+     * An optional function to call with the date when it is hovered or focused.
+     */
+    onHover: PropTypes.func,
+
+    /**
+     * An optional marker to display below the date. This is normally a small badge or dot
+     * to show that the date has some additional information.
+     */
+    marker: PropTypes.node,
+
+    /**
+     * Boolean if the date should be focusable with the tab key. Only one date in the
+     * calendar should be focusable at a time and the arrow keys can be used to move
+     * focus between dates.
+     */
+    focused: PropTypes.bool,
   };
 
   constructor(props) {
@@ -54,6 +92,10 @@ export default class CalendarDate extends PureComponent {
   _setActive = () => {
     if (!this.props.disabled) {
       this.setState({ desktopActive: true });
+
+      if (this.props.onHover) {
+        this.props.onHover(new Date(this.props.date));
+      }
     }
   };
 
@@ -65,12 +107,28 @@ export default class CalendarDate extends PureComponent {
 
   render() {
     const { date, desktopActive } = this.state;
-    const { disabled, active, today, className } = this.props;
+    const {
+      disabled,
+      today,
+      className,
+      rangeStart,
+      rangeEnd,
+      inRange,
+      rangePreview,
+      marker,
+      focused,
+    } = this.props;
+    const active = this.props.active || rangeStart || rangeEnd;
+    const selected = this.props.active || rangeStart || (!rangePreview && (rangeEnd || inRange));
 
     const fullyActive = today && !active && !desktopActive;
     return (
       <button
         type="button"
+        role="gridcell"
+        tabIndex={focused ? 0 : -1}
+        aria-selected={!!selected}
+        aria-current={today ? 'date' : null} // eslint-disable-line jsx-a11y/aria-props
         ref={this._setFocus}
         onFocus={this._setActive}
         onBlur={this._setInactive}
@@ -78,6 +136,10 @@ export default class CalendarDate extends PureComponent {
         onMouseLeave={this._setInactive}
         className={cn('md-calendar-date md-calendar-date--btn', {
           'md-calendar-date--btn-active': active || desktopActive,
+          'md-calendar-date--range-start': rangeStart,
+          'md-calendar-date--range-end': rangeEnd,
+          'md-calendar-date--in-range': inRange,
+          'md-calendar-date--range-preview': rangePreview,
           'md-pointer--hover': !disabled,
         }, themeColors({ disabled, primary: fullyActive }), 'md-btn', className)}
         onClick={this._handleClick}
@@ -91,6 +153,7 @@ export default class CalendarDate extends PureComponent {
         >
           {date}
         </span>
+        {marker ? <span className="md-calendar-date-marker">{marker}</span> : null}
       </button>
     );
   }
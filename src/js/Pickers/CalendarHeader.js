@@ -54,6 +54,16 @@ export default class CalendarHeader extends PureComponent {
      * The DateTimeFormat option to apply to format a weekday.
      */
     weekdayFormat: PropTypes.oneOf(['narrow', 'short', 'long']),
+    /**
+     * Boolean if the previous month button should be hidden while still taking up space.
+     * This is used when multiple months are displayed side by side.
+     */
+    hidePrevious: PropTypes.bool,
+    /**
+     * Boolean if the next month button should be hidden while still taking up space.
+     * This is used when multiple months are displayed side by side.
+     */
+    hideNext: PropTypes.bool,
   };
 
   static defaultProps = {
@@ -116,6 +126,8 @@ export default class CalendarHeader extends PureComponent {
       onNextClick,
       nextIcon,
       titleClassName,
+      hidePrevious,
+      hideNext,
     } = this.props;
 
     const isPreviousDisabled = isMonthBefore(minDate, date);
@@ -126,16 +138,18 @@ export default class CalendarHeader extends PureComponent {
           <Button
             icon
             onClick={onPreviousClick}
-            disabled={isPreviousDisabled}
-            className="md-calendar-control"
+            disabled={isPreviousDisabled || hidePrevious}
+            aria-hidden={hidePrevious}
+            className={cn('md-calendar-control', { 'md-calendar-control--hidden': hidePrevious })}
             iconEl={previousIcon}
           />
           <h4 className={cn('md-title', titleClassName)}>{title}</h4>
           <Button
             icon
             onClick={onNextClick}
-            disabled={isNextDisabled}
-            className="md-calendar-control"
+            disabled={isNextDisabled || hideNext}
+            aria-hidden={hideNext}
+            className={cn('md-calendar-control', { 'md-calendar-control--hidden': hideNext })}
             iconEl={nextIcon}
           />
         </div>
@@ -6,6 +6,7 @@ import addDate from '../utils/DateUtils/addDate';
 import stripTime from '../utils/DateUtils/stripTime';
 import getLastDay from '../utils/DateUtils/getLastDay';
 import getDayOfWeek from '../utils/DateUtils/getDayOfWeek';
+import isCalendarDateDisabled from '../utils/DateUtils/isCalendarDateDisabled';
 
 import CalendarDate from './CalendarDate';
 
@@ -62,6 +63,76 @@ export default class CalendarMonth extends PureComponent {
      * An optional className to apply to a date.
      */
     dateClassName: PropTypes.string,
+
+    /**
+     * Boolean if the month should display a range of dates.
+     */
+    range: PropTypes.bool,
+
+    /**
+     * The start date of the range when the `range` prop is enabled.
+     */
+    rangeStart: PropTypes.instanceOf(Date),
+
+    /**
+     * The end date of the range when the `range` prop is enabled. This can also be the date
+     * that is currently hovered while the range is pending.
+     */
+    rangeEnd: PropTypes.instanceOf(Date),
+
+    /**
+     * Boolean if the end of the range has not been selected yet. The range will be displayed
+     * as a preview, and any date after the `rangeStart` that does not fit within the `minRangeDays`
+     * and `maxRangeDays` will be disabled.
+     */
+    rangePending: PropTypes.bool,
+
+    /**
+     * The minimum number of days that can be selected in a range, including the start and end dates.
+     */
+    minRangeDays: PropTypes.number,
+
+    /**
+     * The maximum number of days that can be selected in a range, including the start and end dates.
+     */
+    maxRangeDays: PropTypes.number,
+
+    /**
+     * An optional function to call when a date is hovered or focused.
+     */
+    onCalendarDateHover: PropTypes.func,
+
+    /**
+     * An optional function to call with each date in the month that returns a boolean if
+     * the date should be disabled.
+     *
+     * ```js
+     * isDateDisabled(date);
+     * ```
+     */
+    isDateDisabled: PropTypes.func,
+
+    /**
+     * An optional function to call with each date in the month and its current state that can
+     * return a marker to display in the date.
+     *
+     * ```js
+     * renderDateMarker(date, { active, disabled, today });
+     * ```
+     */
+    renderDateMarker: PropTypes.func,
+
+    /**
+     * The date that should be focusable with the tab key. When this is omitted, the
+     * `calendarTempDate` will be used.
+     */
+    focusDate: PropTypes.instanceOf(Date),
+
+    /**
+     * The date that should be displayed as today. When this is omitted, the current date
+     * in the browser's local time zone will be used.
+     */
+    today: PropTypes.instanceOf(Date),
     DateTimeFormat: PropTypes.func.isRequired,
     locales: PropTypes.oneOfType([
       PropTypes.string,
@@ -86,17 +157,32 @@ export default class CalendarMonth extends PureComponent {
       firstDayOfWeek,
       disableWeekEnds,
       dateClassName,
+      range,
+      rangeStart,
+      rangeEnd,
+      rangePending,
+      minRangeDays,
+      maxRangeDays,
+      onCalendarDateHover,
+      isDateDisabled,
+      renderDateMarker,
+      focusDate,
+      today: propToday,
       ...props
     } = this.props;
 
-    const days = [];
+    const weeks = [];
+    let days = [];
     const firstDay = new Date(calendarDate);
     firstDay.setDate(1);
     const lastDay = getLastDay(calendarDate);
     let currentDate = stripTime(getDayOfWeek(firstDay, 0));
     let endDate = stripTime(getDayOfWeek(lastDay, 6));
     const activeDate = stripTime(new Date(calendarTempDate));
-    const today = stripTime(new Date());
+    const today = stripTime(propToday || new Date());
+    const focusTime = stripTime(focusDate || activeDate).getTime();
+    const startTime = range && rangeStart ? stripTime(rangeStart).getTime() : null;
+    const endTime = startTime !== null && rangeEnd ? stripTime(rangeEnd).getTime() : null;
 
     if (firstDayOfWeek) {
       currentDate = addDate(currentDate, firstDayOfWeek > firstDay.getDay() ? firstDayOfWeek - 7 : firstDayOfWeek, 'D');
@@ -108,16 +194,38 @@ export default class CalendarMonth extends PureComponent {
       let date;
       if (currentDate.getMonth() === calendarDate.getMonth()) {
         const time = currentDate.getTime();
-        const isMinDateDisabled = minDate && minDate.getTime() > time;
-        const isMaxDateDisabled = maxDate && maxDate.getTime() < time;
-        const isWeekendDisabled = disableWeekEnds && (currentDate.getDay() === 0 || currentDate.getDay() === 6);
+        const isToday = time === today.getTime();
+        const active = !range && time === activeDate.getTime();
+        const disabled = isCalendarDateDisabled(currentDate, {
+          minDate,
+          maxDate,
+          disableWeekEnds,
+          isDateDisabled,
+          rangeStart,
+          rangePending,
+          minRangeDays,
+          maxRangeDays,
+        });
+
+        let marker;
+        if (renderDateMarker) {
+          marker = renderDateMarker(new Date(currentDate), { active, disabled, today: isToday });
+        }
+
         date = (
           <CalendarDate
             key={key}
             className={dateClassName}
-            today={time === today.getTime()}
-            active={time === activeDate.getTime()}
-            disabled={isMinDateDisabled || isMaxDateDisabled || isWeekendDisabled}
+            today={isToday}
+            active={active}
+            disabled={disabled}
+            focused={time === focusTime}
+            marker={marker}
+            rangeStart={time === startTime}
+            rangeEnd={endTime !== null && time === endTime}
+            inRange={endTime !== null && time > startTime && time < endTime}
+            rangePreview={!!rangePending && endTime !== null}
+            onHover={onCalendarDateHover}
             onClick={onCalendarDateClick}
             date={currentDate}
             DateTimeFormat={DateTimeFormat}
@@ -125,16 +233,26 @@ export default class CalendarMonth extends PureComponent {
           />
         );
       } else {
-        date = <div key={key} className="md-calendar-date" />;
+        date = <div key={key} role="gridcell" className="md-calendar-date" />;
       }
 
       days.push(date);
+      if (days.length === 7) {
+        weeks.push(<div key={key} role="row" className="md-calendar-week">{days}</div>);
+        days = [];
+      }
+
       currentDate = addDate(currentDate, 1, 'D');
     }
 
     return (
-      <div className={cn('md-calendar-month', className)} {...props}>
-        {days}
+      <div
+        role="grid"
+        aria-label={new DateTimeFormat(locales, { month: 'long', year: 'numeric' }).format(calendarDate)}
+        className={cn('md-calendar-month', className)}
+        {...props}
+      >
+        {weeks}
       </div>
     );
   }
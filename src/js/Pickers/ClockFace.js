@@ -47,9 +47,29 @@ export default class ClockFace extends PureComponent {
      */
     hoverMode: PropTypes.bool,
 
+    /**
+     * An optional step to snap the minutes or seconds to. Any minute or second on the clock
+     * that is not a multiple of the step will be disabled.
+     */
+    step: PropTypes.number,
+
+    /**
+     * An optional function to call with each time on the clock to check if it should be
+     * disabled. Disabled times can not be selected.
+     *
+     * ```js
+     * isTimeDisabled(time);
+     * ```
+     */
+    isTimeDisabled: PropTypes.func,
+
     onTimeChosen: PropTypes.func.isRequired,
   };
 
+  static defaultProps = {
+    step: 1,
+  };
+
   constructor(props) {
     super(props);
 
@@ -176,10 +196,18 @@ export default class ClockFace extends PureComponent {
   _calcNewTime = (e) => {
     const { pageX: x, pageY: y } = e.changedTouches ? e.changedTouches[0] : e;
     const innerRadius = this.state.radius - 48;
-    const { onChange, minutes, timePeriod } = this.props;
-    onChange(calcTimeFromPoint({ x, y }, this._center, innerRadius, minutes, timePeriod));
+    const { onChange, minutes, timePeriod, step } = this.props;
+    const time = calcTimeFromPoint({ x, y }, this._center, innerRadius, minutes, timePeriod, step);
+    if (!this._isDisabled(time)) {
+      onChange(time);
+    }
   };
 
+  _isDisabled(time) {
+    const { minutes, step, isTimeDisabled } = this.props;
+    return (minutes && time % step !== 0) || (!!isTimeDisabled && isTimeDisabled(time));
+  }
+
   _enableMouseMoving = () => {
     window.addEventListener('mousemove', this._handleMouseMove);
     window.addEventListener('mouseup', this._handleMouseUp);
@@ -212,6 +240,7 @@ export default class ClockFace extends PureComponent {
           index={i + 1}
           time={clockTime}
           active={clockTime === time}
+          disabled={this._isDisabled(clockTime)}
           radius={radius}
           onKeyboardFocus={onChange}
         />
@@ -35,6 +35,11 @@ export default class ClockTime extends PureComponent {
      */
     radius: PropTypes.number.isRequired,
 
+    /**
+     * Boolean if this time can not be selected.
+     */
+    disabled: PropTypes.bool,
+
     onKeyboardFocus: PropTypes.func.isRequired,
   };
 
@@ -54,7 +59,7 @@ export default class ClockTime extends PureComponent {
   }
 
   _handleKeyUp = (e) => {
-    if ((e.which || e.keyCode) === TAB) {
+    if ((e.which || e.keyCode) === TAB && !this.props.disabled) {
       this.props.onKeyboardFocus(this.props.time);
     }
   }
@@ -88,14 +93,15 @@ export default class ClockTime extends PureComponent {
   };
 
   render() {
-    const { time, active } = this.props;
+    const { time, active, disabled } = this.props;
     return (
       <div
         ref={this._setTime}
-        tabIndex={0}
+        tabIndex={disabled ? -1 : 0}
+        aria-disabled={disabled}
         className={cn('md-clock-time md-text-no-select md-pointer--none', {
           'md-picker-text--active': active,
-        }, themeColors({ text: !active }))}
+        }, themeColors({ disabled, text: !active && !disabled }))}
         style={this.state.style}
         onKeyUp={this._handleKeyUp}
       >
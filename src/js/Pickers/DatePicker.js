@@ -2,10 +2,13 @@ import React, { PureComponent } from 'react';
 import PropTypes from 'prop-types';
 import cn from 'classnames';
 
+import isDateRangeDisabled from '../utils/DateUtils/isDateRangeDisabled';
+import Button from '../Buttons/Button';
 import DialogFooter from '../Dialogs/DialogFooter';
 import DatePickerHeader from './DatePickerHeader';
 import DatePickerCalendar from './DatePickerCalendar';
 import YearPicker from './YearPicker';
+import MonthPicker from './MonthPicker';
 
 export default class DatePicker extends PureComponent {
   static propTypes = {
@@ -24,7 +27,7 @@ export default class DatePicker extends PureComponent {
     ]).isRequired,
     calendarDate: PropTypes.instanceOf(Date).isRequired,
     calendarTempDate: PropTypes.instanceOf(Date).isRequired,
-    calendarMode: PropTypes.oneOf(['calendar', 'year']).isRequired,
+    calendarMode: PropTypes.oneOf(['calendar', 'year', 'month']).isRequired,
     changeCalendarMode: PropTypes.func.isRequired,
     icon: PropTypes.bool,
     inline: PropTypes.bool,
@@ -93,6 +96,52 @@ export default class DatePicker extends PureComponent {
      * The DateTimeFormat option to apply to format a weekday in calendar header.
      */
     calendarWeekdayFormat: PropTypes.oneOf(['narrow', 'short', 'long']),
+
+    /**
+     * Boolean if the picker is selecting a range of dates.
+     */
+    range: PropTypes.bool,
+    calendarTempStartDate: PropTypes.instanceOf(Date),
+    calendarTempEndDate: PropTypes.instanceOf(Date),
+
+    /**
+     * A list of preset ranges to display as buttons when the `range` prop is enabled. Presets
+     * that do not fit within the `minDate`, `maxDate`, `minRangeDays`, `maxRangeDays`, or
+     * `isDateDisabled` props will be disabled.
+     */
+    rangePresets: PropTypes.arrayOf(PropTypes.shape({
+      label: PropTypes.node.isRequired,
+      startDate: PropTypes.instanceOf(Date).isRequired,
+      endDate: PropTypes.instanceOf(Date).isRequired,
+    })),
+
+    /**
+     * A function to call with the preset and click event when a preset range is clicked.
+     */
+    onPresetClick: PropTypes.func,
+
+    /**
+     * The number of months to display in the calendar.
+     */
+    monthsDisplayed: PropTypes.oneOf([1, 2]),
+
+    /**
+     * The smallest unit of time that can be picked.
+     */
+    granularity: PropTypes.oneOf(['day', 'month']),
+
+    /**
+     * An optional className to apply to the month picker of date picker.
+     */
+    monthPickerClassName: PropTypes.string,
+  };
+
+  _handlePresetClick = (e) => {
+    const { rangePresets, onPresetClick } = this.props;
+    const preset = rangePresets[parseInt(e.currentTarget.getAttribute('data-index'), 10)];
+    if (preset && onPresetClick) {
+      onPresetClick(preset, e);
+    }
   };
 
   render() {
@@ -125,6 +174,16 @@ export default class DatePicker extends PureComponent {
       calendarTitleFormat,
       calendarWeekdayClassName,
       calendarWeekdayFormat,
+      range,
+      calendarTempStartDate,
+      calendarTempEndDate,
+      rangePresets,
+      monthsDisplayed,
+      granularity,
+      monthPickerClassName,
+      /* eslint-disable no-unused-vars */
+      onPresetClick,
+      /* eslint-enable no-unused-vars */
       ...props
     } = this.props;
 
@@ -145,6 +204,19 @@ export default class DatePicker extends PureComponent {
           titleFormat={calendarTitleFormat}
           weekdayClassName={calendarWeekdayClassName}
           weekdayFormat={calendarWeekdayFormat}
+          range={range}
+          monthsDisplayed={monthsDisplayed}
+        />
+      );
+    } else if (calendarMode === 'month') {
+      picker = (
+        <MonthPicker
+          {...props}
+          key="month"
+          className={monthPickerClassName}
+          calendarTempDate={calendarTempDate}
+          DateTimeFormat={DateTimeFormat}
+          locales={locales}
         />
       );
     } else {
@@ -160,6 +232,27 @@ export default class DatePicker extends PureComponent {
       );
     }
 
+    let presets;
+    if (range && rangePresets && rangePresets.length) {
+      presets = (
+        <div className="md-picker-presets">
+          {rangePresets.map(({ label, startDate, endDate }, i) => (
+            <Button
+              key={i}
+              flat
+              primary
+              data-index={i}
+              className="md-picker-preset"
+              disabled={isDateRangeDisabled(startDate, endDate, this.props)}
+              onClick={this._handlePresetClick}
+            >
+              {label}
+            </Button>
+          ))}
+        </div>
+      );
+    }
+
     const actions = [{
       key: 'cancel',
       onClick: onCancelClick,
@@ -181,6 +274,7 @@ export default class DatePicker extends PureComponent {
           [`md-picker--${displayMode}`]: displayMode,
           'md-picker--inline': inline,
           'md-picker--inline-icon': inline && icon,
+          'md-picker--multiple-months': calendarMode === 'calendar' && monthsDisplayed > 1,
         }, className)}
       >
         <DatePickerHeader
@@ -190,9 +284,14 @@ export default class DatePicker extends PureComponent {
           calendarTempDate={calendarTempDate}
           calendarMode={calendarMode}
           changeCalendarMode={changeCalendarMode}
+          granularity={granularity}
+          range={range}
+          calendarTempStartDate={calendarTempStartDate}
+          calendarTempEndDate={calendarTempEndDate}
         />
         <div className={cn('md-picker-content-container', contentClassName)}>
           {picker}
+          {presets}
           <DialogFooter
             className={footerClassName}
             actions={actions}
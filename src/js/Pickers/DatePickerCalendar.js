@@ -2,9 +2,36 @@ import React, { PureComponent } from 'react';
 import PropTypes from 'prop-types';
 import cn from 'classnames';
 
+import { PAGE_UP, PAGE_DOWN, END, HOME, LEFT, UP, RIGHT, DOWN } from '../constants/keyCodes';
 import CalendarMonth from './CalendarMonth';
 import CalendarHeader from './CalendarHeader';
+import addDate from '../utils/DateUtils/addDate';
+import stripTime from '../utils/DateUtils/stripTime';
+import getLastDay from '../utils/DateUtils/getLastDay';
+import isCalendarDateDisabled from '../utils/DateUtils/isCalendarDateDisabled';
 
+const MAX_NAVIGATION_ATTEMPTS = 366;
+
+/**
+ * Adds months to a date while keeping the day of the month. If the day does not exist
+ * in the new month, the last day of that month will be used instead.
+ *
+ * @param {Date} date - The date to add months to.
+ * @param {number} amount - The number of months to add.
+ * @return {Date} the new date.
+ */
+function addMonths(date, amount) {
+  const next = addDate(date, amount, 'M');
+  next.setDate(Math.min(date.getDate(), getLastDay(next).getDate()));
+  return next;
+}
+
+/**
+ * The `DatePickerCalendar` renders the header and the month(s) for the calendar view of the
+ * `DatePicker`. The dates follow the WAI-ARIA date grid pattern so that the arrow keys will move
+ * focus by day or week, page up and page down will move by month, shift with page up and page
+ * down will move by year, and home and end will move to the start and end of the week.
+ */
 export default class DatePickerCalendar extends PureComponent {
   static propTypes = {
     className: PropTypes.string,
@@ -61,16 +88,189 @@ export default class DatePickerCalendar extends PureComponent {
      * The DateTimeFormat option to apply to format a weekday in calendar header.
      */
     weekdayFormat: PropTypes.oneOf(['narrow', 'short', 'long']),
+
+    /**
+     * The number of months to display side by side. Only the first month will have a
+     * previous button and only the last month will have a next button.
+     */
+    monthsDisplayed: PropTypes.oneOf([1, 2]),
+
+    /**
+     * Boolean if the calendar is selecting a range of dates.
+     */
+    range: PropTypes.bool,
+    rangeStart: PropTypes.instanceOf(Date),
+    rangeEnd: PropTypes.instanceOf(Date),
+    rangePending: PropTypes.bool,
+    minRangeDays: PropTypes.number,
+    maxRangeDays: PropTypes.number,
+    onCalendarDateHover: PropTypes.func,
+
+    /**
+     * An optional function to call with each date that returns a boolean if the date
+     * should be disabled.
+     */
+    isDateDisabled: PropTypes.func,
+
+    /**
+     * An optional function to call with each date that can return a marker to display
+     * in the date.
+     */
+    renderDateMarker: PropTypes.func,
+
+    /**
+     * @see {@link Pickers/CalendarMonth#today}
+     */
+    today: PropTypes.instanceOf(Date),
+
+    /**
+     * An optional function to call with the first day of the month that should be displayed
+     * when keyboard navigation moves focus to a date that is not currently displayed.
+     */
+    onCalendarDateChange: PropTypes.func,
   };
 
-  render() {
+  static defaultProps = {
+    monthsDisplayed: 1,
+  };
+
+  constructor(props) {
+    super(props);
+
+    this.state = { focusedDate: null };
+  }
+
+  componentWillReceiveProps(nextProps) {
+    if (this.props.calendarTempDate !== nextProps.calendarTempDate && this.state.focusedDate) {
+      this.setState({ focusedDate: null });
+    }
+  }
+
+  componentDidUpdate() {
+    if (!this._keyboardFocus) {
+      return;
+    }
+
+    this._keyboardFocus = false;
+    const date = this._container && this._container.querySelector('.md-calendar-date--btn[tabindex="0"]');
+    if (date) {
+      date.focus();
+    }
+  }
+
+  _setContainer = (container) => {
+    this._container = container;
+  };
+
+  _getFocusDate() {
+    return this.state.focusedDate || stripTime(this.props.calendarTempDate);
+  }
+
+  /**
+   * Gets the number of months between the first displayed month and a date.
+   *
+   * @param {Date} date - The date to compare.
+   * @return {number} the number of months.
+   */
+  _getMonthOffset(date) {
+    const { calendarDate } = this.props;
+    return (date.getFullYear() - calendarDate.getFullYear()) * 12 + date.getMonth() - calendarDate.getMonth();
+  }
+
+  /**
+   * Attempts to find the next date that is not disabled by moving by the step amount
+   * of days until one is found.
+   *
+   * @param {Date} date - The date to start from.
+   * @param {number} step - The number of days to move for each attempt.
+   * @return {Date} the next enabled date or null.
+   */
+  _findEnabledDate(date, step) {
+    const { minDate, maxDate } = this.props;
+    let next = date;
+    for (let i = 0; i < MAX_NAVIGATION_ATTEMPTS; i += 1) {
+      if ((step < 0 && minDate && next < stripTime(minDate)) || (step > 0 && maxDate && next > maxDate)) {
+        return null;
+      } else if (!isCalendarDateDisabled(next, this.props)) {
+        return next;
+      }
+
+      next = addDate(next, step, 'D');
+    }
+
+    return null;
+  }
+
+  _handleKeyDown = (e) => {
+    if (e.target.getAttribute('role') !== 'gridcell') {
+      return;
+    }
+
+    const date = this._getFocusDate();
+    const { firstDayOfWeek } = this.props;
+    const weekStart = addDate(date, -((date.getDay() - (firstDayOfWeek || 0) + 7) % 7), 'D');
+    let next;
+    let step;
+    switch (e.which || e.keyCode) {
+      case LEFT:
+        step = -1;
+        next = addDate(date, step, 'D');
+        break;
+      case RIGHT:
+        step = 1;
+        next = addDate(date, step, 'D');
+        break;
+      case UP:
+        step = -7;
+        next = addDate(date, step, 'D');
+        break;
+      case DOWN:
+        step = 7;
+        next = addDate(date, step, 'D');
+        break;
+      case PAGE_UP:
+        step = -1;
+        next = addMonths(date, e.shiftKey ? -12 : -1);
+        break;
+      case PAGE_DOWN:
+        step = 1;
+        next = addMonths(date, e.shiftKey ? 12 : 1);
+        break;
+      case HOME:
+        step = 1;
+        next = weekStart;
+        break;
+      case END:
+        step = -1;
+        next = addDate(weekStart, 6, 'D');
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    next = this._findEnabledDate(stripTime(next), step);
+    if (!next) {
+      return;
+    }
+
+    this._keyboardFocus = true;
+    this.setState({ focusedDate: next });
+
+    const { monthsDisplayed, onCalendarDateChange } = this.props;
+    const offset = this._getMonthOffset(next);
+    if (onCalendarDateChange && (offset < 0 || offset >= monthsDisplayed)) {
+      const month = offset < 0 ? next.getMonth() : next.getMonth() - (monthsDisplayed - 1);
+      onCalendarDateChange(new Date(next.getFullYear(), month, 1));
+    }
+  };
+
+  _renderMonth(calendarDate, index, count, focusDate) {
     const {
-      className,
       previousIcon,
       onPreviousClick,
       nextIcon,
       onNextClick,
-      calendarDate,
       calendarTempDate,
       onCalendarDateClick,
       DateTimeFormat,
@@ -84,39 +284,109 @@ export default class DatePickerCalendar extends PureComponent {
       titleFormat,
       weekdayClassName,
       weekdayFormat,
+      range,
+      rangeStart,
+      rangeEnd,
+      rangePending,
+      minRangeDays,
+      maxRangeDays,
+      onCalendarDateHover,
+      isDateDisabled,
+      renderDateMarker,
+      today,
     } = this.props;
 
+    const key = new DateTimeFormat(locales).format(calendarDate);
+    const header = (
+      <CalendarHeader
+        key="header"
+        date={calendarDate}
+        minDate={minDate}
+        maxDate={maxDate}
+        DateTimeFormat={DateTimeFormat}
+        locales={locales}
+        onPreviousClick={onPreviousClick}
+        previousIcon={previousIcon}
+        onNextClick={onNextClick}
+        nextIcon={nextIcon}
+        firstDayOfWeek={firstDayOfWeek}
+        titleClassName={titleClassName}
+        titleFormat={titleFormat}
+        weekdayClassName={weekdayClassName}
+        weekdayFormat={weekdayFormat}
+        hidePrevious={index > 0}
+        hideNext={index < count - 1}
+      />
+    );
+
+    const month = (
+      <CalendarMonth
+        key={key}
+        calendarDate={calendarDate}
+        calendarTempDate={calendarTempDate}
+        onCalendarDateClick={onCalendarDateClick}
+        minDate={minDate}
+        maxDate={maxDate}
+        DateTimeFormat={DateTimeFormat}
+        locales={locales}
+        firstDayOfWeek={firstDayOfWeek}
+        disableWeekEnds={disableWeekEnds}
+        dateClassName={dateClassName}
+        range={range}
+        rangeStart={rangeStart}
+        rangeEnd={rangeEnd}
+        rangePending={rangePending}
+        minRangeDays={minRangeDays}
+        maxRangeDays={maxRangeDays}
+        onCalendarDateHover={onCalendarDateHover}
+        isDateDisabled={isDateDisabled}
+        renderDateMarker={renderDateMarker}
+        focusDate={focusDate}
+        today={today}
+      />
+    );
+
+    if (count === 1) {
+      return [header, month];
+    }
+
+    return (
+      <div key={index} className="md-calendar-month-container">
+        {header}
+        {month}
+      </div>
+    );
+  }
+
+  render() {
+    const { className, calendarDate, monthsDisplayed } = this.props;
+
+    // Make sure one of the displayed dates can always be reached with the tab key
+    let focusDate = this._getFocusDate();
+    const offset = this._getMonthOffset(focusDate);
+    if (offset < 0 || offset >= monthsDisplayed) {
+      focusDate = calendarDate;
+    }
+
+    let content;
+    if (monthsDisplayed > 1) {
+      const months = [];
+      for (let i = 0; i < monthsDisplayed; i += 1) {
+        months.push(this._renderMonth(addDate(calendarDate, i, 'M'), i, monthsDisplayed, focusDate));
+      }
+
+      content = <div className="md-calendar-months">{months}</div>;
+    } else {
+      content = this._renderMonth(calendarDate, 0, 1, focusDate);
+    }
+
     return (
-      <section className={cn('md-picker-content md-picker-content--calendar', className)}>
-        <CalendarHeader
-          date={calendarDate}
-          minDate={minDate}
-          maxDate={maxDate}
-          DateTimeFormat={DateTimeFormat}
-          locales={locales}
-          onPreviousClick={onPreviousClick}
-          previousIcon={previousIcon}
-          onNextClick={onNextClick}
-          nextIcon={nextIcon}
-          firstDayOfWeek={firstDayOfWeek}
-          titleClassName={titleClassName}
-          titleFormat={titleFormat}
-          weekdayClassName={weekdayClassName}
-          weekdayFormat={weekdayFormat}
-        />
-        <CalendarMonth
-          key={new DateTimeFormat(locales).format(calendarDate)}
-          calendarDate={calendarDate}
-          calendarTempDate={calendarTempDate}
-          onCalendarDateClick={onCalendarDateClick}
-          minDate={minDate}
-          maxDate={maxDate}
-          DateTimeFormat={DateTimeFormat}
-          locales={locales}
-          firstDayOfWeek={firstDayOfWeek}
-          disableWeekEnds={disableWeekEnds}
-          dateClassName={dateClassName}
-        />
+      <section
+        ref={this._setContainer}
+        className={cn('md-picker-content md-picker-content--calendar', className)}
+        onKeyDown={this._handleKeyDown}
+      >
+        {content}
       </section>
     );
   }
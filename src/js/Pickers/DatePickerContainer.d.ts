@@ -1,11 +1,28 @@
 import * as React from 'react';
 import { BasePickerProps, IntlFormat } from './index';
 
+export interface DateRange {
+  startDate: Date;
+  endDate: Date;
+}
+
+export interface DateRangePreset extends DateRange {
+  label: React.ReactNode;
+}
+
+export interface DateMarkerState {
+  active: boolean;
+  disabled: boolean;
+  today: boolean;
+}
+
 export interface DatePickerProps extends BasePickerProps {
   value?: string | Date,
   defaultValue?: string | Date;
-  onChange?: (formattedDate: string, date: Date, event: Event) => void;
-  defaultCalendarMode?: 'calendar' | 'year';
+  onChange?: (formattedDate: string, date: Date | DateRange, event: Event) => void;
+  defaultCalendarMode?: 'calendar' | 'year' | 'month';
+  granularity?: 'day' | 'month';
+  monthPickerClassName?: string;
   minDate?: Date,
   maxDate?: Date,
   yearsDisplayed?: number;
@@ -13,6 +30,20 @@ export interface DatePickerProps extends BasePickerProps {
   defaultCalendarDate?: string | Date;
   nextIcon?: React.ReactElement<any>;
   previousIcon?: React.ReactElement<any>;
+  range?: boolean;
+  startDate?: string | Date;
+  endDate?: string | Date;
+  defaultStartDate?: string | Date;
+  defaultEndDate?: string | Date;
+  rangeSeparator?: string;
+  minRangeDays?: number;
+  maxRangeDays?: number;
+  rangePresets?: Array<DateRangePreset>;
+  monthsDisplayed?: 1 | 2;
+  editable?: boolean;
+  isDateDisabled?: (date: Date) => boolean;
+  renderDateMarker?: (date: Date, state: DateMarkerState) => React.ReactNode;
+  timeZone?: string;
 
   /**
    * @deprecated
@@ -40,5 +71,10 @@ export interface DatePickerProps extends BasePickerProps {
   nextIconClassName?: string;
 }
 
-declare const DatePicker: React.ComponentClass<DatePickerProps>;
+export interface DatePickerComponent extends React.ComponentClass<DatePickerProps> {
+  lastDaysPreset(count: number, label: React.ReactNode): DateRangePreset;
+  thisMonthPreset(label: React.ReactNode): DateRangePreset;
+}
+
+declare const DatePicker: DatePickerComponent;
 export default DatePicker;
@@ -1,24 +1,28 @@
 /* eslint-disable new-cap,no-shadow */
-import React, { PureComponent } from 'react';
+import React, { PureComponent, cloneElement, isValidElement } from 'react';
 import PropTypes from 'prop-types';
 import cn from 'classnames';
 import isRequiredForA11y from 'react-prop-types/lib/isRequiredForA11y';
 import deprecated from 'react-prop-types/lib/deprecated';
 
-import { ESC, TAB } from '../constants/keyCodes';
+import { ENTER, ESC, TAB } from '../constants/keyCodes';
 import getField from '../utils/getField';
-import handleWindowClickListeners from '../utils/EventUtils/handleWindowClickListeners';
+import { setPickerListeners, getPickerTextFieldProps, renderPickerContent } from '../utils/pickerContainer';
 import handleKeyboardAccessibility from '../utils/EventUtils/handleKeyboardAccessibility';
 import controlled from '../utils/PropTypes/controlled';
 import isDateEqual from '../utils/DateUtils/isDateEqual';
 import addDate from '../utils/DateUtils/addDate';
+import stripTime from '../utils/DateUtils/stripTime';
+import parseDate from '../utils/DateUtils/parseDate';
+import toTimeZone from '../utils/DateUtils/toTimeZone';
+import fromTimeZone from '../utils/DateUtils/fromTimeZone';
+import { lastDays, thisMonth } from '../utils/DateUtils/rangePresets';
+import isDateRangeDisabled from '../utils/DateUtils/isDateRangeDisabled';
 import DateTimeFormat from '../utils/DateUtils/DateTimeFormat';
 
-import Collapse from '../Helpers/Collapse';
 import FontIcon from '../FontIcons/FontIcon';
 import getDeprecatedIcon from '../FontIcons/getDeprecatedIcon';
 import TextField from '../TextFields/TextField';
-import Dialog from '../Dialogs/DialogContainer';
 import DatePicker from './DatePicker';
 
 /**
@@ -94,6 +98,11 @@ export default class DatePickerContainer extends PureComponent {
      */
     yearPickerClassName: PropTypes.string,
 
+    /**
+     * An optional className to apply to the month picker of date picker.
+     */
+    monthPickerClassName: PropTypes.string,
+
     /**
      * An optional style to apply to the input tag.
      */
@@ -214,9 +223,10 @@ export default class DatePickerContainer extends PureComponent {
     cancelPrimary: PropTypes.bool,
 
     /**
-     * The initial mode to open the calendar in.
+     * The initial mode to open the calendar in. When the `granularity` is `'month'`,
+     * the `'calendar'` mode will display the month picker instead.
      */
-    defaultCalendarMode: PropTypes.oneOf(['calendar', 'year']),
+    defaultCalendarMode: PropTypes.oneOf(['calendar', 'year', 'month']),
 
     /**
      * The icon to use to display the previous month icon in the calendar.
@@ -427,6 +437,20 @@ export default class DatePickerContainer extends PureComponent {
      */
     readOnly: PropTypes.bool,
 
+    /**
+     * Boolean if the user should be able to type a date into the text field instead of only
+     * selecting a date from the calendar. The typed date will be parsed in the same order that
+     * the `DateTimeFormat` displays dates with the `locales` and `formatOptions`, and month names
+     * can also be typed. A valid date will update the calendar while typing and will be selected
+     * once the text field is blurred or the enter key is pressed. An invalid date will display
+     * the `errorText`. Clearing the text field will call the `onChange` prop with the empty string
+     * and `null`.
+     *
+     * The calendar can still be opened by clicking the `icon`. This prop is ignored when the
+     * `range` or `readOnly` props are enabled.
+     */
+    editable: PropTypes.bool,
+
     /**
      * The first day of week: 0 for Sunday, 1 for Monday, 2 for Tuesday, and so on.
      */
@@ -437,6 +461,28 @@ export default class DatePickerContainer extends PureComponent {
      */
     disableWeekEnds: PropTypes.bool,
 
+    /**
+     * An optional function to call with each date in the calendar that returns a boolean if the
+     * date should be disabled. This can be used to prevent holidays or other blackout dates from
+     * being selected. Typed dates in the `editable` mode will also be checked.
+     *
+     * ```js
+     * isDateDisabled={date => holidays.some(holiday => holiday.getTime() === date.getTime())}
+     * ```
+     */
+    isDateDisabled: PropTypes.func,
+
+    /**
+     * An optional function to call with each date in the calendar and its current state that can
+     * return a marker to display in the date. This is normally a small badge or a
+     * `<span className="md-calendar-date-dot" />` to show that the date has events.
+     *
+     * ```js
+     * renderDateMarker(date, { active, disabled, today });
+     * ```
+     */
+    renderDateMarker: PropTypes.func,
+
     /**
      * An optional className to apply to a date in calendar.
      */
@@ -472,6 +518,119 @@ export default class DatePickerContainer extends PureComponent {
      */
     lastChild: PropTypes.bool,
 
+    /**
+     * Boolean if the date picker should allow a range of dates to be selected instead of a single
+     * date. The first click in the calendar will select the start date and the second click will
+     * select the end date. When the range is changed, the `onChange` prop will be called with the
+     * formatted range string and an object containing the `startDate` and `endDate`.
+     *
+     * ```js
+     * onChange(rangeString, { startDate, endDate }, event);
+     * ```
+     */
+    range: PropTypes.bool,
+
+    /**
+     * The start date of the range when the `range` prop is enabled. This will make the date picker
+     * be a controlled component. This value should either be a formatted date string or a date object.
+     */
+    startDate: controlled(PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.instanceOf(Date),
+    ]), 'onChange', 'defaultStartDate'),
+
+    /**
+     * The end date of the range when the `range` prop is enabled. This will make the date picker
+     * be a controlled component. This value should either be a formatted date string or a date object.
+     */
+    endDate: controlled(PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.instanceOf(Date),
+    ]), 'onChange', 'defaultEndDate'),
+
+    /**
+     * An optional default start date for the range.
+     */
+    defaultStartDate: PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.instanceOf(Date),
+    ]),
+
+    /**
+     * An optional default end date for the range.
+     */
+    defaultEndDate: PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.instanceOf(Date),
+    ]),
+
+    /**
+     * The separator to use between the start and end dates in the text field when the `range`
+     * prop is enabled.
+     */
+    rangeSeparator: PropTypes.string,
+
+    /**
+     * An optional minimum number of days that must be selected in a range. This includes both
+     * the start and end dates.
+     */
+    minRangeDays: PropTypes.number,
+
+    /**
+     * An optional maximum number of days that can be selected in a range. This includes both
+     * the start and end dates.
+     */
+    maxRangeDays: PropTypes.number,
+
+    /**
+     * An optional list of preset ranges to display in the picker when the `range` prop is
+     * enabled. The `DatePicker.lastDaysPreset` and `DatePicker.thisMonthPreset` functions
+     * can be used to create the common presets.
+     *
+     * ```js
+     * rangePresets={[
+     *   DatePicker.lastDaysPreset(7, 'Last 7 days'),
+     *   DatePicker.thisMonthPreset('This month'),
+     * ]}
+     * ```
+     */
+    rangePresets: PropTypes.arrayOf(PropTypes.shape({
+      label: PropTypes.node.isRequired,
+      startDate: PropTypes.instanceOf(Date).isRequired,
+      endDate: PropTypes.instanceOf(Date).isRequired,
+    })),
+
+    /**
+     * The number of months to display side by side in the calendar.
+     */
+    monthsDisplayed: PropTypes.oneOf([1, 2]),
+
+    /**
+     * The granularity of the selected value. When this is `'month'`, selecting a year
+     * will display a grid of months and selecting a month will select the first day of
+     * that month without needing to pick a day. The value will also be formatted as the
+     * month and year unless the `formatOptions` are provided.
+     *
+     * This is useful for things like credit card expiration dates or monthly reports.
+     */
+    granularity: PropTypes.oneOf(['day', 'month']),
+
+    /**
+     * An optional IANA time zone name (like `'America/New_York'`) or `'UTC'` to display and
+     * pick dates in instead of the browser's local time zone. The calendar's days and the
+     * formatted value will be for this time zone and the `value`, `defaultValue`, `startDate`,
+     * and `endDate` will be treated as exact moments in time. The `onChange` callback will be called
+     * with the start of the selected day in this time zone.
+     *
+     * The `minDate` and `maxDate` will also be converted into this time zone before they are
+     * compared against the calendar days. The `isDateDisabled` function will be called with
+     * dates that have the same year, month, and day as the calendar day in this time zone.
+     *
+     * Any time zone other than UTC requires a `DateTimeFormat` that supports the `timeZone`
+     * option.
+     */
+    timeZone: PropTypes.string,
+
     previousIconChildren: deprecated(PropTypes.node, 'Use the `previousIcon` prop instead'),
     previousIconClassName: deprecated(PropTypes.string, 'Use the `previousIcon` prop instead'),
     nextIconChildren: deprecated(PropTypes.node, 'use the `nextIcon` prop instead'),
@@ -483,13 +642,19 @@ export default class DatePickerContainer extends PureComponent {
       PropTypes.string,
       PropTypes.instanceOf(Date),
     ]), 'Use `defaultCalendarDate` instead'),
-    initialCalendarMode: deprecated(PropTypes.oneOf(['calendar', 'year']), 'Use `defaultCalendarMode` instead'),
+    initialCalendarMode: deprecated(
+      PropTypes.oneOf(['calendar', 'year', 'month']),
+      'Use `defaultCalendarMode` instead'
+    ),
     initialYearsDisplayed: deprecated(
       PropTypes.number,
       'Use `yearsDisplayed` instead. I have not implemented infinite loading years'
     ),
   };
 
+  static lastDaysPreset = lastDays;
+  static thisMonthPreset = thisMonth;
+
   static defaultProps = {
     animateInline: true,
     previousIcon: <FontIcon>chevron_left</FontIcon>,
@@ -508,6 +673,9 @@ export default class DatePickerContainer extends PureComponent {
     cancelPrimary: true,
     closeOnEsc: true,
     'aria-label': 'Pick a date',
+    rangeSeparator: ' - ',
+    monthsDisplayed: 1,
+    granularity: 'day',
   };
 
   constructor(props) {
@@ -519,23 +687,21 @@ export default class DatePickerContainer extends PureComponent {
       defaultValue,
       DateTimeFormat,
       locales,
-      formatOptions,
-      minDate,
-      maxDate,
     } = props;
 
     if (typeof props.value !== 'undefined') {
-      date = this._getDate(props.value);
+      date = this._getDate(props.value, props);
     } else if (defaultValue) {
-      date = this._getDate(defaultValue);
+      date = this._getDate(defaultValue, props);
       value = typeof defaultValue === 'string'
         ? defaultValue
-        : DateTimeFormat(locales, formatOptions).format(defaultValue);
+        : DateTimeFormat(locales, this._getFormatOptions(props)).format(defaultValue);
     } else {
-      date = new Date();
+      date = this._toTimeZone(new Date(), props);
       value = '';
     }
 
+    const { minDate, maxDate } = this._getDateBounds(props);
     date = this._validateDateRange(date, minDate, maxDate);
 
     const defaultCalendarDate = typeof props.initialCalendarDate !== 'undefined'
@@ -543,7 +709,7 @@ export default class DatePickerContainer extends PureComponent {
       : props.defaultCalendarDate;
     let calendarTempDate = date;
     if (typeof defaultCalendarDate !== 'undefined' && !props.value && !props.defaultValue) {
-      calendarTempDate = this._getDate(defaultCalendarDate);
+      calendarTempDate = this._getDate(defaultCalendarDate, props);
       date = calendarTempDate;
     } else if (calendarTempDate === null) {
       calendarTempDate = new Date();
@@ -554,26 +720,62 @@ export default class DatePickerContainer extends PureComponent {
       ? props.initiallyOpen
       : !!props.defaultVisible;
 
+    const { defaultStartDate, defaultEndDate } = props;
+    const startDate = defaultStartDate ? new Date(defaultStartDate) : null;
+    const endDate = defaultEndDate ? new Date(defaultEndDate) : null;
+    let calendarTempStartDate = null;
+    let calendarTempEndDate = null;
+    if (props.range) {
+      calendarTempStartDate = this._toDate(getField(props, { startDate }, 'startDate'), props);
+      calendarTempEndDate = this._toDate(getField(props, { endDate }, 'endDate'), props);
+      if (calendarTempStartDate) {
+        calendarTempDate = new Date(calendarTempStartDate);
+        date = new Date(calendarTempStartDate);
+      }
+    }
+
+    let calendarMode = props.initialCalendarMode || props.defaultCalendarMode;
+    if (props.granularity === 'month' && calendarMode === 'calendar') {
+      calendarMode = 'month';
+    }
+
     this.state = {
       value,
       visible,
+      startDate,
+      endDate,
+      calendarTempStartDate,
+      calendarTempEndDate,
+      hoverDate: null,
+      inputValue: null,
+      inputError: false,
       calendarDate: date,
       calendarTempDate,
-      calendarMode: props.initialCalendarMode || props.defaultCalendarMode,
+      calendarMode,
     };
   }
 
   componentWillReceiveProps(nextProps) {
+    if (nextProps.range
+      && (this.props.startDate !== nextProps.startDate || this.props.endDate !== nextProps.endDate)) {
+      this.setState({
+        calendarTempStartDate: this._toDate(getField(nextProps, this.state, 'startDate'), nextProps),
+        calendarTempEndDate: this._toDate(getField(nextProps, this.state, 'endDate'), nextProps),
+        hoverDate: null,
+      });
+    }
+
     const { value, minDate, maxDate } = nextProps;
     const minEqual = isDateEqual(this.props.minDate, minDate);
     const maxEqual = isDateEqual(this.props.maxDate, maxDate);
     if (this.props.value !== value || !minEqual || !maxEqual) {
       let { calendarDate } = this.state;
       if (typeof value !== 'undefined') {
-        calendarDate = this._getDate(value);
+        calendarDate = this._getDate(value, nextProps);
       }
 
-      calendarDate = this._validateDateRange(calendarDate, minDate, maxDate);
+      const bounds = this._getDateBounds(nextProps);
+      calendarDate = this._validateDateRange(calendarDate, bounds.minDate, bounds.maxDate);
 
       if (!isDateEqual(this.state.calendarDate, calendarDate)) {
         this.setState({ calendarDate, calendarTempDate: calendarDate });
@@ -594,14 +796,8 @@ export default class DatePickerContainer extends PureComponent {
       return;
     }
 
-    if (visible) {
-      if (inline) {
-        handleWindowClickListeners(this._handleOutsideClick, true);
-        window.addEventListener('keydown', this._closeOnEsc);
-      }
-    } else if (inline) {
-      handleWindowClickListeners(this._handleOutsideClick, false);
-      window.removeEventListener('keydown', this._closeOnEsc);
+    if (inline) {
+      setPickerListeners(visible, this._handleOutsideClick, this._closeOnEsc);
     }
   }
 
@@ -611,19 +807,84 @@ export default class DatePickerContainer extends PureComponent {
       : getField(this.props, this.state, 'visible');
 
     if (visible && this.props.inline) {
-      handleWindowClickListeners(this._handleOutsideClick, false);
-      window.removeEventListener('keydown', this._closeOnEsc);
+      setPickerListeners(false, this._handleOutsideClick, this._closeOnEsc);
     }
   }
 
-  _getDate(value) {
+  _getDate(value, props = this.props) {
     if (value === '' || value === null) {
-      return new Date();
+      return this._toTimeZone(new Date(), props);
     } else if (typeof value === 'string') {
-      return new Date(value);
+      return this._toTimeZone(new Date(value), props);
     }
 
-    return value;
+    return this._toTimeZone(value, props);
+  }
+
+  /**
+   * Converts an exact date into a date in the local time zone that has the same
+   * day and time as the date in the `timeZone` prop so that it can be displayed in the calendar.
+   *
+   * @param {Date} date - The date to convert.
+   * @param {Object} props - The props object to use.
+   * @return {Date} the converted date or the date when there is no `timeZone`.
+   */
+  _toTimeZone(date, props = this.props) {
+    const { DateTimeFormat, timeZone } = props;
+    return timeZone ? toTimeZone(DateTimeFormat, date, timeZone) : date;
+  }
+
+  /**
+   * Converts the `minDate` and `maxDate` into calendar dates for the `timeZone` so that they
+   * can be compared against the days in the calendar.
+   *
+   * @param {Object} props - The props to get the min and max dates from.
+   * @return {Object} an object containing the converted `minDate` and `maxDate`.
+   */
+  _getDateBounds(props = this.props) {
+    const { minDate, maxDate } = props;
+    return {
+      minDate: minDate ? this._toTimeZone(minDate, props) : minDate,
+      maxDate: maxDate ? this._toTimeZone(maxDate, props) : maxDate,
+    };
+  }
+
+  /**
+   * Checks if a range of calendar dates can not be selected.
+   *
+   * @param {Date} startDate - The start date of the range.
+   * @param {Date} endDate - The end date of the range.
+   * @return {boolean} true if the range is disabled.
+   */
+  _isRangeDisabled(startDate, endDate) {
+    return isDateRangeDisabled(startDate, endDate, { ...this.props, ...this._getDateBounds() });
+  }
+
+  /**
+   * Converts a date from the calendar back into an exact date for the `timeZone` prop.
+   *
+   * @param {Date} date - The date to convert.
+   * @param {Object} props - The props object to use.
+   * @return {Date} the converted date or a copy of the date when there is no `timeZone`.
+   */
+  _fromTimeZone(date, props = this.props) {
+    const { DateTimeFormat, timeZone } = props;
+    return fromTimeZone(DateTimeFormat, date, timeZone);
+  }
+
+  /**
+   * Converts a range value into a date for the calendar. Empty values will return null instead of today.
+   *
+   * @param {String|Date} value - the value to convert.
+   * @param {Object} props - The props object to use.
+   * @return {Date} the date or null.
+   */
+  _toDate(value, props = this.props) {
+    if (value === '' || value === null || typeof value === 'undefined') {
+      return null;
+    }
+
+    return this._getDate(value, props);
   }
 
   _setContainer= (container) => {
@@ -661,27 +922,130 @@ export default class DatePickerContainer extends PureComponent {
   };
 
   _handleKeyDown = (e) => {
+    const key = e.which || e.keyCode;
+    if (key === TAB && this.state.active) {
+      this.setState({ active: false });
+    }
+
+    if (this._isEditable(this.props)) {
+      if (key === ENTER) {
+        this._commitInput(e);
+      }
+
+      return;
+    }
+
     handleKeyboardAccessibility(e, this._toggleOpen, true, true);
+  };
 
-    if ((e.which || e.keyCode) === TAB && this.state.active) {
-      this.setState({ active: false });
+  _handleIconKeyDown = (e) => {
+    handleKeyboardAccessibility(e, this._toggleOpen, true, true);
+  };
+
+  _isEditable({ editable, range, readOnly }) {
+    return !!editable && !range && !readOnly;
+  }
+
+  /**
+   * Parses the typed value and validates it against the min, max, and disabled dates.
+   *
+   * @param {String} value - The typed value.
+   * @return {Date} the parsed date or null if it is invalid.
+   */
+  _parseInput(value) {
+    const {
+      DateTimeFormat,
+      locales,
+      disableWeekEnds,
+      isDateDisabled,
+      granularity,
+    } = this.props;
+    const { minDate, maxDate } = this._getDateBounds();
+    const date = parseDate(value, DateTimeFormat, locales, this._getFormatOptions(this.props));
+    if (!date) {
+      return null;
+    } else if (granularity === 'month') {
+      const isBeforeMin = minDate && date < new Date(minDate.getFullYear(), minDate.getMonth(), 1);
+      return isBeforeMin || (maxDate && date > maxDate) ? null : date;
+    }
+
+    if ((minDate && date < stripTime(minDate))
+      || (maxDate && date > maxDate)
+      || (disableWeekEnds && (date.getDay() === 0 || date.getDay() === 6))
+      || (isDateDisabled && isDateDisabled(new Date(date)))) {
+      return null;
     }
+
+    return date;
+  }
+
+  _handleInputChange = (inputValue) => {
+    const state = { inputValue, inputError: false };
+    const date = this._parseInput(inputValue);
+    if (date) {
+      state.calendarDate = date;
+      state.calendarTempDate = new Date(date);
+    }
+
+    this.setState(state);
   };
 
-  _handleOkClick = (e) => {
-    const { DateTimeFormat, locales, onChange, formatOptions, onVisibilityChange } = this.props;
-    const value = DateTimeFormat(locales, formatOptions).format(this.state.calendarTempDate);
+  _commitInput = (e) => {
+    const { inputValue } = this.state;
+    if (inputValue === null) {
+      return;
+    }
+
+    const { DateTimeFormat, locales, onChange } = this.props;
+    const state = { inputValue: null, inputError: false };
+    let value = '';
+    let date = null;
+    if (inputValue.trim()) {
+      date = this._parseInput(inputValue);
+      if (!date) {
+        this.setState({ inputError: true });
+        return;
+      }
+
+      value = DateTimeFormat(locales, this._getFormatOptions(this.props)).format(this._fromTimeZone(date));
+      state.calendarDate = date;
+      state.calendarTempDate = new Date(date);
+    }
+
     if (onChange) {
-      onChange(value, new Date(this.state.calendarTempDate), e);
+      onChange(value, date && this._fromTimeZone(date), e);
     }
 
-    if (onVisibilityChange) {
-      onVisibilityChange(false, e);
+    if (typeof this.props.value === 'undefined') {
+      state.value = value;
     }
 
+    this.setState(state);
+  };
+
+  _handleOkClick = (e) => {
+    const { DateTimeFormat, locales, onChange, onVisibilityChange, range } = this.props;
     let state;
-    if (typeof this.props.value === 'undefined') {
-      state = { value };
+    if (range) {
+      const { calendarTempStartDate, calendarTempEndDate } = this.state;
+      if (calendarTempStartDate) {
+        state = this._commitRange(calendarTempStartDate, calendarTempEndDate || calendarTempStartDate, e);
+      }
+    } else {
+      const date = this._fromTimeZone(this.state.calendarTempDate);
+      const value = DateTimeFormat(locales, this._getFormatOptions(this.props)).format(date);
+      if (onChange) {
+        onChange(value, date, e);
+      }
+
+      state = { inputValue: null, inputError: false };
+      if (typeof this.props.value === 'undefined') {
+        state.value = value;
+      }
+    }
+
+    if (onVisibilityChange) {
+      onVisibilityChange(false, e);
     }
 
     if (typeof this.props.visible === 'undefined' && typeof this.props.isOpen === 'undefined') {
@@ -696,6 +1060,12 @@ export default class DatePickerContainer extends PureComponent {
 
   _handleCancelClick = (e) => {
     const state = { calendarTempDate: this.state.calendarDate };
+    if (this.props.range) {
+      state.calendarTempStartDate = this._toDate(getField(this.props, this.state, 'startDate'));
+      state.calendarTempEndDate = this._toDate(getField(this.props, this.state, 'endDate'));
+      state.hoverDate = null;
+    }
+
     if (typeof this.props.isOpen === 'undefined' && typeof this.props.isOpen === 'undefined') {
       state.visible = false;
     }
@@ -723,40 +1093,153 @@ export default class DatePickerContainer extends PureComponent {
     this.setState({ calendarDate });
   };
 
+  _setCalendarDate = (calendarDate) => {
+    this.setState({ calendarDate });
+  };
+
   _setCalendarTempDate = (calendarTempDate) => {
-    const { autoOk, DateTimeFormat, locales, onChange, formatOptions } = this.props;
+    const { autoOk, DateTimeFormat, locales, onChange, range } = this.props;
+    if (range) {
+      this._setCalendarTempRangeDate(calendarTempDate);
+      return;
+    }
 
     const state = { calendarTempDate };
     if (autoOk) {
-      const value = DateTimeFormat(locales, formatOptions).format(calendarTempDate);
+      state.inputValue = null;
+      state.inputError = false;
+      const date = this._fromTimeZone(calendarTempDate);
+      const value = DateTimeFormat(locales, this._getFormatOptions(this.props)).format(date);
       if (onChange) {
-        onChange(value, new Date(calendarTempDate));
+        onChange(value, date);
       }
 
       if (typeof this.props.value === 'undefined') {
         state.value = value;
       }
 
-      this._timeout = setTimeout(() => {
-        this._timeout = null;
+      this._closeAfterAutoOk();
+    }
+    this.setState(state);
+  };
 
-        if (this.props.onVisibilityChange) {
-          this.props.onVisibilityChange(false);
-        }
+  _closeAfterAutoOk() {
+    this._timeout = setTimeout(() => {
+      this._timeout = null;
 
-        if (typeof this.props.visible === 'undefined' && typeof this.props.isOpen === 'undefined') {
-          this.setState({ visible: false });
-        }
-      });
+      if (this.props.onVisibilityChange) {
+        this.props.onVisibilityChange(false);
+      }
+
+      if (typeof this.props.visible === 'undefined' && typeof this.props.isOpen === 'undefined') {
+        this.setState({ visible: false });
+      }
+    });
+  }
+
+  /**
+   * Calls the `onChange` prop with the formatted range and creates the next state for
+   * the selected range. Ranges that do not fit within the `minDate`, `maxDate`, `minRangeDays`,
+   * `maxRangeDays`, or `isDateDisabled` props will not be committed.
+   *
+   * @param {Date} startDate - The start date of the range.
+   * @param {Date} endDate - The end date of the range.
+   * @param {Event=} e - An optional event that caused the change.
+   * @return {Object} the next state or null if the range is disabled.
+   */
+  _commitRange(startDate, endDate, e) {
+    if (this._isRangeDisabled(startDate, endDate)) {
+      return null;
+    }
+
+    const { onChange } = this.props;
+    const start = this._fromTimeZone(startDate);
+    const end = this._fromTimeZone(endDate);
+    if (onChange) {
+      onChange(this._formatRange(this.props, start, end), {
+        startDate: new Date(start),
+        endDate: new Date(end),
+      }, e);
+    }
+
+    const state = { calendarTempStartDate: startDate, calendarTempEndDate: endDate, hoverDate: null };
+    if (typeof this.props.startDate === 'undefined') {
+      state.startDate = start;
+    }
+
+    if (typeof this.props.endDate === 'undefined') {
+      state.endDate = end;
+    }
+
+    return state;
+  }
+
+  /**
+   * Updates the pending range when a date is clicked. The first click will start a new range and
+   * the next click will complete it. Clicking a date before the start of the range will restart it.
+   *
+   * @param {Date} date - The date that was clicked.
+   */
+  _setCalendarTempRangeDate(date) {
+    const { calendarTempStartDate, calendarTempEndDate } = this.state;
+    let state = { calendarTempDate: new Date(date), hoverDate: null };
+    if (!calendarTempStartDate || calendarTempEndDate || date < calendarTempStartDate) {
+      state.calendarTempStartDate = date;
+      state.calendarTempEndDate = null;
+    } else {
+      const committed = this.props.autoOk && this._commitRange(calendarTempStartDate, date);
+      if (committed) {
+        state = { ...state, ...committed };
+        this._closeAfterAutoOk();
+      } else {
+        state.calendarTempEndDate = date;
+      }
+    }
+
+    this.setState(state);
+  }
+
+  _setHoverDate = (hoverDate) => {
+    const { calendarTempStartDate, calendarTempEndDate } = this.state;
+    if (this.props.range && calendarTempStartDate && !calendarTempEndDate) {
+      this.setState({ hoverDate });
+    }
+  };
+
+  _setPresetRange = ({ startDate, endDate }) => {
+    if (this._isRangeDisabled(startDate, endDate)) {
+      return;
+    }
+
+    let state = {
+      calendarDate: new Date(startDate),
+      calendarTempDate: new Date(endDate),
+      calendarTempStartDate: new Date(startDate),
+      calendarTempEndDate: new Date(endDate),
+      hoverDate: null,
+    };
+
+    if (this.props.autoOk) {
+      state = { ...state, ...this._commitRange(state.calendarTempStartDate, state.calendarTempEndDate) };
+      this._closeAfterAutoOk();
     }
+
     this.setState(state);
   };
 
   _setCalendarTempYear = (year) => {
     const { calendarTempDate, calendarDate } = this.state;
-    if (calendarTempDate.getFullYear() === year) { return; }
+    const { granularity } = this.props;
+    const { minDate, maxDate } = this._getDateBounds();
+    const calendarMode = granularity === 'month' ? 'month' : this.state.calendarMode;
+    if (calendarTempDate.getFullYear() === year) {
+      if (calendarMode !== this.state.calendarMode) {
+        this.setState({ calendarMode });
+      }
+
+      return;
+    }
 
-    const { minDate, maxDate } = this.props;
     let nextDate = new Date(calendarDate.setFullYear(year));
     let nextTemp = new Date(calendarTempDate.setFullYear(year));
 
@@ -773,9 +1256,46 @@ export default class DatePickerContainer extends PureComponent {
     this.setState({
       calendarDate: nextDate,
       calendarTempDate: nextTemp,
+      calendarMode,
     });
   };
 
+  _setCalendarTempMonth = (month) => {
+    const { calendarTempDate, calendarDate } = this.state;
+    if (this.props.granularity === 'month') {
+      this._setCalendarTempDate(new Date(calendarTempDate.getFullYear(), month, 1));
+      return;
+    }
+
+    const year = calendarDate.getFullYear();
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    this.setState({
+      calendarDate: new Date(year, month, Math.min(calendarDate.getDate(), lastDay)),
+      calendarMode: 'calendar',
+    });
+  };
+
+  /**
+   * Gets the DateTimeFormat options to format the value with. When the `granularity`
+   * is `'month'` and there are no `formatOptions`, only the month and year will be formatted.
+   * The `timeZone` will also be added when it has been provided.
+   *
+   * @param {Object} props - The props object to use.
+   * @return {Object} the format options.
+   */
+  _getFormatOptions({ formatOptions, granularity, timeZone }) {
+    let options = formatOptions;
+    if (!options && granularity === 'month') {
+      options = { month: 'long', year: 'numeric' };
+    }
+
+    if (timeZone) {
+      options = { ...options, timeZone };
+    }
+
+    return options;
+  }
+
   /**
    * Gets the current value from the date picker as a formatted string.
    *
@@ -784,17 +1304,39 @@ export default class DatePickerContainer extends PureComponent {
    * @return {String} a formatted date string or the empty string.
    */
   _getFormattedValue(props, state) {
-    const { DateTimeFormat, locales, formatOptions } = props;
+    const { DateTimeFormat, locales, range } = props;
+    if (range) {
+      const startDate = getField(props, state, 'startDate');
+      const endDate = getField(props, state, 'endDate');
+      return startDate ? this._formatRange(props, startDate, endDate || startDate) : '';
+    }
+
     const value = getField(props, state, 'value');
     if (!value) {
       return '';
     } else if (value instanceof Date) {
-      return DateTimeFormat(locales, formatOptions).format(new Date(value));
+      return DateTimeFormat(locales, this._getFormatOptions(props)).format(new Date(value));
     } else {
       return value;
     }
   }
 
+  /**
+   * Formats a range of dates as the start and end dates joined by the `rangeSeparator`.
+   *
+   * @param {Object} props - The props object to use.
+   * @param {String|Date} startDate - The start date of the range.
+   * @param {String|Date} endDate - The end date of the range.
+   * @return {String} the formatted range.
+   */
+  _formatRange(props, startDate, endDate) {
+    const { DateTimeFormat, locales, rangeSeparator } = props;
+    const formatter = DateTimeFormat(locales, this._getFormatOptions(props));
+    const format = date => (typeof date === 'string' ? date : formatter.format(new Date(date)));
+
+    return `${format(startDate)}${rangeSeparator}${format(endDate)}`;
+  }
+
   /**
    * Attempts to validate the `calendarDate` in the state against the min and
    * max dates.
@@ -829,19 +1371,31 @@ export default class DatePickerContainer extends PureComponent {
       pickerHeaderClassName,
       pickerContentClassName,
       pickerFooterClassName,
-      inputStyle,
       inputClassName,
-      textFieldStyle,
       textFieldClassName,
-      label,
-      placeholder,
       icon,
       inline,
       displayMode,
+      disabled,
+      error,
+      'aria-label': ariaLabel,
+      nextIcon: propNextIcon,
+      previousIcon: propPreviousIcon,
+
+      // deprecated
+      isOpen,
+      previousIconChildren,
+      previousIconClassName,
+      nextIconChildren,
+      nextIconClassName,
+      /* eslint-disable no-unused-vars */
+      inputStyle,
+      textFieldStyle,
+      label,
+      placeholder,
       fullWidth,
       lineDirection,
       id,
-      disabled,
       closeOnEsc,
       animateInline,
       portal,
@@ -850,7 +1404,6 @@ export default class DatePickerContainer extends PureComponent {
       block,
       paddedBlock,
       active,
-      error,
       floating,
       required,
       leftIconStateful,
@@ -861,17 +1414,6 @@ export default class DatePickerContainer extends PureComponent {
       helpText,
       helpOnFocus,
       inlineIndicator,
-      'aria-label': ariaLabel,
-      nextIcon: propNextIcon,
-      previousIcon: propPreviousIcon,
-
-      // deprecated
-      isOpen,
-      previousIconChildren,
-      previousIconClassName,
-      nextIconChildren,
-      nextIconClassName,
-      /* eslint-disable no-unused-vars */
       value: propValue,
       visible: propVisible,
       defaultValue,
@@ -880,6 +1422,13 @@ export default class DatePickerContainer extends PureComponent {
       readOnly,
       onVisibilityChange,
       defaultCalendarDate,
+      startDate,
+      endDate,
+      defaultStartDate,
+      defaultEndDate,
+      rangeSeparator,
+      editable: propEditable,
+      timeZone,
 
       // deprecated
       initialCalendarDate,
@@ -895,10 +1444,36 @@ export default class DatePickerContainer extends PureComponent {
       ? isOpen
       : getField(this.props, this.state, 'visible');
 
+    let rangeProps;
+    if (props.range) {
+      const { calendarTempStartDate, calendarTempEndDate, hoverDate } = this.state;
+      const rangePending = !!calendarTempStartDate && !calendarTempEndDate;
+      let rangeEnd = calendarTempEndDate;
+      if (rangePending && hoverDate && hoverDate >= calendarTempStartDate) {
+        rangeEnd = hoverDate;
+      }
+
+      rangeProps = {
+        rangeStart: calendarTempStartDate,
+        rangeEnd,
+        rangePending,
+        onPresetClick: this._setPresetRange,
+        onCalendarDateHover: this._setHoverDate,
+      };
+    }
+
+    let today;
+    if (timeZone) {
+      today = this._toTimeZone(new Date());
+    }
+
     const picker = (
       <DatePicker
         {...this.state}
         {...props}
+        {...rangeProps}
+        {...this._getDateBounds()}
+        today={today}
         nextIcon={nextIcon}
         previousIcon={previousIcon}
         icon={!!icon}
@@ -914,66 +1489,43 @@ export default class DatePickerContainer extends PureComponent {
         changeCalendarMode={this._changeCalendarMode}
         onPreviousClick={this._previousMonth}
         onNextClick={this._nextMonth}
+        onCalendarDateChange={this._setCalendarDate}
         onCalendarDateClick={this._setCalendarTempDate}
         onCalendarYearClick={this._setCalendarTempYear}
+        onCalendarMonthClick={this._setCalendarTempMonth}
       />
     );
 
-    let content;
-    if (inline) {
-      content = <Collapse collapsed={!visible} animate={animateInline}>{picker}</Collapse>;
-    } else {
-      content = (
-        <Dialog
-          id={`${id}-dialog`}
-          visible={visible}
-          onHide={this._handleCancelClick}
-          dialogClassName="md-dialog--picker"
-          contentClassName="md-dialog-content--picker"
-          aria-label={ariaLabel}
-          closeOnEsc={closeOnEsc}
-          renderNode={renderNode}
-          portal={portal}
-          lastChild={lastChild}
-          focusOnMount={false}
-        >
-          {picker}
-        </Dialog>
-      );
+    const editable = this._isEditable(this.props);
+    const { inputValue, inputError } = this.state;
+    let leftIcon = icon;
+    if (editable && isValidElement(icon)) {
+      leftIcon = cloneElement(icon, {
+        role: 'button',
+        tabIndex: disabled ? null : 0,
+        'aria-label': ariaLabel,
+        onClick: this._toggleOpen,
+        onKeyDown: this._handleIconKeyDown,
+        className: cn({ 'md-pointer--hover': !disabled }, icon.props.className),
+      });
     }
 
+    const content = renderPickerContent(picker, this.props, visible, this._handleCancelClick);
+
     return (
       <div style={style} className={cn('md-picker-container', className)} ref={this._setContainer}>
         <TextField
-          id={id}
-          style={textFieldStyle}
-          className={cn({ 'md-pointer--hover': !disabled }, textFieldClassName)}
-          inputStyle={inputStyle}
-          inputClassName={cn({ 'md-pointer--hover': !disabled }, inputClassName)}
-          active={active || visible}
-          error={error}
-          floating={floating || visible}
-          required={required}
-          disabled={disabled}
-          leftIcon={icon}
-          leftIconStateful={leftIconStateful}
-          rightIcon={rightIcon}
-          rightIconStateful={rightIconStateful}
-          inlineIndicator={inlineIndicator}
-          block={block}
-          paddedBlock={paddedBlock}
-          fullWidth={fullWidth}
-          lineDirection={lineDirection}
-          customSize={customSize}
-          helpText={helpText}
-          helpOnFocus={helpOnFocus}
-          errorText={errorText}
-          label={label}
-          placeholder={placeholder}
-          onClick={this._toggleOpen}
+          {...getPickerTextFieldProps(this.props, visible)}
+          className={cn({ 'md-pointer--hover': !disabled && !editable }, textFieldClassName)}
+          inputClassName={cn({ 'md-pointer--hover': !disabled && !editable }, inputClassName)}
+          error={error || inputError}
+          leftIcon={leftIcon}
+          onClick={editable ? null : this._toggleOpen}
           onKeyDown={this._handleKeyDown}
-          value={this._getFormattedValue(this.props, this.state)}
-          readOnly
+          onChange={editable ? this._handleInputChange : null}
+          onBlur={editable ? this._commitInput : null}
+          value={inputValue !== null ? inputValue : this._getFormattedValue(this.props, this.state)}
+          readOnly={!editable}
         />
         {content}
       </div>
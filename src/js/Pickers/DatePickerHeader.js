@@ -19,8 +19,21 @@ export default class DatePickerHeader extends PureComponent {
       PropTypes.arrayOf(PropTypes.string),
     ]).isRequired,
     calendarTempDate: PropTypes.instanceOf(Date).isRequired,
-    calendarMode: PropTypes.oneOf(['calendar', 'year']).isRequired,
+    calendarMode: PropTypes.oneOf(['calendar', 'year', 'month']).isRequired,
     changeCalendarMode: PropTypes.func.isRequired,
+
+    /**
+     * Boolean if the header should display the selected range instead of a single date.
+     */
+    range: PropTypes.bool,
+    calendarTempStartDate: PropTypes.instanceOf(Date),
+    calendarTempEndDate: PropTypes.instanceOf(Date),
+
+    /**
+     * The smallest unit of time that can be picked. When this is `'month'`, only the month
+     * will be displayed and the month picker will be opened instead of the calendar.
+     */
+    granularity: PropTypes.oneOf(['day', 'month']),
   };
 
   constructor(props) {
@@ -34,16 +47,45 @@ export default class DatePickerHeader extends PureComponent {
     if (DateTimeFormat !== nextProps.DateTimeFormat
       || locales !== nextProps.locales
       || calendarTempDate !== nextProps.calendarTempDate
+      || this.props.calendarTempStartDate !== nextProps.calendarTempStartDate
+      || this.props.calendarTempEndDate !== nextProps.calendarTempEndDate
+      || this.props.granularity !== nextProps.granularity
       || changeCalendarMode !== nextProps.changeCalendarMode) {
       this.setState(this._getFormattedDate(nextProps));
     }
   }
 
-  _getFormattedDate({ DateTimeFormat, locales, calendarTempDate }) {
+  _getFormattedDate({
+    DateTimeFormat,
+    locales,
+    calendarTempDate,
+    range,
+    calendarTempStartDate,
+    calendarTempEndDate,
+    granularity,
+  }) {
+    const year = DateTimeFormat(locales, { year: 'numeric' }).format(calendarTempDate);
+    const weekday = DateTimeFormat(locales, { weekday: 'short' }).format(calendarTempDate);
+    const dateFormatter = DateTimeFormat(locales, { month: 'short', day: '2-digit' });
+    let rangeText = null;
+    if (range && calendarTempStartDate) {
+      rangeText = `${dateFormatter.format(calendarTempStartDate)} \u2013`;
+      if (calendarTempEndDate) {
+        rangeText = `${rangeText} ${dateFormatter.format(calendarTempEndDate)}`;
+      }
+    }
+
+    let month = null;
+    if (granularity === 'month') {
+      month = DateTimeFormat(locales, { month: 'long' }).format(calendarTempDate);
+    }
+
     return {
-      year: DateTimeFormat(locales, { year: 'numeric' }).format(calendarTempDate),
-      weekday: DateTimeFormat(locales, { weekday: 'short' }).format(calendarTempDate),
-      date: DateTimeFormat(locales, { month: 'short', day: '2-digit' }).format(calendarTempDate),
+      year,
+      weekday,
+      month,
+      rangeText,
+      date: dateFormatter.format(calendarTempDate),
     };
   }
 
@@ -52,20 +94,31 @@ export default class DatePickerHeader extends PureComponent {
   };
 
   _selectCalendar = (e) => {
-    this.props.changeCalendarMode('calendar', e);
+    this.props.changeCalendarMode(this.props.granularity === 'month' ? 'month' : 'calendar', e);
   };
 
   render() {
-    const { year, weekday, date } = this.state;
+    const { year, weekday, date, month, rangeText } = this.state;
     const { calendarMode, className } = this.props;
+    let dateText;
+    if (month) {
+      dateText = <h4 className="md-display-1">{month}</h4>;
+    } else if (rangeText) {
+      dateText = <h4 className="md-display-1">{rangeText}</h4>;
+    } else {
+      dateText = [
+        <h4 key="weekday" className="md-display-1">{`${weekday},`}&nbsp;</h4>,
+        <h4 key="date" className="md-display-1">{date}</h4>,
+      ];
+    }
+
     return (
       <header className={cn('md-picker-header', className)}>
         <PickerControl onClick={this._selectYear} active={calendarMode === 'year'}>
           <h6 className="md-subheading-1">{year}</h6>
         </PickerControl>
-        <PickerControl onClick={this._selectCalendar} active={calendarMode === 'calendar'}>
-          <h4 className="md-display-1">{`${weekday},`}&nbsp;</h4>
-          <h4 className="md-display-1">{date}</h4>
+        <PickerControl onClick={this._selectCalendar} active={calendarMode !== 'year'}>
+          {dateText}
         </PickerControl>
       </header>
     );
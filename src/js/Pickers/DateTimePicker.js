@@ -0,0 +1,381 @@
+import React, { PureComponent } from 'react';
+import PropTypes from 'prop-types';
+import cn from 'classnames';
+
+import isTimeDisabled from '../utils/DateUtils/isTimeDisabled';
+import DialogFooter from '../Dialogs/DialogFooter';
+import DatePickerHeader from './DatePickerHeader';
+import DatePickerCalendar from './DatePickerCalendar';
+import YearPicker from './YearPicker';
+import TimePickerHeader from './TimePickerHeader';
+import ClockFace from './ClockFace';
+
+/**
+ * The `DateTimePicker` component is used to display the date step and then the time
+ * step for a single date in the `DateTimePickerContainer` component.
+ */
+export default class DateTimePicker extends PureComponent {
+  static propTypes = {
+    style: PropTypes.object,
+    className: PropTypes.string,
+    headerClassName: PropTypes.string,
+    contentClassName: PropTypes.string,
+    footerClassName: PropTypes.string,
+    calendarClassName: PropTypes.string,
+    yearPickerClassName: PropTypes.string,
+    okLabel: PropTypes.node.isRequired,
+    okPrimary: PropTypes.bool.isRequired,
+    onOkClick: PropTypes.func.isRequired,
+    cancelLabel: PropTypes.node.isRequired,
+    cancelPrimary: PropTypes.bool.isRequired,
+    onCancelClick: PropTypes.func.isRequired,
+    nextStepLabel: PropTypes.node.isRequired,
+    previousStepLabel: PropTypes.node.isRequired,
+    DateTimeFormat: PropTypes.func.isRequired,
+    locales: PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.arrayOf(PropTypes.string),
+    ]).isRequired,
+    icon: PropTypes.bool,
+    inline: PropTypes.bool,
+    displayMode: PropTypes.oneOf(['landscape', 'portrait']),
+
+    /**
+     * The current step of the picker.
+     */
+    step: PropTypes.oneOf(['date', 'time']).isRequired,
+
+    /**
+     * A function to call with the next step when the step should change.
+     */
+    setStep: PropTypes.func.isRequired,
+
+    /**
+     * The date and time that is currently being picked.
+     */
+    tempDate: PropTypes.instanceOf(Date).isRequired,
+    calendarDate: PropTypes.instanceOf(Date).isRequired,
+    calendarMode: PropTypes.oneOf(['calendar', 'year']).isRequired,
+    changeCalendarMode: PropTypes.func.isRequired,
+    firstDayOfWeek: PropTypes.number,
+    disableWeekEnds: PropTypes.bool,
+    calendarDateClassName: PropTypes.string,
+    calendarTitleClassName: PropTypes.string,
+    calendarTitleFormat: PropTypes.object,
+    calendarWeekdayClassName: PropTypes.string,
+    calendarWeekdayFormat: PropTypes.string,
+
+    /**
+     * The current time type that is being changed.
+     */
+    timeMode: PropTypes.oneOf(['hour', 'minute']).isRequired,
+    setTimeMode: PropTypes.func.isRequired,
+
+    /**
+     * A function that will update the time of the `tempDate` before the user selects ok.
+     */
+    setTempTime: PropTypes.func.isRequired,
+
+    /**
+     * @see {@link Pickers/TimePicker#hours}
+     */
+    hours: PropTypes.string.isRequired,
+
+    /**
+     * @see {@link Pickers/TimePicker#minutes}
+     */
+    minutes: PropTypes.string.isRequired,
+
+    /**
+     * @see {@link Pickers/TimePicker#timePeriod}
+     */
+    timePeriod: PropTypes.string,
+
+    /**
+     * @see {@link Pickers/TimePicker#hoverMode}
+     */
+    hoverMode: PropTypes.bool,
+
+    /**
+     * An optional min time for the `tempDate`'s day. Any hours or minutes on the clock that
+     * are before this time will be disabled.
+     */
+    minTime: PropTypes.instanceOf(Date),
+
+    /**
+     * An optional max time for the `tempDate`'s day. Any hours or minutes on the clock that
+     * are after this time will be disabled.
+     */
+    maxTime: PropTypes.instanceOf(Date),
+  };
+
+  _showDate = () => {
+    this.props.setStep('date');
+  };
+
+  _showTime = () => {
+    this.props.setStep('time');
+  };
+
+  /**
+   * Creates a new date from the temp date with the number o'clock or minutes from the
+   * clock for the current time mode.
+   *
+   * @param {number} newTime - The time from the clock.
+   * @return {Date} the new date.
+   */
+  _getTimeFromClock(newTime) {
+    let timePart = newTime;
+    const { tempDate, timeMode, timePeriod } = this.props;
+    const time = new Date(tempDate);
+    if (timeMode === 'hour') {
+      const isAM = timePeriod === 'AM';
+      const is12 = timePart === 12;
+      if (timePeriod && isAM && is12) {
+        timePart = 0;
+      } else if (timePeriod && !isAM && !is12) {
+        timePart += 12;
+      }
+
+      time.setHours(timePart);
+    } else {
+      time.setMinutes(timePart);
+    }
+
+    return time;
+  }
+
+  /**
+   * Takes in the new time (number o'clock or minutes), updates the temp date
+   * with that new time, and then calls the setTempTime prop.
+   */
+  _updateTime = (newTime) => {
+    this.props.setTempTime(this._getTimeFromClock(newTime));
+  };
+
+  _isClockTimeDisabled = (clockTime) => {
+    const { minTime, maxTime, timeMode } = this.props;
+    return isTimeDisabled(this._getTimeFromClock(clockTime), { minTime, maxTime }, timeMode);
+  };
+
+  _handleTimeChosen = () => {
+    const { hoverMode, setTimeMode, onOkClick, timeMode } = this.props;
+
+    if (hoverMode) {
+      if (timeMode === 'hour') {
+        setTimeMode('minute');
+      } else {
+        onOkClick();
+      }
+    }
+  };
+
+  _renderDateStep(props) {
+    const {
+      DateTimeFormat,
+      locales,
+      tempDate,
+      calendarMode,
+      changeCalendarMode,
+      headerClassName,
+      calendarClassName,
+      yearPickerClassName,
+      firstDayOfWeek,
+      disableWeekEnds,
+      calendarDateClassName,
+      calendarTitleClassName,
+      calendarTitleFormat,
+      calendarWeekdayClassName,
+      calendarWeekdayFormat,
+    } = this.props;
+
+    let picker;
+    if (calendarMode === 'calendar') {
+      picker = (
+        <DatePickerCalendar
+          {...props}
+          key="calendar"
+          className={calendarClassName}
+          calendarTempDate={tempDate}
+          DateTimeFormat={DateTimeFormat}
+          locales={locales}
+          firstDayOfWeek={firstDayOfWeek}
+          disableWeekEnds={disableWeekEnds}
+          dateClassName={calendarDateClassName}
+          titleClassName={calendarTitleClassName}
+          titleFormat={calendarTitleFormat}
+          weekdayClassName={calendarWeekdayClassName}
+          weekdayFormat={calendarWeekdayFormat}
+        />
+      );
+    } else {
+      picker = (
+        <YearPicker
+          {...props}
+          key="year"
+          className={yearPickerClassName}
+          calendarTempDate={tempDate}
+        />
+      );
+    }
+
+    const header = (
+      <DatePickerHeader
+        className={headerClassName}
+        DateTimeFormat={DateTimeFormat}
+        locales={locales}
+        calendarTempDate={tempDate}
+        calendarMode={calendarMode}
+        changeCalendarMode={changeCalendarMode}
+      />
+    );
+
+    return { header, picker };
+  }
+
+  _renderTimeStep() {
+    const {
+      tempDate,
+      timeMode,
+      setTimeMode,
+      setTempTime,
+      hours,
+      minutes,
+      timePeriod,
+      hoverMode,
+      minTime,
+      maxTime,
+    } = this.props;
+
+    const header = (
+      <TimePickerHeader
+        tempTime={tempDate}
+        timeMode={timeMode}
+        setTimeMode={setTimeMode}
+        setTempTime={setTempTime}
+        hours={hours}
+        minutes={minutes}
+        timePeriod={timePeriod}
+      />
+    );
+
+    const picker = (
+      <div className="md-picker-content md-picker-content--clock">
+        <ClockFace
+          time={timeMode === 'hour' ? parseInt(hours, 10) : parseInt(minutes.replace(/[^0-9]/g, ''), 10)}
+          minutes={timeMode === 'minute'}
+          onChange={this._updateTime}
+          timePeriod={timePeriod}
+          hoverMode={hoverMode}
+          onTimeChosen={this._handleTimeChosen}
+          isTimeDisabled={minTime || maxTime ? this._isClockTimeDisabled : null}
+        />
+      </div>
+    );
+
+    return { header, picker };
+  }
+
+  render() {
+    const {
+      style,
+      className,
+      contentClassName,
+      footerClassName,
+      okLabel,
+      okPrimary,
+      onOkClick,
+      cancelLabel,
+      cancelPrimary,
+      onCancelClick,
+      nextStepLabel,
+      previousStepLabel,
+      displayMode,
+      inline,
+      icon,
+      step,
+      /* eslint-disable no-unused-vars */
+      headerClassName,
+      calendarClassName,
+      yearPickerClassName,
+      DateTimeFormat,
+      locales,
+      setStep,
+      tempDate,
+      calendarMode,
+      changeCalendarMode,
+      firstDayOfWeek,
+      disableWeekEnds,
+      calendarDateClassName,
+      calendarTitleClassName,
+      calendarTitleFormat,
+      calendarWeekdayClassName,
+      calendarWeekdayFormat,
+      timeMode,
+      setTimeMode,
+      setTempTime,
+      hours,
+      minutes,
+      timePeriod,
+      hoverMode,
+      minTime,
+      maxTime,
+      /* eslint-enable no-unused-vars */
+      ...props
+    } = this.props;
+
+    const isDate = step === 'date';
+    const { header, picker } = isDate ? this._renderDateStep(props) : this._renderTimeStep();
+    const cancel = {
+      key: 'cancel',
+      onClick: onCancelClick,
+      primary: cancelPrimary,
+      secondary: !cancelPrimary,
+      label: cancelLabel,
+    };
+
+    let actions;
+    if (isDate) {
+      actions = [cancel, {
+        key: 'next',
+        onClick: this._showTime,
+        primary: okPrimary,
+        secondary: !okPrimary,
+        label: nextStepLabel,
+      }];
+    } else {
+      actions = [{
+        key: 'previous',
+        onClick: this._showDate,
+        primary: cancelPrimary,
+        secondary: !cancelPrimary,
+        label: previousStepLabel,
+      }, cancel, {
+        key: 'ok',
+        onClick: onOkClick,
+        primary: okPrimary,
+        secondary: !okPrimary,
+        label: okLabel,
+      }];
+    }
+
+    return (
+      <div
+        style={style}
+        className={cn('md-picker md-picker--datetime', {
+          'md-picker--date': isDate,
+          'md-picker--time': !isDate,
+          [`md-picker--${displayMode}`]: displayMode,
+          'md-picker--inline': inline,
+          'md-picker--inline-icon': inline && icon,
+        }, className)}
+      >
+        {header}
+        <div className={cn('md-picker-content-container', contentClassName)}>
+          {picker}
+          <DialogFooter className={footerClassName} actions={actions} />
+        </div>
+      </div>
+    );
+  }
+}
@@ -0,0 +1,22 @@
+import * as React from 'react';
+import { BasePickerProps, IntlFormat } from './index';
+
+export interface DateTimePickerProps extends BasePickerProps {
+  hoverMode?: boolean;
+  value?: Date;
+  defaultValue?: Date;
+  onChange?: (formattedDateTime: string, date: Date, event: Event) => void;
+  formatOptions?: IntlFormat;
+  minDate?: Date;
+  maxDate?: Date;
+  yearsDisplayed?: number;
+  disableWeekEnds?: boolean;
+  isDateDisabled?: (date: Date) => boolean;
+  nextIcon?: React.ReactElement<any>;
+  previousIcon?: React.ReactElement<any>;
+  nextStepLabel?: React.ReactNode;
+  previousStepLabel?: React.ReactNode;
+}
+
+declare const DateTimePicker: React.ComponentClass<DateTimePickerProps>;
+export default DateTimePicker;
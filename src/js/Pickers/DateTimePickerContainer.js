@@ -0,0 +1,802 @@
+/* eslint-disable new-cap,no-shadow */
+import React, { PureComponent } from 'react';
+import PropTypes from 'prop-types';
+import cn from 'classnames';
+import isRequiredForA11y from 'react-prop-types/lib/isRequiredForA11y';
+
+import { ESC, TAB } from '../constants/keyCodes';
+import getField from '../utils/getField';
+import { setPickerListeners, getPickerTextFieldProps, renderPickerContent } from '../utils/pickerContainer';
+import handleKeyboardAccessibility from '../utils/EventUtils/handleKeyboardAccessibility';
+import controlled from '../utils/PropTypes/controlled';
+import DateTimeFormat from '../utils/DateUtils/DateTimeFormat';
+import addDate from '../utils/DateUtils/addDate';
+import stripTime from '../utils/DateUtils/stripTime';
+import isDateEqual from '../utils/DateUtils/isDateEqual';
+import extractTimeParts from '../utils/DateUtils/extractTimeParts';
+import FontIcon from '../FontIcons/FontIcon';
+import TextField from '../TextFields/TextField';
+import DatePickerContainer from './DatePickerContainer';
+import DateTimePicker from './DateTimePicker';
+
+/**
+ * The `DateTimePickerContainer` component is a wrapper for the main `DateTimePicker` component
+ * to manage the state and _logic_ for picking a date and then a time for a single `Date`. This
+ * component will either render inline or in a `Dialog` depending if the `inline` prop is set
+ * to `true`.
+ *
+ * NOTE: This component is actually exported as `DateTimePicker` when using the `import { member }` syntax.
+ * The following two lines are equivalent:
+ *
+ * ```js
+ * import { DateTimePicker } from 'react-md/lib/Pickers';
+ * import DateTimePicker from 'react-md/lib/Pickers/DateTimePickerContainer';
+ * ```
+ */
+export default class DateTimePickerContainer extends PureComponent {
+  static propTypes = {
+    /**
+     * An id for the text field in the date time picker. This is require for a11y.
+     */
+    id: isRequiredForA11y(PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.number,
+    ])),
+
+    /**
+     * An aria-label to apply to the dialog when it has been opened. This is required for
+     * a11y.
+     */
+    'aria-label': isRequiredForA11y(PropTypes.string),
+
+    /**
+     * An optional style to apply to the date time picker's container.
+     */
+    style: PropTypes.object,
+
+    /**
+     * An optional className to apply to the date time picker's container.
+     */
+    className: PropTypes.string,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#pickerStyle}
+     */
+    pickerStyle: DatePickerContainer.propTypes.pickerStyle,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#pickerClassName}
+     */
+    pickerClassName: DatePickerContainer.propTypes.pickerClassName,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#pickerHeaderClassName}
+     */
+    pickerHeaderClassName: DatePickerContainer.propTypes.pickerHeaderClassName,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#pickerContentClassName}
+     */
+    pickerContentClassName: DatePickerContainer.propTypes.pickerContentClassName,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#pickerFooterClassName}
+     */
+    pickerFooterClassName: DatePickerContainer.propTypes.pickerFooterClassName,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#calendarClassName}
+     */
+    calendarClassName: DatePickerContainer.propTypes.calendarClassName,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#yearPickerClassName}
+     */
+    yearPickerClassName: DatePickerContainer.propTypes.yearPickerClassName,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#inputStyle}
+     */
+    inputStyle: DatePickerContainer.propTypes.inputStyle,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#inputClassName}
+     */
+    inputClassName: DatePickerContainer.propTypes.inputClassName,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#textFieldStyle}
+     */
+    textFieldStyle: DatePickerContainer.propTypes.textFieldStyle,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#textFieldClassName}
+     */
+    textFieldClassName: DatePickerContainer.propTypes.textFieldClassName,
+
+    /**
+     * An optional icon to display with the date time picker.
+     *
+     * @see {@link TextFields/TextField#leftIcon}
+     */
+    icon: PropTypes.node,
+
+    /**
+     * Boolean if the date time picker is open by default.
+     */
+    defaultVisible: PropTypes.bool,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#label}
+     */
+    label: DatePickerContainer.propTypes.label,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#placeholder}
+     */
+    placeholder: DatePickerContainer.propTypes.placeholder,
+
+    /**
+     * The value of the date time picker. This will make the date time picker
+     * be a controlled component.
+     */
+    value: controlled(PropTypes.instanceOf(Date), 'onChange', 'defaultValue'),
+
+    /**
+     * An optional function to call when the selected date and time is changed
+     * by hitting the OK button. The newly formatted string, the new Date object,
+     * and the change event will be given.
+     *
+     * `onChange(dateTimeString, dateObject, event)`.
+     */
+    onChange: PropTypes.func,
+
+    /**
+     * An optional default value to give for the date time picker.
+     */
+    defaultValue: PropTypes.instanceOf(Date),
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#DateTimeFormat}
+     */
+    DateTimeFormat: PropTypes.func.isRequired,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#locales}
+     */
+    locales: DatePickerContainer.propTypes.locales,
+
+    /**
+     * The DateTimeFormat options to apply to format the date and time in the text field.
+     */
+    formatOptions: PropTypes.shape({
+      weekday: PropTypes.oneOf(['narrow', 'short', 'long']),
+      era: PropTypes.oneOf(['narrow', 'short', 'long']),
+      year: PropTypes.oneOf(['numeric', '2-digit']),
+      month: PropTypes.oneOf(['numeric', '2-digit', 'narrow', 'short', 'long']),
+      day: PropTypes.oneOf(['numeric', '2-digit']),
+      hour: PropTypes.oneOf(['numeric', '2-digit']),
+      minute: PropTypes.oneOf(['numeric', '2-digit']),
+      second: PropTypes.oneOf(['numeric', '2-digit']),
+      timeZoneName: PropTypes.oneOf(['short', 'long']),
+    }),
+
+    /**
+     * The label to use for the ok button on the date time picker.
+     */
+    okLabel: PropTypes.node.isRequired,
+
+    /**
+     * Boolean if the ok and next buttons should be styled with the primary color.
+     */
+    okPrimary: PropTypes.bool,
+
+    /**
+     * The label to use for the cancel button on the date time picker.
+     */
+    cancelLabel: PropTypes.node.isRequired,
+
+    /**
+     * Boolean if the cancel and previous buttons should be styled with the primary color.
+     */
+    cancelPrimary: PropTypes.bool,
+
+    /**
+     * The label to use for the button that moves from the date step to the time step.
+     */
+    nextStepLabel: PropTypes.node.isRequired,
+
+    /**
+     * The label to use for the button that moves from the time step back to the date step.
+     */
+    previousStepLabel: PropTypes.node.isRequired,
+
+    /**
+     * An optional min date and time for the picker. Any dates before the day of the
+     * `minDate` will be disabled in the calendar and any hours or minutes before the
+     * `minDate` will be disabled on the clock for that day.
+     */
+    minDate: PropTypes.instanceOf(Date),
+
+    /**
+     * An optional max date and time for the picker. Any dates after the day of the
+     * `maxDate` will be disabled in the calendar and any hours or minutes after the
+     * `maxDate` will be disabled on the clock for that day.
+     */
+    maxDate: PropTypes.instanceOf(Date),
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#yearsDisplayed}
+     */
+    yearsDisplayed: DatePickerContainer.propTypes.yearsDisplayed,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#firstDayOfWeek}
+     */
+    firstDayOfWeek: PropTypes.oneOf([0, 1, 2, 3, 4, 5, 6]),
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#disableWeekEnds}
+     */
+    disableWeekEnds: PropTypes.bool,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#isDateDisabled}
+     */
+    isDateDisabled: PropTypes.func,
+
+    /**
+     * The icon to use for the previous month button in the calendar.
+     */
+    previousIcon: PropTypes.element,
+
+    /**
+     * The icon to use for the next month button in the calendar.
+     */
+    nextIcon: PropTypes.element,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#calendarDateClassName}
+     */
+    calendarDateClassName: PropTypes.string,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#calendarTitleClassName}
+     */
+    calendarTitleClassName: PropTypes.string,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#calendarTitleFormat}
+     */
+    calendarTitleFormat: PropTypes.shape({
+      era: PropTypes.oneOf(['narrow', 'short', 'long']),
+      year: PropTypes.oneOf(['numeric', '2-digit']),
+      month: PropTypes.oneOf(['numeric', '2-digit', 'narrow', 'short', 'long']),
+    }),
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#calendarWeekdayClassName}
+     */
+    calendarWeekdayClassName: PropTypes.string,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#calendarWeekdayFormat}
+     */
+    calendarWeekdayFormat: PropTypes.oneOf(['narrow', 'short', 'long']),
+
+    /**
+     * @see {@link Pickers/TimePickerContainer#hoverMode}
+     */
+    hoverMode: PropTypes.bool,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#inline}
+     */
+    inline: DatePickerContainer.propTypes.inline,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#displayMode}
+     */
+    displayMode: DatePickerContainer.propTypes.displayMode,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#fullWidth}
+     */
+    fullWidth: DatePickerContainer.propTypes.fullWidth,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#lineDirection}
+     */
+    lineDirection: DatePickerContainer.propTypes.lineDirection,
+
+    /**
+     * An optional boolean if the date time picker is current visible by dialog or inline.
+     * If this is set, the `onVisibilityChange` function is required.
+     */
+    visible: controlled(PropTypes.bool, 'onVisibilityChange', 'defaultVisible'),
+
+    /**
+     * An optional function to call when the date time picker is opened in either a dialog, or
+     * inline. The callback will include the next state.
+     *
+     * ```js
+     * onVisibilityChange(!visible, e);
+     * ```
+     */
+    onVisibilityChange: PropTypes.func,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#disabled}
+     */
+    disabled: DatePickerContainer.propTypes.disabled,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#readOnly}
+     */
+    readOnly: DatePickerContainer.propTypes.readOnly,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#closeOnEsc}
+     */
+    closeOnEsc: DatePickerContainer.propTypes.closeOnEsc,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#animateInline}
+     */
+    animateInline: DatePickerContainer.propTypes.animateInline,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#required}
+     */
+    required: DatePickerContainer.propTypes.required,
+
+    /**
+     * @see {@link TextFields/TextField#block}
+     */
+    block: TextField.propTypes.block,
+
+    /**
+     * @see {@link TextFields/TextField#paddedBlock}
+     */
+    paddedBlock: TextField.propTypes.paddedBlock,
+
+    /**
+     * @see {@link TextFields/TextField#active}
+     */
+    active: TextField.propTypes.active,
+
+    /**
+     * @see {@link TextFields/TextField#error}
+     */
+    error: TextField.propTypes.error,
+
+    /**
+     * @see {@link TextFields/TextField#floating}
+     */
+    floating: TextField.propTypes.floating,
+
+    /**
+     * @see {@link TextFields/TextField#leftIconStateful}
+     */
+    leftIconStateful: TextField.propTypes.leftIconStateful,
+
+    /**
+     * @see {@link TextFields/TextField#rightIcon}
+     */
+    rightIcon: TextField.propTypes.rightIcon,
+
+    /**
+     * @see {@link TextFields/TextField#rightIconStateful}
+     */
+    rightIconStateful: TextField.propTypes.rightIconStateful,
+
+    /**
+     * @see {@link TextFields/TextField#customSize}
+     */
+    customSize: TextField.propTypes.customSize,
+
+    /**
+     * @see {@link TextFields/TextField#errorText}
+     */
+    errorText: TextField.propTypes.errorText,
+
+    /**
+     * @see {@link TextFields/TextField#helpText}
+     */
+    helpText: TextField.propTypes.helpText,
+
+    /**
+     * @see {@link TextFields/TextField#helpOnFocus}
+     */
+    helpOnFocus: TextField.propTypes.helpOnFocus,
+
+    /**
+     * @see {@link TextFields/TextField#inlineIndicator}
+     */
+    inlineIndicator: TextField.propTypes.inlineIndicator,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#portal}
+     */
+    portal: DatePickerContainer.propTypes.portal,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#renderNode}
+     */
+    renderNode: DatePickerContainer.propTypes.renderNode,
+
+    /**
+     * @see {@link Pickers/DatePickerContainer#lastChild}
+     */
+    lastChild: DatePickerContainer.propTypes.lastChild,
+  };
+
+  static defaultProps = {
+    animateInline: true,
+    previousIcon: <FontIcon>chevron_left</FontIcon>,
+    nextIcon: <FontIcon>chevron_right</FontIcon>,
+    icon: <FontIcon>event</FontIcon>,
+    yearsDisplayed: 100,
+    DateTimeFormat: DateTimeFormat, // eslint-disable-line object-shorthand
+    locales: typeof window !== 'undefined'
+      ? window.navigator.userLanguage || window.navigator.language
+      : 'en-US',
+    formatOptions: {
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+    },
+    okLabel: 'Ok',
+    okPrimary: true,
+    cancelLabel: 'Cancel',
+    cancelPrimary: true,
+    nextStepLabel: 'Next',
+    previousStepLabel: 'Back',
+    closeOnEsc: true,
+    'aria-label': 'Pick a date and time',
+    hoverMode: false,
+  };
+
+  constructor(props) {
+    super(props);
+
+    const tempDate = this._clamp(props.defaultValue || props.value || new Date(), props);
+    const visible = !!props.defaultVisible;
+
+    this.state = {
+      visible,
+      ...this._getTempState(tempDate, props),
+      value: props.defaultValue,
+      step: 'date',
+      calendarMode: 'calendar',
+      calendarDate: stripTime(tempDate),
+      timeMode: 'hour',
+    };
+  }
+
+  componentWillReceiveProps(nextProps) {
+    const { value } = nextProps;
+    if (this.props.value !== value && value) {
+      const tempDate = this._clamp(value, nextProps);
+      this.setState({ ...this._getTempState(tempDate, nextProps), calendarDate: stripTime(tempDate) });
+    }
+  }
+
+  componentDidUpdate(prevProps, prevState) {
+    const visible = getField(this.props, this.state, 'visible');
+    const pVisible = getField(prevProps, prevState, 'visible');
+    if (visible === pVisible || !this.props.inline) {
+      return;
+    }
+
+    setPickerListeners(visible, this._handleOutsideClick, this._closeOnEsc);
+  }
+
+  componentWillUnmount() {
+    if (getField(this.props, this.state, 'visible') && this.props.inline) {
+      setPickerListeners(false, this._handleOutsideClick, this._closeOnEsc);
+    }
+  }
+
+  _setContainer = (container) => {
+    this._container = container;
+  };
+
+  /**
+   * Creates a copy of the date that has been moved into the `minDate` and `maxDate`.
+   *
+   * @param {Date} date - The date to clamp.
+   * @param {Object} props - The props object to use.
+   * @return {Date} a new date between the min and max dates.
+   */
+  _clamp(date, { minDate, maxDate }) {
+    if (minDate && date < minDate) {
+      return new Date(minDate);
+    } else if (maxDate && date > maxDate) {
+      return new Date(maxDate);
+    }
+
+    return new Date(date);
+  }
+
+  _getTempState(tempDate, props) {
+    return {
+      tempDate,
+      ...extractTimeParts(props.DateTimeFormat, props.locales, tempDate),
+    };
+  }
+
+  _closeOnEsc = (e) => {
+    if ((e.which || e.keyCode) === ESC) {
+      this._handleCancelClick(e);
+    }
+  };
+
+  _handleOutsideClick = (e) => {
+    if (this._container && !this._container.contains(e.target)) {
+      this._handleCancelClick(e);
+    }
+  };
+
+  _toggleOpen = (e) => {
+    if (this.props.disabled || this.props.readOnly) {
+      return;
+    }
+
+    const visible = !getField(this.props, this.state, 'visible');
+    if (this.props.onVisibilityChange) {
+      this.props.onVisibilityChange(visible, e);
+    }
+
+    if (typeof this.props.visible === 'undefined') {
+      this.setState({ visible });
+    }
+  };
+
+  _handleKeyDown = (e) => {
+    handleKeyboardAccessibility(e, this._toggleOpen, true, true);
+
+    if ((e.which || e.keyCode) === TAB && this.state.active) {
+      this.setState({ active: false });
+    }
+  };
+
+  _setStep = (step) => {
+    if (this.state.step === step) { return; }
+
+    this.setState({ step, timeMode: 'hour' });
+  };
+
+  _changeCalendarMode = (calendarMode) => {
+    if (this.state.calendarMode === calendarMode) { return; }
+
+    this.setState({ calendarMode });
+  };
+
+  _previousMonth = () => {
+    this.setState({ calendarDate: addDate(this.state.calendarDate, -1, 'M') });
+  };
+
+  _nextMonth = () => {
+    this.setState({ calendarDate: addDate(this.state.calendarDate, 1, 'M') });
+  };
+
+  _setCalendarDate = (calendarDate) => {
+    this.setState({ calendarDate });
+  };
+
+  _setCalendarTempDate = (date) => {
+    const { tempDate } = this.state;
+    const nextDate = new Date(date);
+    nextDate.setHours(tempDate.getHours(), tempDate.getMinutes(), tempDate.getSeconds(), tempDate.getMilliseconds());
+
+    this.setState({
+      ...this._getTempState(this._clamp(nextDate, this.props), this.props),
+      step: 'time',
+      timeMode: 'hour',
+    });
+  };
+
+  _setCalendarTempYear = (year) => {
+    const { tempDate } = this.state;
+    if (tempDate.getFullYear() === year) { return; }
+
+    const nextDate = new Date(tempDate);
+    nextDate.setFullYear(year);
+
+    const clamped = this._clamp(nextDate, this.props);
+    this.setState({ ...this._getTempState(clamped, this.props), calendarDate: stripTime(clamped) });
+  };
+
+  _setTimeMode = (timeMode) => {
+    if (this.state.timeMode === timeMode) { return; }
+
+    this.setState({ timeMode });
+  };
+
+  _setTempTime = (time) => {
+    if (this.state.tempDate === time) { return; }
+
+    this.setState(this._getTempState(this._clamp(time, this.props), this.props));
+  };
+
+  _handleOkClick = (e) => {
+    const { onChange, onVisibilityChange, DateTimeFormat, locales, formatOptions } = this.props;
+    const value = new Date(this.state.tempDate);
+    if (onChange) {
+      onChange(DateTimeFormat(locales, formatOptions).format(value), value, e);
+    }
+
+    if (onVisibilityChange) {
+      onVisibilityChange(false, e);
+    }
+
+    const state = { step: 'date', calendarMode: 'calendar' };
+    if (typeof this.props.value === 'undefined') {
+      state.value = value;
+    }
+
+    if (typeof this.props.visible === 'undefined') {
+      state.visible = false;
+    }
+
+    this.setState(state);
+  };
+
+  _handleCancelClick = (e) => {
+    if (this.props.onVisibilityChange) {
+      this.props.onVisibilityChange(false, e);
+    }
+
+    const value = getField(this.props, this.state, 'value');
+    const state = { step: 'date', calendarMode: 'calendar' };
+    if (value) {
+      const tempDate = this._clamp(value, this.props);
+      Object.assign(state, this._getTempState(tempDate, this.props), { calendarDate: stripTime(tempDate) });
+    }
+
+    if (typeof this.props.visible === 'undefined') {
+      state.visible = false;
+    }
+
+    this.setState(state);
+  };
+
+  _getTextFieldValue(props, state) {
+    const { DateTimeFormat, locales, formatOptions } = props;
+    const value = getField(props, state, 'value');
+    if (!value) {
+      return '';
+    }
+
+    return DateTimeFormat(locales, formatOptions).format(value);
+  }
+
+  render() {
+    const {
+      step,
+      calendarMode,
+      calendarDate,
+      tempDate,
+      timeMode,
+      hours,
+      minutes,
+      timePeriod,
+    } = this.state;
+
+    const {
+      style,
+      className,
+      pickerStyle,
+      pickerClassName,
+      pickerHeaderClassName,
+      pickerContentClassName,
+      pickerFooterClassName,
+      inputClassName,
+      textFieldClassName,
+      disabled,
+      icon,
+      inline,
+      displayMode,
+      minDate,
+      maxDate,
+      /* eslint-disable no-unused-vars */
+      inputStyle,
+      textFieldStyle,
+      id,
+      label,
+      placeholder,
+      fullWidth,
+      lineDirection,
+      closeOnEsc,
+      portal,
+      renderNode,
+      lastChild,
+      animateInline,
+      block,
+      paddedBlock,
+      active,
+      error,
+      floating,
+      required,
+      leftIconStateful,
+      rightIcon,
+      rightIconStateful,
+      customSize,
+      errorText,
+      helpText,
+      helpOnFocus,
+      inlineIndicator,
+      'aria-label': ariaLabel,
+      value: propValue,
+      visible: propVisible,
+      readOnly,
+      defaultValue,
+      defaultVisible,
+      onChange,
+      onVisibilityChange,
+      formatOptions,
+      /* eslint-enable no-unused-vars */
+      ...props
+    } = this.props;
+
+    const visible = getField(this.props, this.state, 'visible');
+    const day = stripTime(tempDate);
+    const picker = (
+      <DateTimePicker
+        {...props}
+        minDate={stripTime(minDate)}
+        maxDate={maxDate}
+        minTime={minDate && isDateEqual(day, stripTime(minDate)) ? minDate : null}
+        maxTime={maxDate && isDateEqual(day, stripTime(maxDate)) ? maxDate : null}
+        inline={inline}
+        icon={!!icon}
+        style={pickerStyle}
+        className={pickerClassName}
+        headerClassName={pickerHeaderClassName}
+        contentClassName={pickerContentClassName}
+        footerClassName={pickerFooterClassName}
+        displayMode={displayMode}
+        step={step}
+        setStep={this._setStep}
+        tempDate={tempDate}
+        calendarDate={calendarDate}
+        calendarMode={calendarMode}
+        changeCalendarMode={this._changeCalendarMode}
+        onPreviousClick={this._previousMonth}
+        onNextClick={this._nextMonth}
+        onCalendarDateChange={this._setCalendarDate}
+        onCalendarDateClick={this._setCalendarTempDate}
+        onCalendarYearClick={this._setCalendarTempYear}
+        timeMode={timeMode}
+        hours={hours}
+        minutes={minutes}
+        timePeriod={timePeriod}
+        setTimeMode={this._setTimeMode}
+        setTempTime={this._setTempTime}
+        onOkClick={this._handleOkClick}
+        onCancelClick={this._handleCancelClick}
+      />
+    );
+
+    const content = renderPickerContent(picker, this.props, visible, this._handleCancelClick);
+
+    return (
+      <div style={style} className={cn('md-picker-container', className)} ref={this._setContainer}>
+        <TextField
+          {...getPickerTextFieldProps(this.props, visible)}
+          className={cn({ 'md-pointer--hover': !disabled }, textFieldClassName)}
+          inputClassName={cn({ 'md-pointer--hover': !disabled }, inputClassName)}
+          leftIcon={icon}
+          onClick={this._toggleOpen}
+          onKeyDown={this._handleKeyDown}
+          value={this._getTextFieldValue(this.props, this.state)}
+          readOnly
+        />
+        {content}
+      </div>
+    );
+  }
+}
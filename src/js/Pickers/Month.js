@@ -0,0 +1,67 @@
+import React, { PureComponent } from 'react';
+import PropTypes from 'prop-types';
+import cn from 'classnames';
+
+import themeColors from '../utils/themeColors';
+
+/**
+ * This is a component for rendering a month in the Date Picker's Month picker
+ * grid.
+ */
+export default class Month extends PureComponent {
+  static propTypes = {
+    className: PropTypes.string,
+    active: PropTypes.bool.isRequired,
+    disabled: PropTypes.bool,
+    onClick: PropTypes.func.isRequired,
+    month: PropTypes.number.isRequired,
+    children: PropTypes.node,
+  };
+
+  state = { desktopActive: false };
+
+  _setActiveFocus = (btn) => {
+    if (btn && this.props.active) {
+      btn.focus();
+    }
+  };
+
+  _setActive = () => {
+    if (!this.props.disabled) {
+      this.setState({ desktopActive: true });
+    }
+  };
+
+  _setInactive = () => {
+    this.setState({ desktopActive: false });
+  };
+
+  _handleClick = (e) => {
+    this.props.onClick(this.props.month, e);
+  };
+
+  render() {
+    const { desktopActive } = this.state;
+    const { active, disabled, className, children } = this.props;
+    return (
+      <button
+        type="button"
+        ref={this._setActiveFocus}
+        aria-pressed={active}
+        disabled={disabled}
+        onFocus={this._setActive}
+        onBlur={this._setInactive}
+        onMouseOver={this._setActive}
+        onMouseLeave={this._setInactive}
+        className={cn('md-month', { 'md-month--active': active }, themeColors({
+          disabled,
+          text: !disabled && !active && !desktopActive,
+          primary: !disabled && (active || desktopActive),
+        }), 'md-btn', { 'md-pointer--hover': !disabled }, className)}
+        onClick={this._handleClick}
+      >
+        {children}
+      </button>
+    );
+  }
+}
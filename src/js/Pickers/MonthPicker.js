@@ -0,0 +1,89 @@
+/* eslint-disable new-cap */
+import React, { PureComponent } from 'react';
+import PropTypes from 'prop-types';
+import cn from 'classnames';
+
+import Month from './Month';
+
+/**
+ * The `MonthPicker` component is the Month view in a `DatePicker`. This will
+ * display a grid of the months in the current year to select from.
+ */
+export default class MonthPicker extends PureComponent {
+  static propTypes = {
+    className: PropTypes.string,
+    calendarTempDate: PropTypes.instanceOf(Date).isRequired,
+    onCalendarMonthClick: PropTypes.func.isRequired,
+    DateTimeFormat: PropTypes.func.isRequired,
+    locales: PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.arrayOf(PropTypes.string),
+    ]).isRequired,
+    minDate: PropTypes.instanceOf(Date),
+    maxDate: PropTypes.instanceOf(Date),
+
+    /**
+     * The DateTimeFormat option to apply to format each month.
+     */
+    monthFormat: PropTypes.oneOf(['numeric', '2-digit', 'narrow', 'short', 'long']),
+  };
+
+  static defaultProps = {
+    monthFormat: 'short',
+  };
+
+  constructor(props) {
+    super(props);
+
+    this.state = this._getMonthNames(props);
+  }
+
+  componentWillReceiveProps(nextProps) {
+    const { DateTimeFormat, locales, monthFormat } = this.props;
+    if (DateTimeFormat !== nextProps.DateTimeFormat
+      || locales !== nextProps.locales
+      || monthFormat !== nextProps.monthFormat) {
+      this.setState(this._getMonthNames(nextProps));
+    }
+  }
+
+  _getMonthNames({ DateTimeFormat, locales, monthFormat }) {
+    const formatter = DateTimeFormat(locales, { month: monthFormat });
+    const months = [];
+    for (let month = 0; month < 12; month += 1) {
+      months.push(formatter.format(new Date(2000, month, 1)));
+    }
+
+    return { months };
+  }
+
+  render() {
+    const { months } = this.state;
+    const { calendarTempDate, minDate, maxDate, onCalendarMonthClick, className } = this.props;
+    const year = calendarTempDate.getFullYear();
+    const currentMonth = calendarTempDate.getMonth();
+
+    return (
+      <section className={cn('md-picker-content md-picker-content--month', className)}>
+        <div className="md-months">
+          {months.map((name, month) => {
+            const disabled = !!(minDate && new Date(year, month + 1, 0, 23, 59, 59, 999) < minDate)
+              || !!(maxDate && new Date(year, month, 1) > maxDate);
+
+            return (
+              <Month
+                key={month}
+                month={month}
+                active={month === currentMonth}
+                disabled={disabled}
+                onClick={onCalendarMonthClick}
+              >
+                {name}
+              </Month>
+            );
+          })}
+        </div>
+      </section>
+    );
+  }
+}
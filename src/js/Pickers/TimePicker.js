@@ -2,6 +2,7 @@ import React, { PureComponent } from 'react';
 import PropTypes from 'prop-types';
 import cn from 'classnames';
 
+import isTimeDisabled from '../utils/DateUtils/isTimeDisabled';
 import ClockFace from './ClockFace';
 import DialogFooter from '../Dialogs/DialogFooter';
 import TimePickerHeader from './TimePickerHeader';
@@ -30,7 +31,7 @@ export default class TimePicker extends PureComponent {
     displayMode: PropTypes.oneOf(['landscape', 'portrait']),
 
     /**
-     * A function that will switch the state from hour to minute.
+     * A function that will switch the state between hour, minute, and second.
      */
     setTimeMode: PropTypes.func.isRequired,
 
@@ -44,7 +45,7 @@ export default class TimePicker extends PureComponent {
     /**
      * The current display mode of the time picker.
      */
-    timeMode: PropTypes.oneOf(['hour', 'minute']).isRequired,
+    timeMode: PropTypes.oneOf(['hour', 'minute', 'second']).isRequired,
 
     /**
      * The current time as a date object that is being displayed in the
@@ -65,11 +66,35 @@ export default class TimePicker extends PureComponent {
      */
     minutes: PropTypes.string.isRequired,
 
+    /**
+     * An optional string that is a representation of the seconds in the user's locale.
+     * This will also include any separator the locale uses. The seconds can only be
+     * picked when this is provided.
+     */
+    seconds: PropTypes.string,
+
     /**
      * An optional time period if a user's locale uses it.
      */
     timePeriod: PropTypes.string,
 
+    /**
+     * The step to snap the minutes to.
+     */
+    minuteStep: PropTypes.number,
+
+    /**
+     * An optional min time. Any hours, minutes, or seconds on the clock that are before
+     * this time will be disabled.
+     */
+    minTime: PropTypes.instanceOf(Date),
+
+    /**
+     * An optional max time. Any hours, minutes, or seconds on the clock that are after
+     * this time will be disabled.
+     */
+    maxTime: PropTypes.instanceOf(Date),
+
     /**
      * If true the hover mode of the Time Picker is activated.
      * In hover mode no clicks are required to start selecting an hour
@@ -80,12 +105,15 @@ export default class TimePicker extends PureComponent {
   };
 
   /**
-   * Takes in the new time (number o'clock or minutes), updates the temp time
-   * with that new time, and then calls the setTempTime prop.
+   * Creates a new date from the temp time with the number o'clock, minutes, or seconds
+   * from the clock for the current time mode.
+   *
+   * @param {number} newTime - The time from the clock.
+   * @return {Date} the new time.
    */
-  _updateTime = (newTime) => {
+  _getTimeFromClock(newTime) {
     let timePart = newTime;
-    const { tempTime, setTempTime, timeMode, timePeriod } = this.props;
+    const { tempTime, timeMode, timePeriod } = this.props;
     const time = new Date(tempTime);
     if (timeMode === 'hour') {
       const isAM = timePeriod === 'AM';
@@ -97,19 +125,36 @@ export default class TimePicker extends PureComponent {
       }
 
       time.setHours(timePart);
-    } else {
+    } else if (timeMode === 'minute') {
       time.setMinutes(timePart);
+    } else {
+      time.setSeconds(timePart);
     }
 
-    setTempTime(time);
+    return time;
+  }
+
+  /**
+   * Takes in the new time (number o'clock, minutes, or seconds), updates the temp time
+   * with that new time, and then calls the setTempTime prop.
+   */
+  _updateTime = (newTime) => {
+    this.props.setTempTime(this._getTimeFromClock(newTime));
+  };
+
+  _isClockTimeDisabled = (clockTime) => {
+    const { minTime, maxTime, timeMode } = this.props;
+    return isTimeDisabled(this._getTimeFromClock(clockTime), { minTime, maxTime }, timeMode);
   };
 
   _handleTimeChosen = () => {
-    const { hoverMode, setTimeMode, onOkClick, timeMode } = this.props;
+    const { hoverMode, setTimeMode, onOkClick, timeMode, seconds } = this.props;
 
     if (hoverMode) {
       if (timeMode === 'hour') {
         setTimeMode('minute');
+      } else if (timeMode === 'minute' && seconds) {
+        setTimeMode('second');
       } else {
         onOkClick();
       }
@@ -132,15 +177,24 @@ export default class TimePicker extends PureComponent {
       tempTime,
       hours,
       minutes,
+      seconds,
       timePeriod,
       displayMode,
       inline,
       icon,
       hoverMode,
+      minuteStep,
+      minTime,
+      maxTime,
     } = this.props;
 
-    const hoursInt = parseInt(hours, 10);
-    const minutesInt = parseInt(minutes.replace(/[^0-9]/g, ''), 10);
+    let time = parseInt(hours, 10);
+    if (timeMode === 'minute') {
+      time = parseInt(minutes.replace(/[^0-9]/g, ''), 10);
+    } else if (timeMode === 'second') {
+      time = parseInt(seconds.replace(/[^0-9]/g, ''), 10);
+    }
+
     const actions = [{
       key: 'cancel',
       onClick: onCancelClick,
@@ -171,13 +225,16 @@ export default class TimePicker extends PureComponent {
           setTempTime={setTempTime}
           hours={hours}
           minutes={minutes}
+          seconds={seconds}
           timePeriod={timePeriod}
         />
         <div className="md-picker-content-container">
           <div className="md-picker-content md-picker-content--clock">
             <ClockFace
-              time={timeMode === 'hour' ? hoursInt : minutesInt}
-              minutes={timeMode === 'minute'}
+              time={time}
+              minutes={timeMode !== 'hour'}
+              step={timeMode === 'minute' ? minuteStep : 1}
+              isTimeDisabled={minTime || maxTime ? this._isClockTimeDisabled : null}
               onChange={this._updateTime}
               timePeriod={timePeriod}
               hoverMode={hoverMode}
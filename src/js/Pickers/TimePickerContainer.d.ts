@@ -3,10 +3,16 @@ import { BasePickerProps, IntlTimeFormat } from './index';
 
 export interface TimePickerProps extends BasePickerProps {
   hoverMode?: boolean;
-  defaultTimeMode?: 'hour' | 'minute';
+  defaultTimeMode?: 'hour' | 'minute' | 'second';
+  showSeconds?: boolean;
+  minuteStep?: number;
+  minTime?: Date;
+  maxTime?: Date;
+  editable?: boolean;
+  timeZone?: string;
   value?: Date,
   defaultValue?: Date;
-  onChange?: (formattedTime: string, date: Date, event: Event) => void;
+  onChange?: (formattedTime: string, date: Date | null, event: Event) => void;
   formatOptions?: IntlTimeFormat;
 }
 
@@ -1,22 +1,24 @@
 /* eslint-disable no-shadow */
-import React, { PureComponent } from 'react';
+import React, { PureComponent, cloneElement, isValidElement } from 'react';
 import PropTypes from 'prop-types';
 import cn from 'classnames';
 import isRequiredForA11y from 'react-prop-types/lib/isRequiredForA11y';
 import deprecated from 'react-prop-types/lib/deprecated';
 
-import { ESC, TAB } from '../constants/keyCodes';
+import { ENTER, ESC, TAB } from '../constants/keyCodes';
 import getField from '../utils/getField';
-import handleWindowClickListeners from '../utils/EventUtils/handleWindowClickListeners';
+import { setPickerListeners, getPickerTextFieldProps, renderPickerContent } from '../utils/pickerContainer';
 import handleKeyboardAccessibility from '../utils/EventUtils/handleKeyboardAccessibility';
 import controlled from '../utils/PropTypes/controlled';
 import DateTimeFormat from '../utils/DateUtils/DateTimeFormat';
 import formatTime from '../utils/DateUtils/formatTime';
 import extractTimeParts from '../utils/DateUtils/extractTimeParts';
-import Dialog from '../Dialogs/DialogContainer';
+import isTimeDisabled, { getSecondsOfDay } from '../utils/DateUtils/isTimeDisabled';
+import parseTime from '../utils/DateUtils/parseTime';
+import toTimeZone from '../utils/DateUtils/toTimeZone';
+import fromTimeZone from '../utils/DateUtils/fromTimeZone';
 import FontIcon from '../FontIcons/FontIcon';
 import TextField from '../TextFields/TextField';
-import Collapse from '../Helpers/Collapse';
 import TimePicker from './TimePicker';
 
 /**
@@ -173,7 +175,59 @@ export default class TimePickerContainer extends PureComponent {
     /**
      * The default mode to open the time picker in.
      */
-    defaultTimeMode: PropTypes.oneOf(['hour', 'minute']),
+    defaultTimeMode: PropTypes.oneOf(['hour', 'minute', 'second']),
+
+    /**
+     * Boolean if the seconds should also be displayed and picked. The seconds will be
+     * included in the formatted time.
+     */
+    showSeconds: PropTypes.bool,
+
+    /**
+     * The number of minutes to snap to when picking minutes from the clock. Any minute
+     * that is not a multiple of this step will be disabled. For example, a `minuteStep`
+     * of `15` will only allow `:00`, `:15`, `:30`, and `:45` to be picked.
+     */
+    minuteStep: PropTypes.number,
+
+    /**
+     * An optional min time for the time picker. Only the time of this date will be used.
+     * Any hours, minutes, or seconds on the clock before this time will be disabled.
+     */
+    minTime: PropTypes.instanceOf(Date),
+
+    /**
+     * An optional max time for the time picker. Only the time of this date will be used.
+     * Any hours, minutes, or seconds on the clock after this time will be disabled.
+     */
+    maxTime: PropTypes.instanceOf(Date),
+
+    /**
+     * Boolean if the user should be able to type a time into the text field instead of only
+     * selecting a time from the clock. The hours, minutes, and optional seconds can be separated
+     * by colons or periods and followed by an optional `AM` or `PM`. A valid time will update the
+     * clock while typing and will be selected once the text field is blurred or the enter key is
+     * pressed. A time that is invalid, outside of the `minTime` and `maxTime`, or not on the
+     * `minuteStep` will display the `errorText`. Clearing the text field will call the `onChange`
+     * prop with the empty string and `null`.
+     *
+     * The clock can still be opened by clicking the `icon`. This prop is ignored when the
+     * `readOnly` prop is enabled.
+     */
+    editable: PropTypes.bool,
+
+    /**
+     * An optional IANA time zone name (like `'America/New_York'`) or `'UTC'` to display and
+     * pick the time in instead of the browser's local time zone. The `value` and `defaultValue`
+     * will be treated as exact moments in time and the `onChange` callback will be called with
+     * the selected time in this time zone.
+     *
+     * The `minTime` and `maxTime` will still be compared against the time on the clock.
+     *
+     * Any time zone other than UTC requires a `DateTimeFormat` that supports the `timeZone`
+     * option.
+     */
+    timeZone: PropTypes.string,
 
     /**
      * Boolean if the date should automatically be selected when a user clicks
@@ -344,7 +398,7 @@ export default class TimePickerContainer extends PureComponent {
 
     isOpen: deprecated(PropTypes.bool, 'Use `visible` instead'),
     initiallyOpen: deprecated(PropTypes.bool, 'Use `defaultVisible` instead'),
-    initialTimeMode: deprecated(PropTypes.oneOf(['hour', 'minute']), 'Use `defaultTimeMode` instead'),
+    initialTimeMode: deprecated(PropTypes.oneOf(['hour', 'minute', 'second']), 'Use `defaultTimeMode` instead'),
   };
 
   static defaultProps = {
@@ -362,6 +416,7 @@ export default class TimePickerContainer extends PureComponent {
     closeOnEsc: true,
     'aria-label': 'Select a time',
     hoverMode: false,
+    minuteStep: 1,
   };
 
   constructor(props) {
@@ -369,13 +424,15 @@ export default class TimePickerContainer extends PureComponent {
 
     let initialDate;
     if (props.defaultValue) {
-      initialDate = new Date(props.defaultValue);
+      initialDate = props.defaultValue;
     } else if (props.value) {
-      initialDate = new Date(props.value);
+      initialDate = props.value;
     } else {
       initialDate = new Date();
     }
 
+    initialDate = this._clampTime(this._toTimeZone(initialDate, props), props);
+
     const visible = typeof props.initiallyOpen !== 'undefined'
       ? props.initiallyOpen
       : !!props.defaultVisible;
@@ -387,12 +444,15 @@ export default class TimePickerContainer extends PureComponent {
       time: initialDate,
       timeMode: props.initialTimeMode || props.defaultTimeMode,
       tempTime: initialDate,
+      inputValue: null,
+      inputError: false,
     };
   }
 
   componentWillUpdate(nextProps, nextState) {
-    if (getField(this.props, this.state, 'value') !== getField(nextProps, nextState, 'value')) {
-      this.setState(this._getTimeParts(getField(nextProps, nextState, 'value'), nextProps));
+    const value = getField(nextProps, nextState, 'value');
+    if (value && getField(this.props, this.state, 'value') !== value) {
+      this.setState(this._getTimeParts(this._toTimeZone(value, nextProps), nextProps));
     } else if (this.state.tempValue !== nextState.tempTime) {
       this.setState(this._getTimeParts(nextState.tempTime, nextProps));
     }
@@ -411,14 +471,8 @@ export default class TimePickerContainer extends PureComponent {
       return;
     }
 
-    if (visible) {
-      if (inline) {
-        handleWindowClickListeners(this._handleOutsideClick, true);
-        window.addEventListener('keydown', this._closeOnEsc);
-      }
-    } else if (inline) {
-      handleWindowClickListeners(this._handleOutsideClick, false);
-      window.removeEventListener('keydown', this._closeOnEsc);
+    if (inline) {
+      setPickerListeners(visible, this._handleOutsideClick, this._closeOnEsc);
     }
   }
 
@@ -427,8 +481,7 @@ export default class TimePickerContainer extends PureComponent {
       ? this.props.isOpen
       : getField(this.props, this.state, 'visible');
     if (visible && this.props.inline) {
-      handleWindowClickListeners(this._handleOutsideClick, false);
-      window.removeEventListener('keydown', this._closeOnEsc);
+      setPickerListeners(false, this._handleOutsideClick, this._closeOnEsc);
     }
   }
 
@@ -437,7 +490,75 @@ export default class TimePickerContainer extends PureComponent {
   };
 
   _getTimeParts(date, props) {
-    return extractTimeParts(props.DateTimeFormat, props.locales, date);
+    return extractTimeParts(props.DateTimeFormat, props.locales, date, props.showSeconds);
+  }
+
+  /**
+   * Converts an exact date into a date in the local time zone that has the same time
+   * as the date in the `timeZone` prop so that it can be displayed on the clock.
+   *
+   * @param {Date} date - The date to convert.
+   * @param {Object} props - The props object to use.
+   * @return {Date} the converted date.
+   */
+  _toTimeZone(date, { DateTimeFormat, timeZone }) {
+    return toTimeZone(DateTimeFormat, date, timeZone);
+  }
+
+  /**
+   * Converts a time from the clock back into an exact date for the `timeZone` prop.
+   *
+   * @param {Date} date - The date to convert.
+   * @param {Object} props - The props object to use.
+   * @return {Date} the converted date.
+   */
+  _fromTimeZone(date, { DateTimeFormat, timeZone }) {
+    return fromTimeZone(DateTimeFormat, date, timeZone);
+  }
+
+  /**
+   * Creates a copy of the time that has been moved into the `minTime` and `maxTime` and then
+   * moved to the closest minute that is a multiple of the `minuteStep` within the range.
+   *
+   * @param {Date} time - The time to clamp.
+   * @param {Object} props - The props object to use.
+   * @return {Date} a new time between the min and max times.
+   */
+  _clampTime(time, { minTime, maxTime, minuteStep }) {
+    const clamped = new Date(time);
+    let limit;
+    if (minTime && getSecondsOfDay(time) < getSecondsOfDay(minTime)) {
+      limit = minTime;
+    } else if (maxTime && getSecondsOfDay(time) > getSecondsOfDay(maxTime)) {
+      limit = maxTime;
+    }
+
+    if (limit) {
+      clamped.setHours(limit.getHours(), limit.getMinutes(), limit.getSeconds());
+    }
+
+    const minutes = clamped.getMinutes();
+    const remainder = minuteStep > 1 ? minutes % minuteStep : 0;
+    if (!remainder) {
+      return clamped;
+    }
+
+    const hours = clamped.getHours();
+    const before = new Date(clamped);
+    before.setMinutes(minutes - remainder);
+    const after = new Date(clamped);
+    if (minutes - remainder + minuteStep < 60) {
+      after.setMinutes(minutes - remainder + minuteStep);
+    } else {
+      after.setHours(hours + 1, 0);
+    }
+
+    const steps = remainder < minuteStep / 2 ? [before, after] : [after, before];
+    const enabled = steps.filter(date => (
+      date.getDate() === clamped.getDate() && !isTimeDisabled(date, { minTime, maxTime })
+    ));
+
+    return enabled[0] || clamped;
   }
 
   _closeOnEsc = (e) => {
@@ -485,29 +606,110 @@ export default class TimePickerContainer extends PureComponent {
   _setTempTime = (time) => {
     if (this.state.tempTime === time) { return; }
 
-    this.setState({ tempTime: time });
+    this.setState({ tempTime: this._clampTime(time, this.props) });
   };
 
   _handleKeyDown = (e) => {
+    const key = e.which || e.keyCode;
+    if (key === TAB && this.state.active) {
+      this.setState({ active: false });
+    }
+
+    if (this._isEditable(this.props)) {
+      if (key === ENTER) {
+        this._commitInput(e);
+      }
+
+      return;
+    }
+
     handleKeyboardAccessibility(e, this._toggleOpen, true, true);
+  };
 
-    if ((e.which || e.keyCode) === TAB && this.state.active) {
-      this.setState({ active: false });
+  _handleIconKeyDown = (e) => {
+    handleKeyboardAccessibility(e, this._toggleOpen, true, true);
+  };
+
+  _isEditable({ editable, readOnly }) {
+    return !!editable && !readOnly;
+  }
+
+  /**
+   * Parses the typed value and validates it against the min and max times and the minute step.
+   *
+   * @param {String} value - The typed value.
+   * @return {Date} the parsed time or null if it is invalid.
+   */
+  _parseInput(value) {
+    const { minTime, maxTime, minuteStep, showSeconds } = this.props;
+    const time = parseTime(value, this.state.tempTime);
+    if (!time
+      || (!showSeconds && time.getSeconds() !== 0)
+      || time.getMinutes() % minuteStep !== 0
+      || isTimeDisabled(time, { minTime, maxTime })) {
+      return null;
     }
+
+    return time;
+  }
+
+  _handleInputChange = (inputValue) => {
+    const state = { inputValue, inputError: false };
+    const time = this._parseInput(inputValue);
+    if (time) {
+      state.tempTime = time;
+    }
+
+    this.setState(state);
+  };
+
+  _commitInput = (e) => {
+    const { inputValue } = this.state;
+    if (inputValue === null) {
+      return;
+    }
+
+    const { DateTimeFormat, locales, onChange, showSeconds, timeZone } = this.props;
+    const state = { inputValue: null, inputError: false };
+    let formatted = '';
+    let value = null;
+    if (inputValue.trim()) {
+      const time = this._parseInput(inputValue);
+      if (!time) {
+        this.setState({ inputError: true });
+        return;
+      }
+
+      value = this._fromTimeZone(time, this.props);
+      formatted = formatTime(DateTimeFormat, locales, value, showSeconds, timeZone);
+      state.time = time;
+      state.tempTime = new Date(time);
+    }
+
+    if (onChange) {
+      onChange(formatted, value && new Date(value), e);
+    }
+
+    if (typeof this.props.value === 'undefined') {
+      state.value = value;
+    }
+
+    this.setState(state);
   };
 
   _handleOkClick = (e) => {
-    const { onVisibilityChange, onChange, DateTimeFormat, locales } = this.props;
-    const value = new Date(this.state.tempTime);
+    const { onVisibilityChange, onChange, DateTimeFormat, locales, showSeconds, timeZone } = this.props;
+    const { tempTime } = this.state;
+    const value = this._fromTimeZone(tempTime, this.props);
     if (onChange) {
-      onChange(formatTime(DateTimeFormat, locales, value), value, e);
+      onChange(formatTime(DateTimeFormat, locales, value, showSeconds, timeZone), value, e);
     }
 
     if (onVisibilityChange) {
       onVisibilityChange(false, e);
     }
 
-    const state = { time: value };
+    const state = { time: new Date(tempTime), inputValue: null, inputError: false };
     if (typeof this.props.value === 'undefined') {
       state.value = value;
     }
@@ -540,12 +742,12 @@ export default class TimePickerContainer extends PureComponent {
   };
 
   _getTextFieldValue(props, state) {
-    const { DateTimeFormat, locales } = props;
+    const { DateTimeFormat, locales, showSeconds, timeZone } = props;
     const value = getField(props, state, 'value');
     if (!value) {
       return '';
     } else if (value instanceof Date) {
-      return formatTime(DateTimeFormat, locales, value);
+      return formatTime(DateTimeFormat, locales, value, showSeconds, timeZone);
     } else {
       // currently don't support value of string
       return value;
@@ -558,7 +760,10 @@ export default class TimePickerContainer extends PureComponent {
       tempTime,
       hours,
       minutes,
+      seconds,
       timePeriod,
+      inputValue,
+      inputError,
     } = this.state;
 
     const {
@@ -566,21 +771,24 @@ export default class TimePickerContainer extends PureComponent {
       className,
       pickerStyle,
       pickerClassName,
-      inputStyle,
       inputClassName,
-      textFieldStyle,
       textFieldClassName,
-      id,
       disabled,
-      label,
-      placeholder,
       icon,
       inline,
       displayMode,
+      hoverMode,
+      error,
+      'aria-label': ariaLabel,
+      /* eslint-disable no-unused-vars */
+      inputStyle,
+      textFieldStyle,
+      id,
+      label,
+      placeholder,
       fullWidth,
       lineDirection,
       closeOnEsc,
-      hoverMode,
       portal,
       renderNode,
       lastChild,
@@ -588,7 +796,6 @@ export default class TimePickerContainer extends PureComponent {
       block,
       paddedBlock,
       active,
-      error,
       floating,
       required,
       leftIconStateful,
@@ -599,8 +806,6 @@ export default class TimePickerContainer extends PureComponent {
       helpText,
       helpOnFocus,
       inlineIndicator,
-      'aria-label': ariaLabel,
-      /* eslint-disable no-unused-vars */
       value: propValue,
       visible: propVisible,
       readOnly,
@@ -608,6 +813,9 @@ export default class TimePickerContainer extends PureComponent {
       defaultVisible,
       defaultTimeMode,
       onVisibilityChange,
+      showSeconds,
+      editable: propEditable,
+      timeZone,
 
       // deprecated
       isOpen,
@@ -629,6 +837,7 @@ export default class TimePickerContainer extends PureComponent {
         timeMode={timeMode}
         hours={hours}
         minutes={minutes}
+        seconds={seconds}
         timePeriod={timePeriod}
         style={pickerStyle}
         className={pickerClassName}
@@ -641,61 +850,35 @@ export default class TimePickerContainer extends PureComponent {
       />
     );
 
-    let content;
-    if (inline) {
-      content = <Collapse collapsed={!visible} animate={animateInline}>{picker}</Collapse>;
-    } else {
-      content = (
-        <Dialog
-          id={`${id}-dialog`}
-          visible={visible}
-          onHide={this._handleCancelClick}
-          dialogClassName="md-dialog--picker"
-          contentClassName="md-dialog-content--picker"
-          aria-label={ariaLabel}
-          closeOnEsc={closeOnEsc}
-          portal={portal}
-          lastChild={lastChild}
-          renderNode={renderNode}
-          focusOnMount={false}
-        >
-          {picker}
-        </Dialog>
-      );
+    const editable = this._isEditable(this.props);
+    let leftIcon = icon;
+    if (editable && isValidElement(icon)) {
+      leftIcon = cloneElement(icon, {
+        role: 'button',
+        tabIndex: disabled ? null : 0,
+        'aria-label': ariaLabel,
+        onClick: this._toggleOpen,
+        onKeyDown: this._handleIconKeyDown,
+        className: cn({ 'md-pointer--hover': !disabled }, icon.props.className),
+      });
     }
 
+    const content = renderPickerContent(picker, this.props, visible, this._handleCancelClick);
+
     return (
       <div style={style} className={cn('md-picker-container', className)} ref={this._setContainer}>
         <TextField
-          id={id}
-          style={textFieldStyle}
-          className={cn({ 'md-pointer--hover': !disabled }, textFieldClassName)}
-          inputStyle={inputStyle}
-          inputClassName={cn({ 'md-pointer--hover': !disabled }, inputClassName)}
-          active={active || visible}
-          error={error}
-          floating={floating || visible}
-          required={required}
-          disabled={disabled}
-          leftIcon={icon}
-          leftIconStateful={leftIconStateful}
-          rightIcon={rightIcon}
-          rightIconStateful={rightIconStateful}
-          inlineIndicator={inlineIndicator}
-          block={block}
-          paddedBlock={paddedBlock}
-          fullWidth={fullWidth}
-          lineDirection={lineDirection}
-          customSize={customSize}
-          helpText={helpText}
-          helpOnFocus={helpOnFocus}
-          errorText={errorText}
-          label={label}
-          placeholder={placeholder}
-          onClick={this._toggleOpen}
+          {...getPickerTextFieldProps(this.props, visible)}
+          className={cn({ 'md-pointer--hover': !disabled && !editable }, textFieldClassName)}
+          inputClassName={cn({ 'md-pointer--hover': !disabled && !editable }, inputClassName)}
+          error={error || inputError}
+          leftIcon={leftIcon}
+          onClick={editable ? null : this._toggleOpen}
           onKeyDown={this._handleKeyDown}
-          value={this._getTextFieldValue(this.props, this.state)}
-          readOnly
+          onChange={editable ? this._handleInputChange : null}
+          onBlur={editable ? this._commitInput : null}
+          value={inputValue !== null ? inputValue : this._getTextFieldValue(this.props, this.state)}
+          readOnly={!editable}
         />
         {content}
       </div>
@@ -19,7 +19,7 @@ export default class TimePickerHeader extends PureComponent {
     /**
      * The current time type that is being changed.
      */
-    timeMode: PropTypes.oneOf(['hour', 'minute']).isRequired,
+    timeMode: PropTypes.oneOf(['hour', 'minute', 'second']).isRequired,
 
     /**
      * A function to update the time mode.
@@ -43,6 +43,13 @@ export default class TimePickerHeader extends PureComponent {
      */
     minutes: PropTypes.string.isRequired,
 
+    /**
+     * An optional formatted seconds string for the user's locale.
+     * This would be ':30' for en-US if the time was '3:15:30'. The
+     * seconds will only be displayed when this is provided.
+     */
+    seconds: PropTypes.string,
+
     /**
      * An optional time period to use for locales that use
      * 12 hour clocks and AM/PM.
@@ -58,13 +65,28 @@ export default class TimePickerHeader extends PureComponent {
     this.props.setTimeMode('minute');
   };
 
+  _setSecond = () => {
+    this.props.setTimeMode('second');
+  };
+
   render() {
-    const { timeMode, hours, minutes, timePeriod, setTempTime, tempTime } = this.props;
+    const { timeMode, hours, minutes, seconds, timePeriod, setTempTime, tempTime } = this.props;
     let timePeriods;
     if (timePeriod) {
       timePeriods = <TimePeriods tempTime={tempTime} setTempTime={setTempTime} timePeriod={timePeriod} />;
     }
 
+    let secondsControl;
+    if (seconds) {
+      secondsControl = (
+        <PickerControl onClick={this._setSecond} active={timeMode === 'second'}>
+          <h4 className="md-display-3">
+            {seconds}
+          </h4>
+        </PickerControl>
+      );
+    }
+
     return (
       <header className="md-picker-header md-text-right">
         <PickerControl onClick={this._setHour} active={timeMode === 'hour'}>
@@ -77,6 +99,7 @@ export default class TimePickerHeader extends PureComponent {
             {minutes}
           </h4>
         </PickerControl>
+        {secondsControl}
         {timePeriods}
       </header>
     );
@@ -63,4 +63,49 @@ describe('CalendarDate', () => {
     const date = renderIntoDocument(<CalendarDate {...props} />);
     expect(date.state.date).toBe('');
   });
+
+  it('should apply the range classes and call the onHover prop when hovered', () => {
+    const props = {
+      DateTimeFormat,
+      locales: 'en-US',
+      date: new Date(2016, 1, 1),
+      onClick: jest.fn(),
+      onHover: jest.fn(),
+      rangeStart: true,
+      rangePreview: true,
+    };
+
+    const date = renderIntoDocument(<CalendarDate {...props} />);
+    const node = findDOMNode(date);
+    expect(node.classList.contains('md-calendar-date--range-start')).toBe(true);
+    expect(node.classList.contains('md-calendar-date--range-preview')).toBe(true);
+    expect(node.classList.contains('md-calendar-date--btn-active')).toBe(true);
+    expect(node.classList.contains('md-calendar-date--in-range')).toBe(false);
+
+    Simulate.mouseOver(node);
+    expect(props.onHover).toBeCalledWith(new Date(2016, 1, 1));
+  });
+
+  it('should apply the grid cell aria attributes', () => {
+    const props = {
+      DateTimeFormat,
+      locales: 'en-US',
+      date: new Date(2016, 1, 1),
+      onClick: jest.fn(),
+    };
+
+    let node = findDOMNode(renderIntoDocument(<CalendarDate {...props} />));
+    expect(node.getAttribute('role')).toBe('gridcell');
+    expect(node.getAttribute('tabindex')).toBe('-1');
+    expect(node.getAttribute('aria-selected')).toBe('false');
+    expect(node.getAttribute('aria-current')).toBe(null);
+
+    node = findDOMNode(renderIntoDocument(<CalendarDate {...props} active focused today />));
+    expect(node.getAttribute('tabindex')).toBe('0');
+    expect(node.getAttribute('aria-selected')).toBe('true');
+    expect(node.getAttribute('aria-current')).toBe('date');
+
+    node = findDOMNode(renderIntoDocument(<CalendarDate {...props} inRange rangePreview />));
+    expect(node.getAttribute('aria-selected')).toBe('false');
+  });
 });
@@ -83,4 +83,112 @@ describe('CalendarMonth', () => {
     checkEmptyDayNode(days[3]);
     checkDayNode(days[4]);
   });
+
+  it('should apply the range flags to the dates within the range', () => {
+    const props = {
+      DateTimeFormat,
+      locales: 'en-US',
+      calendarDate: new Date(2016, 3, 1),
+      calendarTempDate: new Date(2016, 3, 1),
+      onCalendarDateClick: jest.fn(),
+      range: true,
+      rangeStart: new Date(2016, 3, 3),
+      rangeEnd: new Date(2016, 3, 6),
+    };
+
+    const calendarMonth = renderIntoDocument(<CalendarMonth {...props} />);
+    const days = scryRenderedComponentsWithType(calendarMonth, CalendarDate);
+    expect(days[0].props.active).toBe(false);
+    expect(days[2].props.rangeStart).toBe(true);
+    expect(days[3].props.inRange).toBe(true);
+    expect(days[4].props.inRange).toBe(true);
+    expect(days[5].props.rangeEnd).toBe(true);
+    expect(days[5].props.inRange).toBe(false);
+    expect(days[6].props.inRange).toBe(false);
+    expect(days[3].props.rangePreview).toBe(false);
+  });
+
+  it('should disable the dates that do not fit within the min and max range days while the range is pending', () => {
+    const props = {
+      DateTimeFormat,
+      locales: 'en-US',
+      calendarDate: new Date(2016, 3, 1),
+      calendarTempDate: new Date(2016, 3, 1),
+      onCalendarDateClick: jest.fn(),
+      range: true,
+      rangePending: true,
+      rangeStart: new Date(2016, 3, 10),
+      minRangeDays: 3,
+      maxRangeDays: 5,
+    };
+
+    let calendarMonth = renderIntoDocument(<CalendarMonth {...props} />);
+    let days = scryRenderedComponentsWithType(calendarMonth, CalendarDate);
+    // April 9th through April 15th
+    expect(days.slice(8, 15).map(day => day.props.disabled)).toEqual([false, false, true, false, false, false, true]);
+
+    props.rangePending = false;
+    props.rangeEnd = new Date(2016, 3, 20);
+    calendarMonth = renderIntoDocument(<CalendarMonth {...props} />);
+    days = scryRenderedComponentsWithType(calendarMonth, CalendarDate);
+    expect(days.some(day => day.props.disabled)).toBe(false);
+  });
+
+  it('should disable any date that matches the isDateDisabled prop', () => {
+    const isDateDisabled = jest.fn(date => date.getDate() === 15);
+    const props = {
+      DateTimeFormat,
+      locales: 'en-US',
+      calendarDate: new Date(2016, 3, 1),
+      calendarTempDate: new Date(2016, 3, 1),
+      onCalendarDateClick: jest.fn(),
+      isDateDisabled,
+    };
+
+    const calendarMonth = renderIntoDocument(<CalendarMonth {...props} />);
+    const days = scryRenderedComponentsWithType(calendarMonth, CalendarDate);
+    expect(isDateDisabled.mock.calls.length).toBe(30);
+    expect(isDateDisabled.mock.calls[0][0]).toEqual(new Date(2016, 3, 1));
+    expect(days.filter(day => day.props.disabled).length).toBe(1);
+    expect(days[14].props.disabled).toBe(true);
+    expect(findDOMNode(days[14]).disabled).toBe(true);
+  });
+
+  it('should render the marker returned from the renderDateMarker prop', () => {
+    const renderDateMarker = jest.fn(date => (date.getDate() === 3 ? <span className="md-calendar-date-dot" /> : null));
+    const props = {
+      DateTimeFormat,
+      locales: 'en-US',
+      calendarDate: new Date(2016, 3, 1),
+      calendarTempDate: new Date(2016, 3, 3),
+      onCalendarDateClick: jest.fn(),
+      renderDateMarker,
+    };
+
+    const calendarMonth = renderIntoDocument(<CalendarMonth {...props} />);
+    expect(renderDateMarker.mock.calls[2]).toEqual([
+      new Date(2016, 3, 3),
+      { active: true, disabled: false, today: false },
+    ]);
+
+    const markers = scryRenderedDOMComponentsWithClass(calendarMonth, 'md-calendar-date-marker');
+    expect(markers.length).toBe(1);
+    expect(markers[0].parentNode.textContent).toBe('3');
+  });
+
+  it('should display the today prop as today', () => {
+    const props = {
+      DateTimeFormat,
+      locales: 'en-US',
+      calendarDate: new Date(2016, 3, 1),
+      calendarTempDate: new Date(2016, 3, 3),
+      onCalendarDateClick: jest.fn(),
+      today: new Date(2016, 3, 20, 23, 30),
+    };
+
+    const calendarMonth = renderIntoDocument(<CalendarMonth {...props} />);
+    const days = scryRenderedComponentsWithType(calendarMonth, CalendarDate).filter(day => day.props.today);
+    expect(days.length).toBe(1);
+    expect(days[0].props.date).toEqual(new Date(2016, 3, 20));
+  });
 });
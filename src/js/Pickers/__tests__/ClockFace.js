@@ -79,4 +79,37 @@ describe('ClockFace', () => {
     expect(hand.props.coords).toBe(136);
     expect(hand.props.minutes).toBe(props.minutes);
   });
+
+  it('disables the minutes that are not a multiple of the step', () => {
+    const face = renderIntoDocument(
+      <ClockFace time={0} minutes step={15} onChange={jest.fn()} onTimeChosen={jest.fn()} />
+    );
+
+    const times = scryRenderedComponentsWithType(face, ClockTime);
+    expect(times.filter(time => !time.props.disabled).map(time => time.props.time)).toEqual([15, 30, 45, 0]);
+  });
+
+  it('disables the times from the isTimeDisabled prop and does not call onChange for them', () => {
+    const onChange = jest.fn();
+    const face = renderIntoDocument(
+      <ClockFace
+        time={3}
+        minutes={false}
+        timePeriod="AM"
+        isTimeDisabled={time => time > 6}
+        onChange={onChange}
+        onTimeChosen={jest.fn()}
+      />
+    );
+
+    const times = scryRenderedComponentsWithType(face, ClockTime);
+    expect(times[5].props.disabled).toBe(false);
+    expect(times[6].props.disabled).toBe(true);
+
+    face._center = { x: 0, y: 0 };
+    face._calcNewTime({ pageX: 0, pageY: 100 });
+    expect(onChange).toBeCalledWith(6);
+    face._calcNewTime({ pageX: -100, pageY: 0 });
+    expect(onChange.mock.calls.length).toBe(1);
+  });
 });
@@ -27,4 +27,17 @@ describe('ClockTime', () => {
     expect(time.state.style.top).toBeDefined();
     expect(time.state.style.left).toBeDefined();
   });
+
+  it('should not be focusable or call onKeyboardFocus when disabled', () => {
+    const onKeyboardFocus = jest.fn();
+    const time = renderIntoDocument(
+      <ClockTime time={1} index={0} active={false} radius={120} onKeyboardFocus={onKeyboardFocus} disabled />
+    );
+
+    const timeNode = findDOMNode(time);
+    expect(timeNode.getAttribute('tabindex')).toBe('-1');
+    expect(timeNode.getAttribute('aria-disabled')).toBe('true');
+    time._handleKeyUp({ which: 9, keyCode: 9 });
+    expect(onKeyboardFocus.mock.calls.length).toBe(0);
+  });
 });
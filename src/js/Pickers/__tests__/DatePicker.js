@@ -2,13 +2,17 @@
 import React from 'react';
 import {
   renderIntoDocument,
+  Simulate,
   findRenderedDOMComponentWithClass,
   scryRenderedComponentsWithType,
+  scryRenderedDOMComponentsWithClass,
 } from 'react-dom/test-utils';
 
 import DatePicker from '../DatePicker';
 import DatePickerHeader from '../DatePickerHeader';
 import DatePickerCalendar from '../DatePickerCalendar';
+import CalendarHeader from '../CalendarHeader';
+import CalendarMonth from '../CalendarMonth';
 import YearPicker from '../YearPicker';
 import DialogFooter from '../../Dialogs/DialogFooter';
 import FontIcon from '../../FontIcons/FontIcon';
@@ -91,4 +95,64 @@ describe('DatePicker', () => {
     const contentContainer = findRenderedDOMComponentWithClass(picker, 'md-picker-content-container');
     expect(contentContainer.classList.contains(props.contentClassName)).toBe(true);
   });
+
+  it('should render a calendar header and month for each displayed month', () => {
+    const props = {
+      ...PROPS,
+      calendarDate: new Date(2016, 0, 1),
+      monthsDisplayed: 2,
+    };
+
+    const picker = renderIntoDocument(<DatePicker {...props} />);
+    const pickerNode = findRenderedDOMComponentWithClass(picker, 'md-picker');
+    expect(pickerNode.classList.contains('md-picker--multiple-months')).toBe(true);
+
+    const headers = scryRenderedComponentsWithType(picker, CalendarHeader);
+    const months = scryRenderedComponentsWithType(picker, CalendarMonth);
+    expect(headers.length).toBe(2);
+    expect(months.length).toBe(2);
+    expect(months[1].props.calendarDate).toEqual(new Date(2016, 1, 1));
+    expect(headers[0].props.hidePrevious).toBe(false);
+    expect(headers[0].props.hideNext).toBe(true);
+    expect(headers[1].props.hidePrevious).toBe(true);
+    expect(headers[1].props.hideNext).toBe(false);
+  });
+
+  it('should render the range presets and call the onPresetClick prop with the clicked preset', () => {
+    const onPresetClick = jest.fn();
+    const rangePresets = [
+      { label: 'Last 7 days', startDate: new Date(2016, 0, 1), endDate: new Date(2016, 0, 7) },
+      { label: 'This month', startDate: new Date(2016, 0, 1), endDate: new Date(2016, 0, 31) },
+    ];
+
+    let picker = renderIntoDocument(<DatePicker {...PROPS} rangePresets={rangePresets} />);
+    expect(scryRenderedDOMComponentsWithClass(picker, 'md-picker-preset').length).toBe(0);
+
+    picker = renderIntoDocument(
+      <DatePicker {...PROPS} range rangePresets={rangePresets} onPresetClick={onPresetClick} />
+    );
+    const presets = scryRenderedDOMComponentsWithClass(picker, 'md-picker-preset');
+    expect(presets.length).toBe(2);
+
+    Simulate.click(presets[1]);
+    expect(onPresetClick.mock.calls.length).toBe(1);
+    expect(onPresetClick.mock.calls[0][0]).toBe(rangePresets[1]);
+  });
+
+  it('should disable the range presets that do not fit within the range constraints', () => {
+    const rangePresets = [
+      { label: 'Last 7 days', startDate: new Date(2016, 0, 1), endDate: new Date(2016, 0, 7) },
+      { label: 'This month', startDate: new Date(2016, 0, 1), endDate: new Date(2016, 0, 31) },
+    ];
+
+    let picker = renderIntoDocument(<DatePicker {...PROPS} range rangePresets={rangePresets} maxRangeDays={14} />);
+    let presets = scryRenderedDOMComponentsWithClass(picker, 'md-picker-preset');
+    expect(presets.map(preset => preset.disabled)).toEqual([false, true]);
+
+    picker = renderIntoDocument(
+      <DatePicker {...PROPS} range rangePresets={rangePresets} maxDate={new Date(2016, 0, 5)} />
+    );
+    presets = scryRenderedDOMComponentsWithClass(picker, 'md-picker-preset');
+    expect(presets.map(preset => preset.disabled)).toEqual([true, true]);
+  });
 });
@@ -0,0 +1,137 @@
+/* eslint-env jest */
+import React from 'react';
+import { mount } from 'enzyme';
+
+import DatePickerCalendar from '../DatePickerCalendar';
+import CalendarMonth from '../CalendarMonth';
+import DateTimeFormat from '../../utils/DateUtils/DateTimeFormat';
+import { PAGE_UP, PAGE_DOWN, END, HOME, LEFT, UP, RIGHT, DOWN } from '../../constants/keyCodes';
+
+const PROPS = {
+  DateTimeFormat,
+  locales: 'en-US',
+  calendarDate: new Date(2016, 2, 1),
+  calendarTempDate: new Date(2016, 2, 10),
+  onPreviousClick: jest.fn(),
+  onNextClick: jest.fn(),
+  onCalendarDateClick: jest.fn(),
+};
+
+describe('DatePickerCalendar', () => {
+  const getFocusable = calendar => calendar
+    .find('button[role="gridcell"]')
+    .filterWhere(btn => btn.props().tabIndex === 0);
+  const keyDown = (calendar, key, shiftKey = false) => {
+    getFocusable(calendar).simulate('keyDown', { which: key, keyCode: key, shiftKey });
+  };
+
+  it('should only allow the calendarTempDate to be focused with the tab key', () => {
+    const calendar = mount(<DatePickerCalendar {...PROPS} />);
+    const focusable = getFocusable(calendar);
+    expect(focusable.length).toBe(1);
+    expect(focusable.text()).toBe('10');
+    expect(calendar.find('[role="grid"]').length).toBe(1);
+    expect(calendar.find('[role="row"]').length).toBe(5);
+  });
+
+  it('should allow the first displayed month\'s date to be focused when the calendarTempDate is not displayed', () => {
+    const calendar = mount(<DatePickerCalendar {...PROPS} calendarDate={new Date(2016, 3, 1)} />);
+    expect(getFocusable(calendar).text()).toBe('1');
+  });
+
+  it('should move focus by day and week with the arrow keys', () => {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const calendar = mount(<DatePickerCalendar {...PROPS} />, { attachTo: container });
+
+    keyDown(calendar, RIGHT);
+    expect(calendar.state('focusedDate')).toEqual(new Date(2016, 2, 11));
+    expect(document.activeElement).toBe(getFocusable(calendar).getDOMNode());
+    expect(getFocusable(calendar).text()).toBe('11');
+
+    keyDown(calendar, DOWN);
+    expect(calendar.state('focusedDate')).toEqual(new Date(2016, 2, 18));
+
+    keyDown(calendar, LEFT);
+    expect(calendar.state('focusedDate')).toEqual(new Date(2016, 2, 17));
+
+    keyDown(calendar, UP);
+    expect(calendar.state('focusedDate')).toEqual(new Date(2016, 2, 10));
+
+    calendar.detach();
+    document.body.removeChild(container);
+  });
+
+  it('should move focus by month and year with the page up and page down keys', () => {
+    const onCalendarDateChange = jest.fn();
+    const calendar = mount(
+      <DatePickerCalendar
+        {...PROPS}
+        calendarDate={new Date(2016, 0, 1)}
+        calendarTempDate={new Date(2016, 0, 31)}
+        onCalendarDateChange={onCalendarDateChange}
+      />
+    );
+
+    keyDown(calendar, PAGE_DOWN);
+    expect(calendar.state('focusedDate')).toEqual(new Date(2016, 1, 29));
+    expect(onCalendarDateChange).toBeCalledWith(new Date(2016, 1, 1));
+
+    calendar.setProps({ calendarDate: new Date(2016, 1, 1) });
+    keyDown(calendar, PAGE_UP, true);
+    expect(calendar.state('focusedDate')).toEqual(new Date(2015, 1, 28));
+    expect(onCalendarDateChange).toBeCalledWith(new Date(2015, 1, 1));
+  });
+
+  it('should move focus to the start and end of the week with the home and end keys', () => {
+    const calendar = mount(<DatePickerCalendar {...PROPS} firstDayOfWeek={1} />);
+
+    // March 10th, 2016 was a Thursday
+    keyDown(calendar, HOME);
+    expect(calendar.state('focusedDate')).toEqual(new Date(2016, 2, 7));
+
+    keyDown(calendar, END);
+    expect(calendar.state('focusedDate')).toEqual(new Date(2016, 2, 13));
+  });
+
+  it('should skip disabled dates and not move past the min or max date', () => {
+    const isDateDisabled = date => date.getDate() === 11;
+    const calendar = mount(
+      <DatePickerCalendar {...PROPS} isDateDisabled={isDateDisabled} maxDate={new Date(2016, 2, 12)} />
+    );
+
+    keyDown(calendar, RIGHT);
+    expect(calendar.state('focusedDate')).toEqual(new Date(2016, 2, 12));
+
+    keyDown(calendar, RIGHT);
+    expect(calendar.state('focusedDate')).toEqual(new Date(2016, 2, 12));
+
+    keyDown(calendar, LEFT);
+    expect(calendar.state('focusedDate')).toEqual(new Date(2016, 2, 10));
+  });
+
+  it('should not change the displayed months when the date is in another displayed month', () => {
+    const onCalendarDateChange = jest.fn();
+    const calendar = mount(
+      <DatePickerCalendar {...PROPS} monthsDisplayed={2} onCalendarDateChange={onCalendarDateChange} />
+    );
+
+    keyDown(calendar, PAGE_DOWN);
+    expect(calendar.state('focusedDate')).toEqual(new Date(2016, 3, 10));
+    expect(onCalendarDateChange).not.toBeCalled();
+    expect(calendar.find(CalendarMonth).at(1).props().focusDate).toEqual(new Date(2016, 3, 10));
+
+    keyDown(calendar, PAGE_DOWN);
+    expect(onCalendarDateChange).toBeCalledWith(new Date(2016, 3, 1));
+  });
+
+  it('should reset the focused date when the calendarTempDate changes', () => {
+    const calendar = mount(<DatePickerCalendar {...PROPS} />);
+    keyDown(calendar, RIGHT);
+    expect(calendar.state('focusedDate')).not.toBe(null);
+
+    calendar.setProps({ calendarTempDate: new Date(2016, 2, 20) });
+    expect(calendar.state('focusedDate')).toBe(null);
+    expect(getFocusable(calendar).text()).toBe('20');
+  });
+});
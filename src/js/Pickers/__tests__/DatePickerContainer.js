@@ -6,9 +6,11 @@ import { findDOMNode } from 'react-dom';
 import {
   renderIntoDocument,
   findRenderedDOMComponentWithTag,
+  findRenderedComponentWithType,
 } from 'react-dom/test-utils';
 
 import DatePickerContainer from '../DatePickerContainer';
+import DatePicker from '../DatePicker';
 import Portal from '../../Helpers/Portal';
 
 describe('DatePickerContainer', () => {
@@ -213,6 +215,365 @@ describe('DatePickerContainer', () => {
     expect(container.state.visible).toBe(false);
   });
 
+  describe('range', () => {
+    const DateTimeFormat = jest.fn(() => ({ format: date => `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()}` }));
+    const PROPS = { id: 'range', locales: 'en-US', DateTimeFormat, range: true };
+
+    it('should display the formatted range in the text field', () => {
+      let container = mount(<DatePickerContainer {...PROPS} />);
+      expect(container.find('input').props().value).toBe('');
+
+      container = mount(
+        <DatePickerContainer {...PROPS} defaultStartDate={new Date(2016, 2, 3)} defaultEndDate={new Date(2016, 2, 9)} />
+      );
+      expect(container.find('input').props().value).toBe('3/3/2016 - 3/9/2016');
+
+      container.setProps({ rangeSeparator: ' to ' });
+      expect(container.find('input').props().value).toBe('3/3/2016 to 3/9/2016');
+    });
+
+    it('should select the start date and then the end date, restarting when a date before the start is clicked', () => {
+      const container = renderIntoDocument(<DatePickerContainer {...PROPS} />);
+      container._setCalendarTempDate(new Date(2016, 2, 10));
+      expect(container.state.calendarTempStartDate).toEqual(new Date(2016, 2, 10));
+      expect(container.state.calendarTempEndDate).toBe(null);
+
+      container._setCalendarTempDate(new Date(2016, 2, 5));
+      expect(container.state.calendarTempStartDate).toEqual(new Date(2016, 2, 5));
+      expect(container.state.calendarTempEndDate).toBe(null);
+
+      container._setCalendarTempDate(new Date(2016, 2, 8));
+      expect(container.state.calendarTempStartDate).toEqual(new Date(2016, 2, 5));
+      expect(container.state.calendarTempEndDate).toEqual(new Date(2016, 2, 8));
+
+      container._setCalendarTempDate(new Date(2016, 2, 20));
+      expect(container.state.calendarTempStartDate).toEqual(new Date(2016, 2, 20));
+      expect(container.state.calendarTempEndDate).toBe(null);
+    });
+
+    it('should call the onChange prop with the formatted range and the start and end dates when the ok button is clicked', () => {
+      const onChange = jest.fn();
+      const event = { target: 'a' };
+      const container = renderIntoDocument(<DatePickerContainer {...PROPS} onChange={onChange} />);
+      container._setCalendarTempDate(new Date(2016, 2, 5));
+      container._setCalendarTempDate(new Date(2016, 2, 8));
+      expect(onChange.mock.calls.length).toBe(0);
+
+      container._handleOkClick(event);
+      expect(onChange.mock.calls.length).toBe(1);
+      expect(onChange.mock.calls[0]).toEqual([
+        '3/5/2016 - 3/8/2016',
+        { startDate: new Date(2016, 2, 5), endDate: new Date(2016, 2, 8) },
+        event,
+      ]);
+      expect(container.state.startDate).toEqual(new Date(2016, 2, 5));
+      expect(container.state.endDate).toEqual(new Date(2016, 2, 8));
+    });
+
+    it('should call the onChange prop once the end date is selected when the autoOk prop is enabled', () => {
+      const onChange = jest.fn();
+      const container = renderIntoDocument(<DatePickerContainer {...PROPS} onChange={onChange} autoOk />);
+      container._setCalendarTempDate(new Date(2016, 2, 5));
+      expect(onChange.mock.calls.length).toBe(0);
+
+      container._setCalendarTempDate(new Date(2016, 2, 8));
+      expect(onChange.mock.calls.length).toBe(1);
+      expect(onChange.mock.calls[0][1]).toEqual({ startDate: new Date(2016, 2, 5), endDate: new Date(2016, 2, 8) });
+    });
+
+    it('should not call the onChange prop when the range does not fit within the range constraints', () => {
+      const onChange = jest.fn();
+      const container = renderIntoDocument(
+        <DatePickerContainer {...PROPS} onChange={onChange} minRangeDays={5} isDateDisabled={date => date.getDate() === 20} />
+      );
+      container._setCalendarTempDate(new Date(2016, 2, 5));
+      container._setCalendarTempDate(new Date(2016, 2, 6));
+      container._handleOkClick();
+      expect(onChange.mock.calls.length).toBe(0);
+      expect(container.state.startDate).toBe(null);
+
+      container._setCalendarTempDate(new Date(2016, 2, 5));
+      container._setCalendarTempDate(new Date(2016, 2, 20));
+      container._handleOkClick();
+      expect(onChange.mock.calls.length).toBe(0);
+
+      container._setCalendarTempDate(new Date(2016, 2, 5));
+      container._setCalendarTempDate(new Date(2016, 2, 9));
+      container._handleOkClick();
+      expect(onChange.mock.calls.length).toBe(1);
+    });
+
+    it('should ignore preset ranges that do not fit within the range constraints', () => {
+      const onChange = jest.fn();
+      const preset = DatePickerContainer.lastDaysPreset(7, 'Last 7 days');
+      const container = renderIntoDocument(<DatePickerContainer {...PROPS} onChange={onChange} autoOk maxRangeDays={5} />);
+      container._setPresetRange(preset);
+      expect(container.state.calendarTempStartDate).toBe(null);
+      expect(onChange.mock.calls.length).toBe(0);
+    });
+
+    it('should reset the pending range when the cancel button is clicked', () => {
+      const container = renderIntoDocument(
+        <DatePickerContainer {...PROPS} defaultStartDate={new Date(2016, 2, 3)} defaultEndDate={new Date(2016, 2, 9)} />
+      );
+      container._setCalendarTempDate(new Date(2016, 2, 12));
+      expect(container.state.calendarTempStartDate).toEqual(new Date(2016, 2, 12));
+
+      container._handleCancelClick();
+      expect(container.state.calendarTempStartDate).toEqual(new Date(2016, 2, 3));
+      expect(container.state.calendarTempEndDate).toEqual(new Date(2016, 2, 9));
+    });
+
+    it('should only preview the hovered date while the range is pending', () => {
+      const container = renderIntoDocument(<DatePickerContainer {...PROPS} />);
+      container._setHoverDate(new Date(2016, 2, 7));
+      expect(container.state.hoverDate).toBe(null);
+
+      container._setCalendarTempDate(new Date(2016, 2, 5));
+      container._setHoverDate(new Date(2016, 2, 7));
+      expect(container.state.hoverDate).toEqual(new Date(2016, 2, 7));
+
+      container._setCalendarTempDate(new Date(2016, 2, 8));
+      expect(container.state.hoverDate).toBe(null);
+      container._setHoverDate(new Date(2016, 2, 10));
+      expect(container.state.hoverDate).toBe(null);
+    });
+
+    it('should select the preset range when a preset is clicked', () => {
+      const preset = DatePickerContainer.lastDaysPreset(7, 'Last 7 days');
+      const container = renderIntoDocument(<DatePickerContainer {...PROPS} />);
+      container._setPresetRange(preset);
+      expect(container.state.calendarTempStartDate).toEqual(preset.startDate);
+      expect(container.state.calendarTempEndDate).toEqual(preset.endDate);
+      expect(container.state.calendarDate).toEqual(preset.startDate);
+    });
+  });
+
+  describe('editable', () => {
+    const PROPS = { id: 'editable', locales: 'en-US', editable: true, errorText: 'Invalid date' };
+
+    it('should only render the text field as read only when the editable prop is disabled', () => {
+      let container = mount(<DatePickerContainer {...PROPS} />);
+      expect(container.find('input').props().readOnly).toBe(false);
+
+      container = mount(<DatePickerContainer {...PROPS} editable={false} />);
+      expect(container.find('input').props().readOnly).toBe(true);
+
+      container = mount(<DatePickerContainer {...PROPS} range />);
+      expect(container.find('input').props().readOnly).toBe(true);
+    });
+
+    it('should update the calendar when a valid date is typed', () => {
+      const container = mount(<DatePickerContainer {...PROPS} />);
+      container.find('input').simulate('change', { target: { value: '3/17/2016' } });
+      expect(container.state('inputValue')).toBe('3/17/2016');
+      expect(container.state('calendarDate')).toEqual(new Date(2016, 2, 17));
+      expect(container.state('calendarTempDate')).toEqual(new Date(2016, 2, 17));
+      expect(container.find('input').props().value).toBe('3/17/2016');
+
+      container.find('input').simulate('change', { target: { value: '3/17' } });
+      expect(container.state('calendarDate')).toEqual(new Date(2016, 2, 17));
+    });
+
+    it('should call the onChange prop when the text field is blurred or the enter key is pressed with a valid date', () => {
+      const onChange = jest.fn();
+      const container = mount(<DatePickerContainer {...PROPS} onChange={onChange} />);
+      const input = container.find('input');
+      input.simulate('change', { target: { value: 'Mar 17, 2016' } });
+      input.simulate('blur');
+      expect(onChange.mock.calls.length).toBe(1);
+      expect(onChange.mock.calls[0][0]).toBe('3/17/2016');
+      expect(onChange.mock.calls[0][1]).toEqual(new Date(2016, 2, 17));
+      expect(container.state('inputValue')).toBe(null);
+      expect(input.props().value).toBe('3/17/2016');
+
+      input.simulate('change', { target: { value: '3/18/2016' } });
+      input.simulate('keyDown', { which: 13, keyCode: 13 });
+      expect(onChange.mock.calls.length).toBe(2);
+      expect(onChange.mock.calls[1][1]).toEqual(new Date(2016, 2, 18));
+
+      input.simulate('change', { target: { value: '' } });
+      input.simulate('blur');
+      expect(onChange.mock.calls.length).toBe(3);
+      expect(onChange.mock.calls[2].slice(0, 2)).toEqual(['', null]);
+    });
+
+    it('should display the errorText when an invalid date is committed', () => {
+      const onChange = jest.fn();
+      const container = mount(
+        <DatePickerContainer {...PROPS} onChange={onChange} minDate={new Date(2016, 0, 1)} />
+      );
+      const input = container.find('input');
+      input.simulate('change', { target: { value: '2/30/2016' } });
+      input.simulate('blur');
+      expect(onChange.mock.calls.length).toBe(0);
+      expect(container.state('inputError')).toBe(true);
+      expect(container.find('TextField').props().error).toBe(true);
+      expect(container.find('.md-text-field-message').text()).toContain('Invalid date');
+
+      input.simulate('change', { target: { value: '12/31/2015' } });
+      expect(container.state('inputError')).toBe(false);
+      input.simulate('blur');
+      expect(container.state('inputError')).toBe(true);
+    });
+
+    it('should not allow a typed date that is disabled', () => {
+      const isDateDisabled = date => date.getDate() === 17;
+      const container = mount(<DatePickerContainer {...PROPS} isDateDisabled={isDateDisabled} disableWeekEnds />);
+      const input = container.find('input');
+      input.simulate('change', { target: { value: '3/17/2016' } });
+      input.simulate('blur');
+      expect(container.state('inputError')).toBe(true);
+
+      input.simulate('change', { target: { value: '3/19/2016' } });
+      input.simulate('blur');
+      expect(container.state('inputError')).toBe(true);
+
+      input.simulate('change', { target: { value: '3/18/2016' } });
+      input.simulate('blur');
+      expect(container.state('inputError')).toBe(false);
+    });
+
+    it('should reset the active state when the tab key is pressed', () => {
+      const container = mount(<DatePickerContainer {...PROPS} />);
+      container.setState({ active: true });
+      container.find('input').simulate('keyDown', { which: 9, keyCode: 9 });
+      expect(container.state('active')).toBe(false);
+    });
+
+    it('should open the calendar from the icon', () => {
+      const onVisibilityChange = jest.fn();
+      const container = mount(<DatePickerContainer {...PROPS} onVisibilityChange={onVisibilityChange} />);
+      container.find('input').simulate('click');
+      expect(onVisibilityChange.mock.calls.length).toBe(0);
+
+      const icon = container.find('.md-text-field-icon').first();
+      expect(icon.props().role).toBe('button');
+      icon.simulate('click');
+      expect(onVisibilityChange.mock.calls.length).toBe(1);
+      expect(onVisibilityChange.mock.calls[0][0]).toBe(true);
+    });
+  });
+
+  describe('granularity', () => {
+    const PROPS = { id: 'month-granularity', locales: 'en-US', granularity: 'month' };
+
+    it('should open the month picker instead of the calendar', () => {
+      let container = renderIntoDocument(<DatePickerContainer {...PROPS} />);
+      expect(container.state.calendarMode).toBe('month');
+
+      container = renderIntoDocument(<DatePickerContainer {...PROPS} defaultCalendarMode="year" />);
+      expect(container.state.calendarMode).toBe('year');
+    });
+
+    it('should display the month picker after a year is picked', () => {
+      const container = renderIntoDocument(
+        <DatePickerContainer {...PROPS} defaultCalendarMode="year" defaultCalendarDate={new Date(2016, 4, 1)} />
+      );
+      container._setCalendarTempYear(2020);
+      expect(container.state.calendarMode).toBe('month');
+      expect(container.state.calendarTempDate.getFullYear()).toBe(2020);
+
+      container._changeCalendarMode('year');
+      container._setCalendarTempYear(2020);
+      expect(container.state.calendarMode).toBe('month');
+    });
+
+    it('should select the first day of the month and format the month and year when a month is picked', () => {
+      const onChange = jest.fn();
+      const container = renderIntoDocument(
+        <DatePickerContainer {...PROPS} autoOk onChange={onChange} defaultCalendarDate={new Date(2016, 4, 17)} />
+      );
+      container._setCalendarTempMonth(1);
+      expect(container.state.calendarTempDate).toEqual(new Date(2016, 1, 1));
+      expect(onChange.mock.calls.length).toBe(1);
+      expect(onChange.mock.calls[0][0]).toBe('February 2016');
+      expect(onChange.mock.calls[0][1]).toEqual(new Date(2016, 1, 1));
+    });
+
+    it('should display the calendar for the picked month when the granularity is day', () => {
+      const container = renderIntoDocument(
+        <DatePickerContainer id="day" locales="en-US" defaultCalendarMode="month" defaultCalendarDate={new Date(2016, 0, 31)} />
+      );
+      expect(container.state.calendarMode).toBe('month');
+      container._setCalendarTempMonth(1);
+      expect(container.state.calendarMode).toBe('calendar');
+      expect(container.state.calendarDate).toEqual(new Date(2016, 1, 29));
+    });
+
+    it('should parse typed months', () => {
+      const onChange = jest.fn();
+      const container = mount(
+        <DatePickerContainer {...PROPS} editable onChange={onChange} minDate={new Date(2016, 2, 15)} />
+      );
+      const input = container.find('input');
+      input.simulate('change', { target: { value: 'Mar 2016' } });
+      input.simulate('blur');
+      expect(onChange.mock.calls.length).toBe(1);
+      expect(onChange.mock.calls[0][0]).toBe('March 2016');
+      expect(onChange.mock.calls[0][1]).toEqual(new Date(2016, 2, 1));
+
+      input.simulate('change', { target: { value: '2/2016' } });
+      input.simulate('blur');
+      expect(container.state('inputError')).toBe(true);
+    });
+  });
+
+  describe('timeZone', () => {
+    const PROPS = { id: 'time-zone', locales: 'en-US', timeZone: 'America/New_York' };
+
+    it('should display the value as the day in the time zone', () => {
+      const value = new Date(Date.UTC(2017, 2, 17, 2, 30));
+      const container = renderIntoDocument(<DatePickerContainer {...PROPS} value={value} onChange={() => {}} />);
+      expect(container.state.calendarDate).toEqual(new Date(2017, 2, 16, 22, 30));
+      expect(findRenderedDOMComponentWithTag(container, 'input').value).toBe('3/16/2017');
+    });
+
+    it('should call the onChange prop with the date in the time zone', () => {
+      const onChange = jest.fn();
+      const container = renderIntoDocument(
+        <DatePickerContainer {...PROPS} autoOk onChange={onChange} defaultValue={new Date(Date.UTC(2017, 2, 17, 2, 30))} />
+      );
+      container._setCalendarTempDate(new Date(2017, 2, 20));
+      expect(onChange.mock.calls.length).toBe(1);
+      expect(onChange.mock.calls[0][0]).toBe('3/20/2017');
+      expect(onChange.mock.calls[0][1].toISOString()).toBe('2017-03-20T04:00:00.000Z');
+      expect(findRenderedDOMComponentWithTag(container, 'input').value).toBe('3/20/2017');
+    });
+
+    it('should call the onChange prop with the range in the time zone', () => {
+      const onChange = jest.fn();
+      const container = renderIntoDocument(<DatePickerContainer {...PROPS} timeZone="UTC" range onChange={onChange} />);
+      container._setCalendarTempDate(new Date(2017, 2, 17));
+      container._setCalendarTempDate(new Date(2017, 2, 20));
+      container._handleOkClick();
+      expect(onChange.mock.calls[0][0]).toBe('3/17/2017 - 3/20/2017');
+      expect(onChange.mock.calls[0][1].startDate.toISOString()).toBe('2017-03-17T00:00:00.000Z');
+      expect(onChange.mock.calls[0][1].endDate.toISOString()).toBe('2017-03-20T00:00:00.000Z');
+      expect(container.state.calendarTempStartDate).toEqual(new Date(2017, 2, 17));
+      expect(findRenderedDOMComponentWithTag(container, 'input').value).toBe('3/17/2017 - 3/20/2017');
+    });
+
+    it('should compare the min and max dates against the calendar days in the time zone', () => {
+      const minDate = new Date(Date.UTC(2017, 2, 17, 2, 30));
+      const maxDate = new Date(Date.UTC(2017, 2, 25, 2, 30));
+      const container = renderIntoDocument(
+        <DatePickerContainer {...PROPS} inline defaultVisible minDate={minDate} maxDate={maxDate} defaultValue={new Date(Date.UTC(2017, 2, 1))} />
+      );
+
+      expect(container.state.calendarDate).toEqual(new Date(2017, 2, 16, 22, 30));
+      expect(container._parseInput('3/16/2017')).toEqual(new Date(2017, 2, 16));
+      expect(container._parseInput('3/15/2017')).toBe(null);
+      expect(container._parseInput('3/25/2017')).toBe(null);
+      expect(container._isRangeDisabled(new Date(2017, 2, 17), new Date(2017, 2, 24))).toBe(false);
+      expect(container._isRangeDisabled(new Date(2017, 2, 17), new Date(2017, 2, 25))).toBe(true);
+
+      const picker = findRenderedComponentWithType(container, DatePicker);
+      expect(picker.props.minDate).toEqual(new Date(2017, 2, 16, 22, 30));
+      expect(picker.props.maxDate).toEqual(new Date(2017, 2, 24, 22, 30));
+    });
+  });
+
   describe('value prop', () => {
     const console = global.console;
     beforeEach(() => {
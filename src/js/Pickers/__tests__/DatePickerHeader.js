@@ -72,4 +72,49 @@ describe('DatePickerHeader', () => {
     expect(header.state.weekday).toBe('');
     expect(header.state.date).toBe('');
   });
+
+  it('displays the selected range when the range prop is enabled', () => {
+    const format = jest.fn(() => ({ format: date => `${date.getMonth() + 1}/${date.getDate()}` }));
+    const props = {
+      calendarTempDate: new Date(2016, 2, 3),
+      locales: 'en-US',
+      changeCalendarMode: jest.fn(),
+      calendarMode: 'calendar',
+      DateTimeFormat: format,
+      range: true,
+    };
+
+    let header = renderIntoDocument(<DatePickerHeader {...props} />);
+    expect(header.state.rangeText).toBe(null);
+
+    header = renderIntoDocument(<DatePickerHeader {...props} calendarTempStartDate={new Date(2016, 2, 3)} />);
+    expect(header.state.rangeText).toBe('3/3 \u2013');
+
+    header = renderIntoDocument(
+      <DatePickerHeader
+        {...props}
+        calendarTempStartDate={new Date(2016, 2, 3)}
+        calendarTempEndDate={new Date(2016, 2, 9)}
+      />
+    );
+    expect(header.state.rangeText).toBe('3/3 \u2013 3/9');
+  });
+
+  it('displays the month and opens the month picker when the granularity is month', () => {
+    const props = {
+      calendarTempDate: new Date(2016, 2, 3),
+      locales: 'en-US',
+      changeCalendarMode: jest.fn(),
+      calendarMode: 'year',
+      DateTimeFormat: Intl.DateTimeFormat,
+      granularity: 'month',
+    };
+
+    const header = renderIntoDocument(<DatePickerHeader {...props} />);
+    expect(header.state.month).toBe('March');
+    expect(findDOMNode(header).querySelector('.md-display-1').textContent).toBe('March');
+
+    header._selectCalendar();
+    expect(props.changeCalendarMode.mock.calls[0][0]).toBe('month');
+  });
 });
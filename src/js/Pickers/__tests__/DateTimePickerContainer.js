@@ -0,0 +1,124 @@
+/* eslint-env jest */
+/* eslint-disable max-len */
+import React from 'react';
+import { mount } from 'enzyme';
+import { renderIntoDocument } from 'react-dom/test-utils';
+
+import DateTimePickerContainer from '../DateTimePickerContainer';
+import DateTimePicker from '../DateTimePicker';
+import DatePickerCalendar from '../DatePickerCalendar';
+import ClockFace from '../ClockFace';
+
+const PROPS = { id: 'date-time', locales: 'en-US', defaultValue: new Date(2016, 2, 17, 15, 30) };
+
+describe('DateTimePickerContainer', () => {
+  it('should format the value with the date and time', () => {
+    const container = mount(<DateTimePickerContainer {...PROPS} />);
+    expect(container.find('input').props().value).toBe('3/17/2016, 3:30 PM');
+
+    container.setProps({ formatOptions: { month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit' } });
+    expect(container.find('input').props().value).toBe('March 17 at 3:30 PM');
+  });
+
+  it('should display the calendar and then the clock after a date is picked', () => {
+    const container = mount(<DateTimePickerContainer {...PROPS} inline defaultVisible />);
+    expect(container.find(DatePickerCalendar).length).toBe(1);
+    expect(container.find(ClockFace).length).toBe(0);
+
+    container.instance()._setCalendarTempDate(new Date(2016, 2, 20));
+    expect(container.state('step')).toBe('time');
+    expect(container.state('tempDate')).toEqual(new Date(2016, 2, 20, 15, 30));
+    expect(container.find(DatePickerCalendar).length).toBe(0);
+    expect(container.find(ClockFace).length).toBe(1);
+
+    container.find(DateTimePicker).props().setStep('date');
+    expect(container.find(DatePickerCalendar).length).toBe(1);
+  });
+
+  it('should keep the date when the time is changed', () => {
+    const container = renderIntoDocument(<DateTimePickerContainer {...PROPS} />);
+    container._setCalendarTempDate(new Date(2016, 2, 20));
+    container._setTempTime(new Date(2016, 2, 20, 9, 45));
+    expect(container.state.tempDate).toEqual(new Date(2016, 2, 20, 9, 45));
+    expect(container.state.hours).toBe('9');
+    expect(container.state.minutes).toBe(':45');
+    expect(container.state.timePeriod).toBe('AM');
+  });
+
+  it('should call the onChange prop with a single date when the ok button is clicked', () => {
+    const onChange = jest.fn();
+    const container = renderIntoDocument(<DateTimePickerContainer {...PROPS} onChange={onChange} />);
+    container._setCalendarTempDate(new Date(2016, 2, 20));
+    container._setTempTime(new Date(2016, 2, 20, 9, 45));
+    container._handleOkClick();
+    expect(onChange.mock.calls.length).toBe(1);
+    expect(onChange.mock.calls[0][0]).toBe('3/20/2016, 9:45 AM');
+    expect(onChange.mock.calls[0][1]).toEqual(new Date(2016, 2, 20, 9, 45));
+    expect(container.state.value).toEqual(new Date(2016, 2, 20, 9, 45));
+    expect(container.state.step).toBe('date');
+  });
+
+  it('should reset the temp date when the cancel button is clicked', () => {
+    const container = renderIntoDocument(<DateTimePickerContainer {...PROPS} />);
+    container._setCalendarTempDate(new Date(2016, 2, 20));
+    container._handleCancelClick();
+    expect(container.state.tempDate).toEqual(PROPS.defaultValue);
+    expect(container.state.step).toBe('date');
+  });
+
+  it('should keep the date and time within the min and max dates', () => {
+    const minDate = new Date(2016, 2, 17, 12, 0);
+    const maxDate = new Date(2016, 2, 20, 18, 0);
+    const container = renderIntoDocument(
+      <DateTimePickerContainer {...PROPS} defaultValue={undefined} minDate={minDate} maxDate={maxDate} />
+    );
+    expect(container.state.tempDate).toEqual(maxDate);
+
+    container._setTempTime(new Date(2016, 2, 20, 20, 0));
+    expect(container.state.tempDate).toEqual(maxDate);
+
+    container._setCalendarTempDate(new Date(2016, 2, 17));
+    expect(container.state.tempDate).toEqual(new Date(2016, 2, 17, 18, 0));
+
+    container._setTempTime(new Date(2016, 2, 17, 8, 0));
+    expect(container.state.tempDate).toEqual(minDate);
+  });
+
+  it('should disable the times on the clock that are outside of the min and max dates for that day', () => {
+    const minDate = new Date(2016, 2, 17, 12, 30);
+    const maxDate = new Date(2016, 2, 20, 18, 0);
+    const container = mount(<DateTimePickerContainer {...PROPS} minDate={minDate} maxDate={maxDate} inline defaultVisible />);
+    container.instance()._setCalendarTempDate(new Date(2016, 2, 17));
+
+    container.instance()._setTimeMode('minute');
+    container.instance()._setTempTime(new Date(2016, 2, 17, 12, 45));
+    let isTimeDisabled = container.find(ClockFace).props().isTimeDisabled;
+    expect(isTimeDisabled(15)).toBe(true);
+    expect(isTimeDisabled(30)).toBe(false);
+
+    container.instance()._setStep('date');
+    container.instance()._setCalendarTempDate(new Date(2016, 2, 18));
+    expect(container.find(ClockFace).props().isTimeDisabled).toBe(null);
+
+    container.instance()._setCalendarTempDate(new Date(2016, 2, 20));
+    isTimeDisabled = container.find(ClockFace).props().isTimeDisabled;
+    expect(isTimeDisabled(5)).toBe(false);
+    expect(isTimeDisabled(7)).toBe(true);
+  });
+
+  it('should allow the day of the min date to be picked in the calendar', () => {
+    const minDate = new Date(2016, 2, 17, 12, 0);
+    const container = mount(<DateTimePickerContainer {...PROPS} minDate={minDate} inline defaultVisible />);
+    expect(container.find(DatePickerCalendar).props().minDate).toEqual(new Date(2016, 2, 17));
+  });
+
+  it('should not open the picker when it is disabled or read only', () => {
+    const onVisibilityChange = jest.fn();
+    let container = mount(<DateTimePickerContainer {...PROPS} disabled onVisibilityChange={onVisibilityChange} />);
+    container.find('input').simulate('click');
+
+    container = mount(<DateTimePickerContainer {...PROPS} readOnly onVisibilityChange={onVisibilityChange} />);
+    container.find('input').simulate('click');
+    expect(onVisibilityChange.mock.calls.length).toBe(0);
+  });
+});
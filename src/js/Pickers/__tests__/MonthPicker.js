@@ -0,0 +1,41 @@
+/* eslint-env jest*/
+import React from 'react';
+import { mount } from 'enzyme';
+
+import MonthPicker from '../MonthPicker';
+import Month from '../Month';
+
+const PROPS = {
+  calendarTempDate: new Date(2016, 4, 17),
+  onCalendarMonthClick: () => {},
+  DateTimeFormat: Intl.DateTimeFormat,
+  locales: 'en-US',
+};
+
+describe('MonthPicker', () => {
+  it('should render a month for each month in the year', () => {
+    const picker = mount(<MonthPicker {...PROPS} />);
+    const months = picker.find(Month);
+    expect(months.length).toBe(12);
+    expect(months.at(0).text()).toBe('Jan');
+    expect(months.at(11).text()).toBe('Dec');
+    expect(months.at(4).props().active).toBe(true);
+    expect(months.at(4).hasClass('md-month--active')).toBe(true);
+  });
+
+  it('should disable the months that are outside of the min and max dates', () => {
+    const picker = mount(
+      <MonthPicker {...PROPS} minDate={new Date(2016, 2, 15)} maxDate={new Date(2016, 8, 1)} />
+    );
+    const disabled = picker.find(Month).map(month => month.props().disabled);
+    expect(disabled).toEqual([true, true, false, false, false, false, false, false, false, true, true, true]);
+  });
+
+  it('should call the onCalendarMonthClick prop with the month when a month is clicked', () => {
+    const onCalendarMonthClick = jest.fn();
+    const picker = mount(<MonthPicker {...PROPS} onCalendarMonthClick={onCalendarMonthClick} />);
+    picker.find(Month).at(2).simulate('click');
+    expect(onCalendarMonthClick.mock.calls.length).toBe(1);
+    expect(onCalendarMonthClick.mock.calls[0][0]).toBe(2);
+  });
+});
@@ -97,4 +97,54 @@ describe('TimePicker', () => {
     expect(props.setTempTime.mock.calls.length).toBe(1);
     expect(props.setTempTime.mock.calls[0][0]).toEqual(new Date(2016, 3, 15, 3, 2));
   });
+
+  it('updates the seconds for the time when _updateTime is called and the timeMode is seconds', () => {
+    const props = Object.assign({}, PROPS, { setTempTime: jest.fn(), timeMode: 'second', seconds: ':00' });
+    const picker = renderIntoDocument(<TimePicker {...props} />);
+    picker._updateTime(30);
+    expect(props.setTempTime.mock.calls[0][0]).toEqual(new Date(2016, 3, 15, 3, 55, 30));
+
+    const face = findRenderedComponentWithType(picker, ClockFace);
+    expect(face.props.minutes).toBe(true);
+    expect(face.props.time).toBe(0);
+  });
+
+  it('passes the minuteStep to the clock face only when picking minutes', () => {
+    let picker = renderIntoDocument(<TimePicker {...PROPS} minuteStep={15} />);
+    expect(findRenderedComponentWithType(picker, ClockFace).props.step).toBe(1);
+
+    picker = renderIntoDocument(<TimePicker {...PROPS} minuteStep={15} timeMode="minute" />);
+    expect(findRenderedComponentWithType(picker, ClockFace).props.step).toBe(15);
+  });
+
+  it('disables the clock times that are outside of the min and max times', () => {
+    const minTime = new Date(2000, 0, 1, 2, 30);
+    const maxTime = new Date(2000, 0, 1, 4, 0);
+    let picker = renderIntoDocument(<TimePicker {...PROPS} minTime={minTime} maxTime={maxTime} />);
+    let { isTimeDisabled } = findRenderedComponentWithType(picker, ClockFace).props;
+    expect(isTimeDisabled(1)).toBe(true);
+    expect(isTimeDisabled(2)).toBe(false);
+    expect(isTimeDisabled(4)).toBe(false);
+    expect(isTimeDisabled(5)).toBe(true);
+    expect(isTimeDisabled(12)).toBe(true);
+
+    const tempTime = new Date(2016, 3, 15, 2);
+    picker = renderIntoDocument(
+      <TimePicker {...PROPS} minTime={minTime} maxTime={maxTime} timeMode="minute" tempTime={tempTime} />
+    );
+    ({ isTimeDisabled } = findRenderedComponentWithType(picker, ClockFace).props);
+    expect(isTimeDisabled(15)).toBe(true);
+    expect(isTimeDisabled(30)).toBe(false);
+  });
+
+  it('switches to the seconds when a minute is chosen in hover mode and the seconds are displayed', () => {
+    const props = Object.assign({}, PROPS, { setTimeMode: jest.fn(), onOkClick: jest.fn(), timeMode: 'minute' });
+    let picker = renderIntoDocument(<TimePicker {...props} hoverMode seconds=":00" />);
+    picker._handleTimeChosen();
+    expect(props.setTimeMode).toBeCalledWith('second');
+
+    picker = renderIntoDocument(<TimePicker {...props} hoverMode seconds=":00" timeMode="second" />);
+    picker._handleTimeChosen();
+    expect(props.onOkClick.mock.calls.length).toBe(1);
+  });
 });
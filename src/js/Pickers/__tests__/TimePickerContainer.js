@@ -83,4 +83,155 @@ describe('TimePickerContainer', () => {
     container._toggleOpen({ target: { tagName: 'input' } });
     expect(container.state.visible).toBe(false);
   });
+
+  it('should format the seconds when the showSeconds prop is enabled', () => {
+    const onChange = jest.fn();
+    const defaultValue = new Date(2016, 3, 15, 3, 55, 20);
+    const container = renderIntoDocument(
+      <TimePickerContainer id="test" locales="en-US" showSeconds defaultValue={defaultValue} onChange={onChange} />
+    );
+    expect(container.state.seconds).toBe(':20');
+    expect(findRenderedComponentWithType(container, TextField).props.value).toBe('3:55:20 AM');
+
+    container._handleOkClick();
+    expect(onChange.mock.calls[0][0]).toBe('3:55:20 AM');
+  });
+
+  it('should keep the temp time within the min and max times', () => {
+    const minTime = new Date(2000, 0, 1, 9);
+    const maxTime = new Date(2000, 0, 1, 17, 30);
+    const container = renderIntoDocument(
+      <TimePickerContainer id="test" defaultValue={new Date(2016, 3, 15, 3, 55)} minTime={minTime} maxTime={maxTime} />
+    );
+    expect(container.state.tempTime).toEqual(new Date(2016, 3, 15, 9));
+
+    container._setTempTime(new Date(2016, 3, 15, 21, 55));
+    expect(container.state.tempTime).toEqual(new Date(2016, 3, 15, 17, 30));
+
+    container._setTempTime(new Date(2016, 3, 15, 12, 10));
+    expect(container.state.tempTime).toEqual(new Date(2016, 3, 15, 12, 10));
+  });
+
+  it('should move the temp time to the closest minuteStep within the min and max times', () => {
+    const minTime = new Date(2000, 0, 1, 9, 5);
+    const maxTime = new Date(2000, 0, 1, 17, 20);
+    const container = renderIntoDocument(
+      <TimePickerContainer id="test" defaultValue={new Date(2016, 3, 15, 3, 55)} minTime={minTime} maxTime={maxTime} minuteStep={15} />
+    );
+    expect(container.state.tempTime).toEqual(new Date(2016, 3, 15, 9, 15));
+
+    container._setTempTime(new Date(2016, 3, 15, 21, 55));
+    expect(container.state.tempTime).toEqual(new Date(2016, 3, 15, 17, 15));
+
+    container._setTempTime(new Date(2016, 3, 15, 12, 10));
+    expect(container.state.tempTime).toEqual(new Date(2016, 3, 15, 12, 15));
+
+    container._setTempTime(new Date(2016, 3, 15, 12, 50));
+    expect(container.state.tempTime).toEqual(new Date(2016, 3, 15, 12, 45));
+  });
+
+  it('should display and pick the time in the timeZone', () => {
+    const onChange = jest.fn();
+    const defaultValue = new Date(Date.UTC(2016, 3, 15, 15, 55));
+    const container = renderIntoDocument(
+      <TimePickerContainer id="test" locales="en-US" timeZone="UTC" defaultValue={defaultValue} onChange={onChange} />
+    );
+    expect(container.state.tempTime).toEqual(new Date(2016, 3, 15, 15, 55));
+    expect(container.state.hours).toBe('3');
+    expect(findRenderedComponentWithType(container, TextField).props.value).toBe('3:55 PM');
+
+    container._setTempTime(new Date(2016, 3, 15, 9, 10));
+    container._handleOkClick();
+    expect(onChange.mock.calls[0][0]).toBe('9:10 AM');
+    expect(onChange.mock.calls[0][1].toISOString()).toBe('2016-04-15T09:10:00.000Z');
+    expect(container.state.time).toEqual(new Date(2016, 3, 15, 9, 10));
+  });
+
+  describe('editable', () => {
+    const PROPS = { id: 'editable', locales: 'en-US', editable: true, errorText: 'Invalid time' };
+
+    it('should only render the text field as read only when the editable prop is disabled', () => {
+      let container = mount(<TimePickerContainer {...PROPS} />);
+      expect(container.find('input').props().readOnly).toBe(false);
+
+      container = mount(<TimePickerContainer {...PROPS} readOnly />);
+      expect(container.find('input').props().readOnly).toBe(true);
+    });
+
+    it('should update the clock when a valid time is typed', () => {
+      const container = mount(<TimePickerContainer {...PROPS} defaultValue={new Date(2016, 3, 15, 3, 55)} />);
+      container.find('input').simulate('change', { target: { value: '4:10 PM' } });
+      expect(container.state('inputValue')).toBe('4:10 PM');
+      expect(container.state('tempTime')).toEqual(new Date(2016, 3, 15, 16, 10));
+      expect(container.state('hours')).toBe('4');
+      expect(container.state('timePeriod')).toBe('PM');
+    });
+
+    it('should call the onChange prop when the text field is blurred or the enter key is pressed with a valid time', () => {
+      const onChange = jest.fn();
+      const container = mount(
+        <TimePickerContainer {...PROPS} defaultValue={new Date(2016, 3, 15, 3, 55)} onChange={onChange} />
+      );
+      const input = container.find('input');
+      input.simulate('change', { target: { value: '16:10' } });
+      input.simulate('blur');
+      expect(onChange.mock.calls.length).toBe(1);
+      expect(onChange.mock.calls[0][0]).toBe('4:10 PM');
+      expect(onChange.mock.calls[0][1]).toEqual(new Date(2016, 3, 15, 16, 10));
+      expect(input.props().value).toBe('4:10 PM');
+
+      input.simulate('change', { target: { value: '5:00 AM' } });
+      input.simulate('keyDown', { which: 13, keyCode: 13 });
+      expect(onChange.mock.calls.length).toBe(2);
+
+      input.simulate('change', { target: { value: '' } });
+      input.simulate('blur');
+      expect(onChange.mock.calls[2].slice(0, 2)).toEqual(['', null]);
+      expect(input.props().value).toBe('');
+    });
+
+    it('should display the errorText when an invalid or disabled time is committed', () => {
+      const onChange = jest.fn();
+      const container = mount(
+        <TimePickerContainer {...PROPS} onChange={onChange} minuteStep={15} maxTime={new Date(2000, 0, 1, 18)} />
+      );
+      const input = container.find('input');
+      input.simulate('change', { target: { value: '25:00' } });
+      input.simulate('blur');
+      expect(container.state('inputError')).toBe(true);
+      expect(container.find('.md-text-field-message').text()).toContain('Invalid time');
+
+      input.simulate('change', { target: { value: '3:10 PM' } });
+      input.simulate('blur');
+      expect(container.state('inputError')).toBe(true);
+
+      input.simulate('change', { target: { value: '7:00 PM' } });
+      input.simulate('blur');
+      expect(container.state('inputError')).toBe(true);
+
+      input.simulate('change', { target: { value: '3:15 PM' } });
+      input.simulate('blur');
+      expect(container.state('inputError')).toBe(false);
+      expect(onChange.mock.calls.length).toBe(1);
+    });
+
+    it('should reset the active state when the tab key is pressed', () => {
+      const container = mount(<TimePickerContainer {...PROPS} />);
+      container.setState({ active: true });
+      container.find('input').simulate('keyDown', { which: 9, keyCode: 9 });
+      expect(container.state('active')).toBe(false);
+    });
+
+    it('should open the clock from the icon', () => {
+      const onVisibilityChange = jest.fn();
+      const container = mount(<TimePickerContainer {...PROPS} onVisibilityChange={onVisibilityChange} />);
+      container.find('input').simulate('click');
+      expect(onVisibilityChange.mock.calls.length).toBe(0);
+
+      const icon = container.find('.md-text-field-icon').first();
+      expect(icon.props().role).toBe('button');
+      icon.simulate('click');
+      expect(onVisibilityChange).toBeCalledWith(true, expect.anything());
+    });
+  });
 });
@@ -52,4 +52,23 @@ describe('TimePickerHeader', () => {
 
     expect(periods.length).toBe(0);
   });
+
+  it('renders a picker control for the seconds when they are provided', () => {
+    const props = {
+      tempTime: new Date(2016, 3, 5, 17, 15, 30),
+      timeMode: 'second',
+      setTimeMode: jest.fn(),
+      setTempTime: jest.fn(),
+      hours: '17',
+      minutes: '.15',
+      seconds: '.30',
+    };
+    const header = renderIntoDocument(<TimePickerHeader {...props} />);
+    const controls = scryRenderedComponentsWithType(header, PickerControl);
+
+    expect(controls.length).toBe(3);
+    expect(controls[2].props.active).toBe(true);
+    header._setSecond();
+    expect(props.setTimeMode).toBeCalledWith('second');
+  });
 });
@@ -67,5 +67,17 @@ export interface BasePickerProps extends SharedTextFieldProps, Props {
   calendarWeekdayFormat?: NSL;
 }
 
-export { default as DatePicker, default as DatePickerContainer, DatePickerProps } from './DatePickerContainer';
+export {
+  default as DatePicker,
+  default as DatePickerContainer,
+  DatePickerProps,
+  DateRange,
+  DateRangePreset,
+  DateMarkerState,
+} from './DatePickerContainer';
 export { default as TimePicker, default as TimePickerContainer, TimePickerProps } from './TimePickerContainer';
+export {
+  default as DateTimePicker,
+  default as DateTimePickerContainer,
+  DateTimePickerProps,
+} from './DateTimePickerContainer';
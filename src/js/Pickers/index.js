@@ -2,3 +2,5 @@ export DatePicker from './DatePickerContainer';
 export DatePickerContainer from './DatePickerContainer';
 export TimePicker from './TimePickerContainer';
 export TimePickerContainer from './TimePickerContainer';
+export DateTimePicker from './DateTimePickerContainer';
+export DateTimePickerContainer from './DateTimePickerContainer';
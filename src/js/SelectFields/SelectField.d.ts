@@ -21,12 +21,26 @@ export interface SharedSelectFieldProps extends BaseMenuProps, SharedTextFieldPr
   visible?: boolean;
   onVisibilityChange?: (visible: boolean, event: React.MouseEvent<HTMLElement>) => void;
   menuItems?: Array<number | string | Object>;
+  groupBy?: string;
   keyboardMatchingTimeout?: number;
   itemLabel?: string;
   itemValue?: string;
-  defaultValue?: number | string;
-  value?: number | string;
-  onChange?: (value: number | string, selectedIndex: number, event: React.MouseEvent<HTMLElement>) => void;
+  defaultValue?: number | string | Array<number | string>;
+  value?: number | string | Array<number | string>;
+  onChange?: (
+    value: number | string | Array<number | string>,
+    selectedIndex: number,
+    event: React.MouseEvent<HTMLElement>
+  ) => void;
+  multiple?: boolean;
+  maxChips?: number;
+  checkedIcon?: React.ReactElement<any>;
+  uncheckedIcon?: React.ReactElement<any>;
+  searchable?: boolean;
+  filter?: (haystack: Array<number | string | Object>, filterText: string, itemLabel: string) => Array<number | string | Object>;
+  searchPlaceholder?: string;
+  onSearchChange?: (searchValue: string, event: React.ChangeEvent<HTMLInputElement>) => void;
+  noResults?: React.ReactNode;
   onClick?: (event: React.MouseEvent<HTMLElement>) => void;
   dropdownIcon?: React.ReactElement<any>;
   toolbar?: boolean;
@@ -126,6 +140,8 @@ interface SelectFieldComponent extends React.ComponentClass<SelectFieldProps> {
     RIGHT: 'right',
     INNER_RIGHT: 'inner right'
   };
+  caseInsensitiveFilter(data: Array<number | string | Object>, filterText: string, itemLabel?: string): Array<number | string | Object>;
+  fuzzyFilter(data: Array<number | string | Object>, filterText: string, itemLabel?: string): Array<number | string | Object>;
 }
 
 declare const SelectField: SelectFieldComponent;
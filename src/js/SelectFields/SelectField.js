@@ -5,10 +5,28 @@ import cn from 'classnames';
 import deprecated from 'react-prop-types/lib/deprecated';
 import isRequiredForA11y from 'react-prop-types/lib/isRequiredForA11y';
 
-import { UP, DOWN, ESC, TAB, ZERO, NINE, KEYPAD_ZERO, KEYPAD_NINE } from '../constants/keyCodes';
+import {
+  UP,
+  DOWN,
+  LEFT,
+  RIGHT,
+  ESC,
+  TAB,
+  ENTER,
+  ZERO,
+  NINE,
+  KEYPAD_ZERO,
+  KEYPAD_NINE,
+  BACKSPACE,
+  DELETE,
+} from '../constants/keyCodes';
 import omit from '../utils/omit';
 import getField from '../utils/getField';
 import isBetween from '../utils/NumberUtils/isBetween';
+import fuzzyFilter from '../utils/fuzzyFilter';
+import caseInsensitiveFilter from '../utils/caseInsensitiveFilter';
+import groupItems, { flattenGroups, filterGroups } from '../utils/groupItems';
+import renderGroupedItems from '../utils/renderGroupedItems';
 import handleKeyboardAccessibility from '../utils/EventUtils/handleKeyboardAccessibility';
 import controlled from '../utils/PropTypes/controlled';
 import FontIcon from '../FontIcons/FontIcon';
@@ -17,15 +35,23 @@ import fixedToShape from '../Helpers/fixedToShape';
 import positionShape from '../Helpers/positionShape';
 import Menu from '../Menus/Menu';
 import ListItem from '../Lists/ListItem';
+import Chip from '../Chips/Chip';
+import TextField from '../TextFields/TextField';
 
 import SelectFieldToggle from './SelectFieldToggle';
 
 const MOBILE_LIST_PADDING = 8;
+const VALUE_TYPE = PropTypes.oneOfType([
+  PropTypes.number,
+  PropTypes.string,
+]);
 
 export default class SelectField extends PureComponent {
   static HorizontalAnchors = Menu.HorizontalAnchors;
   static VerticalAnchors = Menu.VerticalAnchors;
   static Positions = Menu.Positions;
+  static fuzzyFilter = fuzzyFilter;
+  static caseInsensitiveFilter = caseInsensitiveFilter;
 
   static propTypes = {
     /**
@@ -125,8 +151,20 @@ export default class SelectField extends PureComponent {
      * in the menu's list. When it is an `object`, it will use the `dataLabel` prop as the
      * `primaryText` and use the value of `dataValue`.
      *
+     * The list can also contain option groups with a `label` and a list of `items`. Each group
+     * will be rendered with a `Subheader` and a `Divider`, and the headers will be skipped
+     * by the keyboard navigation.
+     *
+     * ```js
+     * const menuItems = [
+     *   { label: 'Fruits', items: ['Apple', 'Banana'] },
+     *   { label: 'Vegetables', items: ['Carrot', 'Potato'] },
+     * ];
+     * ```
+     *
      * @see {@link #dataLabel}
      * @see {@link #dataValue}
+     * @see {@link #groupBy}
      */
     menuItems: PropTypes.arrayOf(PropTypes.oneOfType([
       PropTypes.number,
@@ -134,6 +172,17 @@ export default class SelectField extends PureComponent {
       PropTypes.object,
     ])).isRequired,
 
+    /**
+     * An optional key to use for grouping the `menuItems` when they are objects.
+     *
+     * When the `menuItems` are grouped, the index provided to the `onChange` callback will be the
+     * index of the item in the grouped order.
+     *
+     * @see {@link #menuItems}
+     * @see {@link utils/groupItems}
+     */
+    groupBy: PropTypes.string,
+
     /**
      * The amount of time that a list of letters should be used when finding a menu item
      * while typing. Since a user can select items by typing multiple letters in a row,
@@ -193,10 +242,14 @@ export default class SelectField extends PureComponent {
      * defaultValue={0}
      * defaultValue=""
      * ```
+     *
+     * When the `multiple` prop is enabled, this should be a list of values instead.
+     *
+     * @see {@link #multiple}
      */
     defaultValue: PropTypes.oneOfType([
-      PropTypes.number,
-      PropTypes.string,
+      VALUE_TYPE,
+      PropTypes.arrayOf(VALUE_TYPE),
     ]).isRequired,
 
     /**
@@ -204,10 +257,11 @@ export default class SelectField extends PureComponent {
      * and requires the `onChange` prop to be defined. See the `defaultValue` for more behavior info.
      *
      * @see {@link #defaultValue}
+     * @see {@link #multiple}
      */
     value: controlled(PropTypes.oneOfType([
-      PropTypes.number,
-      PropTypes.string,
+      VALUE_TYPE,
+      PropTypes.arrayOf(VALUE_TYPE),
     ]), 'onChange', 'defaultValue'),
 
     /**
@@ -221,9 +275,87 @@ export default class SelectField extends PureComponent {
      * ```js
      * onChange(value, index, event, { id, name, value });
      * ```
+     *
+     * When the `multiple` prop is enabled, the value will be the next list of selected values and the
+     * index will be the index of the item that was added or removed.
      */
     onChange: PropTypes.func,
 
+    /**
+     * Boolean if multiple items can be selected. The `value` will be a list of the selected values,
+     * the menu's items will display a checkbox and the menu will stay open after an item is selected.
+     * Each selected item will be rendered as a `Chip` in the select field that can be removed by clicking
+     * its remove icon or by pressing the backspace or delete key while it is focused. While the menu is
+     * closed, the chips can be focused by pressing the left arrow key in the field and then the left and
+     * right arrow keys to move between them. The last selection can also be removed by pressing the
+     * backspace or delete key while the menu is closed.
+     *
+     * @see {@link #maxChips}
+     * @see {@link Chips/Chip}
+     */
+    multiple: PropTypes.bool,
+
+    /**
+     * The max number of chips to render when the `multiple` prop is enabled. Any remaining selections
+     * will be summarized as `+N` after the chips.
+     *
+     * @see {@link #multiple}
+     */
+    maxChips: PropTypes.number,
+
+    /**
+     * The icon to display in menu items that have been selected when the `multiple` prop is enabled.
+     *
+     * @see {@link #multiple}
+     */
+    checkedIcon: PropTypes.element,
+
+    /**
+     * The icon to display in menu items that have not been selected when the `multiple` prop is enabled.
+     *
+     * @see {@link #multiple}
+     */
+    uncheckedIcon: PropTypes.element,
+
+    /**
+     * Boolean if a search field should be pinned to the top of the menu that can be used to filter
+     * the `menuItems`. This is helpful when there are hundreds of items to choose from. The search
+     * field will gain focus when the menu opens and the up and down arrow keys can be used to move
+     * focus between the search field and the list. Pressing enter in the search field will select
+     * the first matching item.
+     *
+     * @see {@link #filter}
+     * @see {@link #noResults}
+     */
+    searchable: PropTypes.bool,
+
+    /**
+     * The function to use for filtering the `menuItems` when the `searchable` prop is enabled. This
+     * works just like the `Autocomplete`'s `filter` and will be called with the `menuItems`, the
+     * current search value, and the `itemLabel`. The `SelectField.fuzzyFilter` and
+     * `SelectField.caseInsensitiveFilter` functions are available to use.
+     *
+     * @see {@link Autocompletes/Autocomplete#filter}
+     */
+    filter: PropTypes.func.isRequired,
+
+    /**
+     * An optional placeholder for the search field when the `searchable` prop is enabled. This will also
+     * be used as the search field's `aria-label`.
+     */
+    searchPlaceholder: PropTypes.string,
+
+    /**
+     * An optional function to call when the search field's value changes. The callback will include the
+     * next search value and the change event.
+     */
+    onSearchChange: PropTypes.func,
+
+    /**
+     * The content to display in the menu when the search does not match any of the `menuItems`.
+     */
+    noResults: PropTypes.node,
+
     /**
      * An optional label to use with the select field. This will be a floating label as seen on the text field.
      */
@@ -516,6 +648,11 @@ export default class SelectField extends PureComponent {
     itemLabel: 'label',
     itemValue: 'value',
     dropdownIcon: <FontIcon>arrow_drop_down</FontIcon>,
+    checkedIcon: <FontIcon>check_box</FontIcon>,
+    uncheckedIcon: <FontIcon>check_box_outline_blank</FontIcon>,
+    filter: SelectField.fuzzyFilter,
+    searchPlaceholder: 'Search',
+    noResults: 'No results found',
     menuItems: [],
     defaultValue: '',
     defaultVisible: false,
@@ -539,6 +676,7 @@ export default class SelectField extends PureComponent {
       },
       match: null,
       lastSearch: null,
+      searchValue: '',
       value: props.defaultValue,
       visible: props.defaultVisible,
     };
@@ -551,6 +689,9 @@ export default class SelectField extends PureComponent {
   componentDidMount() {
     this._container = findDOMNode(this);
     this._field = this._container.querySelector('.md-select-field');
+    if (this._isVisible()) {
+      this._focusSearch();
+    }
   }
 
   componentWillReceiveProps(nextProps) {
@@ -558,14 +699,19 @@ export default class SelectField extends PureComponent {
     if (deleteKeys !== nextProps.deleteKeys || itemLabel !== nextProps.itemLabel || itemValue !== nextProps.itemValue) {
       this._deleteKeys = this._getDeleteKeys(nextProps);
     }
+
+    // The search is reset in the _toggle and _close functions when the visibility is uncontrolled
+    if (this.state.searchValue && this._isVisible() && !this._isVisible(nextProps)) {
+      this.setState({ searchValue: '' });
+    }
   }
 
   componentWillUpdate(nextProps, nextState) {
-    const { value, menuItems } = this.props;
+    const { value, menuItems, groupBy } = this.props;
     const { active, listProps } = nextState;
 
     let state;
-    if (value !== nextProps.value || menuItems !== nextProps.menuItems) {
+    if (value !== nextProps.value || menuItems !== nextProps.menuItems || groupBy !== nextProps.groupBy) {
       state = this._getActive(nextProps, nextState);
     }
 
@@ -582,6 +728,12 @@ export default class SelectField extends PureComponent {
     }
   }
 
+  componentDidUpdate(prevProps, prevState) {
+    if (this._isVisible() && !this._isVisible(prevProps, prevState)) {
+      this._focusSearch();
+    }
+  }
+
   /**
    * Gets the current value from the select field. This is used when you have an uncontrolled
    * text field and simply need the value from a ref callback.
@@ -592,6 +744,32 @@ export default class SelectField extends PureComponent {
     return getField(this.props, this.state, 'value');
   }
 
+  _isVisible(props = this.props, state = this.state) {
+    return typeof props.isOpen !== 'undefined' ? props.isOpen : getField(props, state, 'visible');
+  }
+
+  /**
+   * Gets the list of selected values when the `multiple` prop is enabled. An empty string
+   * or an undefined value will be considered no selection.
+   */
+  _getValues() {
+    const value = getField(this.props, this.state, 'value');
+    if (Array.isArray(value)) {
+      return value;
+    }
+
+    return value || value === 0 ? [value] : [];
+  }
+
+  _hasValue() {
+    if (this.props.multiple) {
+      return this._getValues().length > 0;
+    }
+
+    const value = getField(this.props, this.state, 'value');
+    return !!value || value === 0;
+  }
+
   _getItemPart(item, itemLabel, itemValue, preferLabel = false) {
     const type = typeof item;
     if (type === 'number' || type === 'string') {
@@ -605,6 +783,21 @@ export default class SelectField extends PureComponent {
     return '';
   }
 
+  /**
+   * Gets the list of selectable items from the `menuItems`. When there are groups, this will be
+   * all the items in the groups in the order they will be displayed.
+   */
+  _getMenuItems(props = this.props) {
+    const { menuItems, groupBy } = props;
+    const cache = this._menuItemsCache;
+    if (!cache || cache.menuItems !== menuItems || cache.groupBy !== groupBy) {
+      const groups = groupItems(menuItems, groupBy);
+      this._menuItemsCache = { menuItems, groupBy, items: groups ? flattenGroups(groups) : menuItems };
+    }
+
+    return this._menuItemsCache.items;
+  }
+
   _getDeleteKeys({ itemLabel, itemValue, deleteKeys }) {
     const keys = [itemLabel, itemValue];
     if (deleteKeys) {
@@ -625,10 +818,10 @@ export default class SelectField extends PureComponent {
     let activeLabel = '';
     let activeIndex = -1;
     const value = getField(props, state, 'value');
-    if (value || value === 0) {
-      const { menuItems, itemLabel, itemValue } = props;
+    if (!props.multiple && (value || value === 0)) {
+      const { itemLabel, itemValue } = props;
 
-      menuItems.some((item, index) => {
+      this._getMenuItems(props).some((item, index) => {
         activeLabel = this._getActiveItemLabel(item, value, itemLabel, itemValue);
         const found = activeLabel || activeLabel === 0;
         if (found) {
@@ -647,7 +840,8 @@ export default class SelectField extends PureComponent {
       return;
     }
 
-    const item = this._items[index];
+    // The list items mount and unmount while searching, so the refs can not be used
+    const item = this.props.searchable ? this._getOptions()[index] : this._items[index];
     if (item) {
       item.focus();
     }
@@ -658,12 +852,17 @@ export default class SelectField extends PureComponent {
       return;
     }
 
+    const { searchable } = this.props;
     if (item.props.active) {
       this._activeItem = findDOMNode(item);
-      item.focus();
+      if (!searchable) {
+        item.focus();
+      }
     }
 
-    this._items.push(item);
+    if (!searchable) {
+      this._items.push(item);
+    }
   };
 
   _scrollActiveIntoView = (listRef) => {
@@ -686,9 +885,8 @@ export default class SelectField extends PureComponent {
       (onMenuToggle || onVisibilityChange)(visible, e);
     }
 
-    const value = getField(this.props, this.state, 'value');
     let state;
-    if (e.type === 'keydown' && !value && this.state.activeIndex === -1) {
+    if (e.type === 'keydown' && !this._hasValue() && this.state.activeIndex === -1) {
       // When there is no value, need to change the default active index to 0 instead of -1
       // so that the next DOWN arrow increments correctly
       state = { activeIndex: 0 };
@@ -697,6 +895,9 @@ export default class SelectField extends PureComponent {
     if (typeof isOpen === 'undefined' && typeof this.props.visible === 'undefined') {
       state = state || {};
       state.visible = visible;
+      if (!visible) {
+        state.searchValue = '';
+      }
     }
 
     if (state) {
@@ -714,13 +915,14 @@ export default class SelectField extends PureComponent {
     }
 
     let state;
-    if (this.props.required && !getField(this.props, this.state, 'value')) {
+    if (this.props.required && !this._hasValue()) {
       state = { error: true };
     }
 
     if (typeof this.props.visible === 'undefined') {
       state = state || {};
       state.visible = false;
+      state.searchValue = '';
     }
 
     if (state) {
@@ -728,6 +930,25 @@ export default class SelectField extends PureComponent {
     }
   };
 
+  /**
+   * The menu will attempt to close itself any time one of the items has been clicked. This
+   * needs to be prevented when multiple items can be selected.
+   */
+  _handleMenuClose = (e) => {
+    if (this.props.multiple && this._container && e && e.target) {
+      let node = e.target;
+      while (this._container.contains(node)) {
+        if (node.classList.contains('md-list-item')) {
+          return;
+        }
+
+        node = node.parentNode;
+      }
+    }
+
+    this._close(e);
+  };
+
   _handleClick = (e) => {
     if (this.props.onClick) {
       this.props.onClick(e);
@@ -750,15 +971,22 @@ export default class SelectField extends PureComponent {
   };
 
   _selectItem = (dataIndex, dataValue, e) => {
-    const { required, menuItems, itemLabel, itemValue, onChange, id, name } = this.props;
-    const value = this._getItemPart(menuItems[dataIndex], itemLabel, itemValue);
+    const { required, itemLabel, itemValue, onChange, id, name, multiple } = this.props;
+    const value = this._getItemPart(this._getMenuItems()[dataIndex], itemLabel, itemValue);
+    if (multiple) {
+      const values = this._getValues();
+      const nextValues = values.indexOf(value) === -1 ? values.concat([value]) : values.filter(v => v !== value);
+      this._changeValues(nextValues, dataIndex, e);
+      return;
+    }
+
     const prevValue = getField(this.props, this.state, 'value');
     if (prevValue !== value && onChange) {
       onChange(value, dataIndex, e, { id, name, value });
     }
 
     const state = {
-      ...this._getActive({ value, itemLabel, itemValue, menuItems }, {}),
+      ...this._getActive({ ...this.props, value }, {}),
       error: !!required && !value && value !== 0,
     };
 
@@ -769,6 +997,100 @@ export default class SelectField extends PureComponent {
     this.setState(state);
   };
 
+  _changeValues(values, index, e) {
+    const { required, onChange, id, name } = this.props;
+    if (onChange) {
+      onChange(values, index, e, { id, name, value: values });
+    }
+
+    const state = { error: !!required && !values.length };
+    if (typeof this.props.value === 'undefined') {
+      state.value = values;
+    }
+
+    this.setState(state);
+  }
+
+  _findItemIndex(value) {
+    const { itemLabel, itemValue } = this.props;
+    let index = -1;
+    this._getMenuItems().some((item, i) => {
+      if (this._getItemPart(item, itemLabel, itemValue) === value) {
+        index = i;
+      }
+
+      return index !== -1;
+    });
+
+    return index;
+  }
+
+  _removeValue(value, e) {
+    this._changeValues(this._getValues().filter(v => v !== value), this._findItemIndex(value), e);
+  }
+
+  _getChipIndex(chip) {
+    return parseInt(chip.getAttribute('data-index'), 10);
+  }
+
+  _getChipValue(chip) {
+    return this._getValues()[this._getChipIndex(chip)];
+  }
+
+  _getChips() {
+    if (!this._field) {
+      return [];
+    }
+
+    return [].slice.call(this._field.querySelectorAll('.md-select-field__chip'));
+  }
+
+  /**
+   * Focuses the chip at the provided index. The field will be focused instead when there is no chip
+   * at that index so that the right arrow key can move focus from the last chip back to the field.
+   */
+  _focusChip(index) {
+    const chip = this._getChips()[index];
+    if (chip) {
+      chip.focus();
+    } else if (this._field) {
+      this._field.focus();
+    }
+  }
+
+  _handleChipClick = (e) => {
+    // Only the remove icon should remove the chip. Any other click will toggle the menu like the rest of the field
+    const icon = e.currentTarget.querySelector('.md-chip-icon');
+    if (!icon || !icon.contains(e.target)) {
+      return;
+    }
+
+    e.stopPropagation();
+    this._removeValue(this._getChipValue(e.currentTarget), e);
+  };
+
+  _handleChipKeyDown = (e) => {
+    const key = e.which || e.keyCode;
+    if (key === LEFT || key === RIGHT) {
+      e.preventDefault();
+      e.stopPropagation();
+
+      const index = this._getChipIndex(e.currentTarget);
+      this._focusChip(key === LEFT ? Math.max(0, index - 1) : index + 1);
+      return;
+    } else if (key !== BACKSPACE && key !== DELETE) {
+      return;
+    }
+
+    // Stops the field from also removing the last value
+    e.preventDefault();
+    e.stopPropagation();
+    this._removeValue(this._getChipValue(e.currentTarget), e);
+    if (this._field) {
+      this._field.focus();
+    }
+  };
+
   _handleFocus = (e) => {
     if (this.props.onFocus) {
       this.props.onFocus(e);
@@ -785,17 +1107,16 @@ export default class SelectField extends PureComponent {
     let { error } = this.state;
     const { isOpen, required } = this.props;
     const visible = typeof isOpen !== 'undefined' ? isOpen : getField(this.props, this.state, 'visible');
-    const value = getField(this.props, this.state, 'value');
 
     if (required && !visible) {
-      error = !value;
+      error = !this._hasValue();
     }
 
     this.setState({ active: false, error });
   };
 
   _handleKeyDown = (e) => {
-    const { isOpen, onKeyDown } = this.props;
+    const { isOpen, onKeyDown, multiple, searchable } = this.props;
     if (onKeyDown) {
       onKeyDown(e);
     }
@@ -813,7 +1134,23 @@ export default class SelectField extends PureComponent {
         return;
       }
 
-      this._advanceFocus(up);
+      if (searchable) {
+        this._advanceSearchFocus(up);
+      } else {
+        this._advanceFocus(up);
+      }
+    } else if (multiple && !visible && key === LEFT && e.target === this._field) {
+      const chips = this._getChips();
+      if (chips.length) {
+        e.preventDefault();
+        chips[chips.length - 1].focus();
+      }
+    } else if (multiple && !visible && (key === BACKSPACE || key === DELETE)) {
+      const values = this._getValues();
+      if (values.length) {
+        e.preventDefault();
+        this._removeValue(values[values.length - 1], e);
+      }
     } else if (!visible && handleKeyboardAccessibility(e, this._toggle, true, true)) {
       return;
     } else if (visible && (key === ESC || key === TAB)) {
@@ -823,13 +1160,108 @@ export default class SelectField extends PureComponent {
 
       this._close(e);
       return;
+    } else if (visible && searchable) {
+      this._handleSearchKeyDown(key, e);
     } else {
       this._selectItemByLetter(key, e);
     }
   };
 
+  _handleSearchKeyDown(key, e) {
+    if (!this._search) {
+      return;
+    }
+
+    const field = this._search.getField();
+    if (e.target !== field) {
+      // Typing while an item is focused should start searching instead
+      if (String.fromCharCode(key).match(/[A-Za-z0-9-_ ]/)) {
+        field.focus();
+      }
+
+      return;
+    }
+
+    if (key === ENTER) {
+      const filtered = this._getFilteredItems();
+      const groups = groupItems(filtered, this.props.groupBy);
+      const items = groups ? flattenGroups(groups) : filtered;
+      if (!items.length) {
+        return;
+      }
+
+      e.preventDefault();
+      this._selectItem(this._getMenuItems().indexOf(items[0]), null, e);
+      if (!this.props.multiple) {
+        this._close(e);
+      }
+    }
+  }
+
+  /**
+   * Gets the list of rendered options in the menu. This is used instead of the list item
+   * refs while searching since the items will mount and unmount as the search changes.
+   */
+  _getOptions() {
+    if (!this._container) {
+      return [];
+    }
+
+    return [].slice.call(this._container.querySelectorAll('.md-list-tile[role="option"]'));
+  }
+
+  _advanceSearchFocus(decrement) {
+    const { activeIndex } = this.state;
+    if (decrement && activeIndex <= 0) {
+      this._focusSearch();
+      return;
+    }
+
+    const options = this._getOptions();
+    const nextIndex = Math.min(options.length - 1, activeIndex + (decrement ? -1 : 1));
+    if (nextIndex === activeIndex || nextIndex < 0) {
+      return;
+    }
+
+    options[nextIndex].focus();
+    this.setState({ activeIndex: nextIndex });
+  }
+
+  _getFilteredItems() {
+    const { menuItems, searchable, filter, itemLabel } = this.props;
+    const { searchValue } = this.state;
+    if (!searchable || !searchValue) {
+      return menuItems;
+    }
+
+    return filterGroups(filter, menuItems, searchValue, itemLabel);
+  }
+
+  _focusSearch() {
+    if (this._search) {
+      this._search.focus();
+    }
+  }
+
+  _setSearch = (search) => {
+    this._search = search;
+  };
+
+  _handleSearchChange = (searchValue, e) => {
+    if (this.props.onSearchChange) {
+      this.props.onSearchChange(searchValue, e);
+    }
+
+    this.setState({ searchValue, activeIndex: -1 });
+  };
+
+  _handleSearchFocus = () => {
+    // The active index is for the filtered list while searching, so it starts before the first item
+    this.setState({ activeIndex: -1 });
+  };
+
   _advanceFocus = (decrement) => {
-    const { menuItems, position } = this.props;
+    const { position } = this.props;
     const { activeIndex } = this.state;
 
     const below = position === SelectField.Positions.BELOW;
@@ -837,7 +1269,7 @@ export default class SelectField extends PureComponent {
     // If the select field is positioned below and there is no value, need to increment the last index
     // by one since this select field removes the active item. Need to account for that here when there
     // is no value.
-    const lastIndex = menuItems.length - (below && !getField(this.props, this.state, 'value') ? 0 : 1);
+    const lastIndex = this._getMenuItems().length - (below && !this._hasValue() ? 0 : 1);
     if ((decrement && activeIndex <= 0) || (!decrement && activeIndex >= lastIndex)) {
       return;
     }
@@ -879,8 +1311,9 @@ export default class SelectField extends PureComponent {
   };
 
   _selectFirstMatch = (letter, e) => {
-    const { menuItems, itemLabel, itemValue, isOpen, onChange, id, name } = this.props;
+    const { itemLabel, itemValue, isOpen, onChange, id, name } = this.props;
     const { lastSearch } = this.state;
+    const menuItems = this._getMenuItems();
     let match = -1;
     const search = `${lastSearch || ''}${letter}`.toUpperCase();
     menuItems.some((item, index) => {
@@ -907,7 +1340,7 @@ export default class SelectField extends PureComponent {
         if (state.match !== this.state.match) {
           this._attemptItemFocus(state.activeIndex);
         }
-      } else {
+      } else if (!this.props.multiple) {
         const value = this._getItemPart(activeItem, itemLabel, itemValue);
         const prevValue = getField(this.props, this.state, 'value');
 
@@ -929,7 +1362,16 @@ export default class SelectField extends PureComponent {
       return items;
     }
 
-    const { id, itemLabel, itemValue, position, stripActiveItem } = this.props;
+    const {
+      id,
+      itemLabel,
+      itemValue,
+      position,
+      stripActiveItem,
+      multiple,
+      checkedIcon,
+      uncheckedIcon,
+    } = this.props;
     const below = position === SelectField.Positions.BELOW;
     const value = getField(this.props, this.state, 'value');
     const type = typeof item;
@@ -941,7 +1383,16 @@ export default class SelectField extends PureComponent {
       props = omit(item, this._deleteKeys);
     }
 
-    const active = dataValue === value || dataValue === parseInt(value, 10);
+    if (multiple) {
+      const selected = this._getValues().indexOf(dataValue) !== -1;
+      props = {
+        ...props,
+        leftIcon: selected ? checkedIcon : uncheckedIcon,
+        'aria-selected': selected,
+      };
+    }
+
+    const active = !multiple && (dataValue === value || dataValue === parseInt(value, 10));
     const stripped = typeof stripActiveItem !== 'undefined' ? stripActiveItem : below && active;
     if (!stripped) {
       items.push(
@@ -963,6 +1414,63 @@ export default class SelectField extends PureComponent {
     return items;
   };
 
+  _getItemLabel(value) {
+    const { itemLabel, itemValue } = this.props;
+    const index = this._findItemIndex(value);
+    return index === -1 ? value : this._getItemPart(this._getMenuItems()[index], itemLabel, itemValue, true);
+  }
+
+  /**
+   * Creates the list items for the menu with any option groups.
+   *
+   * @see {@link utils/renderGroupedItems}
+   */
+  _renderItems(items) {
+    const { id, menuItems, groupBy } = this.props;
+    const allItems = this._getMenuItems();
+    const filtered = items !== menuItems;
+    let index = -1;
+    const reduceItems = (list, item) => {
+      index += 1;
+      return this._reduceItems(list, item, filtered ? allItems.indexOf(item) : index);
+    };
+
+    return renderGroupedItems(items, id, groupBy, groupedItems => groupedItems.reduce(reduceItems, []));
+  }
+
+  _renderChips() {
+    const { maxChips, disabled } = this.props;
+    const values = this._getValues();
+    if (!values.length) {
+      return '';
+    }
+
+    const limit = typeof maxChips === 'number' ? Math.min(maxChips, values.length) : values.length;
+    const chips = values.slice(0, limit).map((value, i) => (
+      <Chip
+        key={value}
+        data-index={i}
+        tabIndex={-1}
+        className="md-select-field__chip"
+        label={this._getItemLabel(value)}
+        removable
+        disabled={disabled}
+        onClick={this._handleChipClick}
+        onKeyDown={this._handleChipKeyDown}
+      />
+    ));
+
+    if (limit < values.length) {
+      chips.push(
+        <span key="overflow" className="md-select-field__chip-overflow">
+          {`+${values.length - limit}`}
+        </span>
+      );
+    }
+
+    return <span className="md-select-field__chips">{chips}</span>;
+  }
+
   render() {
     const {
       id,
@@ -996,11 +1504,22 @@ export default class SelectField extends PureComponent {
       menuTransitionName,
       menuTransitionEnterTimeout,
       menuTransitionLeaveTimeout,
+      multiple,
+      searchable,
+      searchPlaceholder,
+      noResults,
       isOpen, // deprecated
       /* eslint-disable no-unused-vars */
+      filter,
+      groupBy,
+      onSearchChange,
+      maxChips,
+      checkedIcon,
+      uncheckedIcon,
       error: propError,
       menuId: propMenuId,
       visible: propVisible,
+      onVisibilityChange,
       itemLabel,
       itemValue,
       defaultValue,
@@ -1035,12 +1554,48 @@ export default class SelectField extends PureComponent {
       listId = `${menuId}-options`;
     }
 
-    const { listProps, active, activeLabel } = this.state;
+    const { active } = this.state;
+    let { listProps, activeLabel } = this.state;
+    if (multiple) {
+      activeLabel = this._renderChips();
+      listProps = { ...listProps, 'aria-multiselectable': true };
+    }
+
     const below = position === SelectField.Positions.BELOW;
     const visible = typeof isOpen !== 'undefined' ? isOpen : getField(this.props, this.state, 'visible');
-    const value = getField(this.props, this.state, 'value');
+    const value = multiple ? this._getValues() : getField(this.props, this.state, 'value');
     const useSameWidth = typeof sameWidth !== 'undefined' ? sameWidth : below;
 
+    let children;
+    if (searchable) {
+      const items = this._getFilteredItems();
+      children = this._renderItems(items);
+      if (!items.length) {
+        children.push(
+          <li key="no-results" className="md-select-field__no-results md-text--disabled">
+            {noResults}
+          </li>
+        );
+      }
+
+      children.unshift(
+        <li key="search" className="md-select-field__search">
+          <TextField
+            id={`${id}-search`}
+            ref={this._setSearch}
+            placeholder={searchPlaceholder}
+            aria-label={searchPlaceholder}
+            aria-controls={listId}
+            value={this.state.searchValue}
+            onChange={this._handleSearchChange}
+            onFocus={this._handleSearchFocus}
+          />
+        </li>
+      );
+    } else {
+      children = this._renderItems(menuItems);
+    }
+
     const toggle = (
       <SelectFieldToggle
         {...props}
@@ -1070,7 +1625,7 @@ export default class SelectField extends PureComponent {
         listClassName={listClassName}
         toggle={toggle}
         visible={visible}
-        onClose={this._close}
+        onClose={this._handleMenuClose}
         onKeyDown={this._handleKeyDown}
         onClick={this._handleClick}
         simplified={simplifiedMenu}
@@ -1097,7 +1652,7 @@ export default class SelectField extends PureComponent {
         transitionEnterTimeout={menuTransitionEnterTimeout}
         transitionLeaveTimeout={menuTransitionLeaveTimeout}
       >
-        {menuItems.reduce(this._reduceItems, [])}
+        {children}
       </Menu>
     );
   }
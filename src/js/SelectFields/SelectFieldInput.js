@@ -22,6 +22,10 @@ export default class SelectFieldInput extends PureComponent {
     value: PropTypes.oneOfType([
       PropTypes.number,
       PropTypes.string,
+      PropTypes.arrayOf(PropTypes.oneOfType([
+        PropTypes.number,
+        PropTypes.string,
+      ])),
     ]).isRequired,
     disabled: PropTypes.bool,
     required: PropTypes.bool,
@@ -48,7 +52,8 @@ export default class SelectFieldInput extends PureComponent {
   state = { transition: null };
 
   componentWillReceiveProps(nextProps) {
-    if (this.props.value !== nextProps.value) {
+    // Multiple values are displayed as chips, so there is no new label to transition in
+    if (this.props.value !== nextProps.value && !Array.isArray(nextProps.value)) {
       this._transitionNewValue();
     }
   }
@@ -168,7 +173,7 @@ export default class SelectFieldInput extends PureComponent {
           type="hidden"
           id={id}
           name={name}
-          value={value}
+          value={Array.isArray(value) ? value.join(',') : value}
           required={required}
           disabled={disabled}
         />
@@ -22,6 +22,10 @@ export default class SelectFieldToggle extends PureComponent {
     value: PropTypes.oneOfType([
       PropTypes.number,
       PropTypes.string,
+      PropTypes.arrayOf(PropTypes.oneOfType([
+        PropTypes.number,
+        PropTypes.string,
+      ])),
     ]),
     required: PropTypes.bool,
     disabled: PropTypes.bool,
@@ -10,6 +10,8 @@ import {
 import SelectField from '../SelectField';
 import FloatingLabel from '../../TextFields/FloatingLabel';
 import Menu from '../../Menus/Menu';
+import Chip from '../../Chips/Chip';
+import { BACKSPACE, DELETE, DOWN, UP, ENTER, LEFT, RIGHT } from '../../constants/keyCodes';
 
 const PROPS = { id: 'test' };
 describe('SelectField', () => {
@@ -225,4 +227,320 @@ describe('SelectField', () => {
     label = field.find(FloatingLabel);
     expect(label.props().floating).toBe(true);
   });
+
+  describe('multiple', () => {
+    const menuItems = [
+      { label: 'Apple', value: 'apple' },
+      { label: 'Banana', value: 'banana' },
+      { label: 'Cherry', value: 'cherry' },
+    ];
+
+    it('should render a chip for each selected value', () => {
+      const field = mount(<SelectField id="fruits" menuItems={menuItems} multiple defaultValue={['cherry', 'apple']} />);
+      expect(field.find(Chip).map(chip => chip.props().label)).toEqual(['Cherry', 'Apple']);
+      expect(field.find(FloatingLabel).props().floating).toBe(true);
+      expect(field.find('input[type="hidden"]').props().value).toBe('cherry,apple');
+    });
+
+    it('should summarize the chips that are over the maxChips limit', () => {
+      const field = mount(
+        <SelectField id="fruits" menuItems={menuItems} multiple maxChips={1} defaultValue={['apple', 'banana', 'cherry']} />
+      );
+
+      expect(field.find(Chip).length).toBe(1);
+      expect(field.find('.md-select-field__chip-overflow').text()).toBe('+2');
+    });
+
+    it('should render a checkbox icon for each item and keep the menu open when an item is selected', () => {
+      const onChange = jest.fn();
+      const field = mount(
+        <SelectField id="fruits" menuItems={menuItems} multiple defaultVisible defaultValue={['banana']} onChange={onChange} />
+      );
+
+      const items = field.find('.md-list-tile');
+      expect(items.length).toBe(3);
+      expect(items.map(item => item.props()['aria-selected'])).toEqual([false, true, false]);
+      expect(items.at(1).text()).toContain('check_box');
+
+      // jsdom does not support the dataset, so the item can not be selected with a simulated click
+      field.instance()._selectItem(2, 'cherry', { type: 'click' });
+      expect(onChange.mock.calls.length).toBe(1);
+      expect(onChange.mock.calls[0][0]).toEqual(['banana', 'cherry']);
+      expect(onChange.mock.calls[0][1]).toBe(2);
+      expect(field.state('value')).toEqual(['banana', 'cherry']);
+
+      field.instance()._selectItem(1, 'banana', { type: 'click' });
+      expect(field.state('value')).toEqual(['cherry']);
+
+      const target = field.find('.md-list-tile').at(0).getDOMNode();
+      field.instance()._handleMenuClose({ type: 'click', target });
+      expect(field.state('visible')).toBe(true);
+
+      field.instance()._handleMenuClose({ type: 'click', target: document.body });
+      expect(field.state('visible')).toBe(false);
+    });
+
+    it('should remove a value when its chip\'s remove icon is clicked without toggling the menu', () => {
+      const onChange = jest.fn();
+      const field = mount(
+        <SelectField id="fruits" menuItems={menuItems} multiple defaultValue={['apple', 'banana']} onChange={onChange} />
+      );
+
+      field.find(Chip).at(0).find('.md-chip-icon').simulate('click');
+      expect(onChange.mock.calls.length).toBe(1);
+      expect(onChange.mock.calls[0][0]).toEqual(['banana']);
+      expect(onChange.mock.calls[0][1]).toBe(0);
+      expect(field.state('visible')).toBe(false);
+      expect(field.find(Chip).map(chip => chip.props().label)).toEqual(['Banana']);
+    });
+
+    it('should not remove a value when its chip is clicked outside of the remove icon', () => {
+      const onChange = jest.fn();
+      const field = mount(
+        <SelectField id="fruits" menuItems={menuItems} multiple defaultValue={['apple', 'banana']} onChange={onChange} />
+      );
+
+      field.find(Chip).at(0).find('.md-chip-text').simulate('click');
+      expect(onChange.mock.calls.length).toBe(0);
+      expect(field.find(Chip).length).toBe(2);
+    });
+
+    it('should remove the focused chip\'s value when the backspace or delete key is pressed', () => {
+      const onChange = jest.fn();
+      const field = mount(
+        <SelectField id="fruits" menuItems={menuItems} multiple value={['apple', 'banana']} onChange={onChange} />
+      );
+
+      field.find(Chip).at(0).simulate('keyDown', { which: DELETE, keyCode: DELETE });
+      expect(onChange.mock.calls.length).toBe(1);
+      expect(onChange.mock.calls[0][0]).toEqual(['banana']);
+
+      field.find(Chip).at(1).simulate('keyDown', { which: BACKSPACE, keyCode: BACKSPACE });
+      expect(onChange.mock.calls.length).toBe(2);
+      expect(onChange.mock.calls[1][0]).toEqual(['apple']);
+    });
+
+    it('should move focus between the chips with the left and right arrow keys', () => {
+      const container = document.createElement('div');
+      document.body.appendChild(container);
+      const field = mount(
+        <SelectField id="fruits" menuItems={menuItems} multiple defaultValue={['apple', 'banana']} />,
+        { attachTo: container }
+      );
+
+      const fieldNode = field.find('.md-select-field').getDOMNode();
+      const chips = field.find(Chip).map(chip => chip.getDOMNode());
+      fieldNode.focus();
+      field.find('.md-select-field').simulate('keyDown', { which: LEFT, keyCode: LEFT });
+      expect(document.activeElement).toBe(chips[1]);
+      expect(field.state('visible')).toBe(false);
+
+      field.find(Chip).at(1).simulate('keyDown', { which: LEFT, keyCode: LEFT });
+      expect(document.activeElement).toBe(chips[0]);
+
+      field.find(Chip).at(0).simulate('keyDown', { which: LEFT, keyCode: LEFT });
+      expect(document.activeElement).toBe(chips[0]);
+
+      field.find(Chip).at(0).simulate('keyDown', { which: RIGHT, keyCode: RIGHT });
+      expect(document.activeElement).toBe(chips[1]);
+
+      field.find(Chip).at(1).simulate('keyDown', { which: RIGHT, keyCode: RIGHT });
+      expect(document.activeElement).toBe(fieldNode);
+
+      field.detach();
+      document.body.removeChild(container);
+    });
+
+    it('should remove the last value when the backspace key is pressed while the menu is closed', () => {
+      const onChange = jest.fn();
+      const field = mount(
+        <SelectField id="fruits" menuItems={menuItems} multiple value={['apple', 'banana']} onChange={onChange} />
+      );
+
+      field.find('.md-select-field').simulate('keyDown', { which: BACKSPACE, keyCode: BACKSPACE });
+      expect(onChange.mock.calls.length).toBe(1);
+      expect(onChange.mock.calls[0][0]).toEqual(['apple']);
+      expect(onChange.mock.calls[0][1]).toBe(1);
+      expect(field.find(Chip).length).toBe(2);
+    });
+  });
+
+  describe('searchable', () => {
+    const menuItems = ['Canada', 'Germany', 'Ghana', 'Greece', 'United States'];
+    const getLabels = field => field.find('.md-list-tile').map(item => item.text());
+
+    let container;
+    beforeEach(() => {
+      container = document.createElement('div');
+      document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+      document.body.removeChild(container);
+    });
+
+    it('should render a search field at the top of the menu that filters the items', () => {
+      const onSearchChange = jest.fn();
+      const field = mount(
+        <SelectField id="countries" menuItems={menuItems} searchable defaultVisible onSearchChange={onSearchChange} />
+      );
+
+      const search = field.find('#countries-search').filter('input');
+      expect(search.length).toBe(1);
+      expect(getLabels(field)).toEqual(menuItems);
+
+      search.simulate('change', { target: { value: 'ga' } });
+      expect(onSearchChange.mock.calls[0][0]).toBe('ga');
+      expect(getLabels(field)).toEqual(['Germany', 'Ghana']);
+    });
+
+    it('should allow for a custom filter and render the noResults when there are no matches', () => {
+      const field = mount(
+        <SelectField
+          id="countries"
+          menuItems={menuItems}
+          searchable
+          defaultVisible
+          filter={SelectField.caseInsensitiveFilter}
+          noResults="Nothing here"
+        />
+      );
+
+      const search = field.find('#countries-search').filter('input');
+      search.simulate('change', { target: { value: 'gna' } });
+      expect(getLabels(field)).toEqual([]);
+      expect(field.find('.md-select-field__no-results').text()).toBe('Nothing here');
+
+      search.simulate('change', { target: { value: 'ST' } });
+      expect(getLabels(field)).toEqual(['United States']);
+    });
+
+    it('should move focus between the search field and the list with the arrow keys', () => {
+      const field = mount(<SelectField id="countries" menuItems={menuItems} searchable defaultVisible />, {
+        attachTo: container,
+      });
+
+      const search = field.find('#countries-search').filter('input').getDOMNode();
+      expect(document.activeElement).toBe(search);
+
+      field.find('#countries-search').filter('input').simulate('change', { target: { value: 'g' } });
+      const keyDown = key => field.find(Menu).simulate('keyDown', { which: key, keyCode: key });
+      keyDown(DOWN);
+      expect(document.activeElement.textContent).toBe('Germany');
+
+      keyDown(DOWN);
+      expect(document.activeElement.textContent).toBe('Ghana');
+
+      keyDown(UP);
+      keyDown(UP);
+      expect(document.activeElement).toBe(search);
+      field.detach();
+    });
+
+    it('should focus the search field once when the menu opens', () => {
+      const field = mount(<SelectField id="countries" menuItems={menuItems} searchable visible={false} onVisibilityChange={jest.fn()} />, {
+        attachTo: container,
+      });
+
+      field.setProps({ visible: true });
+      const search = field.find('#countries-search').filter('input').getDOMNode();
+      expect(document.activeElement).toBe(search);
+
+      const option = field.find('.md-list-tile').at(1).getDOMNode();
+      option.focus();
+      field.setProps({ menuItems: menuItems.slice() });
+      expect(document.activeElement).toBe(option);
+      field.detach();
+    });
+
+    it('should reset the search when the menu is closed', () => {
+      const field = mount(<SelectField id="countries" menuItems={menuItems} searchable visible onVisibilityChange={jest.fn()} />);
+      field.find('#countries-search').filter('input').simulate('change', { target: { value: 'ga' } });
+      expect(field.state('searchValue')).toBe('ga');
+
+      field.setProps({ visible: false });
+      expect(field.state('searchValue')).toBe('');
+
+      const uncontrolled = mount(<SelectField id="countries" menuItems={menuItems} searchable defaultVisible />);
+      uncontrolled.find('#countries-search').filter('input').simulate('change', { target: { value: 'ga' } });
+      uncontrolled.instance()._close({ type: 'click' });
+      expect(uncontrolled.state('visible')).toBe(false);
+      expect(uncontrolled.state('searchValue')).toBe('');
+    });
+
+    it('should select the first match and close the menu when enter is pressed in the search field', () => {
+      const onChange = jest.fn();
+      const field = mount(<SelectField id="countries" menuItems={menuItems} searchable defaultVisible onChange={onChange} />);
+
+      const search = field.find('#countries-search').filter('input');
+      search.simulate('change', { target: { value: 'gre' } });
+      search.simulate('keyDown', { which: ENTER, keyCode: ENTER });
+      expect(onChange.mock.calls.length).toBe(1);
+      expect(onChange.mock.calls[0][0]).toBe('Greece');
+      expect(onChange.mock.calls[0][1]).toBe(3);
+      expect(field.state('visible')).toBe(false);
+      expect(field.state('searchValue')).toBe('');
+    });
+  });
+
+  describe('groups', () => {
+    const menuItems = [
+      { label: 'Fruits', items: ['Apple', 'Banana'] },
+      { label: 'Vegetables', items: ['Carrot', 'Potato'] },
+    ];
+    const getLabels = field => field.find('.md-list-tile').map(item => item.text());
+
+    it('should render a labelled group with a subheader for each group', () => {
+      const field = mount(<SelectField id="food" menuItems={menuItems} defaultVisible />);
+      const groups = field.find('ul[role="group"]');
+      expect(groups.length).toBe(2);
+      expect(groups.at(0).prop('aria-labelledby')).toBe('food-group-0');
+      expect(field.find('#food-group-0').text()).toBe('Fruits');
+      expect(field.find('.md-list-group .md-divider').length).toBe(1);
+      expect(getLabels(field)).toEqual(['Apple', 'Banana', 'Carrot', 'Potato']);
+    });
+
+    it('should group object items by the groupBy key', () => {
+      const items = [
+        { label: 'Apple', value: 'a', type: 'Fruit' },
+        { label: 'Carrot', value: 'c', type: 'Vegetable' },
+        { label: 'Banana', value: 'b', type: 'Fruit' },
+      ];
+
+      const onChange = jest.fn();
+      const field = mount(<SelectField id="food" menuItems={items} groupBy="type" defaultVisible onChange={onChange} />);
+      expect(field.find('.md-subheader').map(header => header.text())).toEqual(['Fruit', 'Vegetable']);
+      expect(getLabels(field)).toEqual(['Apple', 'Banana', 'Carrot']);
+
+      field.instance()._selectItem(2, null, {});
+      expect(onChange.mock.calls[0][0]).toBe('c');
+      expect(field.state('activeLabel')).toBe('Carrot');
+    });
+
+    it('should skip the group headers with the keyboard', () => {
+      const container = document.createElement('div');
+      document.body.appendChild(container);
+      const field = mount(<SelectField id="food" menuItems={menuItems} defaultVisible />, { attachTo: container });
+
+      const keyDown = key => field.find(Menu).simulate('keyDown', { which: key, keyCode: key });
+      keyDown(DOWN);
+      expect(document.activeElement.textContent).toBe('Apple');
+
+      keyDown(DOWN);
+      keyDown(DOWN);
+      expect(document.activeElement.textContent).toBe('Carrot');
+
+      keyDown(UP);
+      expect(document.activeElement.textContent).toBe('Banana');
+      field.detach();
+      document.body.removeChild(container);
+    });
+
+    it('should filter each group and remove empty groups while searching', () => {
+      const field = mount(<SelectField id="food" menuItems={menuItems} searchable defaultVisible />);
+      field.find('#food-search').filter('input').simulate('change', { target: { value: 'ta' } });
+      expect(getLabels(field)).toEqual(['Potato']);
+      expect(field.find('.md-subheader').map(header => header.text())).toEqual(['Vegetables']);
+    });
+  });
 });
@@ -12,6 +12,7 @@ export default class DiscreteValue extends PureComponent {
     value: PropTypes.number.isRequired,
     thumbLeft: PropTypes.string.isRequired,
     valuePrecision: PropTypes.number.isRequired,
+    vertical: PropTypes.bool,
   };
 
   render() {
@@ -24,6 +25,7 @@ export default class DiscreteValue extends PureComponent {
       active,
       value,
       valuePrecision,
+      vertical,
       ...props
     } = this.props;
 
@@ -41,9 +43,10 @@ export default class DiscreteValue extends PureComponent {
     return (
       <span
         {...props}
-        style={Object.assign({}, style, { left: thumbLeft })}
+        style={Object.assign({}, style, { [vertical ? 'bottom' : 'left']: thumbLeft })}
         className={cn('md-slider-discrete-value', className, {
           'md-slider-discrete-value--dragging': dragging,
+          'md-slider-discrete-value--vertical': vertical,
         })}
       >
         {valueStr}
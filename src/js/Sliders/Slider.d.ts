@@ -11,13 +11,18 @@ export interface SliderProps extends Props {
   trackFillClassName?: string;
   discreteValueStyle?: React.CSSProperties;
   discreteValueClassName?: string;
-  defaultValue?: number;
-  value?: number;
+  defaultValue?: number | number[];
+  value?: number | number[];
+  range?: boolean;
+  swapThumbs?: boolean;
+  vertical?: boolean;
+  marks?: Array<{ value: number, label?: React.ReactNode }>;
+  restrictToMarks?: boolean;
   min?: number;
   max?: number;
   disabled?: boolean;
-  onChange?: (value: number, event: Event) => void;
-  onDragChange?: (dragPercentage: number, value: number, event: Event) => void;
+  onChange?: (value: number | number[], event: Event) => void;
+  onDragChange?: (dragPercentage: number, value: number | number[], event: Event) => void;
   leftIcon?: React.ReactElement<any>;
   rightIcon?: React.ReactElement<any>;
   label?: React.ReactNode;
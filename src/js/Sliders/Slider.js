@@ -5,7 +5,7 @@ import cn from 'classnames';
 import deprecated from 'react-prop-types/lib/deprecated';
 import isRequiredForA11y from 'react-prop-types/lib/isRequiredForA11y';
 
-import { LEFT, RIGHT, TAB } from '../constants/keyCodes';
+import { DOWN, LEFT, RIGHT, TAB, UP } from '../constants/keyCodes';
 import getField from '../utils/getField';
 import isValidClick from '../utils/EventUtils/isValidClick';
 import { setTouchEvent, removeTouchEvent } from '../utils/EventUtils/touches';
@@ -93,8 +93,14 @@ export default class Slider extends PureComponent {
     /**
      * The default value for the slider. This number must be between the min and max values if
      * defined. If this is undefined, it's value will be set to the min value.
+     *
+     * When the `range` prop is enabled, this should be a list of the start and end values
+     * and will default to the min and max values.
      */
-    defaultValue: PropTypes.number,
+    defaultValue: PropTypes.oneOfType([
+      PropTypes.number,
+      PropTypes.arrayOf(PropTypes.number),
+    ]),
 
     /**
      * The min value for the slider. The min and max values must be on the same
@@ -105,9 +111,9 @@ export default class Slider extends PureComponent {
       if (!err) {
         const min = props[propName];
         let name;
-        if (min > props.value) {
+        if (min > [].concat(props.value)[0]) {
           name = 'value';
-        } else if (typeof props.defaultValue !== 'undefined' && min > props.defaultValue) {
+        } else if (typeof props.defaultValue !== 'undefined' && min > [].concat(props.defaultValue)[0]) {
           name = 'defaultValue';
         }
 
@@ -137,9 +143,9 @@ export default class Slider extends PureComponent {
       if (!err) {
         const max = props[propName];
         let name;
-        if (max < props.value) {
+        if (max < [].concat(props.value).pop()) {
           name = 'value';
-        } else if (max < props.defaultValue) {
+        } else if (max < [].concat(props.defaultValue).pop()) {
           name = 'defaultValue';
         }
 
@@ -162,8 +168,60 @@ export default class Slider extends PureComponent {
     /**
      * An optional value for the slider. This will make the component controlled
      * and require the `onChange` function.
+     *
+     * When the `range` prop is enabled, this should be a list of the start and end values.
+     */
+    value: controlled(PropTypes.oneOfType([
+      PropTypes.number,
+      PropTypes.arrayOf(PropTypes.number),
+    ]), 'onChange'),
+
+    /**
+     * Boolean if the slider should display two thumbs to select a range of values instead
+     * of a single value. The `value` and `defaultValue` should be a list of the start and
+     * end values and the `onChange` prop will be called with the new list of values.
+     *
+     * The thumbs will stop at each other's value unless the `swapThumbs` prop is enabled.
+     * When the slider is `editable`, a text field will be displayed for both values.
+     */
+    range: PropTypes.bool,
+
+    /**
+     * Boolean if a range slider's thumbs should swap places when one of them is moved past
+     * the other instead of stopping at the other thumb's value.
+     */
+    swapThumbs: PropTypes.bool,
+
+    /**
+     * Boolean if the slider should be displayed vertically. The min value will be at the bottom
+     * of the slider and the up and down arrow keys can also be used to update the value.
      */
-    value: controlled(PropTypes.number, 'onChange'),
+    vertical: PropTypes.bool,
+
+    /**
+     * An optional list of marks to display on the slider's track. Each mark will be displayed
+     * at its `value` with the optional `label` below it. When the slider's value matches a mark
+     * with a string `label`, the label will be used as the thumb's `aria-valuetext`.
+     *
+     * ```js
+     * marks={[
+     *   { value: 0, label: 'Off' },
+     *   { value: 50, label: 'Medium' },
+     *   { value: 100, label: 'High' },
+     * ]}
+     * ```
+     */
+    marks: PropTypes.arrayOf(PropTypes.shape({
+      value: PropTypes.number.isRequired,
+      label: PropTypes.node,
+    })),
+
+    /**
+     * Boolean if the slider's value should be restricted to the values of the `marks`. Dragging
+     * or typing a value will select the closest mark and the arrow keys will move to the next
+     * or previous mark instead of using the `step`.
+     */
+    restrictToMarks: PropTypes.bool,
 
     /**
      * This is called when the slider's value gets updated. The value can be updated
@@ -182,6 +240,8 @@ export default class Slider extends PureComponent {
      * onChange(value, event);
      * ```
      *
+     * The value will be a list of the start and end values when the `range` prop is enabled.
+     *
      * where the event can either be:
      * - a touch start event
      * - a touch move event
@@ -265,7 +325,7 @@ export default class Slider extends PureComponent {
           }
 
           let name;
-          if (!isWithinStep(value, step)) {
+          if ([].concat(value).some(v => !isWithinStep(v, step))) {
             if (valueDefined) {
               name = 'value';
             } else if (defaultDefined) {
@@ -430,10 +490,10 @@ export default class Slider extends PureComponent {
       : props.defaultValue;
 
     if (typeof value === 'undefined') {
-      value = min;
+      value = props.range ? [min, max] : min;
     }
 
-    const distance = this._calcDistance(value, min, max);
+    const distance = this._calcDistance([].concat(value)[0], min, max);
     const thumbLeft = this._calcLeft(distance);
     const trackFillWidth = `${distance}%`;
 
@@ -456,6 +516,7 @@ export default class Slider extends PureComponent {
       active: false,
       dragging: false,
       maskInked: false,
+      thumbIndex: 0,
     };
     this._dragAdded = false;
   }
@@ -544,6 +605,102 @@ export default class Slider extends PureComponent {
     return !invalid;
   }
 
+  /**
+   * Gets the index of the range slider's thumb from an event target.
+   *
+   * @param {Object} target - The event target.
+   * @return {number} 1 if the target is the end thumb, otherwise 0.
+   */
+  _getThumbIndex(target) {
+    return target && typeof target.getAttribute === 'function' && target.getAttribute('data-thumb') === '1' ? 1 : 0;
+  }
+
+  /**
+   * Gets the index of the range slider's thumb that is closest to a value. The end thumb
+   * will be used when the value is after both thumbs.
+   *
+   * @param {number} value - The value to compare with.
+   * @return {number} the index of the closest thumb.
+   */
+  _getClosestThumb(value) {
+    const [start, end] = getField(this.props, this.state, 'value');
+    return value > end || Math.abs(end - value) < Math.abs(start - value) ? 1 : 0;
+  }
+
+  /**
+   * Creates the next values for a range slider when one of the thumbs has been moved. The thumb
+   * will stop at the other thumb's value unless the `swapThumbs` prop is enabled. When the thumbs
+   * are swapped, the moved thumb will become the other thumb.
+   *
+   * @param {number} value - The new value for the thumb.
+   * @param {number} distance - The new distance for the thumb.
+   * @param {number} thumbIndex - The index of the thumb that was moved.
+   * @return {Object} an object with the next list of `value`s, the moved thumb's `distance`,
+   *    and the `thumbIndex` of the moved thumb.
+   */
+  _moveRangeThumb(value, distance, thumbIndex) {
+    const { min, max, swapThumbs } = this.props;
+    const otherIndex = thumbIndex === 0 ? 1 : 0;
+    const other = getField(this.props, this.state, 'value')[otherIndex];
+    const crossed = thumbIndex === 0 ? value > other : value < other;
+
+    let index = thumbIndex;
+    let nextValue = value;
+    let nextDistance = distance;
+    if (crossed && swapThumbs) {
+      index = otherIndex;
+    } else if (crossed) {
+      nextValue = other;
+      nextDistance = this._calcDistance(other, min, max);
+    }
+
+    const values = [other, other];
+    values[index] = nextValue;
+
+    return { value: values, distance: nextDistance, thumbIndex: index };
+  }
+
+  /**
+   * Checks if the value should be restricted to the `marks`.
+   *
+   * @param {Object} props - The props object to use.
+   * @return {Boolean} true if the value should be restricted to the marks.
+   */
+  _isRestrictedToMarks({ restrictToMarks, marks }) {
+    return !!restrictToMarks && !!marks && marks.length > 0;
+  }
+
+  /**
+   * Gets the value of the mark that is closest to a value.
+   *
+   * @param {number} value - The value to compare with.
+   * @return {number} the closest mark's value.
+   */
+  _getClosestMark(value) {
+    return this.props.marks.reduce((closest, mark) => (
+      Math.abs(mark.value - value) < Math.abs(closest - value) ? mark.value : closest
+    ), this.props.marks[0].value);
+  }
+
+  /**
+   * Gets the value of the next or previous mark from a value.
+   *
+   * @param {number} value - The current value.
+   * @param {number} direction - A positive number for the next mark or a negative number for
+   *    the previous mark.
+   * @return {number} the mark's value or the current value if there are no more marks.
+   */
+  _getNextMark(value, direction) {
+    const values = this.props.marks.map(mark => mark.value).sort((a, b) => a - b);
+    if (direction > 0) {
+      const next = values.filter(v => v > value)[0];
+      return typeof next === 'undefined' ? value : next;
+    }
+
+    const previous = values.filter(v => v < value).pop();
+    return typeof previous === 'undefined' ? value : previous;
+  }
+
   _isInTextField(e) {
     const { className } = e.target;
 
@@ -578,22 +735,42 @@ export default class Slider extends PureComponent {
    *    to the current scale of the slider.
    */
   _updatePosition = (e, normalize) => {
-    const x = (e.changedTouches ? e.changedTouches[0] : e).clientX;
+    const { clientX, clientY } = e.changedTouches ? e.changedTouches[0] : e;
     const { scale } = this.state;
-    const { onChange, onDragChange, min, max, step } = this.props;
+    const { onChange, onDragChange, min, max, step, range, vertical } = this.props;
+    const rect = this._track.getBoundingClientRect();
 
-    const { value, distance } = calculateValueDistance(
-      x,
-      this._track.offsetWidth,
-      this._track.getBoundingClientRect().left,
+    let { value, distance } = calculateValueDistance(
+      vertical ? clientY : clientX,
+      vertical ? this._track.offsetHeight : this._track.offsetWidth,
+      vertical ? rect.top : rect.left,
       scale,
       step,
       min,
       max,
-      normalize
+      normalize,
+      vertical
     );
 
-    const isNewValue = getField(this.props, this.state, 'value') !== value;
+    if (this._isRestrictedToMarks(this.props)) {
+      value = this._getClosestMark(value);
+      if (normalize) {
+        distance = this._calcDistance(value, min, max);
+      }
+    }
+
+    const prevValue = getField(this.props, this.state, 'value');
+    let { thumbIndex } = this.state;
+    let isNewValue = prevValue !== value;
+    if (range) {
+      if (e.type === 'mousedown' || e.type === 'touchstart') {
+        thumbIndex = this._getClosestThumb(value);
+      }
+
+      ({ value, distance, thumbIndex } = this._moveRangeThumb(value, distance, thumbIndex));
+      isNewValue = prevValue[0] !== value[0] || prevValue[1] !== value[1];
+    }
+
     if (onChange && isNewValue) {
       onChange(value, e);
     }
@@ -605,6 +782,7 @@ export default class Slider extends PureComponent {
     const state = {
       active: true,
       distance,
+      thumbIndex,
       manualIncrement: false,
       dragging: !normalize,
       thumbLeft: this._calcLeft(distance),
@@ -648,7 +826,13 @@ export default class Slider extends PureComponent {
       if (e.type.match(/mouse/)) {
         e.preventDefault();
       }
-      this.setState({ dragging: true, active: true, manualIncrement: false, maskInked: false });
+      this.setState({
+        dragging: true,
+        active: true,
+        manualIncrement: false,
+        maskInked: false,
+        thumbIndex: isDiscreteValue ? this.state.thumbIndex : this._getThumbIndex(e.target),
+      });
     } else if (!this._isTextField(e.target) && this._isValidClassList(classList)) {
       this._updatePosition(e, true);
     }
@@ -712,12 +896,23 @@ export default class Slider extends PureComponent {
      * @param {Object} e - Either the text field's change event, mouse down event, or
      *    touch start event.
      * @param {bool} disableTransition - Boolean if the jump's transition should be disabled.
+     * @param {number=} thumbIndex - The index of the range slider's thumb that was incremented.
      */
-  _handleIncrement = (incrementedValue, e, disableTransition) => {
-    const { onChange, min, max, discrete } = this.props;
+  _handleIncrement = (incrementedValue, e, disableTransition, thumbIndex = this.state.thumbIndex) => {
+    const { onChange, min, max, discrete, range } = this.props;
 
-    const value = Math.max(min, Math.min(max, incrementedValue));
-    const distance = this._calcDistance(value, min, max);
+    let value = Math.max(min, Math.min(max, incrementedValue));
+    if (this._isRestrictedToMarks(this.props)) {
+      value = this._getClosestMark(value);
+    }
+
+    let distance = this._calcDistance(value, min, max);
+    let prevDistance = this.state.distance;
+    let index = thumbIndex;
+    if (range) {
+      prevDistance = this._calcDistance(getField(this.props, this.state, 'value')[thumbIndex], min, max);
+      ({ value, distance, thumbIndex: index } = this._moveRangeThumb(value, distance, thumbIndex));
+    }
 
     if (onChange) {
       onChange(value, e);
@@ -725,10 +920,11 @@ export default class Slider extends PureComponent {
 
     const state = {
       distance,
+      thumbIndex: index,
       manualIncrement: true,
       thumbLeft: this._calcLeft(distance),
       trackFillWidth: `${distance}%`,
-      dragging: Math.abs(this.state.distance - distance) < 2 && disableTransition,
+      dragging: Math.abs(prevDistance - distance) < 2 && disableTransition,
     };
 
     if (typeof this.props.value === 'undefined') {
@@ -743,7 +939,11 @@ export default class Slider extends PureComponent {
   };
 
   _handleTextFieldChange = (newValue, e) => {
-    this._handleIncrement(newValue, e, false);
+    this._handleIncrement(newValue, e, false, this.props.range ? 1 : 0);
+  };
+
+  _handleStartTextFieldChange = (newValue, e) => {
+    this._handleIncrement(newValue, e, false, 0);
   };
 
   /**
@@ -754,25 +954,40 @@ export default class Slider extends PureComponent {
    */
   _handleKeyDown = (e) => {
     const key = e.which || e.keyCode;
-    const { min, max, step, disabled } = this.props;
+    const { min, max, step, disabled, range, vertical } = this.props;
     if (disabled) {
       return;
     }
 
+    const decrement = key === LEFT || (vertical && key === DOWN);
     if (key === TAB) {
       this.setState({ active: false, maskInked: false });
       return;
-    } else if ((key !== LEFT && key !== RIGHT)) {
+    } else if (!decrement && key !== RIGHT && (!vertical || key !== UP)) {
       return;
     }
 
+    if (vertical) {
+      // Prevents the page from scrolling
+      e.preventDefault();
+    }
+
+    const thumbIndex = range ? this._getThumbIndex(e.target) : 0;
     let nextValue = getField(this.props, this.state, 'value');
-    nextValue = Math.max(
-      min,
-      Math.min((key === LEFT ? -step : step) + nextValue, max)
-    );
+    if (range) {
+      nextValue = nextValue[thumbIndex];
+    }
 
-    this._handleIncrement(nextValue, e, true);
+    if (this._isRestrictedToMarks(this.props)) {
+      nextValue = this._getNextMark(nextValue, decrement ? -1 : 1);
+    } else {
+      nextValue = Math.max(
+        min,
+        Math.min((decrement ? -step : step) + nextValue, max)
+      );
+    }
+
+    this._handleIncrement(nextValue, e, true, thumbIndex);
   };
 
   /**
@@ -793,8 +1008,13 @@ export default class Slider extends PureComponent {
     this.setState({ maskInked: true });
   };
 
-  _handleFocus = () => {
-    this.setState({ active: true });
+  _handleFocus = (e) => {
+    const state = { active: true };
+    if (this.props.range) {
+      state.thumbIndex = this._getThumbIndex(e.target);
+    }
+
+    this.setState(state);
   };
 
   /**
@@ -861,6 +1081,11 @@ export default class Slider extends PureComponent {
 
     this._focusTimeout = setTimeout(() => {
       this._focusTimeout = null;
+      if (this.props.range) {
+        this._node.querySelector(`[data-thumb="${this.state.thumbIndex}"]`).focus();
+        return;
+      }
+
       if (!this._thumb) {
         this._thumb = this._node.querySelector('.md-slider-thumb');
       }
@@ -873,13 +1098,13 @@ export default class Slider extends PureComponent {
     const {
       dragging,
       active,
-      thumbLeft,
-      trackFillWidth,
       maskInked,
       trackWidth,
       scale,
       distance,
+      thumbIndex,
     } = this.state;
+    let { thumbLeft, trackFillWidth } = this.state;
 
     const {
       id,
@@ -903,8 +1128,13 @@ export default class Slider extends PureComponent {
       discreteTicks,
       tickWidth,
       valuePrecision,
+      range,
+      vertical,
+      marks,
       /* eslint-disable no-unused-vars */
       value: propValue,
+      swapThumbs,
+      restrictToMarks,
       onChange,
       onDragChange,
       discreteInkTransitionTime,
@@ -916,6 +1146,7 @@ export default class Slider extends PureComponent {
     } = this.props;
 
     const value = getField(this.props, this.state);
+    const values = [].concat(value);
     let rightChildren = rightIcon;
     if (editable) {
       rightChildren = (
@@ -923,7 +1154,7 @@ export default class Slider extends PureComponent {
           id={`${id}-editor`}
           ref={this._setField}
           type="number"
-          value={value}
+          value={values[values.length - 1]}
           inputClassName="md-slider-editor"
           style={{ width: inputWidth }}
           onChange={this._handleTextFieldChange}
@@ -932,12 +1163,58 @@ export default class Slider extends PureComponent {
       );
     }
 
+    let startField;
+    let endInput;
+    let trackFillLeft;
+    let on = !disabled && distance > 0;
+    let off = distance === 0;
+    if (range) {
+      const distances = values.map((v, i) => (
+        dragging && i === thumbIndex ? distance : this._calcDistance(v, min, max)
+      ));
+
+      thumbLeft = distances.map(d => this._calcLeft(d));
+      trackFillLeft = `${distances[0]}%`;
+      trackFillWidth = `${distances[1] - distances[0]}%`;
+      on = !disabled;
+      off = false;
+
+      endInput = (
+        <input
+          id={`${id}-end`}
+          type="range"
+          className="md-slider-input"
+          readOnly
+          min={min}
+          max={max}
+          value={values[1]}
+          disabled={disabled}
+        />
+      );
+
+      if (editable) {
+        startField = (
+          <TextField
+            id={`${id}-editor-start`}
+            type="number"
+            className="md-slider-editor-container--start"
+            value={values[0]}
+            inputClassName="md-slider-editor"
+            style={{ width: inputWidth }}
+            onChange={this._handleStartTextFieldChange}
+            step={step}
+          />
+        );
+      }
+    }
+
     return (
       <div
         {...props}
         ref={this._setNode}
         className={cn('md-slider-container', className, {
           'md-pointer--hover': !disabled,
+          'md-slider-container--vertical': vertical,
         })}
         onMouseDown={this._handleDragStart}
         onTouchStart={this._handleDragStart}
@@ -950,13 +1227,15 @@ export default class Slider extends PureComponent {
           readOnly
           min={min}
           max={max}
-          value={value}
+          value={values[0]}
           disabled={disabled}
         />
+        {endInput}
         {leftIcon}
+        {startField}
         <Track
           ref={this._setTrack}
-          style={Object.assign({}, trackStyle, { width: trackWidth })}
+          style={Object.assign({}, trackStyle, vertical ? null : { width: trackWidth })}
           className={cn(trackClassName, {
             'md-slider-track--ind-left': leftIcon,
             'md-slider-track--ind-right': rightIcon,
@@ -969,9 +1248,16 @@ export default class Slider extends PureComponent {
           dragging={dragging}
           disabled={disabled}
           thumbLeft={thumbLeft}
+          trackFillLeft={trackFillLeft}
           trackFillWidth={trackFillWidth}
-          on={!disabled && distance > 0}
-          off={distance === 0}
+          on={on}
+          off={off}
+          range={range}
+          activeThumb={thumbIndex}
+          min={min}
+          max={max}
+          vertical={vertical}
+          marks={marks}
           maskInked={maskInked}
           onThumbKeyUp={this._handleKeyUp}
           onThumbKeyDown={this._handleKeyDown}
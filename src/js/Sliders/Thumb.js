@@ -18,6 +18,7 @@ export default class Thumb extends PureComponent {
     disabled: PropTypes.bool,
     dragging: PropTypes.bool,
     discrete: PropTypes.bool,
+    vertical: PropTypes.bool,
   };
 
   render() {
@@ -31,6 +32,7 @@ export default class Thumb extends PureComponent {
       dragging,
       thumbLeft,
       discrete,
+      vertical,
       ...props
     } = this.props;
 
@@ -38,8 +40,9 @@ export default class Thumb extends PureComponent {
       <AccessibleFakeButton
         disabled={disabled}
         {...props}
-        style={Object.assign({}, style, { left: thumbLeft })}
+        style={Object.assign({}, style, { [vertical ? 'bottom' : 'left']: thumbLeft })}
         className={cn('md-slider-thumb', className, {
+          'md-slider-thumb--vertical': vertical,
           'md-slider-thumb--active': active,
           'md-slider-thumb--dragging': dragging,
           'md-slider-thumb--disabled': disabled,
@@ -20,6 +20,7 @@ export default class ThumbMask extends PureComponent {
     dragging: PropTypes.bool,
     discrete: PropTypes.bool,
     leaving: PropTypes.bool,
+    vertical: PropTypes.bool,
   };
 
   render() {
@@ -32,14 +33,16 @@ export default class ThumbMask extends PureComponent {
       maskInked,
       discrete,
       leaving,
+      vertical,
       ...props
     } = this.props;
 
     return (
       <span
         {...props}
-        style={Object.assign({}, style, { left: thumbLeft })}
+        style={Object.assign({}, style, { [vertical ? 'bottom' : 'left']: thumbLeft })}
         className={cn('md-slider-thumb md-slider-thumb--mask', className, {
+          'md-slider-thumb--vertical': vertical,
           'md-slider-thumb--dragging': dragging,
           'md-slider-thumb--mask-inked': maskInked,
           'md-slider-thumb--mask-disabled': disabled,
@@ -29,9 +29,27 @@ export default class Track extends PureComponent {
     active: PropTypes.bool,
     dragging: PropTypes.bool,
     disabled: PropTypes.bool,
-    thumbLeft: PropTypes.string.isRequired,
+    thumbLeft: PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.arrayOf(PropTypes.string),
+    ]).isRequired,
     trackFillWidth: PropTypes.string.isRequired,
-    value: PropTypes.number.isRequired,
+    trackFillLeft: PropTypes.string,
+    value: PropTypes.oneOfType([
+      PropTypes.number,
+      PropTypes.arrayOf(PropTypes.number),
+    ]).isRequired,
+
+    /**
+     * Boolean if the track is for a range slider. The `thumbLeft` and `value` props
+     * should be lists of the start and end thumb positions and values.
+     */
+    range: PropTypes.bool,
+
+    /**
+     * The index of the range slider's thumb that is currently active.
+     */
+    activeThumb: PropTypes.number,
     discrete: PropTypes.bool,
     maskInked: PropTypes.bool,
     maskLeaving: PropTypes.bool,
@@ -46,8 +64,71 @@ export default class Track extends PureComponent {
       PropTypes.string,
     ]),
     valuePrecision: PropTypes.number.isRequired,
+    min: PropTypes.number,
+    max: PropTypes.number,
+
+    /**
+     * Boolean if the track should be displayed vertically. The thumb and track fill positions
+     * will be from the bottom of the track instead of the left.
+     */
+    vertical: PropTypes.bool,
+
+    /**
+     * An optional list of marks to display on the track. Each mark will be positioned by its value
+     * between the `min` and `max` props and display its optional label.
+     */
+    marks: PropTypes.arrayOf(PropTypes.shape({
+      value: PropTypes.number.isRequired,
+      label: PropTypes.node,
+    })),
   };
 
+  /**
+   * Gets the label to announce for a thumb's value. This will be the label of the mark
+   * for the value when it is a string or number.
+   *
+   * @param {number} value - The thumb's value.
+   * @return {string} the value text or undefined.
+   */
+  _getValueText(value) {
+    const { marks } = this.props;
+    const mark = marks && marks.filter(m => m.value === value)[0];
+    if (!mark || (typeof mark.label !== 'string' && typeof mark.label !== 'number')) {
+      return undefined;
+    }
+
+    return String(mark.label);
+  }
+
+  _renderMarks(values) {
+    const { marks, min, max, disabled, range, vertical } = this.props;
+    if (!marks) {
+      return null;
+    }
+
+    return marks.map(({ value, label }) => {
+      const distance = Math.max(0, Math.min(100, ((value - min) / (max - min)) * 100));
+      const on = !disabled && (range
+        ? value >= values[0] && value <= values[1]
+        : value <= values[0]);
+
+      let markLabel;
+      if (label || label === 0) {
+        markLabel = <span className="md-slider-mark-label">{label}</span>;
+      }
+
+      return (
+        <span
+          key={`mark-${value}`}
+          className={cn('md-slider-mark', { 'md-slider-mark--on': on })}
+          style={{ [vertical ? 'bottom' : 'left']: `${distance}%` }}
+        >
+          {markLabel}
+        </span>
+      );
+    });
+  }
+
   render() {
     const {
       on,
@@ -57,6 +138,7 @@ export default class Track extends PureComponent {
       dragging,
       className,
       thumbLeft,
+      trackFillLeft,
       trackFillWidth,
       trackFillStyle,
       trackFillClassName,
@@ -76,6 +158,12 @@ export default class Track extends PureComponent {
       scale,
       step,
       valuePrecision,
+      range,
+      activeThumb,
+      min,
+      max,
+      vertical,
+      marks,
       ...props
     } = this.props;
 
@@ -98,54 +186,88 @@ export default class Track extends PureComponent {
           <span
             key={`tick-${i}`}
             className="md-slider-discrete-tick"
-            style={{ left, width }}
+            style={vertical ? { bottom: left, height: width } : { left, width }}
           />
         );
       }
     }
 
-    return (
-      <div {...props} className={cn('md-slider-track', className)}>
-        {ticks}
-        <TrackFill
-          style={trackFillStyle}
-          className={trackFillClassName}
-          disabled={disabled}
-          dragging={dragging}
-          trackFillWidth={trackFillWidth}
-        />
+    const values = [].concat(value);
+    const thumbs = [];
+    [].concat(thumbLeft).forEach((left, i) => {
+      const current = !range || i === activeThumb;
+      const thumbActive = active && current;
+      const thumbDragging = dragging && current;
+
+      thumbs.push(
         <Thumb
+          key={`thumb-${i}`}
+          data-thumb={range ? i : undefined}
+          role="slider"
+          aria-valuemin={min}
+          aria-valuemax={max}
+          aria-valuenow={values[i]}
+          aria-valuetext={this._getValueText(values[i])}
+          aria-orientation={vertical ? 'vertical' : 'horizontal'}
+          vertical={vertical}
           style={thumbStyle}
           className={thumbClassName}
           on={on}
           off={off}
           disabled={disabled}
-          dragging={dragging}
-          active={active}
-          thumbLeft={thumbLeft}
+          dragging={thumbDragging}
+          active={thumbActive}
+          thumbLeft={left}
           onFocus={onThumbFocus}
           onKeyUp={onThumbKeyUp}
           onKeyDown={onThumbKeyDown}
           discrete={discrete}
-        />
+        />,
         <DiscreteValue
+          key={`value-${i}`}
           style={discreteValueStyle}
           className={discreteValueClassName}
           discrete={discrete}
-          dragging={dragging}
-          active={active}
-          value={value}
-          thumbLeft={thumbLeft}
+          dragging={thumbDragging}
+          active={thumbActive}
+          value={values[i]}
+          thumbLeft={left}
           valuePrecision={valuePrecision}
-        />
+          vertical={vertical}
+        />,
         <ThumbMask
-          dragging={dragging}
+          key={`mask-${i}`}
+          dragging={thumbDragging}
           disabled={disabled}
-          thumbLeft={thumbLeft}
-          maskInked={maskInked}
+          thumbLeft={left}
+          maskInked={maskInked && current}
           discrete={discrete}
-          leaving={maskLeaving}
+          leaving={maskLeaving && current}
+          vertical={vertical}
+        />
+      );
+    });
+
+    return (
+      <div
+        {...props}
+        className={cn('md-slider-track', {
+          'md-slider-track--vertical': vertical,
+          'md-slider-track--marked': marks && marks.some(({ label }) => !!label || label === 0),
+        }, className)}
+      >
+        {ticks}
+        {this._renderMarks(values)}
+        <TrackFill
+          style={trackFillStyle}
+          className={trackFillClassName}
+          disabled={disabled}
+          dragging={dragging}
+          trackFillLeft={trackFillLeft}
+          trackFillWidth={trackFillWidth}
+          vertical={vertical}
         />
+        {thumbs}
       </div>
     );
   }
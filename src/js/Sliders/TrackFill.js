@@ -15,20 +15,37 @@ export default class TrackFill extends PureComponent {
     dragging: PropTypes.bool,
     disabled: PropTypes.bool,
     trackFillWidth: PropTypes.string.isRequired,
+    trackFillLeft: PropTypes.string,
+    vertical: PropTypes.bool,
   };
 
   render() {
-    const { style, className, trackFillWidth, dragging, disabled, ...props } = this.props;
+    const {
+      style,
+      className,
+      trackFillWidth,
+      trackFillLeft,
+      dragging,
+      disabled,
+      vertical,
+      ...props
+    } = this.props;
     if (disabled) {
       return null;
     }
 
+    let fillStyle = { left: trackFillLeft, width: trackFillWidth };
+    if (vertical) {
+      fillStyle = { bottom: trackFillLeft, height: trackFillWidth };
+    }
+
     return (
       <hr
         {...props}
-        style={Object.assign({}, style, { width: trackFillWidth })}
+        style={Object.assign({}, style, fillStyle)}
         className={cn('md-slider-track-fill', className, {
           'md-slider-track-fill--dragging': dragging,
+          'md-slider-track-fill--vertical': vertical,
         })}
       />
     );
@@ -213,4 +213,155 @@ describe('Slider', () => {
     track = slider.find(Track).get(0);
     expect(track.props.on).toBe(true);
   });
+
+  describe('range', () => {
+    const LEFT = 37;
+    const RIGHT = 39;
+    const startThumb = { getAttribute: () => '0' };
+    const endThumb = { getAttribute: () => '1' };
+
+    it('should default to the min and max values', () => {
+      const slider = renderIntoDocument(<Slider id="range" range min={10} max={50} />);
+      expect(slider.state.value).toEqual([10, 50]);
+
+      const { props } = findRenderedComponentWithType(slider, Track);
+      expect(props.range).toBe(true);
+      expect(props.value).toEqual([10, 50]);
+      expect(props.thumbLeft).toEqual(['calc(0% - 6px)', 'calc(100% - 6px)']);
+      expect(props.trackFillLeft).toBe('0%');
+      expect(props.trackFillWidth).toBe('100%');
+    });
+
+    it('should fill the track between the two thumbs', () => {
+      const slider = renderIntoDocument(<Slider id="range" range defaultValue={[20, 60]} />);
+      const { props } = findRenderedComponentWithType(slider, Track);
+      expect(props.thumbLeft).toEqual(['calc(20% - 6px)', 'calc(60% - 6px)']);
+      expect(props.trackFillLeft).toBe('20%');
+      expect(props.trackFillWidth).toBe('40%');
+    });
+
+    it('should increment each thumb independently with the keyboard', () => {
+      const onChange = jest.fn();
+      const slider = renderIntoDocument(
+        <Slider id="range" range defaultValue={[20, 60]} step={5} onChange={onChange} />
+      );
+
+      slider._handleKeyDown({ type: 'keydown', which: RIGHT, target: startThumb });
+      expect(onChange.mock.calls[0][0]).toEqual([25, 60]);
+
+      slider._handleKeyDown({ type: 'keydown', which: LEFT, target: endThumb });
+      expect(onChange.mock.calls[1][0]).toEqual([25, 55]);
+      expect(slider.state.value).toEqual([25, 55]);
+      expect(slider.state.thumbIndex).toBe(1);
+    });
+
+    it('should not allow the thumbs to cross', () => {
+      const onChange = jest.fn();
+      const slider = renderIntoDocument(
+        <Slider id="range" range defaultValue={[20, 25]} step={5} onChange={onChange} />
+      );
+
+      slider._handleKeyDown({ type: 'keydown', which: RIGHT, target: startThumb });
+      expect(slider.state.value).toEqual([25, 25]);
+
+      slider._handleKeyDown({ type: 'keydown', which: RIGHT, target: startThumb });
+      expect(slider.state.value).toEqual([25, 25]);
+      expect(slider.state.thumbIndex).toBe(0);
+    });
+
+    it('should swap the thumbs when the swapThumbs prop is enabled', () => {
+      const slider = renderIntoDocument(<Slider id="range" range swapThumbs defaultValue={[20, 25]} step={5} />);
+
+      slider._handleIncrement(40, { type: 'change' }, false, 0);
+      expect(slider.state.value).toEqual([25, 40]);
+      expect(slider.state.thumbIndex).toBe(1);
+    });
+
+    it('should move the closest thumb when the track is clicked', () => {
+      const onChange = jest.fn();
+      const slider = renderIntoDocument(<Slider id="range" range defaultValue={[20, 60]} onChange={onChange} />);
+      slider._track = { offsetWidth: 100, getBoundingClientRect: () => ({ left: 0 }) };
+
+      slider._updatePosition({ type: 'mousedown', clientX: 70 }, true);
+      expect(onChange.mock.calls[0][0]).toEqual([20, 70]);
+      expect(slider.state.thumbIndex).toBe(1);
+
+      slider._updatePosition({ type: 'mousedown', clientX: 30 }, true);
+      expect(onChange.mock.calls[1][0]).toEqual([30, 70]);
+      expect(slider.state.thumbIndex).toBe(0);
+    });
+
+    it('should render a text field for each value when editable', () => {
+      const slider = renderIntoDocument(<Slider id="range" range editable defaultValue={[20, 60]} />);
+      const texts = scryRenderedComponentsWithType(slider, TextField);
+      expect(texts.length).toBe(2);
+      expect(texts[0].props.value).toBe(20);
+      expect(texts[1].props.value).toBe(60);
+
+      texts[0].props.onChange('40', { type: 'change' });
+      expect(slider.state.value).toEqual([40, 60]);
+
+      texts[1].props.onChange('30', { type: 'change' });
+      expect(slider.state.value).toEqual([40, 40]);
+    });
+  });
+
+  describe('vertical', () => {
+    it('should calculate the value from the bottom of the track', () => {
+      const onChange = jest.fn();
+      const slider = renderIntoDocument(<Slider id="vertical" vertical onChange={onChange} />);
+      expect(findDOMNode(slider).className).toContain('md-slider-container--vertical');
+
+      slider._track = { offsetHeight: 200, getBoundingClientRect: () => ({ top: 100 }) };
+      slider._updatePosition({ type: 'mousedown', clientX: 0, clientY: 250 }, true);
+      expect(onChange.mock.calls[0][0]).toBe(25);
+    });
+
+    it('should update the value with the up and down arrow keys', () => {
+      const onChange = jest.fn();
+      const slider = renderIntoDocument(<Slider id="vertical" vertical defaultValue={10} onChange={onChange} />);
+      const preventDefault = jest.fn();
+
+      slider._handleKeyDown({ type: 'keydown', which: 38, preventDefault });
+      expect(onChange.mock.calls[0][0]).toBe(11);
+      expect(preventDefault).toBeCalled();
+
+      slider._handleKeyDown({ type: 'keydown', which: 40, preventDefault });
+      expect(onChange.mock.calls[1][0]).toBe(10);
+    });
+  });
+
+  describe('marks', () => {
+    const marks = [{ value: 0, label: 'Off' }, { value: 30, label: 'Low' }, { value: 100, label: 'High' }];
+
+    it('should pass the marks to the track', () => {
+      const slider = renderIntoDocument(<Slider id="marks" marks={marks} />);
+      const { props } = findRenderedComponentWithType(slider, Track);
+      expect(props.marks).toBe(marks);
+      expect(props.min).toBe(0);
+      expect(props.max).toBe(100);
+    });
+
+    it('should only allow the values of the marks when the restrictToMarks prop is enabled', () => {
+      const onChange = jest.fn();
+      const slider = renderIntoDocument(<Slider id="marks" marks={marks} restrictToMarks onChange={onChange} />);
+
+      slider._handleKeyDown({ type: 'keydown', which: 39 });
+      expect(onChange.mock.calls[0][0]).toBe(30);
+
+      slider._handleKeyDown({ type: 'keydown', which: 39 });
+      expect(onChange.mock.calls[1][0]).toBe(100);
+
+      slider._handleKeyDown({ type: 'keydown', which: 39 });
+      expect(onChange.mock.calls[2][0]).toBe(100);
+
+      slider._handleTextFieldChange('60', { type: 'change' });
+      expect(onChange.mock.calls[3][0]).toBe(30);
+
+      slider._track = { offsetWidth: 100, getBoundingClientRect: () => ({ left: 0 }) };
+      slider._updatePosition({ type: 'mousedown', clientX: 70 }, true);
+      expect(onChange.mock.calls[4][0]).toBe(100);
+      expect(slider.state.distance).toBe(100);
+    });
+  });
 });
@@ -88,4 +88,71 @@ describe('Track', () => {
     ticks = scryRenderedDOMComponentsWithClass(track, 'md-slider-discrete-tick');
     expect(ticks.length).toBe(0);
   });
+
+  it('renders a Thumb, DiscreteValue, and ThumbMask for each value of a range', () => {
+    const props = Object.assign({}, PROPS, {
+      range: true,
+      value: [20, 60],
+      thumbLeft: ['calc(20% - 6px)', 'calc(60% - 6px)'],
+      trackFillLeft: '20%',
+      trackFillWidth: '40%',
+      active: true,
+      activeThumb: 1,
+    });
+    const track = renderIntoDocument(<Track {...props} />);
+
+    const thumbs = scryRenderedComponentsWithType(track, Thumb);
+    expect(thumbs.length).toBe(2);
+    expect(thumbs[0].props.thumbLeft).toBe('calc(20% - 6px)');
+    expect(thumbs[0].props.active).toBe(false);
+    expect(thumbs[1].props.active).toBe(true);
+    expect(findDOMNode(thumbs[1]).getAttribute('data-thumb')).toBe('1');
+    expect(scryRenderedComponentsWithType(track, DiscreteValue).length).toBe(2);
+    expect(scryRenderedComponentsWithType(track, ThumbMask).length).toBe(2);
+
+    const fill = scryRenderedComponentsWithType(track, TrackFill)[0];
+    expect(fill.props.trackFillLeft).toBe('20%');
+  });
+
+  it('positions the thumbs and track fill from the bottom when vertical', () => {
+    const props = Object.assign({}, PROPS, { vertical: true, thumbLeft: '40%', trackFillWidth: '40%' });
+    const track = renderIntoDocument(<Track {...props} />);
+    const trackNode = findDOMNode(track);
+    expect(trackNode.className).toContain('md-slider-track--vertical');
+
+    const thumb = findDOMNode(scryRenderedComponentsWithType(track, Thumb)[0]);
+    expect(thumb.style.bottom).toBe('40%');
+    expect(thumb.style.left).toBe('');
+    expect(thumb.getAttribute('aria-orientation')).toBe('vertical');
+
+    const fill = findDOMNode(scryRenderedComponentsWithType(track, TrackFill)[0]);
+    expect(fill.style.height).toBe('40%');
+  });
+
+  it('renders the marks with their labels', () => {
+    const marks = [{ value: 0, label: 'Off' }, { value: 50 }, { value: 100, label: 'High' }];
+    const props = Object.assign({}, PROPS, { min: 0, max: 100, value: 50, marks });
+    const track = renderIntoDocument(<Track {...props} />);
+
+    const markNodes = scryRenderedDOMComponentsWithClass(track, 'md-slider-mark');
+    expect(markNodes.length).toBe(3);
+    expect(markNodes[1].style.left).toBe('50%');
+    expect(markNodes[1].classList.contains('md-slider-mark--on')).toBe(true);
+    expect(markNodes[2].classList.contains('md-slider-mark--on')).toBe(false);
+    expect(markNodes[2].textContent).toBe('High');
+    expect(findDOMNode(track).className).toContain('md-slider-track--marked');
+  });
+
+  it('announces the label of the mark for the value', () => {
+    const marks = [{ value: 0, label: 'Off' }, { value: 100, label: 'High' }];
+    let track = renderIntoDocument(<Track {...PROPS} min={0} max={100} marks={marks} />);
+    let thumb = findDOMNode(scryRenderedComponentsWithType(track, Thumb)[0]);
+    expect(thumb.getAttribute('role')).toBe('slider');
+    expect(thumb.getAttribute('aria-valuenow')).toBe('100');
+    expect(thumb.getAttribute('aria-valuetext')).toBe('High');
+
+    track = renderIntoDocument(<Track {...PROPS} value={50} min={0} max={100} marks={marks} />);
+    thumb = findDOMNode(scryRenderedComponentsWithType(track, Thumb)[0]);
+    expect(thumb.getAttribute('aria-valuetext')).toBe(null);
+  });
 });
@@ -26,6 +26,16 @@ export interface TabsContainerProps extends Props {
   fixed?: boolean;
   labelAndIcon?: boolean;
   headerZDepth?: number;
+  swipeDisabled?: boolean;
+  swipeThreshold?: number;
+  lazy?: boolean;
+  keepAlive?: boolean;
+  restoreScroll?: boolean;
+  slideTransitionTimeout?: number;
+
+  /**
+   * @deprecated
+   */
   swipeableViewsProps?: Object;
 }
 
@@ -2,18 +2,44 @@ import React, { PureComponent, Children, cloneElement } from 'react';
 import PropTypes from 'prop-types';
 import { findDOMNode } from 'react-dom';
 import cn from 'classnames';
-import SwipeableViews from 'react-swipeable-views';
+import deprecated from 'react-prop-types/lib/deprecated';
 
 import getField from '../utils/getField';
+import { addTouchEvent, removeTouchEvent, setTouchEvent } from '../utils/EventUtils/touches';
 import controlled from '../utils/PropTypes/controlled';
 import between from '../utils/PropTypes/between';
 import ResizeObserver from '../Helpers/ResizeObserver';
 import Paper from '../Papers/Paper';
 import TabPanel from './TabPanel';
 
+/**
+ * The distance in pixels a touch must move before it is considered a swipe or a scroll.
+ */
+const SWIPE_START_DISTANCE = 10;
+
+/**
+ * The velocity in pixels per millisecond a swipe must reach to change tabs even if it did
+ * not pass the `swipeThreshold`.
+ */
+const SWIPE_VELOCITY = 0.3;
+
+/**
+ * The amount to slow a swipe down by when there is no tab to swipe to.
+ */
+const EDGE_RESISTANCE = 3;
+
+/**
+ * Gets the transform for the slides so that the active slide is visible. The offset is the
+ * distance in pixels the slides have been swiped.
+ */
+function getSlidesTransform(activeTabIndex, offset) {
+  const transform = `translate3d(${-activeTabIndex * 100}%, 0, 0)`;
+  return offset ? `${transform} translate3d(${offset}px, 0, 0)` : transform;
+}
+
 /**
  * The `TabsContainer` component is used when you want to have your `Tabs` connected with
- * the `SwipeableViews`. This component will traverse the children subtree and extract out
+ * swipeable content. This component will traverse the children subtree and extract out
  * the `children` from each tab, and render them in a swipeable container. However,
  * since this is using the `React.Children` traversal, You will have to keep the `Tabs`
  * and `Tab` component as a direct descendent. You are unable to make a separate component
@@ -37,6 +63,18 @@ import TabPanel from './TabPanel';
  *
  * This is because it seems you are unable to access the `MyCustomTab`'s child Tab props correctly.
  * You can however have the tab's children as a separate component if you wish.
+ *
+ * The content of each tab can be mounted only once its tab has been active with the `lazy` prop,
+ * and can be unmounted once it is no longer active by disabling the `keepAlive` prop.
+ *
+ * ```js
+ * <TabsContainer lazy keepAlive={false} restoreScroll>
+ *   <Tabs tabId="tab">
+ *     <Tab label="Recents"><Recents /></Tab>
+ *     <Tab label="Favorites"><Favorites /></Tab>
+ *   </Tabs>
+ * </TabsContainer>
+ * ```
  */
 export default class TabsContainer extends PureComponent {
   static propTypes = {
@@ -75,14 +113,12 @@ export default class TabsContainer extends PureComponent {
     headerClassName: PropTypes.string,
 
     /**
-     * An optional style to apply to the `SwipeableViews`.
-     *
-     * @see https://github.com/oliviertassinari/react-swipeable-views#user-content-swipeableviews-
+     * An optional style to apply to the swipeable content container.
      */
     swipeableViewsStyle: PropTypes.object,
 
     /**
-     * An optional className to apply to the `SwipeableViews` container.
+     * An optional className to apply to the swipeable content container.
      */
     swipeableViewsClassName: PropTypes.string,
 
@@ -91,8 +127,6 @@ export default class TabsContainer extends PureComponent {
      *
      * Default style and height of slide component will be passed in the function.
      * The function should return a style that will be merged with default style, or `null`.
-     *
-     * @see https://github.com/oliviertassinari/react-swipeable-views#user-content-swipeableviews-
      */
     slideStyle: PropTypes.oneOfType([
       PropTypes.object,
@@ -190,16 +224,47 @@ export default class TabsContainer extends PureComponent {
     headerZDepth: between(PropTypes.number, 0, 5),
 
     /**
-     * Any additional props to apply to the SwipeableViews component. View the
-     * [SwipeableViews API](https://github.com/oliviertassinari/react-swipeable-views#api)
-     * for valid attributes.
-     *
-     * You will not be able to set the `style`, `className`, `slideStyle`, `index`,
-     * or `onChangeIndex` props for the SwipeableViews.
-     *
-     * The styling and classnames can be updated with the other TabsContainer props.
+     * Boolean if swiping between the tabs' content on touch devices should be disabled.
+     */
+    swipeDisabled: PropTypes.bool,
+
+    /**
+     * The percentage of the container's width as a number between 0 and 1 that the content
+     * must be swiped to change tabs. Quickly flicking the content will also change tabs.
      */
-    swipeableViewsProps: PropTypes.object,
+    swipeThreshold: between(PropTypes.number, 0, 1),
+
+    /**
+     * Boolean if a tab's content should not be mounted until the tab has been active.
+     */
+    lazy: PropTypes.bool,
+
+    /**
+     * Boolean if a tab's content should stay mounted once it is no longer active. When this
+     * is disabled, the content will be unmounted once the slide transition has finished.
+     */
+    keepAlive: PropTypes.bool,
+
+    /**
+     * Boolean if the scroll position of each tab's content should be saved when the tab is no
+     * longer active and restored when the tab becomes active again. This will restore the
+     * scroll position of the slide, and the scroll position of the page when the tabs are
+     * `fixed` since the page is scrolled instead.
+     */
+    restoreScroll: PropTypes.bool,
+
+    /**
+     * The time in milliseconds of the slide transition. This should match the
+     * `$md-tab-slide-transition-time` variable and is used to know when the previously
+     * active tab's content can be unmounted.
+     */
+    slideTransitionTimeout: PropTypes.number.isRequired,
+
+    swipeableViewsProps: deprecated(
+      PropTypes.object,
+      'The tabs content no longer uses `react-swipeable-views`. Use the `swipeDisabled` and ' +
+      '`swipeThreshold` props instead'
+    ),
   };
 
   static defaultProps = {
@@ -207,19 +272,50 @@ export default class TabsContainer extends PureComponent {
     defaultTabIndex: 0,
     headerZDepth: 1,
     slideHeightProp: 'height',
+    swipeThreshold: 0.25,
+    keepAlive: true,
+    slideTransitionTimeout: 350,
   };
 
   constructor(props) {
     super(props);
 
-    this.state = {};
+    const activeTabIndex = getField(props, { activeTabIndex: props.defaultTabIndex }, 'activeTabIndex');
+    this.state = {
+      visited: [activeTabIndex],
+      prevTabIndex: null,
+      swiping: false,
+    };
+
     if (typeof props.activeTabIndex === 'undefined') {
       this.state.activeTabIndex = props.defaultTabIndex;
     }
+
+    this._swipe = null;
+    this._scrollPositions = {};
+    this._pendingScroll = null;
   }
 
   componentDidMount() {
     this._resizePanel();
+    if (this._content) {
+      addTouchEvent(this._content, 'start', this._handleTouchStart);
+    }
+  }
+
+  componentWillReceiveProps(nextProps) {
+    const { activeTabIndex } = this.props;
+    if (typeof nextProps.activeTabIndex !== 'undefined' && activeTabIndex !== nextProps.activeTabIndex) {
+      this.setState(this._getTabChangeState(activeTabIndex, nextProps.activeTabIndex));
+    }
+  }
+
+  componentWillUpdate(nextProps, nextState) {
+    const currIndex = getField(this.props, this.state, 'activeTabIndex');
+    const nextIndex = getField(nextProps, nextState, 'activeTabIndex');
+    if (currIndex !== nextIndex && nextProps.restoreScroll) {
+      this._saveScroll(currIndex);
+    }
   }
 
   componentDidUpdate(prevProps, prevState) {
@@ -227,8 +323,100 @@ export default class TabsContainer extends PureComponent {
     const currIndex = getField(this.props, this.state, 'activeTabIndex');
 
     if (prevIndex !== currIndex) {
+      if (this.props.restoreScroll) {
+        this._pendingScroll = this._scrollPositions[currIndex] || { slide: 0, page: 0 };
+      }
+
       this._resizePanel();
+      this._startTransition();
+    }
+  }
+
+  componentWillUnmount() {
+    if (this._content) {
+      removeTouchEvent(this._content, 'start', this._handleTouchStart);
+    }
+
+    this._setSwipeListeners(false);
+    if (this._transitionTimeout) {
+      clearTimeout(this._transitionTimeout);
+    }
+  }
+
+  /**
+   * Gets the state to apply when the active tab changes so that the previously active tab's
+   * content stays mounted during the slide transition and the new tab is marked as visited.
+   */
+  _getTabChangeState(prevTabIndex, nextTabIndex) {
+    const { visited } = this.state;
+    return {
+      prevTabIndex,
+      visited: visited.indexOf(nextTabIndex) === -1 ? visited.concat(nextTabIndex) : visited,
+    };
+  }
+
+  _startTransition() {
+    if (this._transitionTimeout) {
+      clearTimeout(this._transitionTimeout);
+    }
+
+    this._transitionTimeout = setTimeout(() => {
+      this._transitionTimeout = null;
+      this.setState({ prevTabIndex: null });
+    }, this.props.slideTransitionTimeout);
+  }
+
+  _getSlide(index) {
+    return this._slides ? this._slides.children[index] : null;
+  }
+
+  _saveScroll(index) {
+    const slide = this._getSlide(index);
+    this._scrollPositions[index] = {
+      slide: slide ? slide.scrollTop : 0,
+      page: window.pageYOffset || document.documentElement.scrollTop,
+    };
+  }
+
+  /**
+   * Restores the scroll position of the newly active tab. This is called once the content has
+   * been resized so that the page is tall enough to scroll to the saved position.
+   */
+  _restoreScroll = () => {
+    const position = this._pendingScroll;
+    if (!position) {
+      return;
     }
+
+    this._pendingScroll = null;
+    const slide = this._getSlide(getField(this.props, this.state, 'activeTabIndex'));
+    if (slide) {
+      slide.scrollTop = position.slide;
+    }
+
+    if (this.props.fixed) {
+      window.scrollTo(window.pageXOffset, position.page);
+    }
+  };
+
+  /**
+   * Checks if a tab's content should be mounted. The active tab, the previously active tab
+   * while transitioning, and the tabs next to the active tab while swiping are always mounted.
+   */
+  _isPanelMounted(index, activeTabIndex) {
+    const { lazy, keepAlive } = this.props;
+    const { visited, prevTabIndex, swiping } = this.state;
+    if (index === activeTabIndex || index === prevTabIndex) {
+      return true;
+    } else if (swiping && Math.abs(index - activeTabIndex) === 1) {
+      return true;
+    }
+
+    return keepAlive && (!lazy || visited.indexOf(index) !== -1);
+  }
+
+  _getTabCount() {
+    return Children.toArray(Children.only(this.props.children).props.children).length;
   }
 
   _handleTabChange = (index, tabId, tabControlsId, tabChildren, event) => {
@@ -236,8 +424,9 @@ export default class TabsContainer extends PureComponent {
       this.props.onTabChange(index, tabId, tabControlsId, tabChildren, event);
     }
 
-    if (typeof this.props.activeTabIndex === 'undefined') {
-      this.setState({ activeTabIndex: index });
+    const { activeTabIndex } = this.state;
+    if (typeof this.props.activeTabIndex === 'undefined' && activeTabIndex !== index) {
+      this.setState({ activeTabIndex: index, ...this._getTabChangeState(activeTabIndex, index) });
     }
   };
 
@@ -245,10 +434,124 @@ export default class TabsContainer extends PureComponent {
     this._handleTabChange(activeTabIndex);
   };
 
+  _setSwipeListeners(add) {
+    if (this._swipeAdded === add) {
+      return;
+    }
+
+    // The touchmove listener can not be passive since it prevents the page from scrolling
+    // while swiping horizontally.
+    setTouchEvent(add, window, 'move', this._handleTouchMove, { passive: false });
+    setTouchEvent(add, window, 'end', this._handleTouchEnd);
+    setTouchEvent(add, window, 'cancel', this._handleTouchCancel);
+    this._swipeAdded = add;
+  }
+
+  _handleTouchStart = (e) => {
+    if (this.props.swipeDisabled || e.touches.length > 1 || !this._content) {
+      return;
+    }
+
+    const { clientX, clientY } = e.touches[0];
+    this._swipe = {
+      x: clientX,
+      y: clientY,
+      time: Date.now(),
+      width: this._content.offsetWidth,
+      distance: 0,
+      horizontal: null,
+    };
+    this._setSwipeListeners(true);
+  };
+
+  _handleTouchMove = (e) => {
+    const swipe = this._swipe;
+    if (!swipe) {
+      return;
+    }
+
+    const { clientX, clientY } = e.touches[0];
+    const distance = clientX - swipe.x;
+    if (swipe.horizontal === null) {
+      const vertical = clientY - swipe.y;
+      if (Math.max(Math.abs(distance), Math.abs(vertical)) < SWIPE_START_DISTANCE) {
+        return;
+      }
+
+      // Vertical touches are scrolling the page, so they are ignored until the next touch
+      swipe.horizontal = Math.abs(distance) > Math.abs(vertical);
+      if (!swipe.horizontal) {
+        this._handleTouchCancel();
+        return;
+      }
+    }
+
+    e.preventDefault();
+    swipe.distance = distance;
+    if (!this.state.swiping) {
+      this.setState({ swiping: true });
+    }
+
+    // The slides are moved directly while dragging instead of re-rendering on each touchmove.
+    const activeTabIndex = getField(this.props, this.state, 'activeTabIndex');
+    const edge = (distance > 0 && activeTabIndex === 0)
+      || (distance < 0 && activeTabIndex >= this._getTabCount() - 1);
+    const offset = edge ? distance / EDGE_RESISTANCE : Math.max(-swipe.width, Math.min(swipe.width, distance));
+    if (this._slides) {
+      this._slides.style.transform = getSlidesTransform(activeTabIndex, offset);
+    }
+  };
+
+  _handleTouchEnd = () => {
+    const swipe = this._swipe;
+    this._handleTouchCancel();
+    if (!swipe || !swipe.horizontal) {
+      return;
+    }
+
+    const { distance, width, time } = swipe;
+    const velocity = Math.abs(distance) / Math.max(1, Date.now() - time);
+    if (Math.abs(distance) < width * this.props.swipeThreshold && velocity < SWIPE_VELOCITY) {
+      return;
+    }
+
+    const activeTabIndex = getField(this.props, this.state, 'activeTabIndex');
+    const nextIndex = activeTabIndex + (distance < 0 ? 1 : -1);
+    if (nextIndex >= 0 && nextIndex < this._getTabCount()) {
+      this._handleSwipeChange(nextIndex);
+    }
+  };
+
+  _handleTouchCancel = () => {
+    this._swipe = null;
+    this._setSwipeListeners(false);
+    if (this.state.swiping) {
+      this.setState({ swiping: false }, this._resetSlides);
+    }
+  };
+
+  /**
+   * Moves the slides back to the active slide after swiping since the transform was updated
+   * outside of the render.
+   */
+  _resetSlides = () => {
+    if (this._slides) {
+      this._slides.style.transform = getSlidesTransform(getField(this.props, this.state, 'activeTabIndex'));
+    }
+  };
+
   _setContainer = (container) => {
     this._container = findDOMNode(container);
   };
 
+  _setContent = (content) => {
+    this._content = content;
+  };
+
+  _setSlides = (slides) => {
+    this._slides = slides;
+  };
+
   _resizePanel = () => {
     if (!this._container) {
       return;
@@ -256,12 +559,14 @@ export default class TabsContainer extends PureComponent {
 
     const activePanel = this._container.querySelector('.md-tab-panel[aria-hidden=false]');
     if (activePanel && this.state.panelHeight !== activePanel.offsetHeight) {
-      this.setState({ panelHeight: activePanel.offsetHeight });
+      this.setState({ panelHeight: activePanel.offsetHeight }, this._restoreScroll);
+    } else {
+      this._restoreScroll();
     }
   };
 
   render() {
-    const { panelHeight } = this.state;
+    const { panelHeight, swiping } = this.state;
     const {
       component: Component,
       style,
@@ -281,13 +586,19 @@ export default class TabsContainer extends PureComponent {
       colored,
       fixed,
       labelAndIcon,
-      swipeableViewsProps,
       themed,
       /* eslint-disable no-unused-vars */
       toolbar: propToolbar,
       activeTabIndex: propActiveTabeIndex,
       onTabChange,
       defaultTabIndex,
+      swipeDisabled,
+      swipeThreshold,
+      lazy,
+      keepAlive,
+      restoreScroll,
+      slideTransitionTimeout,
+      swipeableViewsProps,
       /* eslint-enable no-unused-vars */
       ...props
     } = this.props;
@@ -295,6 +606,12 @@ export default class TabsContainer extends PureComponent {
 
     const activeTabIndex = getField(this.props, this.state, 'activeTabIndex');
 
+    const baseSlideStyle = { [slideHeightProp]: panelHeight };
+    const mergedSlideStyle = {
+      ...baseSlideStyle,
+      ...(typeof slideStyle === 'function' ? slideStyle(baseSlideStyle, panelHeight) : slideStyle),
+    };
+
     const tabsEl = Children.only(children);
     const tabId = tabsEl.props.tabId;
     const content = Children.map(tabsEl.props.children, (tab, index) => {
@@ -302,18 +619,25 @@ export default class TabsContainer extends PureComponent {
         return tab;
       }
 
+      let tabChildren;
+      if (this._isPanelMounted(index, activeTabIndex)) {
+        tabChildren = tab.props.children;
+      }
+
       return (
-        <TabPanel
-          id={tab.props.controlsId || `${tabId}-panel-${index}`}
-          active={activeTabIndex === index}
-          style={panelStyle}
-          className={panelClassName}
-          component={panelComponent}
-          controlledById={tab.props.id || `${tabId}-${index}`}
-        >
-          <ResizeObserver watchHeight onResize={this._resizePanel} />
-          {tab.props.children}
-        </TabPanel>
+        <div className="md-tabs-slide" style={mergedSlideStyle}>
+          <TabPanel
+            id={tab.props.controlsId || `${tabId}-panel-${index}`}
+            active={activeTabIndex === index}
+            style={panelStyle}
+            className={panelClassName}
+            component={panelComponent}
+            controlledById={tab.props.id || `${tabId}-${index}`}
+          >
+            <ResizeObserver watchHeight onResize={this._resizePanel} />
+            {tabChildren}
+          </TabPanel>
+        </div>
       );
     });
 
@@ -352,8 +676,6 @@ export default class TabsContainer extends PureComponent {
       );
     }
 
-    const baseSlideStyle = { [slideHeightProp]: panelHeight };
-
     return (
       <Component
         style={style}
@@ -364,8 +686,8 @@ export default class TabsContainer extends PureComponent {
         {header}
         {header ? null : toolbar}
         {header ? null : tabs}
-        <SwipeableViews
-          {...swipeableViewsProps}
+        <div
+          ref={this._setContent}
           style={swipeableViewsStyle}
           className={cn('md-tabs-content', {
             'md-tabs-content--offset': !toolbar && !labelAndIcon && fixed,
@@ -375,15 +697,15 @@ export default class TabsContainer extends PureComponent {
             'md-tabs-content--offset-toolbar-icon': fixed && toolbar && labelAndIcon && !prominentToolbar,
             'md-tabs-content--offset-toolbar-prominent-icon': fixed && toolbar && labelAndIcon && prominentToolbar,
           }, swipeableViewsClassName)}
-          slideStyle={{
-            ...baseSlideStyle,
-            ...(typeof slideStyle === 'function' ? slideStyle(baseSlideStyle, panelHeight) : slideStyle),
-          }}
-          index={activeTabIndex}
-          onChangeIndex={this._handleSwipeChange}
         >
-          {content}
-        </SwipeableViews>
+          <div
+            ref={this._setSlides}
+            style={{ transform: getSlidesTransform(activeTabIndex) }}
+            className={cn('md-tabs-slides', { 'md-tabs-slides--swiping': swiping })}
+          >
+            {content}
+          </div>
+        </div>
       </Component>
     );
   }
@@ -0,0 +1,167 @@
+/* eslint-env jest */
+import React from 'react';
+import { mount } from 'enzyme';
+
+import TabsContainer from '../TabsContainer';
+import Tabs from '../Tabs';
+import Tab from '../Tab';
+import TabPanel from '../TabPanel';
+
+jest.useFakeTimers();
+
+const Content = ({ name }) => <div className="test-content">{name}</div>;
+Content.propTypes = { name: () => null };
+
+function renderTabs(props) {
+  return mount(
+    <TabsContainer {...props}>
+      <Tabs tabId="test-tab">
+        <Tab label="One"><Content name="one" /></Tab>
+        <Tab label="Two"><Content name="two" /></Tab>
+        <Tab label="Three"><Content name="three" /></Tab>
+      </Tabs>
+    </TabsContainer>
+  );
+}
+
+function getMounted(container) {
+  return container.find(Content).map(content => content.props().name);
+}
+
+function touch(clientX, clientY = 0) {
+  return { touches: [{ clientX, clientY }], preventDefault: jest.fn() };
+}
+
+function getTransform(container) {
+  return container.instance()._slides.style.transform;
+}
+
+function swipe(container, distance, vertical = 0) {
+  const instance = container.instance();
+  Object.defineProperty(instance._content, 'offsetWidth', { value: 400, configurable: true });
+  instance._handleTouchStart(touch(200));
+  const event = touch(200 + distance, vertical);
+  instance._handleTouchMove(event);
+  container.update();
+  return event;
+}
+
+describe('TabsContainer', () => {
+  const { now } = Date;
+  beforeEach(() => {
+    Date.now = jest.fn(() => 0);
+  });
+
+  afterEach(() => {
+    Date.now = now;
+  });
+
+  it('should render each tab\'s content in a slide and translate to the active slide', () => {
+    const container = renderTabs({ defaultTabIndex: 1 });
+    expect(container.find('.md-tabs-slide').length).toBe(3);
+    expect(container.find(TabPanel).map(panel => panel.props().active)).toEqual([false, true, false]);
+    expect(getMounted(container)).toEqual(['one', 'two', 'three']);
+    expect(container.find('.md-tabs-slides').props().style.transform).toBe('translate3d(-100%, 0, 0)');
+  });
+
+  it('should only mount the content of tabs that have been active when lazy', () => {
+    const container = renderTabs({ lazy: true });
+    expect(getMounted(container)).toEqual(['one']);
+    expect(container.find(TabPanel).length).toBe(3);
+
+    container.find('.md-tab').at(2).simulate('click');
+    expect(getMounted(container)).toEqual(['one', 'three']);
+
+    jest.runAllTimers();
+    container.find('.md-tab').at(0).simulate('click');
+    expect(getMounted(container)).toEqual(['one', 'three']);
+  });
+
+  it('should unmount the previous tab\'s content after the transition when keepAlive is disabled', () => {
+    const onTabChange = jest.fn();
+    const container = renderTabs({ keepAlive: false, activeTabIndex: 0, onTabChange });
+    expect(getMounted(container)).toEqual(['one']);
+
+    container.setProps({ activeTabIndex: 1 });
+    expect(getMounted(container)).toEqual(['one', 'two']);
+
+    jest.runAllTimers();
+    container.update();
+    expect(getMounted(container)).toEqual(['two']);
+  });
+
+  it('should change tabs when the content is swiped past the threshold', () => {
+    const onTabChange = jest.fn();
+    const container = renderTabs({ onTabChange, lazy: true, keepAlive: false });
+
+    Date.now.mockImplementation(() => 1000);
+    const event = swipe(container, -120);
+    expect(event.preventDefault).toBeCalled();
+    expect(container.state('swiping')).toBe(true);
+    expect(getMounted(container)).toEqual(['one', 'two']);
+    expect(container.find('.md-tabs-slides').hasClass('md-tabs-slides--swiping')).toBe(true);
+    expect(getTransform(container)).toBe('translate3d(0%, 0, 0) translate3d(-120px, 0, 0)');
+
+    container.instance()._handleTouchMove(touch(100));
+    expect(container.state('swiping')).toBe(true);
+    expect(getTransform(container)).toBe('translate3d(0%, 0, 0) translate3d(-100px, 0, 0)');
+
+    container.instance()._handleTouchEnd();
+    expect(onTabChange).toBeCalledWith(1, undefined, undefined, undefined, undefined);
+    expect(container.state('activeTabIndex')).toBe(1);
+    expect(container.state('swiping')).toBe(false);
+    expect(getTransform(container)).toBe('translate3d(-100%, 0, 0)');
+
+    swipe(container, 40);
+    Date.now.mockImplementation(() => 2000);
+    container.instance()._handleTouchEnd();
+    expect(container.state('activeTabIndex')).toBe(1);
+  });
+
+  it('should change tabs when the content is quickly flicked', () => {
+    const container = renderTabs({ defaultTabIndex: 1 });
+    swipe(container, 40);
+    Date.now.mockImplementation(() => 100);
+    container.instance()._handleTouchEnd();
+    expect(container.state('activeTabIndex')).toBe(0);
+  });
+
+  it('should resist swiping past the first and last tabs', () => {
+    const container = renderTabs();
+    swipe(container, 150);
+    expect(getTransform(container)).toBe('translate3d(0%, 0, 0) translate3d(50px, 0, 0)');
+
+    container.instance()._handleTouchEnd();
+    expect(container.state('activeTabIndex')).toBe(0);
+    expect(getTransform(container)).toBe('translate3d(0%, 0, 0)');
+  });
+
+  it('should ignore vertical scrolling and disabled swipes', () => {
+    const container = renderTabs();
+    const event = swipe(container, -20, 80);
+    expect(event.preventDefault).not.toBeCalled();
+    expect(container.state('swiping')).toBe(false);
+    container.instance()._handleTouchEnd();
+    expect(container.state('activeTabIndex')).toBe(0);
+
+    container.setProps({ swipeDisabled: true });
+    swipe(container, -200);
+    expect(container.state('swiping')).toBe(false);
+  });
+
+  it('should restore the scroll position of each slide when restoreScroll is enabled', () => {
+    const container = renderTabs({ restoreScroll: true });
+    const slides = container.instance()._slides.children;
+    slides[0].scrollTop = 120;
+
+    container.find('.md-tab').at(1).simulate('click');
+    expect(slides[1].scrollTop).toBe(0);
+
+    slides[1].scrollTop = 40;
+    container.find('.md-tab').at(0).simulate('click');
+    expect(slides[0].scrollTop).toBe(120);
+
+    container.find('.md-tab').at(1).simulate('click');
+    expect(slides[1].scrollTop).toBe(40);
+  });
+});
@@ -1,6 +1,7 @@
 export const LEFT_MOUSE = 0;
 export const RIGHT_MOUSE = 2;
 
+export const BACKSPACE = 8;
 export const TAB = 9;
 export const ENTER = 13;
 export const ESC = 27;
@@ -13,8 +14,10 @@ export const LEFT = 37;
 export const UP = 38;
 export const RIGHT = 39;
 export const DOWN = 40;
+export const DELETE = 46;
 
 export const ZERO = 48;
 export const NINE = 57;
 export const KEYPAD_ZERO = 96;
 export const KEYPAD_NINE = 105;
+export const F2 = 113;
@@ -27,13 +27,14 @@ import DataTable, {
   SelectFieldColumn,
   MenuButtonColumn,
   DropdownMenuColumn,
+  ColumnVisibilityMenu,
 } from './DataTables';
 import DialogContainer, { Dialog } from './Dialogs';
 import Divider from './Dividers';
 import Drawer from './Drawers';
 import { ExpansionPanel, ExpansionList } from './ExpansionPanels';
 import { SpeedDial } from './FABTransitions';
-import FileInput, { FileUpload } from './FileInputs';
+import FileInput, { FileUpload, FileDropzone, FileUploadList, ImageCropDialog } from './FileInputs';
 import FontIcon from './FontIcons';
 import {
   AccessibleFakeButton,
@@ -50,7 +51,7 @@ import Media, { MediaOverlay } from './Media';
 import Menu, { DropdownMenu, MenuButton } from './Menus';
 import NavigationDrawer, { CloseButton, JumpToContentLink } from './NavigationDrawers';
 import Paper from './Papers';
-import { DatePicker, TimePicker } from './Pickers';
+import { DatePicker, TimePicker, DateTimePicker } from './Pickers';
 import { CircularProgress, LinearProgress } from './Progress';
 import {
   SelectionControl,
@@ -99,6 +100,7 @@ export { TablePagination };
 export { SelectFieldColumn };
 export { MenuButtonColumn };
 export { DropdownMenuColumn };
+export { ColumnVisibilityMenu };
 export { DialogContainer };
 export { Dialog };
 export { Divider };
@@ -108,6 +110,9 @@ export { ExpansionPanel };
 export { SpeedDial };
 export { FileInput };
 export { FileUpload };
+export { FileDropzone };
+export { FileUploadList };
+export { ImageCropDialog };
 export { FontIcon };
 export { AccessibleFakeButton };
 export { AccessibleFakeInkedButton };
@@ -131,6 +136,7 @@ export { JumpToContentLink };
 export { Paper };
 export { DatePicker };
 export { TimePicker };
+export { DateTimePicker };
 export { CircularProgress };
 export { LinearProgress };
 export { SelectField };
@@ -187,6 +193,7 @@ export default {
   SelectFieldColumn,
   MenuButtonColumn,
   DropdownMenuColumn,
+  ColumnVisibilityMenu,
 
   DialogContainer,
   Dialog,
@@ -200,6 +207,9 @@ export default {
 
   FileInput,
   FileUpload,
+  FileDropzone,
+  FileUploadList,
+  ImageCropDialog,
 
   FontIcon,
   AccessibleFakeButton,
@@ -231,6 +241,7 @@ export default {
 
   DatePicker,
   TimePicker,
+  DateTimePicker,
 
   CircularProgress,
   LinearProgress,
@@ -28,4 +28,16 @@ describe('extractTimeParts', () => {
     expect(enTimePeriod).toBe('AM');
     expect(dkTimePeriod).toBe(undefined);
   });
+
+  it('extracts the seconds including the separator when they are included', () => {
+    const time = new Date(2016, 3, 2, 15, 32, 9);
+    expect(extractTimeParts(DateTimeFormat, 'en-US', time, true)).toEqual({
+      hours: '3',
+      minutes: ':32',
+      seconds: ':09',
+      timePeriod: 'PM',
+    });
+    expect(extractTimeParts(DateTimeFormat, 'da-DK', time, true).seconds).toBe('.09');
+    expect(extractTimeParts(DateTimeFormat, 'en-US', time).seconds).toBe(undefined);
+  });
 });
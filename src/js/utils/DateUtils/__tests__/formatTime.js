@@ -14,4 +14,16 @@ describe('formatTime', () => {
     expect(formatTime(DateTimeFormat, 'en-US', fifteenThirtyTwo)).toBe('3:32 PM');
     expect(formatTime(DateTimeFormat, 'da-DK', fifteenThirtyTwo)).toBe('15.32');
   });
+
+  it('includes the seconds when the seconds argument is true', () => {
+    const time = new Date(2016, 3, 2, 15, 32, 9);
+    expect(formatTime(DateTimeFormat, 'en-US', time, true)).toBe('3:32:09 PM');
+    expect(formatTime(DateTimeFormat, 'da-DK', time, true)).toBe('15.32.09');
+  });
+
+  it('formats the time in the time zone when provided', () => {
+    const time = new Date(Date.UTC(2016, 3, 2, 15, 32));
+    expect(formatTime(DateTimeFormat, 'en-US', time, false, 'UTC')).toBe('3:32 PM');
+    expect(formatTime(DateTimeFormat, 'da-DK', time, false, 'UTC')).toBe('15.32');
+  });
 });
@@ -0,0 +1,34 @@
+/* eslint-env jest */
+import fromTimeZone from '../fromTimeZone';
+import toTimeZone from '../toTimeZone';
+import { DateTimeFormat } from 'intl';
+
+describe('fromTimeZone', () => {
+  it('should return a copy of the date when there is no time zone', () => {
+    const date = new Date(2017, 2, 17, 2, 30);
+    const result = fromTimeZone(DateTimeFormat, date);
+    expect(result).toEqual(date);
+    expect(result).not.toBe(date);
+  });
+
+  it('should create the UTC date for the local day and time', () => {
+    const date = new Date(2017, 2, 17, 2, 30, 15);
+    expect(fromTimeZone(DateTimeFormat, date, 'UTC').toISOString()).toBe('2017-03-17T02:30:15.000Z');
+  });
+
+  it('should create the date for the day and time in the time zone', () => {
+    const { DateTimeFormat: IntlDateTimeFormat } = global.Intl;
+    const summer = new Date(2017, 2, 16, 22, 30);
+    const winter = new Date(2017, 0, 15, 9);
+    expect(fromTimeZone(IntlDateTimeFormat, summer, 'America/New_York').toISOString()).toBe('2017-03-17T02:30:00.000Z');
+    expect(fromTimeZone(IntlDateTimeFormat, winter, 'America/New_York').toISOString()).toBe('2017-01-15T14:00:00.000Z');
+    expect(fromTimeZone(IntlDateTimeFormat, winter, 'Asia/Tokyo').toISOString()).toBe('2017-01-15T00:00:00.000Z');
+  });
+
+  it('should be the inverse of the toTimeZone function', () => {
+    const { DateTimeFormat: IntlDateTimeFormat } = global.Intl;
+    const date = new Date(Date.UTC(2017, 10, 5, 4, 15));
+    const wall = toTimeZone(IntlDateTimeFormat, date, 'Europe/London');
+    expect(fromTimeZone(IntlDateTimeFormat, wall, 'Europe/London')).toEqual(date);
+  });
+});
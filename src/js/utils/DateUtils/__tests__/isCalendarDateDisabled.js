@@ -0,0 +1,37 @@
+/* eslint-env jest */
+import isCalendarDateDisabled from '../isCalendarDateDisabled';
+
+describe('isCalendarDateDisabled', () => {
+  const date = new Date(2016, 2, 10);
+
+  it('should return false when there are no options', () => {
+    expect(isCalendarDateDisabled(date)).toBe(false);
+  });
+
+  it('should disable dates outside of the min and max dates', () => {
+    expect(isCalendarDateDisabled(date, { minDate: new Date(2016, 2, 11) })).toBe(true);
+    expect(isCalendarDateDisabled(date, { maxDate: new Date(2016, 2, 9) })).toBe(true);
+    expect(isCalendarDateDisabled(date, { minDate: date, maxDate: date })).toBe(false);
+  });
+
+  it('should disable weekends when the disableWeekEnds option is enabled', () => {
+    expect(isCalendarDateDisabled(new Date(2016, 2, 12), { disableWeekEnds: true })).toBe(true);
+    expect(isCalendarDateDisabled(new Date(2016, 2, 13), { disableWeekEnds: true })).toBe(true);
+    expect(isCalendarDateDisabled(date, { disableWeekEnds: true })).toBe(false);
+  });
+
+  it('should disable dates that do not fit within the range days while a range is pending', () => {
+    const options = { rangeStart: new Date(2016, 2, 8), minRangeDays: 4, maxRangeDays: 5 };
+    expect(isCalendarDateDisabled(date, options)).toBe(false);
+    expect(isCalendarDateDisabled(date, { ...options, rangePending: true })).toBe(true);
+    expect(isCalendarDateDisabled(new Date(2016, 2, 11), { ...options, rangePending: true })).toBe(false);
+    expect(isCalendarDateDisabled(new Date(2016, 2, 13), { ...options, rangePending: true })).toBe(true);
+  });
+
+  it('should call the isDateDisabled option with a copy of the date', () => {
+    const isDateDisabled = jest.fn(() => true);
+    expect(isCalendarDateDisabled(date, { isDateDisabled })).toBe(true);
+    expect(isDateDisabled.mock.calls[0][0]).toEqual(date);
+    expect(isDateDisabled.mock.calls[0][0]).not.toBe(date);
+  });
+});
@@ -0,0 +1,35 @@
+/* eslint-env jest */
+import isDateRangeDisabled from '../isDateRangeDisabled';
+
+describe('isDateRangeDisabled', () => {
+  const start = new Date(2016, 2, 8);
+  const end = new Date(2016, 2, 10);
+
+  it('should return false for a valid range when there are no options', () => {
+    expect(isDateRangeDisabled(start, end)).toBe(false);
+    expect(isDateRangeDisabled(start, start)).toBe(false);
+  });
+
+  it('should disable ranges that end before they start', () => {
+    expect(isDateRangeDisabled(end, start)).toBe(true);
+  });
+
+  it('should disable ranges that do not fit within the min and max range days', () => {
+    expect(isDateRangeDisabled(start, end, { minRangeDays: 3, maxRangeDays: 3 })).toBe(false);
+    expect(isDateRangeDisabled(start, end, { minRangeDays: 4 })).toBe(true);
+    expect(isDateRangeDisabled(start, end, { maxRangeDays: 2 })).toBe(true);
+  });
+
+  it('should disable ranges that start or end on a disabled date', () => {
+    expect(isDateRangeDisabled(start, end, { minDate: new Date(2016, 2, 9) })).toBe(true);
+    expect(isDateRangeDisabled(start, end, { maxDate: new Date(2016, 2, 9) })).toBe(true);
+    expect(isDateRangeDisabled(start, end, { isDateDisabled: date => date.getDate() === 10 })).toBe(true);
+    expect(isDateRangeDisabled(start, end, { isDateDisabled: date => date.getDate() === 11 })).toBe(false);
+  });
+
+  it('should disable ranges that contain a disabled date', () => {
+    expect(isDateRangeDisabled(start, end, { isDateDisabled: date => date.getDate() === 9 })).toBe(true);
+    expect(isDateRangeDisabled(new Date(2016, 2, 11), new Date(2016, 2, 14), { disableWeekEnds: true })).toBe(true);
+    expect(isDateRangeDisabled(new Date(2016, 2, 14), new Date(2016, 2, 18), { disableWeekEnds: true })).toBe(false);
+  });
+});
@@ -0,0 +1,35 @@
+/* eslint-env jest */
+import isTimeDisabled, { getSecondsOfDay } from '../isTimeDisabled';
+
+const minTime = new Date(2000, 0, 1, 9, 30);
+const maxTime = new Date(2000, 0, 1, 17, 15, 30);
+
+describe('getSecondsOfDay', () => {
+  it('should return the number of seconds since midnight', () => {
+    expect(getSecondsOfDay(new Date(2017, 5, 5))).toBe(0);
+    expect(getSecondsOfDay(new Date(2017, 5, 5, 1, 1, 1))).toBe(3661);
+  });
+});
+
+describe('isTimeDisabled', () => {
+  it('should return false when there are no min or max times', () => {
+    expect(isTimeDisabled(new Date(2017, 5, 5, 3))).toBe(false);
+  });
+
+  it('should only compare the time of day', () => {
+    expect(isTimeDisabled(new Date(1990, 5, 5, 12), { minTime, maxTime })).toBe(false);
+    expect(isTimeDisabled(new Date(2050, 5, 5, 9, 29), { minTime, maxTime })).toBe(true);
+    expect(isTimeDisabled(new Date(2050, 5, 5, 17, 15, 31), { minTime, maxTime })).toBe(true);
+  });
+
+  it('should keep an hour or minute enabled when part of it is within the range', () => {
+    const nine = new Date(2017, 5, 5, 9);
+    expect(isTimeDisabled(nine, { minTime })).toBe(true);
+    expect(isTimeDisabled(nine, { minTime }, 'minute')).toBe(true);
+    expect(isTimeDisabled(nine, { minTime }, 'hour')).toBe(false);
+    expect(isTimeDisabled(new Date(2017, 5, 5, 8, 59), { minTime }, 'hour')).toBe(true);
+
+    expect(isTimeDisabled(new Date(2017, 5, 5, 17, 15, 45), { maxTime }, 'minute')).toBe(false);
+    expect(isTimeDisabled(new Date(2017, 5, 5, 17, 16), { maxTime }, 'minute')).toBe(true);
+  });
+});
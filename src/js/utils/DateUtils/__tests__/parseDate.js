@@ -0,0 +1,61 @@
+/* eslint-env jest */
+import parseDate, { getDatePartOrder } from '../parseDate';
+import DateTimeFormat from '../DateTimeFormat';
+
+describe('getDatePartOrder', () => {
+  it('should return the order of the date parts for the locales', () => {
+    expect(getDatePartOrder(DateTimeFormat, 'en-US')).toEqual(['month', 'day', 'year']);
+    expect(getDatePartOrder(DateTimeFormat, 'de-DE')).toEqual(['day', 'month', 'year']);
+    expect(getDatePartOrder(DateTimeFormat, 'ja-JP')).toEqual(['year', 'month', 'day']);
+  });
+
+  it('should only include the parts in the format options', () => {
+    expect(getDatePartOrder(DateTimeFormat, 'en-US', { month: 'long', day: 'numeric' })).toEqual(['month', 'day']);
+  });
+
+  it('should only create a DateTimeFormat once for each locale', () => {
+    const format = jest.fn((locales, options) => new DateTimeFormat(locales, options));
+    expect(getDatePartOrder(format, 'de-DE')).toEqual(['day', 'month', 'year']);
+    expect(getDatePartOrder(format, 'de-DE')).toEqual(['day', 'month', 'year']);
+    expect(format.mock.calls.length).toBe(1);
+
+    expect(getDatePartOrder(format, 'en-US')).toEqual(['month', 'day', 'year']);
+    expect(format.mock.calls.length).toBe(2);
+  });
+});
+
+describe('parseDate', () => {
+  it('should parse numeric dates in the order of the locales', () => {
+    expect(parseDate('3/17/2016', DateTimeFormat, 'en-US')).toEqual(new Date(2016, 2, 17));
+    expect(parseDate('17.3.2016', DateTimeFormat, 'de-DE')).toEqual(new Date(2016, 2, 17));
+    expect(parseDate('2016-03-17', DateTimeFormat, 'ja-JP')).toEqual(new Date(2016, 2, 17));
+    expect(parseDate('3/17/16', DateTimeFormat, 'en-US')).toEqual(new Date(2016, 2, 17));
+  });
+
+  it('should parse month names', () => {
+    expect(parseDate('Mar 17, 2016', DateTimeFormat, 'en-US')).toEqual(new Date(2016, 2, 17));
+    expect(parseDate('Thursday, March 17, 2016', DateTimeFormat, 'en-US')).toEqual(new Date(2016, 2, 17));
+    expect(parseDate('17 März 2016', DateTimeFormat, 'de-DE')).toEqual(new Date(2016, 2, 17));
+  });
+
+  it('should use the current year when the format options do not include a year', () => {
+    const formatOptions = { month: 'long', day: 'numeric' };
+    const year = new Date().getFullYear();
+    expect(parseDate('March 17', DateTimeFormat, 'en-US', formatOptions)).toEqual(new Date(year, 2, 17));
+  });
+
+  it('should use the first day of the month when the format options do not include a day', () => {
+    const formatOptions = { month: 'long', year: 'numeric' };
+    expect(parseDate('March 2016', DateTimeFormat, 'en-US', formatOptions)).toEqual(new Date(2016, 2, 1));
+    expect(parseDate('3/2016', DateTimeFormat, 'en-US', formatOptions)).toEqual(new Date(2016, 2, 1));
+    expect(parseDate('3/2016', DateTimeFormat, 'en-US')).toBe(null);
+  });
+
+  it('should return null for invalid dates', () => {
+    expect(parseDate('', DateTimeFormat, 'en-US')).toBe(null);
+    expect(parseDate('hello', DateTimeFormat, 'en-US')).toBe(null);
+    expect(parseDate('3/17', DateTimeFormat, 'en-US')).toBe(null);
+    expect(parseDate('2/30/2016', DateTimeFormat, 'en-US')).toBe(null);
+    expect(parseDate('13/1/2016', DateTimeFormat, 'en-US')).toBe(null);
+  });
+});
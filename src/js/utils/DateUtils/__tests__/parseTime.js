@@ -0,0 +1,34 @@
+/* eslint-env jest */
+import parseTime from '../parseTime';
+
+const date = new Date(2017, 0, 1, 8, 20, 10);
+
+describe('parseTime', () => {
+  it('should parse 24 hour times', () => {
+    expect(parseTime('15:15', date)).toEqual(new Date(2017, 0, 1, 15, 15));
+    expect(parseTime('0.05', date)).toEqual(new Date(2017, 0, 1, 0, 5));
+    expect(parseTime('15:15:30', date)).toEqual(new Date(2017, 0, 1, 15, 15, 30));
+    expect(parseTime('9', date)).toEqual(new Date(2017, 0, 1, 9));
+  });
+
+  it('should parse times with a time period', () => {
+    expect(parseTime('3:15 PM', date)).toEqual(new Date(2017, 0, 1, 15, 15));
+    expect(parseTime('3:15pm', date)).toEqual(new Date(2017, 0, 1, 15, 15));
+    expect(parseTime('12:00 a.m.', date)).toEqual(new Date(2017, 0, 1, 0, 0));
+    expect(parseTime('12 PM', date)).toEqual(new Date(2017, 0, 1, 12, 0));
+  });
+
+  it('should not modify the provided date', () => {
+    parseTime('3:15 PM', date);
+    expect(date).toEqual(new Date(2017, 0, 1, 8, 20, 10));
+  });
+
+  it('should return null for invalid times', () => {
+    expect(parseTime('', date)).toBe(null);
+    expect(parseTime('hello', date)).toBe(null);
+    expect(parseTime('24:00', date)).toBe(null);
+    expect(parseTime('13:00 PM', date)).toBe(null);
+    expect(parseTime('0:30 AM', date)).toBe(null);
+    expect(parseTime('3:60', date)).toBe(null);
+  });
+});
@@ -0,0 +1,20 @@
+/* eslint-env jest */
+import { lastDays, thisMonth } from '../rangePresets';
+
+describe('rangePresets', () => {
+  const today = new Date();
+
+  it('should create a range for the last days that includes today', () => {
+    const preset = lastDays(7, 'Last 7 days');
+    expect(preset.label).toBe('Last 7 days');
+    expect(preset.endDate).toEqual(new Date(today.getFullYear(), today.getMonth(), today.getDate()));
+    expect(preset.startDate).toEqual(new Date(today.getFullYear(), today.getMonth(), today.getDate() - 6));
+  });
+
+  it('should create a range for the current month', () => {
+    const preset = thisMonth('This month');
+    expect(preset.label).toBe('This month');
+    expect(preset.startDate).toEqual(new Date(today.getFullYear(), today.getMonth(), 1));
+    expect(preset.endDate).toEqual(new Date(today.getFullYear(), today.getMonth() + 1, 0));
+  });
+});
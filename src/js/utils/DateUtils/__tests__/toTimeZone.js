@@ -0,0 +1,38 @@
+/* eslint-env jest */
+import toTimeZone, { isUTC } from '../toTimeZone';
+import { DateTimeFormat } from 'intl';
+
+const date = new Date(Date.UTC(2017, 2, 17, 2, 30, 15));
+describe('isUTC', () => {
+  it('should return true for the UTC time zone names', () => {
+    expect(isUTC('UTC')).toBe(true);
+    expect(isUTC('utc')).toBe(true);
+    expect(isUTC('Etc/UTC')).toBe(true);
+    expect(isUTC('GMT')).toBe(true);
+    expect(isUTC('America/New_York')).toBe(false);
+  });
+});
+
+describe('toTimeZone', () => {
+  it('should return a copy of the date when there is no time zone', () => {
+    const result = toTimeZone(DateTimeFormat, date);
+    expect(result).toEqual(date);
+    expect(result).not.toBe(date);
+  });
+
+  it('should create a local date with the UTC day and time', () => {
+    expect(toTimeZone(DateTimeFormat, date, 'UTC')).toEqual(new Date(2017, 2, 17, 2, 30, 15));
+  });
+
+  it('should create a local date with the day and time in the time zone', () => {
+    const { DateTimeFormat: IntlDateTimeFormat } = global.Intl;
+    expect(toTimeZone(IntlDateTimeFormat, date, 'America/New_York')).toEqual(new Date(2017, 2, 16, 22, 30, 15));
+    expect(toTimeZone(IntlDateTimeFormat, date, 'Asia/Tokyo')).toEqual(new Date(2017, 2, 17, 11, 30, 15));
+  });
+
+  it('should use 0 for midnight instead of 24', () => {
+    const { DateTimeFormat: IntlDateTimeFormat } = global.Intl;
+    const midnight = new Date(Date.UTC(2017, 0, 15, 5));
+    expect(toTimeZone(IntlDateTimeFormat, midnight, 'America/New_York')).toEqual(new Date(2017, 0, 15));
+  });
+});
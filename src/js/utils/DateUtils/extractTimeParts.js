@@ -2,30 +2,41 @@
 import formatTime from './formatTime';
 
 /**
- * Extracts the hours, minutes, and optional time period from
+ * Extracts the hours, minutes, optional seconds, and optional time period from
  * a date time.
  *
  * @param {function} DateTimeFormat the DateTimeFormat function to use.
  * @param {string|string[]} locales the locales to use.
  * @param {Date} time the time to extract from.
- * @return {Object} an object of { hours, minutes, timePeriod }
+ * @param {boolean=} includeSeconds boolean if the seconds should also be extracted.
+ * @return {Object} an object of { hours, minutes, seconds, timePeriod }
  */
-export default function extractTimeParts(DateTimeFormat, locales, time) {
-  const formatted = formatTime(DateTimeFormat, locales, time);
+export default function extractTimeParts(DateTimeFormat, locales, time, includeSeconds = false) {
+  const formatted = formatTime(DateTimeFormat, locales, time, includeSeconds);
 
   // IE does not like lookaheads or splitting on [^0-9]
   // it will include the non-printable characters..
-  const [hours, minutes] = formatted.match(/[0-9]+/g);
+  const [hours, minutes, seconds] = formatted.match(/[0-9]+/g);
   const [separator, ...remaining] = formatted.match(/[ ,.:A-z]+/g);
+  let secondsSeparator;
+  if (includeSeconds) {
+    secondsSeparator = remaining.shift();
+  }
+
   let timePeriod;
   if (remaining && remaining.length) {
     timePeriod = remaining.join('').trim();
   }
 
-  return {
+  const parts = {
     hours,
     minutes: separator + minutes,
     timePeriod,
   };
-}
 
+  if (includeSeconds) {
+    parts.seconds = secondsSeparator + seconds;
+  }
+
+  return parts;
+}
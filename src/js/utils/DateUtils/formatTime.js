@@ -6,8 +6,19 @@
  * @param {function} DateTimeFormat the DateTimeFormat function to use.
  * @param {string|string[]} locales the locales to use.
  * @param {Date} time the time to format into a string.
+ * @param {boolean=} seconds boolean if the seconds should also be formatted.
+ * @param {string=} timeZone an optional time zone to format the time in.
  * @return a string of the formatted time.
  */
-export default function formatTime(DateTimeFormat, locales, time) {
-  return new DateTimeFormat(locales, { hour: 'numeric', minute: '2-digit' }).format(time);
+export default function formatTime(DateTimeFormat, locales, time, seconds = false, timeZone) {
+  const options = { hour: 'numeric', minute: '2-digit' };
+  if (seconds) {
+    options.second = '2-digit';
+  }
+
+  if (timeZone) {
+    options.timeZone = timeZone;
+  }
+
+  return new DateTimeFormat(locales, options).format(time);
 }
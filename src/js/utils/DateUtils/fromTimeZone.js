@@ -0,0 +1,56 @@
+/** @module utils/DateUtils/fromTimeZone */
+import toTimeZone, { isUTC } from './toTimeZone';
+
+/**
+ * Gets the time of a date as if its local year, month, day, and time were in UTC.
+ *
+ * @param {Date} date - the date to use.
+ * @return {number} the time in milliseconds.
+ */
+function getWallTime(date) {
+  return Date.UTC(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate(),
+    date.getHours(),
+    date.getMinutes(),
+    date.getSeconds(),
+    date.getMilliseconds()
+  );
+}
+
+/**
+ * This is the inverse of the `toTimeZone` function. It will take a date in the browser's
+ * local time zone that represents a year, month, day, and time in the provided time zone
+ * and create the actual date for that time zone.
+ *
+ * ```js
+ * fromTimeZone(DateTimeFormat, new Date(2017, 2, 17, 2, 30), 'UTC'); // 2017-03-17T02:30:00Z
+ * fromTimeZone(DateTimeFormat, new Date(2017, 2, 16, 22, 30), 'America/New_York'); // 2017-03-17T02:30:00Z
+ * ```
+ *
+ * @param {function} DateTimeFormat - the DateTimeFormat function to use. This must support the
+ *      `timeZone` option for any time zone other than UTC.
+ * @param {Date} date - the date to convert.
+ * @param {string=} timeZone - the IANA time zone name the date represents. When this is omitted,
+ *      a copy of the date will be returned.
+ * @return {Date} the actual date.
+ */
+export default function fromTimeZone(DateTimeFormat, date, timeZone) {
+  if (!timeZone) {
+    return new Date(date);
+  }
+
+  const wallTime = getWallTime(date);
+  if (isUTC(timeZone)) {
+    return new Date(wallTime);
+  }
+
+  const getOffset = time => getWallTime(toTimeZone(DateTimeFormat, new Date(time), timeZone)) - time;
+
+  // The offset is checked again with the first guess in case it crosses a daylight savings change
+  let time = wallTime - getOffset(wallTime);
+  time = wallTime - getOffset(time);
+
+  return new Date(time);
+}
@@ -0,0 +1,46 @@
+/** @module utils/DateUtils/isCalendarDateDisabled */
+import stripTime from './stripTime';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks if a date in the `DatePicker`'s calendar should be disabled. A date is disabled
+ * when it is outside of the min and max dates, it is a weekend while weekends are disabled,
+ * it does not fit within the min and max range days of a pending range, or the `isDateDisabled`
+ * function returns true.
+ *
+ * @param {Date} date - the date to check. This should not have any time.
+ * @param {Object} options - an object containing the optional `minDate`, `maxDate`,
+ *      `disableWeekEnds`, `isDateDisabled`, `rangeStart`, `rangePending`, `minRangeDays`,
+ *      and `maxRangeDays` to check against.
+ * @return {boolean} true if the date should be disabled.
+ */
+export default function isCalendarDateDisabled(date, {
+  minDate,
+  maxDate,
+  disableWeekEnds,
+  isDateDisabled,
+  rangeStart,
+  rangePending,
+  minRangeDays,
+  maxRangeDays,
+} = {}) {
+  const time = date.getTime();
+  if ((minDate && minDate.getTime() > time) || (maxDate && maxDate.getTime() < time)) {
+    return true;
+  }
+
+  if (disableWeekEnds && (date.getDay() === 0 || date.getDay() === 6)) {
+    return true;
+  }
+
+  const startTime = rangePending && rangeStart ? stripTime(rangeStart).getTime() : null;
+  if (startTime !== null && time > startTime) {
+    const span = Math.round((time - startTime) / DAY) + 1;
+    if ((minRangeDays && span < minRangeDays) || (maxRangeDays && span > maxRangeDays)) {
+      return true;
+    }
+  }
+
+  return !!isDateDisabled && !!isDateDisabled(new Date(date));
+}
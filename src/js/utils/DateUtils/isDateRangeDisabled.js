@@ -0,0 +1,40 @@
+/** @module utils/DateUtils/isDateRangeDisabled */
+import addDate from './addDate';
+import stripTime from './stripTime';
+import isCalendarDateDisabled from './isCalendarDateDisabled';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks if a range of dates can not be selected in the `DatePicker`. A range is disabled
+ * when it ends before it starts, any date within the range is disabled in the calendar, or the
+ * number of days in the range does not fit within the min and max range days.
+ *
+ * @param {Date} startDate - the start date of the range.
+ * @param {Date} endDate - the end date of the range.
+ * @param {Object} options - an object containing the optional `minDate`, `maxDate`,
+ *      `disableWeekEnds`, `isDateDisabled`, `minRangeDays`, and `maxRangeDays` to check against.
+ * @return {boolean} true if the range should be disabled.
+ */
+export default function isDateRangeDisabled(startDate, endDate, options = {}) {
+  const start = stripTime(startDate);
+  const end = stripTime(endDate);
+  if (!start || !end || end < start) {
+    return true;
+  }
+
+  const { minRangeDays, maxRangeDays } = options;
+  const span = Math.round((end.getTime() - start.getTime()) / DAY) + 1;
+  if ((minRangeDays && span < minRangeDays) || (maxRangeDays && span > maxRangeDays)) {
+    return true;
+  }
+
+  const dateOptions = { ...options, rangeStart: null, rangePending: false };
+  for (let date = start; date <= end; date = addDate(date, 1, 'D')) {
+    if (isCalendarDateDisabled(date, dateOptions)) {
+      return true;
+    }
+  }
+
+  return false;
+}
@@ -0,0 +1,37 @@
+/** @module utils/DateUtils/isTimeDisabled */
+
+const PRECISIONS = { hour: 3600, minute: 60, second: 1 };
+
+/**
+ * Gets the number of seconds since midnight for a date.
+ *
+ * @param {Date} date - the date to get the time of day for.
+ * @return {number} the number of seconds since midnight.
+ */
+export function getSecondsOfDay(date) {
+  return date.getHours() * 3600 + date.getMinutes() * 60 + date.getSeconds();
+}
+
+/**
+ * Checks if a time should be disabled because it is outside of the `minTime` and
+ * `maxTime`. Only the time of day of each date is compared. The precision is used
+ * so that an hour or minute stays enabled as long as part of it is within the range.
+ *
+ * ```js
+ * const minTime = new Date(2017, 0, 1, 9, 30);
+ * isTimeDisabled(new Date(2017, 5, 5, 9, 0), { minTime }); // true
+ * isTimeDisabled(new Date(2017, 5, 5, 9, 0), { minTime }, 'hour'); // false
+ * ```
+ *
+ * @param {Date} time - the time to check.
+ * @param {Object} options - an object containing the optional `minTime` and `maxTime`.
+ * @param {string=} precision - one of `'hour'`, `'minute'`, or `'second'`.
+ * @return {boolean} true if the time should be disabled.
+ */
+export default function isTimeDisabled(time, { minTime, maxTime } = {}, precision = 'second') {
+  const size = PRECISIONS[precision] || 1;
+  const start = Math.floor(getSecondsOfDay(time) / size) * size;
+  const end = start + size - 1;
+
+  return !!(minTime && end < getSecondsOfDay(minTime)) || !!(maxTime && start > getSecondsOfDay(maxTime));
+}
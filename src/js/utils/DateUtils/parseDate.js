@@ -0,0 +1,185 @@
+/** @module utils/DateUtils/parseDate */
+/* eslint-disable new-cap */
+
+const DATE_PARTS = ['month', 'day', 'year'];
+const SAMPLE_DATE = new Date(2222, 10, 30);
+const SAMPLE_VALUES = { year: '2222', month: '11', day: '30' };
+const TEXT_MONTH_FORMATS = ['long', 'short'];
+
+let cachedDateTimeFormat = null;
+let cache = {};
+
+/**
+ * Gets a value that was created with the `DateTimeFormat` for a key so that the formatters
+ * are not recreated each time a value is typed. The cache is cleared whenever a different
+ * `DateTimeFormat` function is used.
+ *
+ * @param {function} DateTimeFormat - the DateTimeFormat function the value is created with.
+ * @param {string} key - the key for the value.
+ * @param {function} create - a function that creates the value when it is not cached.
+ * @return {*} the cached value.
+ */
+function getCached(DateTimeFormat, key, create) {
+  if (cachedDateTimeFormat !== DateTimeFormat) {
+    cachedDateTimeFormat = DateTimeFormat;
+    cache = {};
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(cache, key)) {
+    cache[key] = create();
+  }
+
+  return cache[key];
+}
+
+/**
+ * Gets the order that the day, month, and year are displayed in for the locales. This
+ * is done by formatting a sample date with numeric parts and checking where each part
+ * appears in the result. Any part that can not be found will use the `month/day/year` order.
+ * The order is cached for each locale.
+ *
+ * @param {function} DateTimeFormat - the DateTimeFormat function to format with.
+ * @param {string|Array.<string>} locales - the locales to format with.
+ * @param {Object} formatOptions - the options the date is formatted with.
+ * @return {Array.<string>} the ordered list of `'day'`, `'month'`, and `'year'` parts that
+ *      are displayed with the format options.
+ */
+export function getDatePartOrder(DateTimeFormat, locales, formatOptions = {}) {
+  let parts = DATE_PARTS.filter(part => !!formatOptions[part]);
+  if (!parts.length) {
+    parts = DATE_PARTS;
+  }
+
+  const order = getCached(DateTimeFormat, `order:${locales}:${parts}`, () => {
+    const options = parts.reduce((opts, part) => ({ ...opts, [part]: 'numeric' }), {});
+
+    const formatted = DateTimeFormat(locales, options).format(SAMPLE_DATE) || '';
+    const indexes = {};
+    parts.forEach((part, i) => {
+      const index = formatted.indexOf(SAMPLE_VALUES[part]);
+      indexes[part] = index === -1 ? formatted.length + i : index;
+    });
+
+    return parts.slice().sort((a, b) => indexes[a] - indexes[b]);
+  });
+
+  return order.slice();
+}
+
+/**
+ * Creates a list of the lowercased month names for the locales so that months typed
+ * as text can be parsed.
+ *
+ * @param {function} DateTimeFormat - the DateTimeFormat function to format with.
+ * @param {string|Array.<string>} locales - the locales to format with.
+ * @return {Array.<Array.<string>>} a list of the long and short names for each month.
+ */
+function getMonthNames(DateTimeFormat, locales) {
+  return getCached(DateTimeFormat, `months:${locales}`, () => {
+    const formatters = TEXT_MONTH_FORMATS.map(month => DateTimeFormat(locales, { month }));
+    const months = [];
+    for (let i = 0; i < 12; i += 1) {
+      const date = new Date(2000, i, 1);
+      months.push(formatters.map(formatter => `${formatter.format(date) || ''}`.toLowerCase().replace(/\.$/, '')));
+    }
+
+    return months;
+  });
+}
+
+/**
+ * Attempts to find the month that some text matches. The text can be the full month name or
+ * any prefix of at least 3 letters.
+ *
+ * @param {string} text - the text to match.
+ * @param {Array.<Array.<string>>} months - the list of month names.
+ * @return {number} the month number starting at 1 or -1 if the text is not a month.
+ */
+function findMonth(text, months) {
+  const name = text.toLowerCase();
+  for (let i = 0; i < months.length; i += 1) {
+    if (months[i].some(month => !!month && (month === name || (name.length >= 3 && month.indexOf(name) === 0)))) {
+      return i + 1;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Parses a date string that was typed by a user for the locales. The day, month, and year
+ * are expected to be in the same order that the `DateTimeFormat` would display them with the
+ * `formatOptions`, and can be separated by any spaces, commas, periods, slashes, or hyphens.
+ * Months can also be typed by name. Any text that is not a month name will be ignored so that
+ * weekdays and date suffixes can be typed.
+ *
+ * When the format options do not include a year, the current year will be used. When they
+ * include a month without a day, the first day of the month will be used. Two-digit years
+ * will be in the 2000s.
+ *
+ * ```js
+ * parseDate('3/17/2016', DateTimeFormat, 'en-US'); // new Date(2016, 2, 17)
+ * parseDate('17.3.2016', DateTimeFormat, 'de-DE'); // new Date(2016, 2, 17)
+ * parseDate('Mar 17, 2016', DateTimeFormat, 'en-US'); // new Date(2016, 2, 17)
+ * parseDate('2/30/2016', DateTimeFormat, 'en-US'); // null
+ * ```
+ *
+ * @param {string} value - the value to parse.
+ * @param {function} DateTimeFormat - the DateTimeFormat function to format with.
+ * @param {string|Array.<string>} locales - the locales to parse with.
+ * @param {Object=} formatOptions - the options the date is formatted with.
+ * @return {Date} the parsed date or null if the value is not a valid date.
+ */
+export default function parseDate(value, DateTimeFormat, locales, formatOptions = {}) {
+  const tokens = `${value || ''}`.match(/\d+|[^\d\s.,/-]+/g);
+  if (!tokens) {
+    return null;
+  }
+
+  let order = getDatePartOrder(DateTimeFormat, locales, formatOptions);
+  const parts = {};
+  const numbers = [];
+  let months;
+  tokens.forEach((token) => {
+    if (/^\d+$/.test(token)) {
+      numbers.push(token);
+      return;
+    }
+
+    months = months || getMonthNames(DateTimeFormat, locales);
+    const month = findMonth(token, months);
+    if (month !== -1 && typeof parts.month === 'undefined') {
+      parts.month = month;
+    }
+  });
+
+  if (typeof parts.month !== 'undefined') {
+    order = order.filter(part => part !== 'month');
+  }
+
+  if (numbers.length !== order.length) {
+    return null;
+  }
+
+  order.forEach((part, i) => {
+    parts[part] = parseInt(numbers[i], 10);
+    if (part === 'year' && numbers[i].length <= 2) {
+      parts.year += 2000;
+    }
+  });
+
+  const { month } = parts;
+  const day = typeof parts.day === 'undefined' && formatOptions.month && !formatOptions.day ? 1 : parts.day;
+  const year = typeof parts.year === 'undefined' ? new Date().getFullYear() : parts.year;
+  if (typeof month === 'undefined' || typeof day === 'undefined') {
+    return null;
+  }
+
+  const date = new Date(year, month - 1, day);
+  date.setFullYear(year);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+
+  return date;
+}
@@ -0,0 +1,46 @@
+/** @module utils/DateUtils/parseTime */
+
+const TIME_REGEX = /^\s*(\d{1,2})(?:\s*[:.h]\s*(\d{1,2}))?(?:\s*[:.]\s*(\d{1,2}))?\s*(?:([ap])\.?\s*m?\.?)?\s*$/i;
+
+/**
+ * Parses a time string that was typed by a user and applies it to a date. The hours, minutes,
+ * and seconds can be separated by colons or periods, and an optional `AM` or `PM` time
+ * period can be included. When there is no time period, the hours are expected to be
+ * in 24 hour time.
+ *
+ * ```js
+ * parseTime('3:15 PM', new Date(2017, 0, 1)); // new Date(2017, 0, 1, 15, 15)
+ * parseTime('15.15.30', new Date(2017, 0, 1)); // new Date(2017, 0, 1, 15, 15, 30)
+ * parseTime('13:15 PM', new Date(2017, 0, 1)); // null
+ * ```
+ *
+ * @param {string} value - the value to parse.
+ * @param {Date} date - the date to apply the time to.
+ * @return {Date} a new date with the parsed time or null if the value is not a valid time.
+ */
+export default function parseTime(value, date) {
+  const match = `${value || ''}`.match(TIME_REGEX);
+  if (!match) {
+    return null;
+  }
+
+  const [, h, m, s, period] = match;
+  let hours = parseInt(h, 10);
+  const minutes = m ? parseInt(m, 10) : 0;
+  const seconds = s ? parseInt(s, 10) : 0;
+  if (period) {
+    if (hours < 1 || hours > 12) {
+      return null;
+    }
+
+    hours = (hours % 12) + (period.toLowerCase() === 'p' ? 12 : 0);
+  }
+
+  if (hours > 23 || minutes > 59 || seconds > 59) {
+    return null;
+  }
+
+  const time = new Date(date);
+  time.setHours(hours, minutes, seconds, 0);
+  return time;
+}
@@ -0,0 +1,33 @@
+/** @module utils/DateUtils/rangePresets */
+import addDate from './addDate';
+import stripTime from './stripTime';
+import getLastDay from './getLastDay';
+
+/**
+ * Creates a range preset for the last `count` days including today.
+ *
+ * @param {number} count - the number of days in the range.
+ * @param {node} label - the label to display for the preset.
+ * @return {Object} an object with the `label`, `startDate`, and `endDate`.
+ */
+export function lastDays(count, label) {
+  const endDate = stripTime(new Date());
+
+  return { label, startDate: addDate(endDate, 1 - count, 'D'), endDate };
+}
+
+/**
+ * Creates a range preset for the entire current month.
+ *
+ * @param {node} label - the label to display for the preset.
+ * @return {Object} an object with the `label`, `startDate`, and `endDate`.
+ */
+export function thisMonth(label) {
+  const today = new Date();
+
+  return {
+    label,
+    startDate: new Date(today.getFullYear(), today.getMonth(), 1),
+    endDate: getLastDay(today),
+  };
+}
@@ -0,0 +1,62 @@
+/** @module utils/DateUtils/toTimeZone */
+/* eslint-disable new-cap */
+
+const PART_OPTIONS = {
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric',
+  second: 'numeric',
+  hour12: false,
+};
+
+/**
+ * Checks if a time zone is the UTC time zone.
+ *
+ * @param {string} timeZone - the time zone to check.
+ * @return {boolean} true if the time zone is UTC.
+ */
+export function isUTC(timeZone) {
+  return /^(utc|gmt|etc\/utc|etc\/gmt)$/i.test(timeZone);
+}
+
+/**
+ * Converts a date into a new date in the browser's local time zone that has the same year, month,
+ * day, hours, minutes, and seconds as the date would have in the provided time zone. This allows
+ * the pickers to keep using the local date functions while displaying the days and times
+ * for another time zone.
+ *
+ * ```js
+ * // 2017-03-17T02:30:00Z
+ * toTimeZone(DateTimeFormat, date, 'UTC'); // new Date(2017, 2, 17, 2, 30)
+ * toTimeZone(DateTimeFormat, date, 'America/New_York'); // new Date(2017, 2, 16, 22, 30)
+ * ```
+ *
+ * @param {function} DateTimeFormat - the DateTimeFormat function to use. This must support the
+ *      `timeZone` option for any time zone other than UTC.
+ * @param {Date} date - the date to convert.
+ * @param {string=} timeZone - the IANA time zone name to convert into. When this is omitted, a copy
+ *      of the date will be returned.
+ * @return {Date} the date in the time zone.
+ */
+export default function toTimeZone(DateTimeFormat, date, timeZone) {
+  if (!timeZone) {
+    return new Date(date);
+  } else if (isUTC(timeZone)) {
+    return new Date(
+      date.getUTCFullYear(),
+      date.getUTCMonth(),
+      date.getUTCDate(),
+      date.getUTCHours(),
+      date.getUTCMinutes(),
+      date.getUTCSeconds(),
+      date.getUTCMilliseconds()
+    );
+  }
+
+  const formatted = DateTimeFormat('en-US', { ...PART_OPTIONS, timeZone }).format(date);
+  const [month, day, year, hours, minutes, seconds] = formatted.match(/\d+/g).map(part => parseInt(part, 10));
+
+  return new Date(year, month - 1, day, hours % 24, minutes, seconds, date.getMilliseconds());
+}
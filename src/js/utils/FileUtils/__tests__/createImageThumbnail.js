@@ -0,0 +1,31 @@
+/* eslint-env jest */
+import renderImage from '../renderImage';
+import createImageThumbnail from '../createImageThumbnail';
+
+jest.mock('../renderImage');
+
+describe('createImageThumbnail', () => {
+  const FILE = { name: 'photo.png', type: 'image/png' };
+  const DATA_URL = 'data:image/jpeg;base64,dGVzdA==';
+
+  it('should render the image within the size and resolve with the data url', () => {
+    const canvas = { toDataURL: jest.fn(() => DATA_URL) };
+    renderImage.mockImplementation(() => Promise.resolve(canvas));
+
+    return createImageThumbnail(FILE).then((thumbnail) => {
+      expect(thumbnail).toBe(DATA_URL);
+      expect(renderImage).toBeCalledWith(FILE, { maxWidth: 80, maxHeight: 80 });
+      expect(canvas.toDataURL).toBeCalledWith('image/jpeg', 0.8);
+    });
+  });
+
+  it('should allow the size and type to be configured', () => {
+    const canvas = { toDataURL: jest.fn(() => DATA_URL) };
+    renderImage.mockImplementation(() => Promise.resolve(canvas));
+
+    return createImageThumbnail(FILE, 40, 'image/png').then(() => {
+      expect(renderImage).toBeCalledWith(FILE, { maxWidth: 40, maxHeight: 40 });
+      expect(canvas.toDataURL).toBeCalledWith('image/png', 0.8);
+    });
+  });
+});
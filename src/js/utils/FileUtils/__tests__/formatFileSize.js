@@ -0,0 +1,13 @@
+/* eslint-env jest */
+import formatFileSize from '../formatFileSize';
+
+describe('formatFileSize', () => {
+  it('should format the bytes with the largest unit', () => {
+    expect(formatFileSize(0)).toBe('0 B');
+    expect(formatFileSize(512)).toBe('512 B');
+    expect(formatFileSize(1024)).toBe('1 KB');
+    expect(formatFileSize(1536)).toBe('1.5 KB');
+    expect(formatFileSize(25 * 1024 * 1024)).toBe('25 MB');
+    expect(formatFileSize(3.25 * 1024 * 1024 * 1024)).toBe('3.3 GB');
+  });
+});
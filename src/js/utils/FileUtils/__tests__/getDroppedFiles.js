@@ -0,0 +1,64 @@
+/* eslint-env jest */
+import getDroppedFiles from '../getDroppedFiles';
+
+const FILE_1 = { name: 'one.txt', type: 'text/plain' };
+const FILE_2 = { name: 'two.txt', type: 'text/plain' };
+const FILE_3 = { name: 'three.png', type: 'image/png' };
+
+const fileEntry = file => ({ isFile: true, file: resolve => resolve(file) });
+const directoryEntry = (...batches) => ({
+  isDirectory: true,
+  createReader: () => {
+    const remaining = batches.concat([[]]);
+    return { readEntries: resolve => resolve(remaining.shift()) };
+  },
+});
+
+describe('getDroppedFiles', () => {
+  it('should return the list of files when entries are not supported', () => {
+    const dataTransfer = { files: [FILE_1, FILE_2], items: [{ kind: 'file' }, { kind: 'file' }] };
+    return getDroppedFiles(dataTransfer).then((files) => {
+      expect(files).toEqual([FILE_1, FILE_2]);
+    });
+  });
+
+  it('should read the files in dropped folders recursively', () => {
+    const folder = directoryEntry(
+      [fileEntry(FILE_2)],
+      [directoryEntry([fileEntry(FILE_3)])]
+    );
+
+    const dataTransfer = {
+      files: [],
+      items: [
+        { kind: 'file', webkitGetAsEntry: () => fileEntry(FILE_1) },
+        { kind: 'string', webkitGetAsEntry: () => null },
+        { kind: 'file', webkitGetAsEntry: () => folder },
+      ],
+    };
+
+    return getDroppedFiles(dataTransfer).then((files) => {
+      expect(files).toEqual([FILE_1, FILE_2, FILE_3]);
+    });
+  });
+
+  it('should return the dropped files without the folders when a folder can not be read', () => {
+    const folder = {
+      name: 'photos',
+      isDirectory: true,
+      createReader: () => ({ readEntries: (resolve, reject) => reject(new Error('NotReadableError')) }),
+    };
+
+    const dataTransfer = {
+      files: [FILE_1, { name: 'photos', type: '', size: 0 }],
+      items: [
+        { kind: 'file', webkitGetAsEntry: () => fileEntry(FILE_1) },
+        { kind: 'file', webkitGetAsEntry: () => folder },
+      ],
+    };
+
+    return getDroppedFiles(dataTransfer).then((files) => {
+      expect(files).toEqual([FILE_1]);
+    });
+  });
+});
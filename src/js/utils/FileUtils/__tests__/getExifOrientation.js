@@ -0,0 +1,68 @@
+/* eslint-env jest */
+import getExifOrientation from '../getExifOrientation';
+
+/**
+ * Creates the start of a JPEG with an APP0 segment and an EXIF segment containing
+ * a single IFD0 entry.
+ */
+function createJpeg({ orientation = 6, little = false, tag = 0x0112, header = 0x45786966 } = {}) {
+  const buffer = new ArrayBuffer(44);
+  const view = new DataView(buffer);
+  view.setUint16(0, 0xFFD8);
+
+  // APP0 segment with 2 bytes of data
+  view.setUint16(2, 0xFFE0);
+  view.setUint16(4, 4);
+
+  // APP1 segment
+  view.setUint16(8, 0xFFE1);
+  view.setUint16(10, 32);
+  view.setUint32(12, header);
+
+  const tiff = 18;
+  view.setUint16(tiff, little ? 0x4949 : 0x4D4D);
+  view.setUint16(tiff + 2, 42, little);
+  view.setUint32(tiff + 4, 8, little);
+  view.setUint16(tiff + 8, 1, little);
+  view.setUint16(tiff + 10, tag, little);
+  view.setUint16(tiff + 12, 3, little);
+  view.setUint32(tiff + 14, 1, little);
+  view.setUint16(tiff + 18, orientation, little);
+
+  return buffer;
+}
+
+describe('getExifOrientation', () => {
+  it('should return 1 for files that are not JPEGs', () => {
+    const buffer = new ArrayBuffer(8);
+    new DataView(buffer).setUint32(0, 0x89504E47);
+    expect(getExifOrientation(buffer)).toBe(1);
+    expect(getExifOrientation(new ArrayBuffer(0))).toBe(1);
+  });
+
+  it('should read the orientation from big endian EXIF data', () => {
+    expect(getExifOrientation(createJpeg())).toBe(6);
+    expect(getExifOrientation(createJpeg({ orientation: 3 }))).toBe(3);
+  });
+
+  it('should read the orientation from little endian EXIF data', () => {
+    expect(getExifOrientation(createJpeg({ little: true }))).toBe(6);
+    expect(getExifOrientation(createJpeg({ little: true, orientation: 8 }))).toBe(8);
+  });
+
+  it('should return 1 when there is no orientation tag or the EXIF data is invalid', () => {
+    expect(getExifOrientation(createJpeg({ tag: 0x010F }))).toBe(1);
+    expect(getExifOrientation(createJpeg({ header: 0x12345678 }))).toBe(1);
+    expect(getExifOrientation(createJpeg({ orientation: 12 }))).toBe(1);
+  });
+
+  it('should return 1 when the EXIF data is missing or truncated', () => {
+    const buffer = new ArrayBuffer(8);
+    const view = new DataView(buffer);
+    view.setUint16(0, 0xFFD8);
+    view.setUint16(2, 0xFFDA);
+    view.setUint16(4, 4);
+    expect(getExifOrientation(buffer)).toBe(1);
+    expect(getExifOrientation(createJpeg().slice(0, 30))).toBe(1);
+  });
+});
@@ -0,0 +1,30 @@
+/* eslint-env jest */
+import isAcceptedFile from '../isAcceptedFile';
+
+const PNG = { name: 'Cat.PNG', type: 'image/png' };
+const TEXT = { name: 'notes.txt', type: 'text/plain' };
+
+describe('isAcceptedFile', () => {
+  it('should accept any file when there is no accept string', () => {
+    expect(isAcceptedFile(PNG)).toBe(true);
+    expect(isAcceptedFile(TEXT, '')).toBe(true);
+  });
+
+  it('should match wildcard and full media types', () => {
+    expect(isAcceptedFile(PNG, 'image/*')).toBe(true);
+    expect(isAcceptedFile(PNG, 'image/png')).toBe(true);
+    expect(isAcceptedFile(PNG, 'image/jpeg')).toBe(false);
+    expect(isAcceptedFile(TEXT, 'image/*,video/*')).toBe(false);
+  });
+
+  it('should match file extensions while ignoring case', () => {
+    expect(isAcceptedFile(PNG, '.png')).toBe(true);
+    expect(isAcceptedFile(TEXT, '.md, .txt')).toBe(true);
+    expect(isAcceptedFile(TEXT, '.md')).toBe(false);
+  });
+
+  it('should accept items without a name for file extensions', () => {
+    expect(isAcceptedFile({ type: 'text/plain' }, '.txt')).toBe(true);
+    expect(isAcceptedFile({ type: 'text/plain' }, 'image/*')).toBe(false);
+  });
+});
@@ -0,0 +1,78 @@
+/* eslint-env jest */
+import renderImage from '../renderImage';
+import processImage, { getProcessedName } from '../processImage';
+
+jest.mock('../renderImage');
+
+const DATA_URL = 'data:image/jpeg;base64,dGVzdA==';
+
+describe('getProcessedName', () => {
+  it('should update the extension for the new type', () => {
+    expect(getProcessedName('photo.png', 'image/jpeg')).toBe('photo.jpg');
+    expect(getProcessedName('photo.jpg', 'image/png')).toBe('photo.png');
+    expect(getProcessedName('photo.bmp', 'image/webp')).toBe('photo.webp');
+    expect(getProcessedName('photo', 'image/png')).toBe('photo.png');
+  });
+
+  it('should not update names that already have a valid extension', () => {
+    expect(getProcessedName('photo.jpg', 'image/jpeg')).toBe('photo.jpg');
+    expect(getProcessedName('photo.JPEG', 'image/jpeg')).toBe('photo.JPEG');
+    expect(getProcessedName('photo.png', 'image/png')).toBe('photo.png');
+  });
+
+  it('should not update names for unknown types', () => {
+    expect(getProcessedName('photo.gif', 'image/gif')).toBe('photo.gif');
+  });
+});
+
+describe('processImage', () => {
+  const FILE = { name: 'photo.png', type: 'image/png' };
+
+  it('should render the image with the render options', () => {
+    const canvas = { toBlob: jest.fn(resolve => resolve(new Blob(['test'], { type: 'image/png' }))) };
+    renderImage.mockImplementation(() => Promise.resolve(canvas));
+
+    const crop = { x: 0, y: 0, width: 10, height: 10 };
+    return processImage(FILE, { maxWidth: 100, maxHeight: 50, crop }).then((file) => {
+      expect(renderImage).toBeCalledWith(FILE, { maxWidth: 100, maxHeight: 50, crop });
+      expect(canvas.toBlob.mock.calls[0][1]).toBe('image/png');
+      expect(file.name).toBe('photo.png');
+      expect(file.type).toBe('image/png');
+      expect(typeof file.lastModified).toBe('number');
+    });
+  });
+
+  it('should convert the image into the type and quality', () => {
+    const canvas = { toBlob: jest.fn(resolve => resolve(new Blob(['test'], { type: 'image/jpeg' }))) };
+    renderImage.mockImplementation(() => Promise.resolve(canvas));
+
+    return processImage(FILE, { type: 'image/jpeg', quality: 0.8 }).then((file) => {
+      expect(canvas.toBlob.mock.calls[0].slice(1)).toEqual(['image/jpeg', 0.8]);
+      expect(file.name).toBe('photo.jpg');
+      expect(file.type).toBe('image/jpeg');
+    });
+  });
+
+  it('should convert the data url when the canvas does not support toBlob', () => {
+    const canvas = { toDataURL: jest.fn(() => DATA_URL) };
+    renderImage.mockImplementation(() => Promise.resolve(canvas));
+
+    return processImage(FILE, { type: 'image/jpeg', quality: 0.5 }).then((file) => {
+      expect(canvas.toDataURL).toBeCalledWith('image/jpeg', 0.5);
+      expect(file.name).toBe('photo.jpg');
+      expect(file.type).toBe('image/jpeg');
+      expect(file.size).toBe(4);
+    });
+  });
+
+  it('should reject when the image can not be rendered', () => {
+    const error = new Error('Invalid image');
+    renderImage.mockImplementation(() => Promise.reject(error));
+
+    return processImage(FILE).then(() => {
+      throw new Error('The image should not have been processed.');
+    }, (e) => {
+      expect(e).toBe(error);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/* eslint-env jest */
+import renderImage, {
+  getImageSize,
+  getScaledSize,
+  getOrientationTransform,
+  readOrientation,
+} from '../renderImage';
+
+describe('getScaledSize', () => {
+  it('should scale the size to fit within the max width and height', () => {
+    expect(getScaledSize(1000, 500, 200, 200)).toEqual({ width: 200, height: 100 });
+    expect(getScaledSize(500, 1000, 200, 200)).toEqual({ width: 100, height: 200 });
+    expect(getScaledSize(1000, 500, 400)).toEqual({ width: 400, height: 200 });
+    expect(getScaledSize(1000, 500, undefined, 100)).toEqual({ width: 200, height: 100 });
+  });
+
+  it('should never scale the size up', () => {
+    expect(getScaledSize(100, 50, 200, 200)).toEqual({ width: 100, height: 50 });
+    expect(getScaledSize(100, 50)).toEqual({ width: 100, height: 50 });
+  });
+
+  it('should never return a size less than 1', () => {
+    expect(getScaledSize(10000, 1, 100, 100)).toEqual({ width: 100, height: 1 });
+  });
+});
+
+describe('getOrientationTransform', () => {
+  it('should not transform images without an orientation', () => {
+    expect(getOrientationTransform(1, 400, 300)).toEqual([1, 0, 0, 1, 0, 0]);
+    expect(getOrientationTransform(undefined, 400, 300)).toEqual([1, 0, 0, 1, 0, 0]);
+  });
+
+  it('should flip and rotate the image for each orientation', () => {
+    expect(getOrientationTransform(2, 400, 300)).toEqual([-1, 0, 0, 1, 400, 0]);
+    expect(getOrientationTransform(3, 400, 300)).toEqual([-1, 0, 0, -1, 400, 300]);
+    expect(getOrientationTransform(4, 400, 300)).toEqual([1, 0, 0, -1, 0, 300]);
+    expect(getOrientationTransform(5, 400, 300)).toEqual([0, 1, 1, 0, 0, 0]);
+    expect(getOrientationTransform(6, 400, 300)).toEqual([0, 1, -1, 0, 300, 0]);
+    expect(getOrientationTransform(7, 400, 300)).toEqual([0, -1, -1, 0, 300, 400]);
+    expect(getOrientationTransform(8, 400, 300)).toEqual([0, -1, 1, 0, 0, 400]);
+  });
+});
+
+describe('readOrientation', () => {
+  it('should resolve with 1 for files that are not JPEGs', () => (
+    readOrientation(new Blob(['test'], { type: 'image/png' })).then((orientation) => {
+      expect(orientation).toBe(1);
+    })
+  ));
+
+  it('should read the orientation from the start of JPEG files', () => {
+    const bytes = new Uint8Array([
+      0xFF, 0xD8, 0xFF, 0xE1, 0x00, 0x22, 0x45, 0x78, 0x69, 0x66, 0x00, 0x00,
+      0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08, 0x00, 0x01, 0x01, 0x12,
+      0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x06, 0x00, 0x00,
+    ]);
+
+    return readOrientation(new Blob([bytes], { type: 'image/jpeg' })).then((orientation) => {
+      expect(orientation).toBe(6);
+    });
+  });
+});
+
+describe('renderImage', () => {
+  const { Image } = window;
+  const { createObjectURL, revokeObjectURL } = URL;
+  const { createElement } = document;
+  let canvases;
+  let contexts;
+
+  beforeEach(() => {
+    canvases = [];
+    contexts = [];
+    URL.createObjectURL = jest.fn(() => 'blob:image');
+    URL.revokeObjectURL = jest.fn();
+    window.Image = class FakeImage {
+      naturalWidth = 400;
+      naturalHeight = 200;
+
+      set src(src) {
+        this._src = src;
+        setTimeout(() => (src === 'blob:invalid' ? this.onerror() : this.onload()));
+      }
+    };
+
+    document.createElement = function fakeCreateElement(type) {
+      if (type !== 'canvas') {
+        return createElement.call(document, type);
+      }
+
+      const context = { transform: jest.fn(), drawImage: jest.fn() };
+      const canvas = { getContext: () => context };
+      canvases.push(canvas);
+      contexts.push(context);
+      return canvas;
+    };
+  });
+
+  afterEach(() => {
+    window.Image = Image;
+    URL.createObjectURL = createObjectURL;
+    URL.revokeObjectURL = revokeObjectURL;
+    document.createElement = createElement;
+  });
+
+  it('should draw the image scaled down onto a canvas', () => {
+    const file = new Blob(['test'], { type: 'image/png' });
+    return renderImage(file, { maxWidth: 100, maxHeight: 100 }).then((canvas) => {
+      expect(canvas).toBe(canvases[0]);
+      expect(canvas.width).toBe(100);
+      expect(canvas.height).toBe(50);
+      expect(contexts[0].drawImage.mock.calls[0].slice(1)).toEqual([0, 0, 400, 200, 0, 0, 100, 50]);
+      expect(URL.revokeObjectURL).toBeCalledWith('blob:image');
+    });
+  });
+
+  it('should draw the cropped area of the image', () => {
+    const file = new Blob(['test'], { type: 'image/png' });
+    const crop = { x: 100, y: 50, width: 200, height: 100 };
+    return renderImage(file, { crop }).then((canvas) => {
+      expect(canvas.width).toBe(200);
+      expect(canvas.height).toBe(100);
+      expect(contexts[0].drawImage.mock.calls[0].slice(1)).toEqual([100, 50, 200, 100, 0, 0, 200, 100]);
+    });
+  });
+
+  it('should apply the EXIF orientation before cropping and scaling', () => {
+    const bytes = new Uint8Array([
+      0xFF, 0xD8, 0xFF, 0xE1, 0x00, 0x22, 0x45, 0x78, 0x69, 0x66, 0x00, 0x00,
+      0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08, 0x00, 0x01, 0x01, 0x12,
+      0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x06, 0x00, 0x00,
+    ]);
+    const file = new Blob([bytes], { type: 'image/jpeg' });
+
+    return renderImage(file, { maxWidth: 100 }).then((canvas) => {
+      const [oriented] = canvases;
+      expect(oriented.width).toBe(200);
+      expect(oriented.height).toBe(400);
+      expect(contexts[0].transform).toBeCalledWith(0, 1, -1, 0, 200, 0);
+      expect(canvas.width).toBe(100);
+      expect(canvas.height).toBe(200);
+      expect(contexts[1].drawImage.mock.calls[0][0]).toBe(oriented);
+
+      return getImageSize(file);
+    }).then((size) => {
+      expect(size).toEqual({ width: 200, height: 400 });
+    });
+  });
+
+  it('should reject when the image can not be loaded', () => {
+    URL.createObjectURL = jest.fn(() => 'blob:invalid');
+    const file = new Blob(['test'], { type: 'image/png' });
+    file.name = 'test.png';
+
+    return renderImage(file).then(() => {
+      throw new Error('The image should not have loaded.');
+    }, (error) => {
+      expect(error.message).toBe('The image "test.png" could not be loaded.');
+      expect(URL.revokeObjectURL).toBeCalledWith('blob:invalid');
+    });
+  });
+});
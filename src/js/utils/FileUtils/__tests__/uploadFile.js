@@ -0,0 +1,163 @@
+/* eslint-env jest */
+import uploadFile, { isRetryable } from '../uploadFile';
+import { createServer, flush } from '../../../../../__mocks__/upload';
+
+function createFile(size = 10) {
+  return {
+    name: 'test.txt',
+    size,
+    slice: jest.fn((start, end) => ({ start, end })),
+  };
+}
+
+function createError(status) {
+  const error = new Error(`status ${status}`);
+  error.status = status;
+  return error;
+}
+
+describe('uploadFile', () => {
+  it('should send the entire file in one request by default', () => {
+    const file = createFile();
+    const { transport, requests } = createServer();
+    const upload = uploadFile(file, { transport, url: '/upload', method: 'PUT' });
+
+    expect(requests.length).toBe(1);
+    expect(requests[0].options).toEqual(expect.objectContaining({
+      url: '/upload',
+      method: 'PUT',
+      file,
+      body: file,
+      start: 0,
+      end: 10,
+    }));
+
+    requests[0].resolve({ status: 200, response: 'ok' });
+    return upload.promise.then((result) => {
+      expect(result).toEqual({ status: 200, response: 'ok' });
+    });
+  });
+
+  it('should send the file in chunks and report the progress of the entire file', () => {
+    const file = createFile();
+    const onProgress = jest.fn();
+    const onChunk = jest.fn();
+    const { transport, requests } = createServer();
+    const upload = uploadFile(file, { transport, chunkSize: 4, onProgress, onChunk });
+
+    expect(requests[0].options.body).toEqual({ start: 0, end: 4 });
+    requests[0].options.onProgress(2, 4);
+    expect(onProgress.mock.calls[0][0]).toBe(20);
+    requests[0].resolve({ status: 200 });
+
+    return flush().then(() => {
+      expect(onChunk).toBeCalledWith(4);
+      expect(requests[1].options.body).toEqual({ start: 4, end: 8 });
+      requests[1].options.onProgress(4, 4);
+      expect(onProgress.mock.calls[1][0]).toBe(80);
+      requests[1].resolve({ status: 200 });
+
+      return flush();
+    }).then(() => {
+      expect(requests[2].options.start).toBe(8);
+      expect(requests[2].options.end).toBe(10);
+      requests[2].resolve({ status: 201 });
+
+      return upload.promise;
+    }).then((result) => {
+      expect(result.status).toBe(201);
+      expect(requests.length).toBe(3);
+      expect(onChunk.mock.calls).toEqual([[4], [8], [10]]);
+    });
+  });
+
+  it('should start from the offset when resuming an upload', () => {
+    const { transport, requests } = createServer();
+    uploadFile(createFile(), { transport, chunkSize: 4, offset: 8 });
+
+    expect(requests[0].options.start).toBe(8);
+    expect(requests[0].options.end).toBe(10);
+  });
+
+  it('should retry the failed chunk with an exponential backoff', () => {
+    jest.useFakeTimers();
+    const { transport, requests } = createServer();
+    const upload = uploadFile(createFile(), { transport, chunkSize: 6, retries: 2, retryDelay: 100 });
+
+    requests[0].resolve({ status: 200 });
+    return flush().then(() => {
+      requests[1].reject(createError(503));
+      return flush();
+    }).then(() => {
+      expect(setTimeout).toHaveBeenLastCalledWith(expect.any(Function), 100);
+      jest.runOnlyPendingTimers();
+      expect(requests[2].options.start).toBe(6);
+
+      requests[2].reject(createError(0));
+      return flush();
+    }).then(() => {
+      expect(setTimeout).toHaveBeenLastCalledWith(expect.any(Function), 200);
+      jest.runOnlyPendingTimers();
+      requests[3].reject(createError(500));
+
+      return upload.promise.then(() => {
+        throw new Error('The upload should have failed');
+      }, (error) => {
+        expect(error.status).toBe(500);
+        expect(requests.length).toBe(4);
+      });
+    });
+  });
+
+  it('should not retry requests that can not succeed', () => {
+    const { transport, requests } = createServer();
+    const upload = uploadFile(createFile(), { transport, retries: 3 });
+
+    requests[0].reject(createError(400));
+    return upload.promise.catch((error) => {
+      expect(error.status).toBe(400);
+      expect(requests.length).toBe(1);
+    });
+  });
+
+  it('should abort the current request and reject the upload', () => {
+    const { transport, requests } = createServer();
+    const upload = uploadFile(createFile(), { transport, retries: 3 });
+
+    upload.abort();
+    expect(requests[0].abort).toBeCalled();
+    return upload.promise.catch((error) => {
+      expect(error.aborted).toBe(true);
+      expect(requests.length).toBe(1);
+    });
+  });
+
+  it('should abort an upload that is waiting to retry', () => {
+    jest.useFakeTimers();
+    const { transport, requests } = createServer();
+    const upload = uploadFile(createFile(), { transport, retries: 3 });
+
+    requests[0].reject(createError(503));
+    return flush().then(() => {
+      upload.abort();
+      jest.runAllTimers();
+
+      return upload.promise.catch((error) => {
+        expect(error.aborted).toBe(true);
+        expect(requests.length).toBe(1);
+      });
+    });
+  });
+
+  describe('isRetryable', () => {
+    it('should only allow network errors, timeouts, rate limits, and server errors to be retried', () => {
+      expect(isRetryable({})).toBe(true);
+      expect(isRetryable({ status: 0 })).toBe(true);
+      expect(isRetryable({ status: 408 })).toBe(true);
+      expect(isRetryable({ status: 429 })).toBe(true);
+      expect(isRetryable({ status: 502 })).toBe(true);
+      expect(isRetryable({ status: 400 })).toBe(false);
+      expect(isRetryable({ status: 404 })).toBe(false);
+    });
+  });
+});
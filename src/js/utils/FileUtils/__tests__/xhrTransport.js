@@ -0,0 +1,74 @@
+/* eslint-env jest */
+import xhrTransport from '../xhrTransport';
+import { FakeXMLHttpRequest } from '../../../../../__mocks__/upload';
+
+describe('xhrTransport', () => {
+  const { XMLHttpRequest } = window;
+  let file;
+  beforeEach(() => {
+    FakeXMLHttpRequest.requests = [];
+    window.XMLHttpRequest = FakeXMLHttpRequest;
+    file = new File(['0123456789'], 'test.txt', { type: 'text/plain' });
+  });
+
+  afterAll(() => {
+    window.XMLHttpRequest = XMLHttpRequest;
+  });
+
+  it('should send the file as form data with any additional fields and headers', () => {
+    const { promise } = xhrTransport({
+      url: '/upload',
+      file,
+      fieldName: 'attachment',
+      data: { folder: 'docs' },
+      headers: { Authorization: 'Bearer token' },
+      withCredentials: true,
+    });
+
+    const [xhr] = FakeXMLHttpRequest.requests;
+    expect(xhr.open).toBeCalledWith('POST', '/upload', true);
+    expect(xhr.withCredentials).toBe(true);
+    expect(xhr.headers).toEqual({ Authorization: 'Bearer token' });
+    expect(xhr.body).toBeInstanceOf(FormData);
+
+    xhr.respond(201, '{"id":1}');
+    return promise.then((result) => {
+      expect(result).toEqual({ status: 201, response: '{"id":1}' });
+    });
+  });
+
+  it('should add a Content-Range header when sending a chunk of the file', () => {
+    xhrTransport({ url: '/upload', file, body: file.slice(4, 8), start: 4, end: 8 });
+    expect(FakeXMLHttpRequest.requests[0].headers['Content-Range']).toBe('bytes 4-7/10');
+  });
+
+  it('should call the onProgress function with the uploaded bytes', () => {
+    const onProgress = jest.fn();
+    xhrTransport({ url: '/upload', file, onProgress });
+
+    const [xhr] = FakeXMLHttpRequest.requests;
+    xhr.upload.onprogress({ lengthComputable: false });
+    xhr.upload.onprogress({ lengthComputable: true, loaded: 5, total: 10 });
+    expect(onProgress.mock.calls.length).toBe(1);
+    expect(onProgress.mock.calls[0].slice(0, 2)).toEqual([5, 10]);
+  });
+
+  it('should reject with the status when the request fails', () => {
+    const { promise } = xhrTransport({ url: '/upload', file });
+    FakeXMLHttpRequest.requests[0].respond(500, 'Oops');
+
+    return promise.catch((error) => {
+      expect(error.status).toBe(500);
+      expect(error.response).toBe('Oops');
+    });
+  });
+
+  it('should reject with an aborted error when aborted', () => {
+    const { promise, abort } = xhrTransport({ url: '/upload', file });
+    abort();
+
+    return promise.catch((error) => {
+      expect(error.aborted).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,16 @@
+/** @module utils/FileUtils/createImageThumbnail */
+import renderImage from './renderImage';
+
+/**
+ * Creates a small thumbnail for an image file as a data url. The thumbnail will have the
+ * EXIF orientation applied and will fit within the size while keeping its aspect ratio.
+ *
+ * @param {File} file - the image file.
+ * @param {number=} size - the max width and height of the thumbnail.
+ * @param {string=} type - the MIME type of the thumbnail.
+ * @return {Promise} a promise that resolves with the thumbnail's data url.
+ */
+export default function createImageThumbnail(file, size = 80, type = 'image/jpeg') {
+  return renderImage(file, { maxWidth: size, maxHeight: size })
+    .then(canvas => canvas.toDataURL(type, 0.8));
+}
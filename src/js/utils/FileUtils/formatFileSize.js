@@ -0,0 +1,28 @@
+/** @module utils/FileUtils/formatFileSize */
+
+const UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+/**
+ * Formats a number of bytes into a human readable file size. Sizes under 10 of a unit
+ * will be displayed with a single decimal place.
+ *
+ * ```js
+ * formatFileSize(512); // '512 B'
+ * formatFileSize(1536); // '1.5 KB'
+ * formatFileSize(25 * 1024 * 1024); // '25 MB'
+ * ```
+ *
+ * @param {number} bytes - the number of bytes.
+ * @return {string} the formatted file size.
+ */
+export default function formatFileSize(bytes) {
+  let size = bytes || 0;
+  let unit = 0;
+  while (size >= 1024 && unit < UNITS.length - 1) {
+    size /= 1024;
+    unit += 1;
+  }
+
+  const rounded = unit && size < 10 ? Math.round(size * 10) / 10 : Math.round(size);
+  return `${rounded} ${UNITS[unit]}`;
+}
@@ -0,0 +1,79 @@
+/** @module utils/FileUtils/getDroppedFiles */
+
+const slice = list => Array.prototype.slice.call(list || []);
+const flatten = lists => lists.reduce((all, list) => all.concat(list), []);
+
+/**
+ * Reads every entry in a directory. The `readEntries` function only returns a batch of
+ * entries at a time, so it must be called until it returns an empty list.
+ *
+ * @param {Object} reader - the directory reader to read with.
+ * @return {Promise} a promise that resolves with the list of entries.
+ */
+function readAllEntries(reader) {
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    const read = () => {
+      reader.readEntries((batch) => {
+        if (!batch.length) {
+          resolve(entries);
+          return;
+        }
+
+        entries.push(...batch);
+        read();
+      }, reject);
+    };
+
+    read();
+  });
+}
+
+/**
+ * Gets all the files for a file system entry. Directories will be read recursively.
+ *
+ * @param {Object} entry - the file system entry.
+ * @return {Promise} a promise that resolves with the list of files.
+ */
+function getEntryFiles(entry) {
+  if (entry.isFile) {
+    return new Promise((resolve, reject) => {
+      entry.file(file => resolve([file]), reject);
+    });
+  } else if (entry.isDirectory) {
+    return readAllEntries(entry.createReader())
+      .then(entries => Promise.all(entries.map(getEntryFiles)))
+      .then(flatten);
+  }
+
+  return Promise.resolve([]);
+}
+
+/**
+ * Gets the list of files from a drop event's `dataTransfer`. When the browser supports
+ * the file system entries API, any dropped folders will be read recursively so that
+ * the files within them are included. Otherwise only the dropped files will be returned.
+ *
+ * When a folder can not be read, the promise will resolve with the dropped files instead.
+ * Browsers also include the dropped folders as empty files, so they will be removed first.
+ *
+ * This must be called while the drop event is being handled since the browser clears the
+ * `dataTransfer` afterwards.
+ *
+ * @param {Object} dataTransfer - the drop event's dataTransfer.
+ * @return {Promise} a promise that resolves with the list of files.
+ */
+export default function getDroppedFiles(dataTransfer) {
+  const entries = slice(dataTransfer.items)
+    .filter(item => item.kind === 'file')
+    .map(item => (typeof item.webkitGetAsEntry === 'function' ? item.webkitGetAsEntry() : null));
+
+  if (!entries.length || entries.some(entry => !entry)) {
+    return Promise.resolve(slice(dataTransfer.files));
+  }
+
+  // The files are copied now since the dataTransfer will be cleared before the folders are read
+  const folders = entries.filter(entry => entry.isDirectory).map(entry => entry.name);
+  const files = slice(dataTransfer.files).filter(file => folders.indexOf(file.name) === -1);
+  return Promise.all(entries.map(getEntryFiles)).then(flatten, () => files);
+}
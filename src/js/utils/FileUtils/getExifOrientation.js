@@ -0,0 +1,86 @@
+/** @module utils/FileUtils/getExifOrientation */
+
+const JPEG_START = 0xFFD8;
+const APP1_MARKER = 0xFFE1;
+const START_OF_SCAN = 0xFFDA;
+const EXIF_HEADER = 0x45786966; // "Exif"
+const LITTLE_ENDIAN = 0x4949; // "II"
+const BIG_ENDIAN = 0x4D4D; // "MM"
+const ORIENTATION_TAG = 0x0112;
+
+/**
+ * Reads the orientation from the first image file directory of an EXIF segment.
+ *
+ * @param {DataView} view - the view of the image data.
+ * @param {number} start - the offset of the EXIF segment's data.
+ * @return {number} the orientation or 1 if it could not be found.
+ */
+function readOrientation(view, start) {
+  const tiff = start + 6;
+  if (tiff + 8 > view.byteLength || view.getUint32(start) !== EXIF_HEADER) {
+    return 1;
+  }
+
+  const byteOrder = view.getUint16(tiff);
+  if (byteOrder !== LITTLE_ENDIAN && byteOrder !== BIG_ENDIAN) {
+    return 1;
+  }
+
+  const little = byteOrder === LITTLE_ENDIAN;
+  const directory = tiff + view.getUint32(tiff + 4, little);
+  if (directory + 2 > view.byteLength) {
+    return 1;
+  }
+
+  const entries = view.getUint16(directory, little);
+  for (let i = 0; i < entries; i += 1) {
+    const entry = directory + 2 + (i * 12);
+    if (entry + 12 > view.byteLength) {
+      return 1;
+    }
+
+    if (view.getUint16(entry, little) === ORIENTATION_TAG) {
+      const orientation = view.getUint16(entry + 8, little);
+      return orientation >= 1 && orientation <= 8 ? orientation : 1;
+    }
+  }
+
+  return 1;
+}
+
+/**
+ * Gets the EXIF orientation of a JPEG image. Photos taken with a camera are normally stored
+ * in the orientation of the camera's sensor and include an EXIF orientation that describes
+ * how the image should be rotated or flipped to be displayed correctly.
+ *
+ * Only the start of the file needs to be provided since the EXIF data appears before the
+ * image data.
+ *
+ * @param {ArrayBuffer} buffer - the image data.
+ * @return {number} the orientation between 1 and 8. Images that are not JPEGs or do not have
+ *      an orientation will return 1.
+ */
+export default function getExifOrientation(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < 4 || view.getUint16(0) !== JPEG_START) {
+    return 1;
+  }
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    if (view.getUint8(offset) !== 0xFF) {
+      return 1;
+    }
+
+    const marker = view.getUint16(offset);
+    if (marker === APP1_MARKER) {
+      return readOrientation(view, offset + 4);
+    } else if (marker === START_OF_SCAN) {
+      return 1;
+    }
+
+    offset += 2 + view.getUint16(offset + 2);
+  }
+
+  return 1;
+}
@@ -0,0 +1,40 @@
+/** @module utils/FileUtils/isAcceptedFile */
+
+/**
+ * Checks if a file matches the `accept` string of a file input. The `accept` string is a
+ * comma separated list of file extensions, wildcard media types like `image/*`, or
+ * full media types.
+ *
+ * Files that are still being dragged do not have a name, so file extensions can not be
+ * checked until they have been dropped and will always be considered accepted.
+ *
+ * ```js
+ * isAcceptedFile({ name: 'cat.png', type: 'image/png' }, 'image/*'); // true
+ * isAcceptedFile({ name: 'notes.txt', type: 'text/plain' }, '.md,.txt'); // true
+ * isAcceptedFile({ name: 'notes.txt', type: 'text/plain' }, 'image/*,.md'); // false
+ * ```
+ *
+ * @param {File|Object} file - the file or dragged item to check.
+ * @param {string=} accept - the comma separated list of accepted types.
+ * @return {boolean} true if the file is accepted.
+ */
+export default function isAcceptedFile(file, accept) {
+  if (!accept) {
+    return true;
+  }
+
+  const type = (file.type || '').toLowerCase();
+  const name = typeof file.name === 'string' ? file.name.toLowerCase() : null;
+  return accept.split(',').some((part) => {
+    const rule = part.trim().toLowerCase();
+    if (!rule) {
+      return false;
+    } else if (rule.charAt(0) === '.') {
+      return name === null || name.slice(-rule.length) === rule;
+    } else if (rule.slice(-2) === '/*') {
+      return type.indexOf(rule.slice(0, -1)) === 0;
+    }
+
+    return type === rule;
+  });
+}
@@ -0,0 +1,86 @@
+/** @module utils/FileUtils/processImage */
+import renderImage from './renderImage';
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+
+/**
+ * Converts a canvas into a Blob. Browsers that do not support `toBlob` will convert the
+ * canvas's data url instead.
+ *
+ * @param {HTMLCanvasElement} canvas - the canvas to convert.
+ * @param {string} type - the image MIME type.
+ * @param {number=} quality - the image quality between 0 and 1.
+ * @return {Promise} a promise that resolves with the Blob.
+ */
+function toBlob(canvas, type, quality) {
+  if (typeof canvas.toBlob === 'function') {
+    return new Promise((resolve) => {
+      canvas.toBlob(resolve, type, quality);
+    });
+  }
+
+  const [header, data] = canvas.toDataURL(type, quality).split(',');
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+
+  return Promise.resolve(new Blob([bytes], { type: header.replace(/^data:|;base64$/g, '') }));
+}
+
+/**
+ * Updates the extension of a file name for a new MIME type.
+ *
+ * @param {string} name - the file name.
+ * @param {string} type - the new MIME type.
+ * @return {string} the updated file name.
+ */
+export function getProcessedName(name, type) {
+  const extension = EXTENSIONS[type];
+  if (!extension || new RegExp(`\\.${extension}$`, 'i').test(name) || (extension === 'jpg' && /\.jpeg$/i.test(name))) {
+    return name;
+  }
+
+  return `${name.replace(/\.[^.]+$/, '')}.${extension}`;
+}
+
+/**
+ * Processes an image file before it is uploaded. The image will have the EXIF orientation
+ * applied, can be cropped and scaled down to fit within the max width and max height, and
+ * will be converted into the MIME type and quality.
+ *
+ * ```js
+ * processImage(file, { maxWidth: 1024, maxHeight: 1024, type: 'image/jpeg', quality: 0.8 })
+ *   .then(resized => upload(resized));
+ * ```
+ *
+ * @param {File} file - the image file to process.
+ * @param {Object=} options - the processing options.
+ * @param {number=} options.maxWidth - the max width of the processed image.
+ * @param {number=} options.maxHeight - the max height of the processed image.
+ * @param {Object=} options.crop - an optional area to crop to containing the `x`, `y`,
+ *      `width`, and `height` in pixels.
+ * @param {string=} options.type - the MIME type to output. Defaults to the file's type.
+ * @param {number=} options.quality - the quality between 0 and 1 for lossy MIME types.
+ * @return {Promise} a promise that resolves with the processed image as a `File`.
+ */
+export default function processImage(file, { type, quality, ...options } = {}) {
+  const outputType = type || file.type;
+  return renderImage(file, options)
+    .then(canvas => toBlob(canvas, outputType, quality))
+    .then((blob) => {
+      const name = getProcessedName(file.name, blob.type || outputType);
+      const lastModified = Date.now();
+      try {
+        return new File([blob], name, { type: blob.type, lastModified });
+      } catch (e) {
+        // Some browsers do not support the File constructor, so the blob is used instead.
+        return Object.assign(blob, { name, lastModified });
+      }
+    });
+}
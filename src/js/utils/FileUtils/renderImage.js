@@ -0,0 +1,229 @@
+/** @module utils/FileUtils/renderImage */
+import getExifOrientation from './getExifOrientation';
+
+/**
+ * The number of bytes to read from the start of a file to find the EXIF orientation.
+ */
+const EXIF_BYTES = 64 * 1024;
+
+/**
+ * Checks if the browser already applies the EXIF orientation when images are displayed
+ * and drawn onto a canvas. The orientation must only be applied manually when it is not.
+ *
+ * @return {boolean} true if the browser applies the EXIF orientation.
+ */
+export function isAutoOriented() {
+  if (typeof window === 'undefined' || !document.body || typeof window.getComputedStyle !== 'function') {
+    return false;
+  }
+
+  return window.getComputedStyle(document.body).imageOrientation === 'from-image';
+}
+
+/**
+ * Reads the EXIF orientation of an image file. Any file that is not a JPEG or can not be
+ * read will resolve with an orientation of 1.
+ *
+ * @param {File} file - the image file.
+ * @return {Promise} a promise that resolves with the orientation.
+ */
+export function readOrientation(file) {
+  if (!/^image\/jpe?g$/.test(file.type)) {
+    return Promise.resolve(1);
+  }
+
+  return new Promise((resolve) => {
+    const fr = new FileReader();
+    fr.onload = (e) => {
+      resolve(getExifOrientation(e.target.result));
+    };
+    fr.onerror = () => {
+      resolve(1);
+    };
+
+    fr.readAsArrayBuffer(file.slice(0, EXIF_BYTES));
+  });
+}
+
+/**
+ * Loads an image file into an `Image` so that it can be drawn onto a canvas.
+ *
+ * @param {File} file - the image file.
+ * @return {Promise} a promise that resolves with the loaded image.
+ */
+export function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    const url = URL.createObjectURL(file);
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`The image "${file.name}" could not be loaded.`));
+    };
+
+    img.src = url;
+  });
+}
+
+/**
+ * Loads an image file along with the EXIF orientation that must be applied to it. The
+ * orientation will be 1 when the browser already applies it.
+ *
+ * @param {File} file - the image file.
+ * @return {Promise} a promise that resolves with an object containing the loaded `image`
+ *      and the `orientation`.
+ */
+export function loadOrientedImage(file) {
+  return Promise.all([loadImage(file), readOrientation(file)]).then(([image, orientation]) => ({
+    image,
+    orientation: isAutoOriented() ? 1 : orientation,
+  }));
+}
+
+/**
+ * Gets the size of a loaded image once the EXIF orientation has been applied.
+ *
+ * @param {HTMLImageElement} img - the loaded image.
+ * @param {number} orientation - the EXIF orientation to apply.
+ * @return {Object} an object containing the `width` and `height`.
+ */
+export function getOrientedSize(img, orientation) {
+  const rotated = orientation >= 5;
+  return {
+    width: rotated ? img.naturalHeight : img.naturalWidth,
+    height: rotated ? img.naturalWidth : img.naturalHeight,
+  };
+}
+
+/**
+ * Gets the size of an image file once the EXIF orientation has been applied.
+ *
+ * @param {File} file - the image file.
+ * @return {Promise} a promise that resolves with an object containing the `width` and `height`.
+ */
+export function getImageSize(file) {
+  return loadOrientedImage(file).then(({ image, orientation }) => getOrientedSize(image, orientation));
+}
+
+/**
+ * Gets the size an image should be scaled to so that it fits within the max width and
+ * max height while keeping its aspect ratio. Images will never be scaled up.
+ *
+ * @param {number} width - the width of the image.
+ * @param {number} height - the height of the image.
+ * @param {number=} maxWidth - the max width.
+ * @param {number=} maxHeight - the max height.
+ * @return {Object} an object containing the scaled `width` and `height`.
+ */
+export function getScaledSize(width, height, maxWidth, maxHeight) {
+  const scale = Math.min(1, maxWidth ? maxWidth / width : 1, maxHeight ? maxHeight / height : 1);
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+}
+
+/**
+ * Gets the canvas transform that will draw an image with the correct EXIF orientation.
+ * Orientations 5 through 8 rotate the image by 90 degrees, so the canvas must use
+ * the image's height as its width.
+ *
+ * @param {number} orientation - the EXIF orientation.
+ * @param {number} width - the stored width of the image.
+ * @param {number} height - the stored height of the image.
+ * @return {Array.<number>} the arguments for the canvas context's `transform` function.
+ */
+export function getOrientationTransform(orientation, width, height) {
+  switch (orientation) {
+    case 2:
+      return [-1, 0, 0, 1, width, 0];
+    case 3:
+      return [-1, 0, 0, -1, width, height];
+    case 4:
+      return [1, 0, 0, -1, 0, height];
+    case 5:
+      return [0, 1, 1, 0, 0, 0];
+    case 6:
+      return [0, 1, -1, 0, height, 0];
+    case 7:
+      return [0, -1, -1, 0, height, width];
+    case 8:
+      return [0, -1, 1, 0, 0, width];
+    default:
+      return [1, 0, 0, 1, 0, 0];
+  }
+}
+
+function createCanvas(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * Draws an image with the EXIF orientation applied so that any crop area can be
+ * relative to the image as it is displayed.
+ *
+ * @param {HTMLImageElement} img - the loaded image.
+ * @param {number} orientation - the EXIF orientation.
+ * @return {HTMLImageElement|HTMLCanvasElement} the image if it does not need to be
+ *      oriented or a canvas containing the oriented image.
+ */
+function orientImage(img, orientation) {
+  if (orientation === 1) {
+    return img;
+  }
+
+  const { naturalWidth: width, naturalHeight: height } = img;
+  const rotated = orientation >= 5;
+  const canvas = createCanvas(rotated ? height : width, rotated ? width : height);
+  const context = canvas.getContext('2d');
+  context.transform(...getOrientationTransform(orientation, width, height));
+  context.drawImage(img, 0, 0);
+
+  return canvas;
+}
+
+/**
+ * Draws a loaded image onto a canvas. The image will have the EXIF orientation applied,
+ * can be cropped, and will be scaled down to fit within the max width and max height.
+ *
+ * @param {HTMLImageElement} img - the loaded image.
+ * @param {number} orientation - the EXIF orientation to apply.
+ * @param {Object=} options - the render options.
+ * @param {number=} options.maxWidth - the max width of the rendered image.
+ * @param {number=} options.maxHeight - the max height of the rendered image.
+ * @param {Object=} options.crop - an optional area of the image to crop to.
+ * @return {HTMLCanvasElement} the canvas.
+ */
+export function drawImage(img, orientation, { maxWidth, maxHeight, crop } = {}) {
+  const source = orientImage(img, orientation);
+  const sourceWidth = source.naturalWidth || source.width;
+  const sourceHeight = source.naturalHeight || source.height;
+  const area = crop || { x: 0, y: 0, width: sourceWidth, height: sourceHeight };
+  const { width, height } = getScaledSize(area.width, area.height, maxWidth, maxHeight);
+
+  const canvas = createCanvas(width, height);
+  canvas.getContext('2d').drawImage(source, area.x, area.y, area.width, area.height, 0, 0, width, height);
+  return canvas;
+}
+
+/**
+ * Renders an image file onto a canvas. The image will have the EXIF orientation applied,
+ * can be cropped, and will be scaled down to fit within the max width and max height.
+ *
+ * @param {File} file - the image file to render.
+ * @param {Object=} options - the render options.
+ * @param {number=} options.maxWidth - the max width of the rendered image.
+ * @param {number=} options.maxHeight - the max height of the rendered image.
+ * @param {Object=} options.crop - an optional area of the image to crop to. This should
+ *      contain the `x`, `y`, `width`, and `height` in pixels relative to the oriented image.
+ * @return {Promise} a promise that resolves with the canvas.
+ */
+export default function renderImage(file, options) {
+  return loadOrientedImage(file).then(({ image, orientation }) => drawImage(image, orientation, options));
+}
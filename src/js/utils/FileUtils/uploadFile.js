@@ -0,0 +1,154 @@
+/** @module utils/FileUtils/uploadFile */
+import xhrTransport from './xhrTransport';
+
+/**
+ * Creates the error that an upload rejects with once it has been aborted.
+ *
+ * @return {Error} the abort error.
+ */
+export function createAbortError() {
+  const error = new Error('The upload was aborted.');
+  error.aborted = true;
+  return error;
+}
+
+/**
+ * Checks if a failed request can be retried. Requests that failed because of a network
+ * error, a timeout, rate limiting, or a server error can be retried.
+ *
+ * @param {Error} error - the error the request failed with.
+ * @return {boolean} true if the request can be retried.
+ */
+export function isRetryable({ status }) {
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Uploads a file with a transport. The file can optionally be split into chunks of the
+ * `chunkSize` which will be sent one at a time. Each request that fails with a retryable
+ * error will be retried up to the `retries` number of times with an exponential backoff
+ * starting at the `retryDelay`. Since only the failed chunk is retried, the upload will
+ * resume from the last chunk that was sent successfully.
+ *
+ * ```js
+ * const upload = uploadFile(file, {
+ *   url: '/api/files',
+ *   chunkSize: 1024 * 1024,
+ *   retries: 3,
+ *   onProgress: progress => console.log(`${progress}%`),
+ * });
+ *
+ * upload.promise.then(({ response }) => console.log(response));
+ * upload.abort();
+ * ```
+ *
+ * @param {File} file - the file to upload.
+ * @param {Object} options - the upload options. Any options not listed below will be
+ *      provided to the transport.
+ * @param {function=} options.transport - the transport to send each request with.
+ * @param {number=} options.chunkSize - the number of bytes to send in each request. When
+ *      this is omitted, the entire file will be sent in one request.
+ * @param {number=} options.offset - the byte offset to start uploading from. This can be
+ *      used to resume an upload that was started earlier.
+ * @param {number=} options.retries - the number of times to retry a failed request.
+ * @param {number=} options.retryDelay - the number of milliseconds to wait before the
+ *      first retry. Each retry after that will wait twice as long.
+ * @param {function=} options.onProgress - a function to call with the progress of the
+ *      entire upload as a number between 0 and 100 and the progress event.
+ * @param {function=} options.onChunk - a function to call with the number of bytes that have
+ *      been uploaded each time a request succeeds. This can be provided as the `offset` to
+ *      resume the upload after it has failed or been aborted.
+ * @return {Object} an object containing the `promise` for the upload and an `abort`
+ *      function. The promise resolves with the result of the last request or rejects
+ *      with the last error.
+ */
+export default function uploadFile(file, {
+  transport = xhrTransport,
+  chunkSize,
+  offset = 0,
+  retries = 0,
+  retryDelay = 1000,
+  onProgress,
+  onChunk,
+  ...options
+}) {
+  const { size } = file;
+  let request = null;
+  let timeout = null;
+  let aborted = false;
+  let rejectUpload;
+
+  const promise = new Promise((resolve, reject) => {
+    rejectUpload = reject;
+
+    let start = offset;
+    let attempt = 0;
+    const send = () => {
+      timeout = null;
+      const end = chunkSize ? Math.min(size, start + chunkSize) : size;
+      const body = start === 0 && end === size ? file : file.slice(start, end);
+      request = transport({
+        ...options,
+        file,
+        body,
+        start,
+        end,
+        onProgress: (loaded, total, e) => {
+          if (onProgress) {
+            onProgress(size ? ((start + Math.min(loaded, end - start)) / size) * 100 : 100, e);
+          }
+        },
+      });
+
+      request.promise.then((result) => {
+        if (aborted) {
+          return;
+        }
+
+        attempt = 0;
+        start = end;
+        if (onChunk) {
+          onChunk(end);
+        }
+
+        if (start < size) {
+          send();
+        } else {
+          resolve(result);
+        }
+      }, (error) => {
+        if (aborted) {
+          return;
+        } else if (error.aborted || attempt >= retries || !isRetryable(error)) {
+          reject(error);
+          return;
+        }
+
+        timeout = setTimeout(send, retryDelay * (2 ** attempt));
+        attempt += 1;
+      });
+    };
+
+    send();
+  });
+
+  return {
+    promise,
+    abort: () => {
+      if (aborted) {
+        return;
+      }
+
+      aborted = true;
+      if (timeout) {
+        clearTimeout(timeout);
+      }
+
+      if (request) {
+        request.abort();
+      }
+
+      rejectUpload(createAbortError());
+    },
+  };
+}
@@ -0,0 +1,125 @@
+/** @module utils/FileUtils/xhrTransport */
+
+/**
+ * Creates the error for a failed upload request.
+ *
+ * @param {string} message - the error message.
+ * @param {XMLHttpRequest} xhr - the request that failed.
+ * @return {Error} the error with the `status` and `response` of the request.
+ */
+function createError(message, xhr) {
+  const error = new Error(message);
+  error.status = xhr.status;
+  error.response = xhr.response;
+  return error;
+}
+
+/**
+ * The default transport used by the `FileUpload` component to send a file, or a chunk of a
+ * file, to a server with an `XMLHttpRequest`. An `XMLHttpRequest` is used instead of `fetch`
+ * since it is the only way to get the upload progress.
+ *
+ * The file will be sent as `multipart/form-data` with the `fieldName` and any additional
+ * `data` fields. When only a chunk of the file is being sent, a `Content-Range` header will
+ * be added so the server can combine the chunks.
+ *
+ * A custom transport can be created by following the same signature:
+ *
+ * ```js
+ * function fetchTransport({ url, method, headers, body, file }) {
+ *   const formData = new FormData();
+ *   formData.append('file', body, file.name);
+ *
+ *   return {
+ *     promise: fetch(url, { method, headers, body: formData }).then(response => ({
+ *       status: response.status,
+ *       response,
+ *     })),
+ *     abort: () => {},
+ *   };
+ * }
+ * ```
+ *
+ * @param {Object} options - the upload options.
+ * @param {string} options.url - the url to send the file to.
+ * @param {File} options.file - the file that is being uploaded.
+ * @param {Blob=} options.body - the part of the file to send. Defaults to the entire file.
+ * @param {number=} options.start - the byte offset of the body within the file.
+ * @param {number=} options.end - the byte offset of the end of the body within the file.
+ * @param {string=} options.method - the request method.
+ * @param {Object=} options.headers - any additional request headers.
+ * @param {Object=} options.data - any additional form data fields.
+ * @param {string=} options.fieldName - the form data field name for the file.
+ * @param {boolean=} options.withCredentials - boolean if cookies should be sent cross-origin.
+ * @param {function=} options.onProgress - a function to call with the uploaded bytes,
+ *      the total bytes, and the progress event.
+ * @return {Object} an object containing the `promise` for the request and an `abort`
+ *      function. The promise resolves with the `status` and `response` of the request
+ *      or rejects with an error containing the `status` and `response`.
+ */
+export default function xhrTransport({
+  url,
+  file,
+  body = file,
+  start = 0,
+  end = file.size,
+  method = 'POST',
+  headers = {},
+  data = {},
+  fieldName = 'file',
+  withCredentials,
+  onProgress,
+}) {
+  const xhr = new XMLHttpRequest();
+  const promise = new Promise((resolve, reject) => {
+    xhr.open(method, url, true);
+    xhr.withCredentials = !!withCredentials;
+    Object.keys(headers).forEach((name) => {
+      xhr.setRequestHeader(name, headers[name]);
+    });
+
+    if (start !== 0 || end !== file.size) {
+      xhr.setRequestHeader('Content-Range', `bytes ${start}-${end - 1}/${file.size}`);
+    }
+
+    if (onProgress && xhr.upload) {
+      xhr.upload.onprogress = (e) => {
+        if (e.lengthComputable) {
+          onProgress(e.loaded, e.total, e);
+        }
+      };
+    }
+
+    xhr.onload = () => {
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve({ status: xhr.status, response: xhr.response });
+      } else {
+        reject(createError(`The upload failed with a status of ${xhr.status}.`, xhr));
+      }
+    };
+
+    xhr.onerror = () => {
+      reject(createError('The upload failed because of a network error.', xhr));
+    };
+
+    xhr.onabort = () => {
+      const error = createError('The upload was aborted.', xhr);
+      error.aborted = true;
+      reject(error);
+    };
+
+    const formData = new FormData();
+    Object.keys(data).forEach((name) => {
+      formData.append(name, data[name]);
+    });
+    formData.append(fieldName, body, file.name);
+    xhr.send(formData);
+  });
+
+  return {
+    promise,
+    abort: () => {
+      xhr.abort();
+    },
+  };
+}
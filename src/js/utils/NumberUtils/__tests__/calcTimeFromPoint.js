@@ -48,4 +48,11 @@ describe('calcTimeFromPoint', () => {
     expect(calcTimeFromPoint(twelve, CENTER, 40, false, false)).toBe(12);
     expect(calcTimeFromPoint(zero, CENTER, 40, false, false)).toBe(0);
   });
+
+  it('snaps the minutes to the step', () => {
+    const point = { x: 100, y: 10 };
+    expect(calcTimeFromPoint(point, CENTER, 40, true, true)).toBe(16);
+    expect(calcTimeFromPoint(point, CENTER, 40, true, true, 15)).toBe(15);
+    expect(calcTimeFromPoint({ x: -10, y: -100 }, CENTER, 40, true, true, 15)).toBe(0);
+  });
 });
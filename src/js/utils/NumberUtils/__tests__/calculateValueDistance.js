@@ -45,4 +45,11 @@ describe('calculateValueDistance', () => {
     });
     expect(calculateValueDistance(pageX, width, left, scale, step, min, max, normalized)).toEqual(expected);
   });
+
+  it('should calculate the distance from the bottom when vertical', () => {
+    // the top of the slider is at 50px and the slider is 100px tall
+    expect(calculateValueDistance(125, 100, 50, 100, 1, 0, 100, true, true)).toEqual({ value: 25, distance: 25 });
+    expect(calculateValueDistance(60, 100, 50, 100, 1, 0, 100, false, true)).toEqual({ value: 90, distance: 90 });
+    expect(calculateValueDistance(200, 100, 50, 100, 1, 0, 100, true, true)).toEqual({ value: 0, distance: 0 });
+  });
 });
@@ -23,9 +23,10 @@ function toDegrees(radians) {
  * @param {Boolean} minutes - Boolena if the current time to be calculated is minutes instead of
  *    hours.
  * @param {Boolean} hour12 - Boolean if the clock is a 12 hour clock.
+ * @param {Number=} step - An optional step to snap minutes or seconds to.
  * @return {Number} the new time.
  */
-export default function calcTimeFromPoint(point, center, innerRadius, minutes, hour12) {
+export default function calcTimeFromPoint(point, center, innerRadius, minutes, hour12, step = 1) {
   const x = point.x - center.x;
   const y = point.y - center.y;
   const degrees = toDegrees(Math.atan2(y, x));
@@ -42,6 +43,9 @@ export default function calcTimeFromPoint(point, center, innerRadius, minutes, h
     time += sectors;
   }
 
+  if (minutes && step > 1) {
+    time = (Math.round(time / step) * step) % sectors;
+  }
 
   // Finally, if it is a 24 hour clock, need to check if the point is actually
   // selecting hours 13 - 24 (0).
@@ -8,18 +8,23 @@
  * If the distance is not _normalized_ the distance will be updated to be a percentage
  * of the element's total width.
  *
+ * When the element is vertical, the y location, height, and top position should be used
+ * instead and the distance will be from the element's bottom position.
+ *
  * @param {Number} x - the screen x location.
  * @param {Number} width - the element's width
  * @param {Number} left - the element's page x position.
  * @param {Boolean} normalize - boolean if the distance should be a percentage.
+ * @param {Boolean} vertical - boolean if the distance should be from the bottom of the element.
  *
  * @return {Number} the distance from the element's left position to the page x
  *    location.
  */
-function calculateDistance(x, width, left, normalize) {
+function calculateDistance(x, width, left, normalize, vertical) {
+  const position = vertical ? width - (x - left) : x - left;
   const distance = Math.min(
     width,
-    Math.max(0, x - left)
+    Math.max(0, position)
   );
 
   return normalize ? distance : distance / width * 100;
@@ -34,6 +39,9 @@ function calculateDistance(x, width, left, normalize) {
  * The distance will always be contained within a percentage of 0 - 100 while the
  * value will be contained within the min and max values.
  *
+ * For vertical sliders, the page y location, the slider's height, and the slider's top
+ * position should be provided instead so that the distance starts at the bottom of the slider.
+ *
  * @param {Number} x - the page x location of the touch or mouse event.
  * @param {Number} width - the slider's width
  * @param {Number} left - the slider's left position in the page.
@@ -42,12 +50,13 @@ function calculateDistance(x, width, left, normalize) {
  * @param {Number} min - the min value for the slider.
  * @param {Number} max - the max value for the slider.
  * @param {Boolean} normalize - boolean if the vaue and distance should be _normalized_.
+ * @param {Boolean=} vertical - boolean if the slider is vertical.
  *
  * @return {Object} an object with the value and distance.
  */
-export default function calculateValueDistance(x, width, left, scale, step, min, max, normalize) {
+export default function calculateValueDistance(x, width, left, scale, step, min, max, normalize, vertical = false) {
   let value;
-  let distance = calculateDistance(x, width, left, normalize);
+  let distance = calculateDistance(x, width, left, normalize, vertical);
   if (normalize) {
     value = Math.round(distance / (width / scale));
     if (step < 1) {
@@ -0,0 +1,67 @@
+/* eslint-env jest */
+import React from 'react';
+
+import fuzzyFilter from '../fuzzyFilter';
+import groupItems, { isGroup, flattenGroups, filterGroups } from '../groupItems';
+
+const GROUPS = [
+  { label: 'Fruits', items: ['Apple', 'Banana'] },
+  { label: 'Vegetables', items: ['Carrot', 'Potato'] },
+];
+
+describe('isGroup', () => {
+  it('should only be true for objects with a list of items', () => {
+    expect(isGroup(GROUPS[0])).toBe(true);
+    expect(isGroup({ label: 'Apple' })).toBe(false);
+    expect(isGroup('Apple')).toBe(false);
+    expect(isGroup(null)).toBe(false);
+    expect(isGroup(<li items={[]} />)).toBe(false);
+  });
+});
+
+describe('flattenGroups', () => {
+  it('should create a list of all the items in each group', () => {
+    expect(flattenGroups(GROUPS)).toEqual(['Apple', 'Banana', 'Carrot', 'Potato']);
+  });
+});
+
+describe('filterGroups', () => {
+  it('should call the filter with the items when there are no groups', () => {
+    const filter = jest.fn(() => []);
+    const items = ['Apple', 'Banana'];
+    filterGroups(filter, items, 'a', 'label');
+    expect(filter).toBeCalledWith(items, 'a', 'label');
+  });
+
+  it('should filter each group and remove groups without any matches', () => {
+    expect(filterGroups(fuzzyFilter, GROUPS, 'an')).toEqual([{ label: 'Fruits', items: ['Banana'] }]);
+    expect(filterGroups(fuzzyFilter, ['Pear'].concat(GROUPS), 'p')).toEqual([
+      'Pear',
+      { label: 'Fruits', items: ['Apple'] },
+      { label: 'Vegetables', items: ['Potato'] },
+    ]);
+  });
+});
+
+describe('groupItems', () => {
+  it('should return null when there are no groups', () => {
+    expect(groupItems(['Apple', 'Banana'])).toBe(null);
+  });
+
+  it('should place items that are not in a group into groups without a label', () => {
+    expect(groupItems(['Pear', 'Plum'].concat(GROUPS))).toEqual([{ items: ['Pear', 'Plum'] }].concat(GROUPS));
+  });
+
+  it('should group objects by the groupBy key in the order they first appear', () => {
+    const apple = { label: 'Apple', type: 'Fruit' };
+    const carrot = { label: 'Carrot', type: 'Vegetable' };
+    const banana = { label: 'Banana', type: 'Fruit' };
+    const rock = { label: 'Rock' };
+
+    expect(groupItems([apple, carrot, banana, rock], 'type')).toEqual([
+      { label: 'Fruit', items: [apple, banana] },
+      { label: 'Vegetable', items: [carrot] },
+      { items: [rock] },
+    ]);
+  });
+});
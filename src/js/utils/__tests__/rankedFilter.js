@@ -0,0 +1,51 @@
+/* eslint-env jest */
+import React from 'react';
+
+import rankedFilter, {
+  scoreMatch,
+  PREFIX_MATCH,
+  WORD_START_MATCH,
+  SUBSTRING_MATCH,
+  FUZZY_MATCH,
+} from '../rankedFilter';
+
+describe('scoreMatch', () => {
+  it('should return null when the text does not match', () => {
+    expect(scoreMatch('United States', 'z')).toBe(null);
+    expect(scoreMatch('United States', 'setu')).toBe(null);
+    expect(scoreMatch('United States', '')).toBe(null);
+  });
+
+  it('should score a prefix match the highest while ignoring case', () => {
+    expect(scoreMatch('United States', 'UNI')).toEqual({ score: PREFIX_MATCH, ranges: [[0, 3]] });
+  });
+
+  it('should score a match at the start of a word', () => {
+    expect(scoreMatch('United States', 'st')).toEqual({ score: WORD_START_MATCH, ranges: [[7, 9]] });
+    expect(scoreMatch('Guinea-Bissau', 'bis')).toEqual({ score: WORD_START_MATCH, ranges: [[7, 10]] });
+  });
+
+  it('should score a match anywhere in the text', () => {
+    expect(scoreMatch('United States', 'ted')).toEqual({ score: SUBSTRING_MATCH, ranges: [[3, 6]] });
+  });
+
+  it('should score each character matching in order as a fuzzy match and combine adjacent ranges', () => {
+    expect(scoreMatch('United States', 'unst')).toEqual({ score: FUZZY_MATCH, ranges: [[0, 2], [7, 9]] });
+    expect(scoreMatch(12345, 24)).toEqual({ score: FUZZY_MATCH, ranges: [[1, 2], [3, 4]] });
+  });
+});
+
+describe('rankedFilter', () => {
+  it('should sort the matches by prefix, word start, substring, and then fuzzy matches', () => {
+    const haystack = ['Banana', 'Orange', 'Navel Orange', 'Nectarine', 'Lemon', 'Apple'];
+    expect(rankedFilter(haystack, 'n')).toEqual(['Navel Orange', 'Nectarine', 'Banana', 'Orange', 'Lemon']);
+    expect(rankedFilter(haystack, 'or')).toEqual(['Orange', 'Navel Orange']);
+    expect(rankedFilter(haystack, 'ae')).toEqual(['Apple', 'Navel Orange', 'Orange', 'Nectarine']);
+  });
+
+  it('should use the dataLabel for objects and place any React elements at the end', () => {
+    const element = <li key="element" />;
+    const haystack = [{ name: 'Banana' }, element, null, { name: 'Apple' }];
+    expect(rankedFilter(haystack, 'a', 'name')).toEqual([{ name: 'Apple' }, { name: 'Banana' }, element]);
+  });
+});
@@ -0,0 +1,54 @@
+/* eslint-env jest */
+import React from 'react';
+import { mount } from 'enzyme';
+
+import renderGroupedItems from '../renderGroupedItems';
+
+const renderItems = items => items.map(item => <li key={item}>{item}</li>);
+
+describe('renderGroupedItems', () => {
+  it('should render the items without groups when there are no groups', () => {
+    const items = renderGroupedItems(['Apple', 'Banana'], 'fruits', undefined, renderItems);
+    const list = mount(<ul>{items}</ul>);
+    expect(list.find('.md-list-group').length).toBe(0);
+    expect(list.find('li').length).toBe(2);
+  });
+
+  it('should render each labeled group in a list that is labelled by a subheader', () => {
+    const groups = [
+      { label: 'Fruits', items: ['Apple', 'Banana'] },
+      { label: 'Vegetables', items: ['Carrot'] },
+    ];
+    const list = mount(<ul>{renderGroupedItems(groups, 'food', undefined, renderItems)}</ul>);
+
+    const rendered = list.find('.md-list-group');
+    expect(rendered.length).toBe(2);
+    expect(rendered.at(0).find('.md-divider').length).toBe(0);
+    expect(rendered.at(1).find('.md-divider').length).toBe(1);
+
+    const group = rendered.at(1).find('[role="group"]');
+    expect(group.props()['aria-labelledby']).toBe('food-group-1');
+    expect(list.find('#food-group-1').text()).toBe('Vegetables');
+    expect(group.find('li').length).toBe(1);
+  });
+
+  it('should render the items of groups without a label inline and remove empty groups', () => {
+    const items = ['Other', { label: 'Fruits', items: ['Apple'] }, { label: 'Empty', items: [] }];
+    const rendered = renderGroupedItems(items, 'food', undefined, renderItems);
+    expect(rendered.length).toBe(2);
+    expect(rendered[0].key).toBe('Other');
+
+    const list = mount(<ul>{rendered}</ul>);
+    expect(list.find('.md-list-group').length).toBe(1);
+    expect(list.find('.md-divider').length).toBe(1);
+  });
+
+  it('should group the items by the groupBy key', () => {
+    const items = [{ type: 'Fruit', name: 'Apple' }, { type: 'Vegetable', name: 'Carrot' }];
+    const render = jest.fn(groupItems => groupItems.map(item => <li key={item.name}>{item.name}</li>));
+    const list = mount(<ul>{renderGroupedItems(items, 'food', 'type', render)}</ul>);
+    expect(render.mock.calls.length).toBe(2);
+    expect(render.mock.calls[0][0]).toEqual([items[0]]);
+    expect(list.find('.md-list-group').length).toBe(2);
+  });
+});
@@ -0,0 +1,109 @@
+/** @module utils/groupItems */
+import React from 'react';
+
+/**
+ * Checks if an item is an option group. A group is any object that is not a React
+ * element and has a list of `items`.
+ *
+ * @param {*} item - the item to check.
+ * @return {boolean} true if the item is a group.
+ */
+export function isGroup(item) {
+  return !!item
+    && typeof item === 'object'
+    && !React.isValidElement(item)
+    && Array.isArray(item.items);
+}
+
+/**
+ * Creates a single list of items from a list of groups.
+ *
+ * @param {Array.<Object>} groups - the list of `{ label, items }` to flatten.
+ * @return {Array.<*>} the list of all the items in the groups.
+ */
+export function flattenGroups(groups) {
+  return groups.reduce((items, group) => items.concat(group.items), []);
+}
+
+/**
+ * Applies a filter function to the items in each group so that the groups are kept
+ * while filtering. Any group that has no matching items will be removed. When there are
+ * no groups, this is the same as calling the filter with the items.
+ *
+ * ```js
+ * const data = [{ label: 'Fruits', items: ['Apple', 'Banana'] }, { label: 'Vegetables', items: ['Carrot'] }];
+ * filterGroups(fuzzyFilter, data, 'an'); // [{ label: 'Fruits', items: ['Banana'] }]
+ * ```
+ *
+ * @param {function} filter - the filter function to use.
+ * @param {Array.<*>} items - the list of items or groups to filter.
+ * @param {...*} args - any additional arguments to provide to the filter function.
+ * @return {Array.<*>} the filtered list.
+ */
+export function filterGroups(filter, items, ...args) {
+  if (!items.some(isGroup)) {
+    return filter(items, ...args);
+  }
+
+  return items.reduce((filtered, item) => {
+    if (isGroup(item)) {
+      const matches = filter(item.items, ...args);
+      if (matches.length) {
+        filtered.push({ ...item, items: matches });
+      }
+    } else {
+      filtered.push(...filter([item], ...args));
+    }
+
+    return filtered;
+  }, []);
+}
+
+/**
+ * Creates a list of groups from a list of items. The items can either already contain
+ * groups with the `{ label, items }` shape, or a `groupBy` key can be provided to group
+ * objects by the value of that key. Groups will be ordered by their first appearance.
+ *
+ * Any item that is not part of a group will be placed in a group without a `label`.
+ *
+ * @param {Array.<*>} items - the list of items to group.
+ * @param {string=} groupBy - an optional key to group object items by.
+ * @return {Array.<Object>} a list of `{ label, items }` or null if there are no groups.
+ */
+export default function groupItems(items, groupBy) {
+  if (!groupBy && !items.some(isGroup)) {
+    return null;
+  }
+
+  const groups = [];
+  const labeled = {};
+  let ungrouped = null;
+  items.forEach((item) => {
+    if (isGroup(item)) {
+      ungrouped = null;
+      groups.push(item);
+      return;
+    }
+
+    const label = groupBy && item && typeof item === 'object' ? item[groupBy] : undefined;
+    if (typeof label === 'undefined' || label === null) {
+      if (!ungrouped) {
+        ungrouped = { items: [] };
+        groups.push(ungrouped);
+      }
+
+      ungrouped.items.push(item);
+      return;
+    }
+
+    if (!labeled[label]) {
+      labeled[label] = { label, items: [] };
+      groups.push(labeled[label]);
+    }
+
+    ungrouped = null;
+    labeled[label].items.push(item);
+  });
+
+  return groups;
+}
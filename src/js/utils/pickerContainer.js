@@ -0,0 +1,92 @@
+/** @module utils/pickerContainer */
+import React from 'react';
+
+import handleWindowClickListeners from './EventUtils/handleWindowClickListeners';
+import Dialog from '../Dialogs/DialogContainer';
+import Collapse from '../Helpers/Collapse';
+
+/**
+ * Adds or removes the window listeners that close an inline picker when the user clicks
+ * outside of the picker's container or presses the escape key.
+ *
+ * @param {boolean} enabled - boolean if the listeners should be added.
+ * @param {function} onOutsideClick - the function to call when the window is clicked.
+ * @param {function} onKeyDown - the function to call when a key is pressed.
+ */
+export function setPickerListeners(enabled, onOutsideClick, onKeyDown) {
+  handleWindowClickListeners(onOutsideClick, enabled);
+  if (enabled) {
+    window.addEventListener('keydown', onKeyDown);
+  } else {
+    window.removeEventListener('keydown', onKeyDown);
+  }
+}
+
+/**
+ * Creates the props for the picker container's `TextField` that are passed through from
+ * the container's props without any changes.
+ *
+ * @param {Object} props - the picker container's props.
+ * @param {boolean} visible - boolean if the picker is currently visible.
+ * @return {Object} the props to apply to the `TextField`.
+ */
+export function getPickerTextFieldProps(props, visible) {
+  return {
+    id: props.id,
+    style: props.textFieldStyle,
+    inputStyle: props.inputStyle,
+    active: props.active || visible,
+    error: props.error,
+    floating: props.floating || visible,
+    required: props.required,
+    disabled: props.disabled,
+    leftIconStateful: props.leftIconStateful,
+    rightIcon: props.rightIcon,
+    rightIconStateful: props.rightIconStateful,
+    inlineIndicator: props.inlineIndicator,
+    block: props.block,
+    paddedBlock: props.paddedBlock,
+    fullWidth: props.fullWidth,
+    lineDirection: props.lineDirection,
+    customSize: props.customSize,
+    helpText: props.helpText,
+    helpOnFocus: props.helpOnFocus,
+    errorText: props.errorText,
+    label: props.label,
+    placeholder: props.placeholder,
+  };
+}
+
+/**
+ * Renders a picker in a `Collapse` when the container is inline, otherwise in a `Dialog`.
+ *
+ * @param {Object} picker - the picker element to render.
+ * @param {Object} containerProps - the picker container's props.
+ * @param {boolean} visible - boolean if the picker is currently visible.
+ * @param {function} onHide - the function to call when the dialog should be hidden.
+ * @return {Object} the `Collapse` or `Dialog` element.
+ */
+export function renderPickerContent(picker, containerProps, visible, onHide) {
+  const { id, inline, animateInline, closeOnEsc, portal, renderNode, lastChild } = containerProps;
+  if (inline) {
+    return <Collapse collapsed={!visible} animate={animateInline}>{picker}</Collapse>;
+  }
+
+  return (
+    <Dialog
+      id={`${id}-dialog`}
+      visible={visible}
+      onHide={onHide}
+      dialogClassName="md-dialog--picker"
+      contentClassName="md-dialog-content--picker"
+      aria-label={containerProps['aria-label']}
+      closeOnEsc={closeOnEsc}
+      portal={portal}
+      lastChild={lastChild}
+      renderNode={renderNode}
+      focusOnMount={false}
+    >
+      {picker}
+    </Dialog>
+  );
+}
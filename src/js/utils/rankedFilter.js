@@ -0,0 +1,125 @@
+/** @module utils/rankedFilter */
+import React from 'react';
+
+export const PREFIX_MATCH = 3;
+export const WORD_START_MATCH = 2;
+export const SUBSTRING_MATCH = 1;
+export const FUZZY_MATCH = 0;
+
+/**
+ * Checks if the character before the index is a word boundary.
+ *
+ * @param {string} text - the text to check.
+ * @param {number} index - the index of the start of a possible word.
+ * @return {boolean} true if the index is the start of a word.
+ */
+function isWordStart(text, index) {
+  return index === 0 || /[^a-z0-9]/i.test(text.charAt(index - 1));
+}
+
+/**
+ * Scores how well some text matches a query while ignoring case. The best matches are when
+ * the text starts with the query, followed by the query matching the start of a word, the query
+ * appearing anywhere in the text, and finally each character of the query appearing in order.
+ *
+ * Example:
+ * ```js
+ * scoreMatch('United States', 'st'); // { score: WORD_START_MATCH, ranges: [[7, 9]] }
+ * scoreMatch('United States', 'ues'); // { score: FUZZY_MATCH, ranges: [[0, 1], [4, 5], [7, 8]] }
+ * scoreMatch('United States', 'z'); // null
+ * ```
+ *
+ * @param {string|number} value - the text to match against.
+ * @param {string|number} query - the query to match.
+ * @return {Object} an object with the `score` and a list of `[start, end)` `ranges` for each
+ *      matched part of the text, or null if the text does not match.
+ */
+export function scoreMatch(value, query) {
+  const text = `${value}`.toLowerCase();
+  const needle = `${query}`.toLowerCase();
+  if (!needle) {
+    return null;
+  }
+
+  let index = text.indexOf(needle);
+  if (index === 0) {
+    return { score: PREFIX_MATCH, ranges: [[0, needle.length]] };
+  } else if (index !== -1) {
+    const firstIndex = index;
+    while (index !== -1 && !isWordStart(text, index)) {
+      index = text.indexOf(needle, index + 1);
+    }
+
+    if (index !== -1) {
+      return { score: WORD_START_MATCH, ranges: [[index, index + needle.length]] };
+    }
+
+    return { score: SUBSTRING_MATCH, ranges: [[firstIndex, firstIndex + needle.length]] };
+  }
+
+  const ranges = [];
+  let matched = 0;
+  for (let i = 0; i < text.length && matched < needle.length; i += 1) {
+    if (text.charAt(i) === needle.charAt(matched)) {
+      const last = ranges[ranges.length - 1];
+      if (last && last[1] === i) {
+        last[1] = i + 1;
+      } else {
+        ranges.push([i, i + 1]);
+      }
+
+      matched += 1;
+    }
+  }
+
+  return matched === needle.length ? { score: FUZZY_MATCH, ranges } : null;
+}
+
+/**
+ * This function works like the `fuzzyFilter` but it will also sort the results so that the
+ * best matches appear first. Items are ranked by:
+ *  - the item's text starting with the needle
+ *  - the needle matching the start of a word in the item's text
+ *  - the needle appearing anywhere in the item's text
+ *  - each letter/number of the needle appearing in order in the item's text
+ *
+ * Items with the same rank keep their original order, and valid React elements will be
+ * placed after all the matches.
+ *
+ * Example:
+ * ```js
+ * const haystack = ['Banana', 'Orange', 'Navel Orange', 'Nectarine'];
+ * rankedFilter(haystack, 'n'); // ['Navel Orange', 'Nectarine', 'Banana', 'Orange']
+ * ```
+ *
+ * @param {Array.<string|number|Object|function>} haystack - the haystack to search
+ * @param {string} needle - the filter text to use.
+ * @param {string=} dataLabel - the data label to use if the element is an object.
+ *
+ * @return {Array.<string|number|Object|function>} a filtered and sorted list.
+ */
+export default function rankedFilter(haystack, needle, dataLabel) {
+  const matches = [];
+  const elements = [];
+  haystack.forEach((hay, index) => {
+    if (hay === null || typeof hay === 'undefined') {
+      return;
+    } else if (React.isValidElement(hay)) {
+      elements.push(hay);
+      return;
+    }
+
+    const value = typeof hay === 'object' ? hay[dataLabel] : hay;
+    const match = value || value === 0 ? scoreMatch(value, needle) : null;
+    if (match) {
+      matches.push({ hay, index, ...match });
+    }
+  });
+
+  return matches.sort((a, b) => (
+    b.score - a.score
+      || a.ranges.length - b.ranges.length
+      || a.ranges[0][0] - b.ranges[0][0]
+      || a.index - b.index
+  )).map(({ hay }) => hay).concat(elements);
+}
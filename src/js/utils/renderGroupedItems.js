@@ -0,0 +1,48 @@
+/** @module utils/renderGroupedItems */
+import React from 'react';
+
+import groupItems from './groupItems';
+import Divider from '../Dividers/Divider';
+import Subheader from '../Subheaders/Subheader';
+
+/**
+ * Renders a list of items that might contain groups. Each group with a label will be rendered
+ * in a `role="group"` list that is labelled by a `Subheader`, and a `Divider` will be placed
+ * between the groups. Groups without a label will have their items rendered inline and any group
+ * that renders no items will be removed.
+ *
+ * @param {Array.<*>} items - the list of items or groups to render.
+ * @param {string} id - the id of the list to use as a prefix for each group's header id.
+ * @param {string=} groupBy - an optional key to group object items by.
+ * @param {function} renderItems - a function that is given a list of items and returns the list
+ *    of rendered items. It will be called once per group in the order the groups are rendered.
+ * @return {Array.<Object>} the list of rendered items and groups.
+ */
+export default function renderGroupedItems(items, id, groupBy, renderItems) {
+  const groups = groupItems(items, groupBy);
+  if (!groups) {
+    return renderItems(items);
+  }
+
+  return groups.reduce((list, group, i) => {
+    const rendered = renderItems(group.items);
+    if (!rendered.length) {
+      return list;
+    } else if (typeof group.label === 'undefined' || group.label === null) {
+      return list.concat(rendered);
+    }
+
+    const headerId = `${id}-group-${i}`;
+    list.push(
+      <li key={group.key || headerId} role="presentation" className="md-list-group">
+        {list.length ? <Divider /> : null}
+        <Subheader id={headerId} component="div" primaryText={group.label} />
+        <ul role="group" aria-labelledby={headerId} className="md-list-group__items">
+          {rendered}
+        </ul>
+      </li>
+    );
+
+    return list;
+  }, []);
+}